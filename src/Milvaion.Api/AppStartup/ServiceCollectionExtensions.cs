@@ -62,6 +62,16 @@ public static partial class StartupExtensions
 
             options.Events = new JwtBearerEvents
             {
+                // Browsers cannot send headers with WebSocket and Server-Sent Events requests, so SignalR clients pass the token in the query string.
+                OnMessageReceived = context =>
+                {
+                    var accessToken = context.Request.Query["access_token"];
+
+                    if (!string.IsNullOrEmpty(accessToken) && context.HttpContext.Request.Path.StartsWithSegments("/hubs"))
+                        context.Token = accessToken;
+
+                    return Task.CompletedTask;
+                },
                 // This event is fired when the token is not provided or after OnForbidden and OnAuthenticationFailed events.
                 OnChallenge = context =>
                 {
@@ -20,7 +20,7 @@ public class ExportsController(IExportService exportService) : ControllerBase
     private readonly IExportService _exportService = exportService;
 
     /// <summary>
-    /// Dynamically creates an excel file according to the export type.
+    /// Dynamically creates an excel or csv file according to the export type.
     /// </summary>
     /// <param name="request"></param>
     /// <param name="cancellation"></param>
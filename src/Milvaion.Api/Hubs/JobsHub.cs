@@ -1,11 +1,13 @@
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.SignalR;
 using System.Collections.Concurrent;
 
 namespace Milvaion.Api.Hubs;
 
 /// <summary>
-/// SignalR hub for real-time job updates to dashboard.
+/// SignalR hub for real-time job updates to dashboard. Clients authenticate with the access token (access_token query parameter).
 /// </summary>
+[Authorize]
 public class JobsHub : Hub
 {
     // Track active groups and their members
@@ -0,0 +1,28 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace Milvaion.Api.Migrations;
+
+/// <inheritdoc />
+public partial class AddScheduledJobConcurrencyStamp : Migration
+{
+    /// <inheritdoc />
+    protected override void Up(MigrationBuilder migrationBuilder)
+    {
+        migrationBuilder.AddColumn<Guid>(
+            name: "ConcurrencyStamp",
+            table: "ScheduledJobs",
+            type: "uuid",
+            nullable: false,
+            defaultValueSql: "gen_random_uuid()");
+    }
+
+    /// <inheritdoc />
+    protected override void Down(MigrationBuilder migrationBuilder)
+    {
+        migrationBuilder.DropColumn(
+            name: "ConcurrencyStamp",
+            table: "ScheduledJobs");
+    }
+}
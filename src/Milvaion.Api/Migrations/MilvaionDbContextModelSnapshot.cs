@@ -945,6 +945,9 @@ namespace Milvaion.Api.Migrations
                     b.Property<JobAutoDisableSettings>("AutoDisableSettings")
                         .HasColumnType("jsonb");
 
+                    b.Property<Guid>("ConcurrencyStamp")
+                        .HasColumnType("uuid");
+
                     b.Property<int>("ConcurrentExecutionPolicy")
                         .HasColumnType("integer");
 
@@ -84,6 +84,8 @@ public class SignalRJobOccurrenceEventPublisher(IHubContext<JobsHub> hubContext)
                     await PublishOccurrenceUpdatedAsync(new OccurrenceUpdatedSignal
                     {
                         Id = occurrence.Id,
+                        JobId = occurrence.JobId,
+                        JobName = occurrence.JobName,
                         Status = (int)occurrence.Status,
                         StartTime = occurrence.StartTime,
                         WorkerId = occurrence.WorkerId,
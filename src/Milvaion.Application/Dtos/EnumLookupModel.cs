@@ -10,6 +10,11 @@ public class EnumLookupModel
     /// </summary>
     public object Value { get; set; }
 
+    /// <summary>
+    /// Enum member name.
+    /// </summary>
+    public string Key { get; set; }
+
     /// <summary>
     /// Enum localized name.
     /// </summary>
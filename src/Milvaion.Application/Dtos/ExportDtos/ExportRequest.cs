@@ -1,3 +1,6 @@
+using Milvaion.Application.Features.FailedOccurrences.GetFailedOccurrenceList;
+using Milvaion.Application.Features.ScheduledJobs.GetJobOccurenceList;
+using Milvaion.Application.Features.ScheduledJobs.GetScheduledJobList;
 using Milvaion.Application.Features.Users.GetUserList;
 using Milvasoft.Components.Rest.Request;
 
@@ -11,7 +14,38 @@ public enum ExportType : sbyte
     /// <summary>
     /// User list export.
     /// </summary>
-    User = 1
+    User = 1,
+
+    /// <summary>
+    /// Scheduled job list export.
+    /// </summary>
+    ScheduledJob = 2,
+
+    /// <summary>
+    /// Job occurrence (execution) list export.
+    /// </summary>
+    JobOccurrence = 3,
+
+    /// <summary>
+    /// Failed occurrence (DLQ) list export.
+    /// </summary>
+    FailedOccurrence = 4
+}
+
+/// <summary>
+/// Export file formats.
+/// </summary>
+public enum ExportFormat : sbyte
+{
+    /// <summary>
+    /// Excel workbook (.xlsx).
+    /// </summary>
+    Excel = 1,
+
+    /// <summary>
+    /// Comma separated values (.csv).
+    /// </summary>
+    Csv = 2
 }
 
 /// <summary>
@@ -21,7 +55,10 @@ public class ExportRequest
 {
     private static readonly Dictionary<ExportType, (Type Type, List<string> Permissions)> _exportTypeQueryPairs = new()
     {
-        { ExportType.User, (typeof(GetUserListQuery), [PermissionCatalog.UserManagement.List] )}
+        { ExportType.User, (typeof(GetUserListQuery), [PermissionCatalog.UserManagement.List] )},
+        { ExportType.ScheduledJob, (typeof(GetScheduledJobListQuery), [PermissionCatalog.ScheduledJobManagement.List] )},
+        { ExportType.JobOccurrence, (typeof(GetJobOccurrenceListQuery), [PermissionCatalog.ScheduledJobManagement.List] )},
+        { ExportType.FailedOccurrence, (typeof(GetFailedOccurrenceListQuery), [PermissionCatalog.FailedOccurrenceManagement.List] )}
     };
 
     /// <summary>
@@ -34,6 +71,16 @@ public class ExportRequest
     /// </summary>
     public ListRequest ListRequest { get; set; }
 
+    /// <summary>
+    /// Output file format. Defaults to excel.
+    /// </summary>
+    public ExportFormat Format { get; set; } = ExportFormat.Excel;
+
+    /// <summary>
+    /// Property names of the columns to export, in order. All visible columns are exported when empty.
+    /// </summary>
+    public List<string> Columns { get; set; }
+
     /// <summary>
     /// Gets query type according to export type.
     /// </summary>
@@ -55,6 +102,9 @@ public class ExportRequest
         if (!Enum.IsDefined(ExportType))
             return false;
 
+        if (!Enum.IsDefined(Format))
+            return false;
+
         return true;
     }
 }
\ No newline at end of file
@@ -15,6 +15,11 @@ public class FailedOccurrenceListDto : MilvaionBaseDto<Guid>
     /// </summary>
     public string JobDisplayName { get; set; }
 
+    /// <summary>
+    /// Occurrence that failed.
+    /// </summary>
+    public Guid OccurrenceId { get; set; }
+
     /// <summary>
     /// Job type/name in worker (e.g., "SendEmailJob").
     /// </summary>
@@ -59,6 +64,7 @@ public class FailedOccurrenceListDto : MilvaionBaseDto<Guid>
     {
         Id = r.Id,
         JobDisplayName = r.JobDisplayName,
+        OccurrenceId = r.OccurrenceId,
         JobNameInWorker = r.JobNameInWorker,
         WorkerId = r.WorkerId,
         FailedAt = r.FailedAt,
@@ -73,6 +73,16 @@ public class JobOccurrenceListDto : MilvaionBaseDto<Guid>
     /// </summary>
     public DateTime CreatedAt { get; set; }
 
+    /// <summary>
+    /// Running job version at the time of execution.
+    /// </summary>
+    public int JobVersion { get; set; }
+
+    /// <summary>
+    /// Number of dispatch retry attempts (exponential backoff for RabbitMQ failures).
+    /// </summary>
+    public int DispatchRetryCount { get; set; }
+
     /// <summary>
     /// Projection expression for mapping ScheduledJob scheduledjob to ScheduledJobListDto.
     /// </summary>
@@ -91,6 +101,8 @@ public class JobOccurrenceListDto : MilvaionBaseDto<Guid>
         DurationMs = r.DurationMs,
         Result = r.Result,
         CreatedAt = r.CreatedAt,
+        JobVersion = r.JobVersion,
+        DispatchRetryCount = r.DispatchRetryCount,
         JobDisplayName = r.Job.DisplayName,
         JobTags = r.Job.Tags
     };
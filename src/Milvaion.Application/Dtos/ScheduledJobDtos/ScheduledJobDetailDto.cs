@@ -112,6 +112,11 @@ public class ScheduledJobDetailDto : MilvaionBaseDto<Guid>
     /// </summary>
     public List<string> JobVersions { get; set; }
 
+    /// <summary>
+    /// Concurrency stamp of the job, sent back with an update to detect changes made by someone else in the meantime.
+    /// </summary>
+    public Guid ConcurrencyStamp { get; set; }
+
     /// <summary>
     /// Auto disable settings for the scheduled job.
     /// </summary>
@@ -142,6 +147,7 @@ public class ScheduledJobDetailDto : MilvaionBaseDto<Guid>
         ExecutionTimeoutSeconds = r.ExecutionTimeoutSeconds,
         Version = r.Version,
         JobVersions = r.JobVersions,
+        ConcurrencyStamp = r.ConcurrencyStamp,
         AutoDisableSettings = r.AutoDisableSettings,
         AuditInfo = new AuditDto<Guid>(r)
     };
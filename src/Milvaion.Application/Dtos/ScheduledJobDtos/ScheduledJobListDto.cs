@@ -20,11 +20,22 @@ public class ScheduledJobListDto : MilvaionBaseDto<Guid>
     /// </summary>
     public string JobType { get; set; }
 
+    /// <summary>
+    /// Target worker ID that should execute this job.
+    /// </summary>
+    public string WorkerId { get; set; }
+
     /// <summary>
     /// JSON serialized payload data required for job execution.
     /// </summary>
     public string JobData { get; set; }
 
+    /// <summary>
+    /// Scheduled execution time (UTC). Dispatcher will trigger the job at or after this time.
+    /// For recurring jobs, this is automatically updated to the next execution time based on CronExpression.
+    /// </summary>
+    public DateTime? ExecuteAt { get; set; }
+
     /// <summary>
     /// Cron expression for recurring job scheduling (e.g., "0 9 * * MON" for every Monday at 9 AM).
     /// Supports standard cron format (minute, hour, day of month, month, day of week).
@@ -59,6 +70,11 @@ public class ScheduledJobListDto : MilvaionBaseDto<Guid>
     /// </summary>
     public string Tags { get; set; }
 
+    /// <summary>
+    /// Auto disable and pause state of the scheduled job.
+    /// </summary>
+    public JobAutoDisableSettings AutoDisableSettings { get; set; }
+
     /// <summary>
     /// Projection expression for mapping ScheduledJob to ScheduledJobListDto.
     /// Note: LatestStatus must be populated separately via join or post-query.
@@ -71,9 +87,12 @@ public class ScheduledJobListDto : MilvaionBaseDto<Guid>
         DisplayName = r.DisplayName,
         CronExpression = r.CronExpression,
         JobData = r.JobData,
+        ExecuteAt = r.ExecuteAt,
         JobType = r.JobNameInWorker,
+        WorkerId = r.WorkerId,
         IsActive = r.IsActive,
         ConcurrentExecutionPolicy = r.ConcurrentExecutionPolicy,
-        Tags = r.Tags
+        Tags = r.Tags,
+        AutoDisableSettings = r.AutoDisableSettings
     };
 }
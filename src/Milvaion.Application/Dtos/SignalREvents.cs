@@ -56,6 +56,16 @@ public record OccurrenceUpdatedSignal
     /// </summary>
     public Guid Id { get; set; }
 
+    /// <summary>
+    /// Id of a job.
+    /// </summary>
+    public Guid JobId { get; set; }
+
+    /// <summary>
+    /// Name of the job occurrence.
+    /// </summary>
+    public string JobName { get; set; }
+
     /// <summary>
     /// Status of the job occurrence.
     /// </summary>
@@ -41,6 +41,11 @@ public class WorkerDto
     /// </summary>
     public int CurrentJobs { get; set; }
 
+    /// <summary>
+    /// Maximum number of jobs each instance of the worker can run simultaneously.
+    /// </summary>
+    public int MaxParallelJobsPerWorker { get; set; }
+
     /// <summary>
     /// Status of the worker (e.g., Online, Offline).
     /// </summary>
@@ -84,6 +89,7 @@ public class WorkerDto
         JobDataDefinitions = r.JobDataDefinitions,
         JobNames = r.JobNames,
         CurrentJobs = r.CurrentJobs,
+        MaxParallelJobsPerWorker = r.MaxParallelJobs,
         Status = r.Status.ToString(),
         LastHeartbeat = r.LastHeartbeat,
         RegisteredAt = r.RegisteredAt,
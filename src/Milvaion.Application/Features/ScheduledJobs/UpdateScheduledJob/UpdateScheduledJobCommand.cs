@@ -74,4 +74,23 @@ public class UpdateScheduledJobCommand : MilvaionBaseDto<Guid>, ICommand<Guid>
     /// </summary>
     [UpdatableIgnore]
     public UpdateProperty<UpsertJobAutoDisableSettings> AutoDisableSettings { get; set; } = new();
+
+    /// <summary>
+    /// Optional reason recorded when the job is paused (IsActive set to false).
+    /// </summary>
+    [UpdatableIgnore]
+    public UpdateProperty<string> PauseReason { get; set; } = new();
+
+    /// <summary>
+    /// Optional time (UTC) at which a job paused with this request is resumed automatically by the dispatcher.
+    /// </summary>
+    [UpdatableIgnore]
+    public UpdateProperty<DateTime?> PausedUntil { get; set; } = new();
+
+    /// <summary>
+    /// Concurrency stamp of the job the update was made on. If given and the job has been updated since, the update is rejected
+    /// so that changes of another user are not overwritten. If null, the update is applied regardless of other updates.
+    /// </summary>
+    [UpdatableIgnore]
+    public Guid? ExpectedConcurrencyStamp { get; set; }
 }
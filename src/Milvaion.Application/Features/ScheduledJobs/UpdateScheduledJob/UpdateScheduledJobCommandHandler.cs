@@ -34,6 +34,9 @@ public record UpdateScheduledJobCommandHandler(IMilvaionRepositoryBase<Scheduled
 
         var existingJob = await _scheduledjobRepository.GetByIdAsync(request.Id, cancellationToken: cancellationToken);
 
+        if (existingJob == null)
+            return Response<Guid>.Error(default, MessageKey.JobNotFound);
+
         if (request.CronExpression.IsUpdated && !string.IsNullOrWhiteSpace(request.CronExpression.Value))
         {
             var cronExpression = Cronos.CronExpression.Parse(request.CronExpression.Value, Cronos.CronFormat.IncludeSeconds);
@@ -52,6 +55,16 @@ public record UpdateScheduledJobCommandHandler(IMilvaionRepositoryBase<Scheduled
                 jobDefinitionChanged = true;
         }
 
+        var statusChanged = request.IsActive.IsUpdated && existingJob.IsActive != request.IsActive.Value;
+
+        // Manual resume, skip the runs missed while the job was paused
+        if (statusChanged && request.IsActive.Value && !request.CronExpression.IsUpdated && !string.IsNullOrWhiteSpace(existingJob.CronExpression))
+        {
+            var cronExpression = Cronos.CronExpression.Parse(existingJob.CronExpression, Cronos.CronFormat.IncludeSeconds);
+
+            newExecuteAt = cronExpression.GetNextOccurrence(DateTime.UtcNow, TimeZoneInfo.Utc);
+        }
+
         // Update in database
         var setPropertyBuilder = _scheduledjobRepository.GetUpdatablePropertiesBuilder(request);
 
@@ -59,7 +72,7 @@ public record UpdateScheduledJobCommandHandler(IMilvaionRepositoryBase<Scheduled
         if (newExecuteAt.HasValue)
             setPropertyBuilder = setPropertyBuilder.SetPropertyValue(sj => sj.ExecuteAt, newExecuteAt.Value);
 
-        if (request.IsActive.IsUpdated && existingJob.IsActive != request.IsActive.Value)
+        if (statusChanged)
         {
             existingJob.AutoDisableSettings = new()
             {
@@ -67,6 +80,14 @@ public record UpdateScheduledJobCommandHandler(IMilvaionRepositoryBase<Scheduled
                 Threshold = existingJob.AutoDisableSettings.Threshold,
                 LastFailureTime = existingJob.AutoDisableSettings.LastFailureTime
             };
+
+            // Manual pause, resumed by the dispatcher at PausedUntil if given
+            if (!request.IsActive.Value)
+            {
+                existingJob.AutoDisableSettings.PausedAt = DateTime.UtcNow;
+                existingJob.AutoDisableSettings.PauseReason = request.PauseReason.IsUpdated ? request.PauseReason.Value : null;
+                existingJob.AutoDisableSettings.PausedUntil = request.PausedUntil.IsUpdated ? request.PausedUntil.Value : null;
+            }
         }
 
         if (request.AutoDisableSettings.IsUpdated)
@@ -74,11 +95,15 @@ public record UpdateScheduledJobCommandHandler(IMilvaionRepositoryBase<Scheduled
             existingJob.AutoDisableSettings = new()
             {
                 Enabled = request.AutoDisableSettings.Value.Enabled,
-                Threshold = request.AutoDisableSettings.Value.Threshold
+                Threshold = request.AutoDisableSettings.Value.Threshold,
+                PausedAt = existingJob.AutoDisableSettings.PausedAt,
+                PauseReason = existingJob.AutoDisableSettings.PauseReason,
+                PausedUntil = existingJob.AutoDisableSettings.PausedUntil
             };
+        }
 
+        if (statusChanged || request.AutoDisableSettings.IsUpdated)
             setPropertyBuilder = setPropertyBuilder.SetPropertyValue(sj => sj.AutoDisableSettings, existingJob.AutoDisableSettings);
-        }
 
         // Check if job definition changed
 
@@ -91,7 +116,18 @@ public record UpdateScheduledJobCommandHandler(IMilvaionRepositoryBase<Scheduled
             setPropertyBuilder.SetProperty(sj => sj.Version, sj => existingJob.Version + 1);
         }
 
-        await _scheduledjobRepository.ExecuteUpdateAsync(request.Id, setPropertyBuilder, cancellationToken: cancellationToken);
+        // Every update gets a new stamp, so an update made on an outdated copy of the job can be rejected
+        setPropertyBuilder.SetPropertyValue(sj => sj.ConcurrencyStamp, Guid.NewGuid());
+
+        var expectedStamp = request.ExpectedConcurrencyStamp;
+
+        // The stamp is checked by the update itself, of two saves made on the same copy only the first one is applied
+        var updatedCount = await _scheduledjobRepository.ExecuteUpdateAsync(sj => sj.Id == request.Id && (!expectedStamp.HasValue || sj.ConcurrencyStamp == expectedStamp.Value),
+                                                                            setPropertyBuilder,
+                                                                            cancellationToken: cancellationToken);
+
+        if (updatedCount == 0)
+            return Response<Guid>.Error(default, MessageKey.JobVersionConflict);
 
         // Update Redis cache (partial update for changed fields)
         var cacheUpdates = new Dictionary<string, object>();
@@ -148,7 +184,7 @@ public record UpdateScheduledJobCommandHandler(IMilvaionRepositoryBase<Scheduled
 
                 if (job != null)
                 {
-                    await _redisSchedulerService.AddToScheduledSetAsync(job.Id, job.ExecuteAt, cancellationToken);
+                    await _redisSchedulerService.AddToScheduledSetAsync(job.Id, newExecuteAt ?? job.ExecuteAt, cancellationToken);
                 }
             }
         }
@@ -32,6 +32,12 @@ public sealed class UpdateScheduledJobCommandValidator : AbstractValidator<Updat
             .Must(BeValidJson)
             .WithMessage(localizer[MessageKey.InvalidJobData])
             .When(q => q.JobData.IsUpdated && !string.IsNullOrWhiteSpace(q.JobData.Value));
+
+        //  Validate automatic resume time of a paused job
+        RuleFor(query => query.PausedUntil.Value)
+            .Must(pausedUntil => BeInFuture(pausedUntil.Value))
+            .WithMessage(localizer[MessageKey.PausedUntilMustBeInFuture])
+            .When(q => q.PausedUntil.IsUpdated && q.PausedUntil.Value.HasValue);
     }
 
     private static bool BeValidCronExpression(string cronExpression)
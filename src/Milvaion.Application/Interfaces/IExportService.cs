@@ -10,7 +10,7 @@ namespace Milvaion.Application.Interfaces;
 public interface IExportService : IInterceptable
 {
     /// <summary>
-    /// Dynamically creates an excel file according to the export type.
+    /// Dynamically creates an excel or csv file according to the export type.
     /// </summary>
     /// <param name="request"></param>
     /// <param name="cancellationToken"></param>
@@ -23,14 +23,24 @@ public interface IExportService : IInterceptable
     /// <typeparam name="T"></typeparam>
     /// <param name="response"></param>
     /// <param name="pageName"></param>
+    /// <param name="columns">Property names to export, in order. All visible columns are exported when empty.</param>
     /// <returns></returns>
-    MemoryStream ExportToExcel<T>(ListResponse<T> response, string pageName = null) where T : class;
+    MemoryStream ExportToExcel<T>(ListResponse<T> response, string pageName = null, List<string> columns = null) where T : class;
 
     /// <summary>
     /// Exports the data to excel.
     /// </summary>
     /// <param name="hasMetadataResponse"></param>
     /// <param name="pageName"></param>
+    /// <param name="columns">Property names to export, in order. All visible columns are exported when empty.</param>
     /// <returns></returns>
-    MemoryStream ExportToExcel(IHasMetadata hasMetadataResponse, string pageName = null);
+    MemoryStream ExportToExcel(IHasMetadata hasMetadataResponse, string pageName = null, List<string> columns = null);
+
+    /// <summary>
+    /// Exports the data to csv.
+    /// </summary>
+    /// <param name="hasMetadataResponse"></param>
+    /// <param name="columns">Property names to export, in order. All visible columns are exported when empty.</param>
+    /// <returns></returns>
+    MemoryStream ExportToCsv(IHasMetadata hasMetadataResponse, List<string> columns = null);
 }
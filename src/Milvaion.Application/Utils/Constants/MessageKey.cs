@@ -76,6 +76,8 @@ public static class MessageKey
     public const string CronOrExecuteAtRequired = nameof(CronOrExecuteAtRequired);
     public const string InvalidCronExpression = nameof(InvalidCronExpression);
     public const string ExecuteAtMustBeInFuture = nameof(ExecuteAtMustBeInFuture);
+    public const string PausedUntilMustBeInFuture = nameof(PausedUntilMustBeInFuture);
+    public const string JobVersionConflict = nameof(JobVersionConflict);
     public const string InvalidJobData = nameof(InvalidJobData);
     public const string WorkerId = nameof(WorkerId);
     public const string OccurrenceId = nameof(OccurrenceId);
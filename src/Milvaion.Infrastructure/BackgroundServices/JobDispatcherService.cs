@@ -48,6 +48,14 @@ public class JobDispatcherService(IServiceProvider serviceProvider,
         nameof(JobOccurrence.DispatchRetryCount),
         nameof(JobOccurrence.NextDispatchRetryAt)
     ];
+    private readonly static List<string> _resumeJobUpdatePropNames =
+    [
+        nameof(ScheduledJob.IsActive),
+        nameof(ScheduledJob.ExecuteAt),
+        nameof(ScheduledJob.AutoDisableSettings)
+    ];
+    private const int _pausedJobsCheckIntervalSeconds = 60;
+    private DateTime _lastPausedJobsCheck = DateTime.MinValue;
 
     /// <inheritdoc/>
     protected override string ServiceName => "JobDispatcher";
@@ -123,6 +131,16 @@ public class JobDispatcherService(IServiceProvider serviceProvider,
 
                 await DispatchDueJobsAsync(stoppingToken);
 
+                // Resume failures are logged on their own and do not trip the dispatch circuit breaker
+                try
+                {
+                    await ResumeExpiredPausesAsync(stoppingToken);
+                }
+                catch (Exception ex) when (ex is not OperationCanceledException)
+                {
+                    _logger.Error(ex, "Error while resuming jobs whose pause has expired. Retrying on the next check.");
+                }
+
                 TrackMemoryAfterIteration();
 
                 // Reset failure counter on success
@@ -765,6 +783,74 @@ public class JobDispatcherService(IServiceProvider serviceProvider,
         }
     }
 
+    /// <summary>
+    /// Resumes manually paused jobs whose PausedUntil time has passed. Checks at most once a minute.
+    /// </summary>
+    private async Task ResumeExpiredPausesAsync(CancellationToken cancellationToken)
+    {
+        var now = DateTime.UtcNow;
+
+        if ((now - _lastPausedJobsCheck).TotalSeconds < _pausedJobsCheckIntervalSeconds)
+            return;
+
+        _lastPausedJobsCheck = now;
+
+        await using var scope = _serviceProvider.CreateAsyncScope();
+        var dbContext = scope.ServiceProvider.GetRequiredService<MilvaionDbContext>();
+
+        var jobsToResume = await dbContext.ScheduledJobs
+                                          .AsNoTracking()
+                                          .Where(j => !j.IsActive
+                                                   && j.AutoDisableSettings.PausedUntil != null
+                                                   && j.AutoDisableSettings.PausedUntil <= now)
+                                          .Select(ScheduledJob.Projections.ResumePaused)
+                                          .ToListAsync(cancellationToken);
+
+        if (jobsToResume.Count == 0)
+            return;
+
+        foreach (var job in jobsToResume)
+        {
+            job.IsActive = true;
+            job.AutoDisableSettings = new()
+            {
+                Enabled = job.AutoDisableSettings.Enabled,
+                Threshold = job.AutoDisableSettings.Threshold,
+                LastFailureTime = job.AutoDisableSettings.LastFailureTime
+            };
+
+            // Skip the runs missed while the job was paused
+            if (!string.IsNullOrWhiteSpace(job.CronExpression))
+            {
+                try
+                {
+                    var nextRun = CronExpression.Parse(job.CronExpression, CronFormat.IncludeSeconds).GetNextOccurrence(now, TimeZoneInfo.Utc);
+
+                    if (nextRun.HasValue)
+                        job.ExecuteAt = nextRun.Value;
+                }
+                catch (CronFormatException ex)
+                {
+                    _logger.Warning(ex, "Invalid cron expression '{CronExpression}' for job {JobId}, resuming with its last schedule", job.CronExpression, job.Id);
+                }
+            }
+        }
+
+        await dbContext.BulkUpdateAsync(jobsToResume, (bc) =>
+        {
+            bc.PropertiesToInclude = bc.PropertiesToIncludeOnUpdate = _resumeJobUpdatePropNames;
+        }, cancellationToken: cancellationToken);
+
+        foreach (var job in jobsToResume)
+        {
+            // Drop the cached (inactive) job, the next dispatch loads it from the database
+            await _redisScheduler.RemoveCachedJobAsync(job.Id, cancellationToken);
+            await _redisScheduler.AddToScheduledSetAsync(job.Id, job.ExecuteAt, cancellationToken);
+
+            _logger.Information("Paused job {JobId} ({JobName}) resumed automatically", job.Id, job.DisplayName ?? job.JobNameInWorker);
+        }
+    }
+
     /// <summary>
     /// Performs startup recovery (zombie detection and Redis repopulation).
     /// </summary>
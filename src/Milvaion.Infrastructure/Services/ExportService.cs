@@ -13,6 +13,7 @@ using Milvasoft.Core.Utils.Constants;
 using Milvasoft.Interception.Interceptors.Response;
 using System.Collections;
 using System.Reflection;
+using System.Text;
 using System.Text.Json;
 using System.Text.RegularExpressions;
 
@@ -28,9 +29,10 @@ public partial class ExportService(IServiceProvider serviceProvider) : IExportSe
     private readonly IMilvaLocalizer _localizer = serviceProvider.GetService<IMilvaLocalizer>();
     private readonly IHttpContextAccessor _httpContextAccessor = serviceProvider.GetService<IHttpContextAccessor>();
     private readonly IMediator _mediator = serviceProvider.GetService<IMediator>();
+    private static readonly char[] _csvFormulaPrefixes = ['=', '+', '-', '@', '\t', '\r'];
 
     /// <summary>
-    /// Dynamically creates an excel file according to the export type.
+    /// Dynamically creates an excel or csv file according to the export type.
     /// </summary>
     /// <param name="request"></param>
     /// <param name="cancellationToken"></param>
@@ -50,16 +52,20 @@ public partial class ExportService(IServiceProvider serviceProvider) : IExportSe
 
         var fileName = _localizer[$"ExportType.{request.ExportType}"];
 
-        var excelStream = ExportToExcel((IHasMetadata)queryResponse, fileName);
+        var isCsv = request.Format == ExportFormat.Csv;
 
-        if (excelStream == null)
+        var fileStream = isCsv
+            ? ExportToCsv((IHasMetadata)queryResponse, request.Columns)
+            : ExportToExcel((IHasMetadata)queryResponse, fileName, request.Columns);
+
+        if (fileStream == null)
             return Response<ExportResult>.Error(null, MessageKey.NoDataToExport);
 
-        var fileNameWithExtension = $"{fileName}_{DateTime.UtcNow:dd-MM-yyyy-HH-mm}.xlsx";
+        var fileNameWithExtension = $"{fileName}_{DateTime.UtcNow:dd-MM-yyyy-HH-mm}.{(isCsv ? "csv" : "xlsx")}";
 
         var exportDto = new ExportResult
         {
-            FileStream = excelStream,
+            FileStream = fileStream,
             MimeType = FileHelper.MimeTypeHelper.GetMimeType(fileNameWithExtension),
             FileName = FileHelper.GetFileName(fileNameWithExtension)
         };
@@ -73,22 +79,98 @@ public partial class ExportService(IServiceProvider serviceProvider) : IExportSe
     /// <typeparam name="T"></typeparam>
     /// <param name="response"></param>
     /// <param name="pageName"></param>
+    /// <param name="columns"></param>
     /// <returns></returns>
-    public MemoryStream ExportToExcel<T>(ListResponse<T> response, string pageName = null) where T : class => ExportToExcel(hasMetadataResponse: response, pageName);
+    public MemoryStream ExportToExcel<T>(ListResponse<T> response, string pageName = null, List<string> columns = null) where T : class => ExportToExcel(hasMetadataResponse: response, pageName, columns);
 
     /// <summary>
     /// Exports the data to excel.
     /// </summary>
     /// <param name="hasMetadataResponse"></param>
     /// <param name="pageName"></param>
+    /// <param name="columns"></param>
     /// <returns></returns>
-    public MemoryStream ExportToExcel(IHasMetadata hasMetadataResponse, string pageName = null)
+    public MemoryStream ExportToExcel(IHasMetadata hasMetadataResponse, string pageName = null, List<string> columns = null)
     {
-        var (responseData, responseDataType) = hasMetadataResponse.GetResponseDataTypePair();
+        var table = CreateExportTable(hasMetadataResponse, columns);
+
+        if (table == null)
+            return null;
 
         using var workbook = new XLWorkbook();
         var worksheet = workbook.AddWorksheet(pageName ?? "Sheet1");
 
+        // Header row
+        for (var i = 0; i < table.Headers.Count; i++)
+        {
+            var headerCell = worksheet.Cell(1, i + 1);
+            headerCell.Value = table.Headers[i];
+            headerCell.Style.Font.Bold = true;
+            headerCell.Style.Fill.BackgroundColor = XLColor.LightGray;
+        }
+
+        // Add datas
+        for (var rowIndex = 0; rowIndex < table.Rows.Count; rowIndex++)
+        {
+            var row = table.Rows[rowIndex];
+
+            for (var colIndex = 0; colIndex < row.Length; colIndex++)
+                worksheet.Cell(rowIndex + 2, colIndex + 1).Value = row[colIndex];
+        }
+
+        // DateTime format
+        foreach (var item in table.DateColumnIndexes)
+            worksheet.Column(item + 1).Cells().Style.NumberFormat.Format = "yyyy-MM-dd HH:mm:ss";
+
+        worksheet.Columns().AdjustToContents();
+
+        var stream = new MemoryStream();
+        workbook.SaveAs(stream);
+        stream.Position = 0;
+
+        return stream;
+    }
+
+    /// <summary>
+    /// Exports the data to csv.
+    /// </summary>
+    /// <param name="hasMetadataResponse"></param>
+    /// <param name="columns"></param>
+    /// <returns></returns>
+    public MemoryStream ExportToCsv(IHasMetadata hasMetadataResponse, List<string> columns = null)
+    {
+        var table = CreateExportTable(hasMetadataResponse, columns);
+
+        if (table == null)
+            return null;
+
+        var builder = new StringBuilder();
+
+        builder.AppendJoin(',', table.Headers.Select(EscapeCsvValue)).Append("\r\n");
+
+        foreach (var row in table.Rows)
+            builder.AppendJoin(',', row.Select(EscapeCsvValue)).Append("\r\n");
+
+        // BOM is written so that spreadsheet applications detect utf-8.
+        var stream = new MemoryStream();
+        var encoding = new UTF8Encoding(encoderShouldEmitUTF8Identifier: true);
+        stream.Write(encoding.GetPreamble());
+        stream.Write(encoding.GetBytes(builder.ToString()));
+        stream.Position = 0;
+
+        return stream;
+    }
+
+    /// <summary>
+    /// Builds header and formatted cell values of the visible columns of the response.
+    /// </summary>
+    /// <param name="hasMetadataResponse"></param>
+    /// <param name="columns">Property names to export, in order. All visible columns are exported when empty.</param>
+    /// <returns>Null if there is no data to export.</returns>
+    private ExportTable CreateExportTable(IHasMetadata hasMetadataResponse, List<string> columns)
+    {
+        var (responseData, responseDataType) = hasMetadataResponse.GetResponseDataTypePair();
+
         _httpContextAccessor.HttpContext.Request.Headers.Remove(GlobalConstant.GenerateMetadataHeaderKey);
         _httpContextAccessor.HttpContext.Request.Headers.TryAdd(GlobalConstant.GenerateMetadataHeaderKey, "true");
 
@@ -113,22 +195,22 @@ public partial class ExportService(IServiceProvider serviceProvider) : IExportSe
 
         visibleProperties.RemoveAll(i => i.Name == EntityPropertyNames.Id);
 
-        // Header row
-        for (var i = 0; i < visibleProperties.Count; i++)
-        {
-            var property = visibleProperties[i];
-            var relatedMetadata = visibleMetadata.FirstOrDefault(m => m.Name.Equals(property.Name, StringComparison.OrdinalIgnoreCase));
+        // Keep only requested columns in requested order
+        if (!columns.IsNullOrEmpty())
+            visibleProperties = [.. columns.Select(c => visibleProperties.FirstOrDefault(p => p.Name.Equals(c, StringComparison.OrdinalIgnoreCase)))
+                                           .Where(p => p != null)
+                                           .Distinct()];
 
-            var headerCell = worksheet.Cell(1, i + 1);
-            headerCell.Value = relatedMetadata?.LocalizedName ?? property.Name;
-            headerCell.Style.Font.Bold = true;
-            headerCell.Style.Fill.BackgroundColor = XLColor.LightGray;
-        }
+        if (visibleProperties.Count == 0)
+            return null;
 
-        // Add datas
-        for (var rowIndex = 0; rowIndex < list.Count; rowIndex++)
+        var headers = visibleProperties.Select(property => visibleMetadata.FirstOrDefault(m => m.Name.Equals(property.Name, StringComparison.OrdinalIgnoreCase))?.LocalizedName ?? property.Name).ToList();
+
+        var rows = new List<string[]>(list.Count);
+
+        foreach (var item in list)
         {
-            var item = list[rowIndex];
+            var row = new string[visibleProperties.Count];
 
             for (var colIndex = 0; colIndex < visibleProperties.Count; colIndex++)
             {
@@ -153,30 +235,40 @@ public partial class ExportService(IServiceProvider serviceProvider) : IExportSe
                             formattedValue = formattedValue?.Replace(match.Value, propValue.ToString());
                     }
 
-                    worksheet.Cell(rowIndex + 2, colIndex + 1).Value = formattedValue;
+                    row[colIndex] = formattedValue;
                 }
                 else
                 {
                     var value = property.GetValue(item);
 
-                    worksheet.Cell(rowIndex + 2, colIndex + 1).Value = value?.ToString() ?? string.Empty;
+                    row[colIndex] = value?.ToString() ?? string.Empty;
                 }
             }
+
+            rows.Add(row);
         }
 
-        // DateTime format
-        var dateColumnIndexes = FindDateTimeColumns(visibleProperties);
+        return new ExportTable(headers, rows, [.. FindDateTimeColumns(visibleProperties)]);
+    }
 
-        foreach (var item in dateColumnIndexes)
-            worksheet.Column(item + 1).Cells().Style.NumberFormat.Format = "yyyy-MM-dd HH:mm:ss";
+    /// <summary>
+    /// Escapes a cell value for csv. Values starting with a formula character are quoted and prefixed with an apostrophe.
+    /// </summary>
+    /// <param name="value"></param>
+    /// <returns></returns>
+    internal static string EscapeCsvValue(string value)
+    {
+        if (string.IsNullOrEmpty(value))
+            return string.Empty;
 
-        worksheet.Columns().AdjustToContents();
+        // Spreadsheet apps run cells starting with these characters as formulas (CSV injection), so user input such as job names is exported as text.
+        if (_csvFormulaPrefixes.Contains(value[0]))
+            return $"\"'{value.Replace("\"", "\"\"")}\"";
 
-        var stream = new MemoryStream();
-        workbook.SaveAs(stream);
-        stream.Position = 0;
+        if (value.IndexOfAny([',', '"', '\r', '\n']) < 0)
+            return value;
 
-        return stream;
+        return $"\"{value.Replace("\"", "\"\"")}\"";
     }
 
     private static object GetNestedPropertyValue(object obj, string propPath)
@@ -214,4 +306,6 @@ public partial class ExportService(IServiceProvider serviceProvider) : IExportSe
 
     [GeneratedRegex(@"\{(.*?)\}")]
     private static partial Regex DisplayFormatRegex();
+
+    private sealed record ExportTable(List<string> Headers, List<string[]> Rows, List<int> DateColumnIndexes);
 }
@@ -69,7 +69,7 @@ public class LookupService(MilvaionDbContext dbContext, IMilvaLocalizer localize
 
             var enumActualValue = Convert.ChangeType(enumValue, enumUnderlyingType);
 
-            enumLookups.Add(new EnumLookupModel { Value = enumActualValue, Name = localizedValue });
+            enumLookups.Add(new EnumLookupModel { Value = enumActualValue, Key = enumValue.ToString(), Name = localizedValue });
         }
 
         return ListResponse<EnumLookupModel>.Success(enumLookups);
@@ -1,60 +1,103 @@
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom'
+import { createBrowserRouter, createRoutesFromElements, RouterProvider, Routes, Route, Navigate } from 'react-router-dom'
 import { ThemeProvider } from './contexts/ThemeContext'
+import { TimeZoneProvider } from './contexts/TimeZoneContext'
+import { PermissionProvider } from './contexts/PermissionContext'
+import { NotificationProvider } from './contexts/NotificationContext'
 import Layout from './components/Layout'
 import ProtectedRoute from './components/ProtectedRoute'
+import PermissionRoute from './components/PermissionRoute'
 import Login from './pages/Login/Login'
 import Dashboard from './pages/Dashboard'
 import JobList from './pages/Jobs/JobList'
 import JobDetail from './pages/Jobs/JobDetail'
 import JobForm from './pages/Jobs/JobForm'
+import JobImport from './pages/Jobs/JobImport'
+import JobTemplates from './pages/Jobs/JobTemplates'
 import OccurrenceDetail from './pages/Occurrences/OccurrenceDetail'
 import WorkerList from './pages/Workers/WorkerList'
 import ExecutionList from './pages/Executions/ExecutionList'
+import ScheduleCalendar from './pages/Calendar/ScheduleCalendar'
 import Tags from './pages/Tags'
 import AdminDashboard from './pages/Admin/AdminDashboard'
 import Configuration from './pages/Configuration'
 import FailedOccurrenceList from './pages/FailedOccurrences/FailedOccurrenceList'
 import FailedOccurrenceDetail from './pages/FailedOccurrences/FailedOccurrenceDetail'
+import UserList from './pages/Users/UserList'
+import UserDetail from './pages/Users/UserDetail'
+import UserForm from './pages/Users/UserForm'
+import RoleList from './pages/Roles/RoleList'
+import RoleForm from './pages/Roles/RoleForm'
+import ActivityLogList from './pages/ActivityLogs/ActivityLogList'
+import NotificationList from './pages/Notifications/NotificationList'
+import AccountProfile from './pages/Account/AccountProfile'
+import ChangePassword from './pages/Account/ChangePassword'
+
+// Data router, needed for navigation blocking (useBlocker) in forms with unsaved changes
+const router = createBrowserRouter(
+  createRoutesFromElements(
+    <>
+      {/* Public route - Login */}
+      <Route path="/login" element={<Login />} />
+
+      {/* Protected routes - Wrapped in Layout */}
+      <Route
+        path="/*"
+        element={
+          <ProtectedRoute>
+            <TimeZoneProvider>
+              <PermissionProvider>
+                <NotificationProvider>
+                  <Layout>
+                    <PermissionRoute>
+                      <Routes>
+                        <Route path="/" element={<Navigate to="/dashboard" replace />} />
+                        <Route path="/dashboard" element={<Dashboard />} />
+                        <Route path="/jobs" element={<JobList />} />
+                        <Route path="/jobs/new" element={<JobForm />} />
+                        <Route path="/jobs/import" element={<JobImport />} />
+                        <Route path="/jobs/templates" element={<JobTemplates />} />
+                        <Route path="/jobs/:id" element={<JobDetail />} />
+                        <Route path="/jobs/:id/edit" element={<JobForm />} />
+                        <Route path="/occurrences/:id" element={<OccurrenceDetail />} />
+                        <Route path="/executions" element={<ExecutionList />} />
+                        <Route path="/calendar" element={<ScheduleCalendar />} />
+                        <Route path="/workers" element={<WorkerList />} />
+                        <Route path="/tags" element={<Tags />} />
+                        <Route path="/failed-executions" element={<FailedOccurrenceList />} />
+                        <Route path="/failed-executions/:id" element={<FailedOccurrenceDetail />} />
+                        <Route path="/admin" element={<AdminDashboard />} />
+                        <Route path="/configuration" element={<Configuration />} />
+                        <Route path="/users" element={<UserList />} />
+                        <Route path="/users/new" element={<UserForm />} />
+                        <Route path="/users/:id" element={<UserDetail />} />
+                        <Route path="/users/:id/edit" element={<UserForm />} />
+                        <Route path="/roles" element={<RoleList />} />
+                        <Route path="/roles/new" element={<RoleForm />} />
+                        <Route path="/roles/:id/edit" element={<RoleForm />} />
+                        <Route path="/activity-logs" element={<ActivityLogList />} />
+                        <Route path="/account/notifications" element={<NotificationList />} />
+                        <Route path="/account/profile" element={<AccountProfile />} />
+                        <Route path="/account/password" element={<ChangePassword />} />
+
+                        {/* Catch all - redirect to dashboard */}
+                        <Route path="*" element={<Navigate to="/dashboard" replace />} />
+                      </Routes>
+                    </PermissionRoute>
+                  </Layout>
+                </NotificationProvider>
+              </PermissionProvider>
+            </TimeZoneProvider>
+          </ProtectedRoute>
+        }
+      />
+    </>
+  )
+)
 
 function App() {
   return (
     <ThemeProvider>
-      <Router>
-        <Routes>
-          {/* Public route - Login */}
-          <Route path="/login" element={<Login />} />
-
-          {/* Protected routes - Wrapped in Layout */}
-          <Route
-            path="/*"
-            element={
-              <ProtectedRoute>
-                <Layout>
-                  <Routes>
-                    <Route path="/" element={<Navigate to="/dashboard" replace />} />
-                    <Route path="/dashboard" element={<Dashboard />} />
-                    <Route path="/jobs" element={<JobList />} />
-                    <Route path="/jobs/new" element={<JobForm />} />
-                    <Route path="/jobs/:id" element={<JobDetail />} />
-                    <Route path="/jobs/:id/edit" element={<JobForm />} />
-                    <Route path="/occurrences/:id" element={<OccurrenceDetail />} />
-                    <Route path="/executions" element={<ExecutionList />} />
-                    <Route path="/workers" element={<WorkerList />} />
-                    <Route path="/tags" element={<Tags />} />
-                    <Route path="/failed-executions" element={<FailedOccurrenceList />} />
-                    <Route path="/failed-executions/:id" element={<FailedOccurrenceDetail />} />
-                    <Route path="/admin" element={<AdminDashboard />} />
-                    <Route path="/configuration" element={<Configuration />} />
-
-                    {/* Catch all - redirect to dashboard */}
-                    <Route path="*" element={<Navigate to="/dashboard" replace />} />
-                  </Routes>
-                </Layout>
-              </ProtectedRoute>
-            }
-          />
-        </Routes>
-      </Router>
+      <RouterProvider router={router} />
     </ThemeProvider>
   )
 }
@@ -0,0 +1,326 @@
+import { useState } from 'react'
+import { CRON_FIELDS, expandCronMacro } from '../utils/cronParser'
+import './CronBuilder.css'
+
+const DEFAULT_PARTS = ['0', '*', '*', '*', '*', '*']
+
+const MODES = {
+  every: 'Every',
+  step: 'Every N',
+  range: 'Range',
+  specific: 'Specific values',
+  last: 'Last day of month',
+  lastWeekday: 'Last weekday of month',
+  nearestWeekday: 'Nearest weekday to day',
+  lastOf: 'Last ... of month',
+  nth: 'Nth ... of month',
+  custom: 'Custom',
+}
+
+const FIELD_MODES = {
+  dayOfMonth: ['every', 'step', 'range', 'specific', 'last', 'lastWeekday', 'nearestWeekday', 'custom'],
+  dayOfWeek: ['every', 'step', 'range', 'specific', 'lastOf', 'nth', 'custom'],
+}
+
+const ORDINALS = ['1st', '2nd', '3rd', '4th', '5th']
+
+// Values offered by the builder, day of week 7 is shown as 0 (Sunday)
+const getFieldValues = (field) => {
+  const max = field.key === 'dayOfWeek' ? 6 : field.max
+  const values = []
+  for (let value = field.min; value <= max; value++) values.push(value)
+  return values
+}
+
+const getValueLabel = (field, value) => {
+  if (!field.names) return `${value}`
+  const name = field.names[field.key === 'month' ? value - 1 : value % 7]
+  return name.charAt(0) + name.slice(1).toLowerCase()
+}
+
+const toNumber = (field, token) => {
+  const index = field.names ? field.names.indexOf(token.toUpperCase()) : -1
+  if (index >= 0) return field.key === 'month' ? index + 1 : index
+  const value = parseInt(token, 10)
+  return field.key === 'dayOfWeek' ? value % 7 : value
+}
+
+// Find the builder mode and its settings for a field text, 'custom' when the builder cannot represent it
+const detectMode = (field, text) => {
+  const upper = text.toUpperCase()
+  const token = field.names ? `(\\d+|${field.names.join('|')})` : '(\\d+)'
+
+  if (upper === '*' || upper === '?') return { mode: 'every' }
+
+  let match = upper.match(/^(\*|\d+)\/(\d+)$/)
+  if (match) return { mode: 'step', start: match[1] === '*' ? field.min : parseInt(match[1], 10), step: parseInt(match[2], 10) }
+
+  match = upper.match(new RegExp(`^${token}-${token}$`))
+  if (match) return { mode: 'range', from: toNumber(field, match[1]), to: toNumber(field, match[2]) }
+
+  if (new RegExp(`^${token}(,${token})*$`).test(upper)) {
+    return { mode: 'specific', values: [...new Set(upper.split(',').map(t => toNumber(field, t)))].sort((a, b) => a - b) }
+  }
+
+  if (field.key === 'dayOfMonth') {
+    match = upper.match(/^L(?:-(\d+))?$/)
+    if (match) return { mode: 'last', offset: match[1] ? parseInt(match[1], 10) : 0 }
+    if (upper === 'LW') return { mode: 'lastWeekday' }
+    match = upper.match(/^(\d+)W$/)
+    if (match) return { mode: 'nearestWeekday', day: parseInt(match[1], 10) }
+  }
+
+  if (field.key === 'dayOfWeek') {
+    match = upper.match(new RegExp(`^${token}L$`))
+    if (match) return { mode: 'lastOf', day: toNumber(field, match[1]) }
+    match = upper.match(new RegExp(`^${token}#(\\d)$`))
+    if (match) return { mode: 'nth', day: toNumber(field, match[1]), occurrence: parseInt(match[2], 10) }
+  }
+
+  return { mode: 'custom' }
+}
+
+// Field text for a mode and its settings
+const buildText = (field, settings) => {
+  switch (settings.mode) {
+    case 'every':
+      return '*'
+    case 'step':
+      return `${settings.start === field.min ? '*' : settings.start}/${settings.step}`
+    case 'range':
+      return `${settings.from}-${settings.to}`
+    case 'specific':
+      return settings.values.length > 0 ? settings.values.join(',') : `${field.min}`
+    case 'last':
+      return settings.offset > 0 ? `L-${settings.offset}` : 'L'
+    case 'lastWeekday':
+      return 'LW'
+    case 'nearestWeekday':
+      return `${settings.day}W`
+    case 'lastOf':
+      return `${settings.day}L`
+    case 'nth':
+      return `${settings.day}#${settings.occurrence}`
+    default:
+      return settings.text
+  }
+}
+
+// Settings used when switching a field to another mode
+const defaultSettings = (field, mode, text) => {
+  const values = getFieldValues(field)
+
+  switch (mode) {
+    case 'step':
+      return { mode, start: field.min, step: field.key === 'hour' ? 2 : field.key === 'month' ? 3 : 5 }
+    case 'range':
+      return { mode, from: values[0], to: values[values.length - 1] }
+    case 'specific':
+      return { mode, values: [values[0]] }
+    case 'last':
+      return { mode, offset: 0 }
+    case 'nearestWeekday':
+      return { mode, day: 15 }
+    case 'lastOf':
+      return { mode, day: 5 }
+    case 'nth':
+      return { mode, day: 1, occurrence: 1 }
+    case 'custom':
+      return { mode, text }
+    default:
+      return { mode }
+  }
+}
+
+function ValueSelect({ field, value, onChange }) {
+  return (
+    <select value={value} onChange={(e) => onChange(parseInt(e.target.value, 10))}>
+      {getFieldValues(field).map(v => (
+        <option key={v} value={v}>{getValueLabel(field, v)}</option>
+      ))}
+    </select>
+  )
+}
+
+function BuilderField({ field, text, forceCustom, onChange, onModeChange }) {
+  const detected = detectMode(field, text)
+  const settings = forceCustom ? { mode: 'custom' } : detected
+  const modes = FIELD_MODES[field.key] || ['every', 'step', 'range', 'specific', 'custom']
+
+  const update = (changes) => onChange(buildText(field, { ...settings, ...changes }))
+
+  const toggleValue = (value) => {
+    const values = settings.values.includes(value)
+      ? settings.values.filter(v => v !== value)
+      : [...settings.values, value].sort((a, b) => a - b)
+    update({ values })
+  }
+
+  return (
+    <div className="cron-builder-field">
+      <div className="cron-builder-field-header">
+        <span className="cron-builder-label">{field.label}</span>
+        <select
+          className="cron-builder-mode"
+          value={settings.mode}
+          onChange={(e) => onModeChange(e.target.value, buildText(field, defaultSettings(field, e.target.value, text)))}
+        >
+          {modes.map(mode => (
+            <option key={mode} value={mode}>{MODES[mode]}</option>
+          ))}
+        </select>
+        <code className="cron-builder-text">{text}</code>
+      </div>
+
+      <div className="cron-builder-field-body">
+        {settings.mode === 'step' && (
+          <>
+            <span>every</span>
+            <input
+              type="number"
+              min={1}
+              max={field.max}
+              value={settings.step}
+              onChange={(e) => update({ step: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+            />
+            <span>starting at</span>
+            <ValueSelect field={field} value={settings.start} onChange={(start) => update({ start })} />
+          </>
+        )}
+
+        {settings.mode === 'range' && (
+          <>
+            <span>from</span>
+            <ValueSelect field={field} value={settings.from} onChange={(from) => update({ from, to: Math.max(from, settings.to) })} />
+            <span>to</span>
+            <ValueSelect field={field} value={settings.to} onChange={(to) => update({ to, from: Math.min(to, settings.from) })} />
+          </>
+        )}
+
+        {settings.mode === 'specific' && (
+          <div className={`cron-builder-values ${field.names ? 'named' : ''}`}>
+            {getFieldValues(field).map(value => (
+              <button
+                key={value}
+                type="button"
+                className={`cron-builder-value ${settings.values.includes(value) ? 'selected' : ''}`}
+                onClick={() => toggleValue(value)}
+              >
+                {getValueLabel(field, value)}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {settings.mode === 'last' && (
+          <>
+            <input
+              type="number"
+              min={0}
+              max={30}
+              value={settings.offset}
+              onChange={(e) => update({ offset: Math.min(30, Math.max(0, parseInt(e.target.value, 10) || 0)) })}
+            />
+            <span>days before the last day of the month</span>
+          </>
+        )}
+
+        {settings.mode === 'nearestWeekday' && (
+          <>
+            <span>weekday nearest to day</span>
+            <ValueSelect field={field} value={settings.day} onChange={(day) => update({ day })} />
+          </>
+        )}
+
+        {settings.mode === 'lastOf' && (
+          <>
+            <span>last</span>
+            <ValueSelect field={field} value={settings.day} onChange={(day) => update({ day })} />
+            <span>of the month</span>
+          </>
+        )}
+
+        {settings.mode === 'nth' && (
+          <>
+            <select value={settings.occurrence} onChange={(e) => update({ occurrence: parseInt(e.target.value, 10) })}>
+              {ORDINALS.map((label, index) => (
+                <option key={label} value={index + 1}>{label}</option>
+              ))}
+            </select>
+            <ValueSelect field={field} value={settings.day} onChange={(day) => update({ day })} />
+            <span>of the month</span>
+          </>
+        )}
+
+        {settings.mode === 'custom' && (
+          <input
+            type="text"
+            className="cron-builder-custom"
+            value={text}
+            onChange={(e) => onChange(e.target.value.replace(/\s/g, ''))}
+            placeholder="e.g. 1-5,10,*/15"
+          />
+        )}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Visual, field-by-field editor for a six-field cron expression
+ *
+ * @param {Object} props
+ * @param {string} props.value - Cron expression
+ * @param {Function} props.onChange - Called with the new cron expression
+ */
+function CronBuilder({ value, onChange }) {
+  const [customFields, setCustomFields] = useState([])
+
+  const expanded = expandCronMacro(value)
+  const parts = expanded ? expanded.split(/\s+/) : []
+  const fieldTexts = parts.length === CRON_FIELDS.length ? parts : DEFAULT_PARTS
+
+  const setFieldText = (index, text) => {
+    const next = [...fieldTexts]
+    next[index] = text
+    onChange(next.join(' '))
+  }
+
+  const changeMode = (field, index, mode, text) => {
+    setCustomFields(prev => mode === 'custom' ? [...prev, field.key] : prev.filter(key => key !== field.key))
+    setFieldText(index, text)
+  }
+
+  const dayOfMonth = fieldTexts[3]
+  const dayOfWeek = fieldTexts[5]
+  const bothDaysRestricted = !['*', '?'].includes(dayOfMonth) && !['*', '?'].includes(dayOfWeek)
+
+  return (
+    <div className="cron-builder">
+      {parts.length > 0 && parts.length !== CRON_FIELDS.length && (
+        <div className="cron-builder-note">
+          The expression does not have 6 fields, editing a field below starts a new expression.
+        </div>
+      )}
+
+      {CRON_FIELDS.map((field, index) => (
+        <BuilderField
+          key={field.key}
+          field={field}
+          text={fieldTexts[index]}
+          forceCustom={customFields.includes(field.key)}
+          onChange={(text) => setFieldText(index, text)}
+          onModeChange={(mode, text) => changeMode(field, index, mode, text)}
+        />
+      ))}
+
+      {bothDaysRestricted && (
+        <div className="cron-builder-note">
+          Both day of month and day of week are set: the job runs only on days that match both.
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CronBuilder
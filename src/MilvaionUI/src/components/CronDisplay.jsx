@@ -1,59 +1,72 @@
+import { useState, useEffect, useMemo } from 'react'
 import cronstrue from 'cronstrue'
+import { parseCron, getNextOccurrence } from '../utils/cronParser'
+import { formatDuration, formatDateTime } from '../utils/dateUtils'
+import './CronDisplay.css'
 
-export default function CronDisplay({ expression, showTooltip = true }) {
-  if (!expression) return <span className="cron-none">One-time job</span>
+// "next run in ..." countdown, recalculated once the run time has passed
+function NextRunCountdown({ parsed }) {
+  const [now, setNow] = useState(() => new Date())
+  const [nextRun, setNextRun] = useState(() => getNextOccurrence(parsed))
 
-  try {
-    const readable = cronstrue.toString(expression)
-    
-    if (showTooltip) {
-      return (
-        <div className="cron-display-wrapper">
-          <span className="cron-readable">{readable}</span>
-          <span className="cron-expression" title={expression}>
-            ({expression})
-          </span>
-        </div>
-      )
+  useEffect(() => {
+    setNextRun(getNextOccurrence(parsed))
+  }, [parsed])
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const current = new Date()
+      setNow(current)
+      setNextRun(prev => (prev && prev <= current ? getNextOccurrence(parsed, current) : prev))
+    }, 1000)
+
+    return () => clearInterval(timer)
+  }, [parsed])
+
+  if (!nextRun) return <span className="cron-next-run none">No upcoming runs</span>
+
+  return (
+    <span className="cron-next-run" title={formatDateTime(nextRun)}>
+      next run {nextRun - now >= 1000 ? `in ${formatDuration(now, nextRun)}` : 'now'}
+    </span>
+  )
+}
+
+export default function CronDisplay({ expression, showTooltip = true, showNextRun = false }) {
+  const parsed = useMemo(() => {
+    try {
+      return expression ? parseCron(expression) : null
+    } catch {
+      return null
     }
-    
-    return <span className="cron-readable">{readable}</span>
-  } catch (error) {
+  }, [expression])
+
+  if (!expression) return <span className="cron-none">One-time job</span>
+
+  if (!parsed) {
     return (
       <span className="cron-error" title={`Invalid: ${expression}`}>
         Invalid cron expression
       </span>
     )
   }
-}
-
-// CSS can be in your global styles or inline
-const styles = `
-  .cron-display-wrapper {
-    display: flex;
-    align-items: center;
-    gap: 8px;
-  }
-
-  .cron-readable {
-    color: #1890ff;
-    font-weight: 500;
-  }
 
-  .cron-expression {
-    font-family: 'Courier New', monospace;
-    font-size: 12px;
-    color: #888;
-    cursor: help;
-  }
-
-  .cron-none {
-    color: #999;
-    font-style: italic;
+  let readable
+  try {
+    readable = cronstrue.toString(parsed.expression, { use24HourTimeFormat: true })
+  } catch {
+    readable = parsed.expression
   }
 
-  .cron-error {
-    color: #f56c6c;
-    cursor: help;
-  }
-`
+  return (
+    <div className="cron-display-wrapper">
+      <span className="cron-readable">{readable}</span>
+      {showTooltip && (
+        <span className="cron-expression" title={expression}>
+          ({expression})
+        </span>
+      )}
+      {showNextRun && <NextRunCountdown parsed={parsed} />}
+    </div>
+  )
+}
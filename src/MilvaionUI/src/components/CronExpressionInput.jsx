@@ -1,28 +1,33 @@
 import { useState, useEffect } from 'react'
 import cronstrue from 'cronstrue'
 import Icon from './Icon'
+import CronBuilder from './CronBuilder'
+import CronSchedulePreview from './CronSchedulePreview'
+import { expandCronMacro } from '../utils/cronParser'
+import { validateCronExpression } from '../utils/validators'
 
 export default function CronExpressionInput({ value, onChange, required = false }) {
   const [cronInput, setCronInput] = useState(value || '')
-  const [humanReadable, setHumanReadable] = useState('')
-  const [error, setError] = useState('')
+  const [showBuilder, setShowBuilder] = useState(false)
 
   // Sync local state with prop value
   useEffect(() => {
     setCronInput(value || '')
-    if (value) {
-      try {
-        setHumanReadable(cronstrue.toString(value))
-        setError('')
-      } catch (err) {
-        setHumanReadable('')
-        setError('Invalid cron expression')
-      }
-    }
   }, [value])
 
-  const handleChange = (e) => {
-    const newValue = e.target.value
+  // Validation comes from the cron parser, cronstrue only describes valid expressions
+  const validation = cronInput ? validateCronExpression(cronInput) : null
+  const error = validation && !validation.isValid ? validation.error : ''
+  let humanReadable = ''
+  if (validation?.isValid) {
+    try {
+      humanReadable = `${cronstrue.toString(expandCronMacro(cronInput), { use24HourTimeFormat: true })} (UTC)`
+    } catch {
+      humanReadable = ''
+    }
+  }
+
+  const updateValue = (newValue) => {
     setCronInput(newValue)
 
     // Create event with correct name attribute
@@ -33,21 +38,10 @@ export default function CronExpressionInput({ value, onChange, required = false
       }
     }
     onChange(syntheticEvent) // Pass through to parent with correct name
+  }
 
-    // Parse cron expression
-    if (newValue) {
-      try {
-        const readable = cronstrue.toString(newValue)
-        setHumanReadable(readable)
-        setError('')
-      } catch (err) {
-        setHumanReadable('')
-        setError('Invalid cron expression')
-      }
-    } else {
-      setHumanReadable('')
-      setError('')
-    }
+  const handleChange = (e) => {
+    updateValue(e.target.value)
   }
 
   // Preset cron templates (6-part format: second minute hour day month dayOfWeek)
@@ -64,23 +58,7 @@ export default function CronExpressionInput({ value, onChange, required = false
   ]
 
   const handlePresetClick = (presetValue) => {
-    setCronInput(presetValue)
-
-    // Create event with correct name attribute
-    const syntheticEvent = {
-      target: {
-        name: 'cronExpression',
-        value: presetValue
-      }
-    }
-    onChange(syntheticEvent)
-
-    try {
-      setHumanReadable(cronstrue.toString(presetValue))
-      setError('')
-    } catch (err) {
-      setError('Invalid cron expression')
-    }
+    updateValue(presetValue)
   }
 
   return (
@@ -111,9 +89,27 @@ export default function CronExpressionInput({ value, onChange, required = false
         )}
       </div>
 
-      <small className="cron-hint">
-        Format: second minute hour day month dayOfWeek
-      </small>
+      <div className="cron-hint-row">
+        <small className="cron-hint">
+          Format: second minute hour day month dayOfWeek, evaluated in UTC
+        </small>
+        <button
+          type="button"
+          className="btn-preset"
+          onClick={() => setShowBuilder(!showBuilder)}
+        >
+          <Icon name={showBuilder ? 'expand_less' : 'tune'} size={14} />
+          {showBuilder ? 'Hide builder' : 'Visual builder'}
+        </button>
+      </div>
+
+      {showBuilder && (
+        <CronBuilder value={cronInput} onChange={updateValue} />
+      )}
+
+      {validation?.isValid && (
+        <CronSchedulePreview expression={cronInput} />
+      )}
 
       <div className="cron-presets">
         <label className="presets-label">Quick presets:</label>
@@ -173,11 +169,24 @@ export default function CronExpressionInput({ value, onChange, required = false
           border: 1px solid #ffccc7;
         }
 
+        .cron-hint-row {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: 8px;
+          margin-bottom: 12px;
+        }
+
         .cron-hint {
           display: block;
           color: #888;
           font-size: 12px;
-          margin-bottom: 12px;
+        }
+
+        .cron-hint-row .btn-preset {
+          display: inline-flex;
+          align-items: center;
+          gap: 4px;
         }
 
         .cron-presets {
@@ -0,0 +1,70 @@
+import { useState, useMemo } from 'react'
+import Icon from './Icon'
+import { getNextOccurrences } from '../utils/cronParser'
+import { formatDateInTimeZone, formatRelativeTime, getTimeZoneOptions, getDisplayTimeZone } from '../utils/dateUtils'
+import './CronSchedulePreview.css'
+
+const COUNT_OPTIONS = [5, 10, 25]
+
+/**
+ * Next fire times of a cron expression, shown in a selectable time zone.
+ * The schedule itself is evaluated in UTC, like the job dispatcher does.
+ *
+ * @param {Object} props
+ * @param {string} props.expression - Valid cron expression
+ */
+function CronSchedulePreview({ expression }) {
+  const [count, setCount] = useState(COUNT_OPTIONS[0])
+  // Starts in the user's display time zone, changing it here only affects the preview
+  const [timeZone, setTimeZone] = useState(() => getDisplayTimeZone())
+
+  const timeZones = useMemo(() => getTimeZoneOptions(), [])
+
+  const occurrences = useMemo(() => {
+    try {
+      return getNextOccurrences(expression, { count })
+    } catch {
+      return []
+    }
+  }, [expression, count])
+
+  return (
+    <div className="cron-preview">
+      <div className="cron-preview-header">
+        <span className="cron-preview-title">
+          <Icon name="event_upcoming" size={16} />
+          Next runs
+        </span>
+        <select value={count} onChange={(e) => setCount(parseInt(e.target.value, 10))} title="Number of runs">
+          {COUNT_OPTIONS.map(option => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+        <select value={timeZone} onChange={(e) => setTimeZone(e.target.value)} title="Time zone">
+          {timeZones.map(zone => (
+            <option key={zone} value={zone}>{zone === 'local' ? 'Local time' : zone}</option>
+          ))}
+        </select>
+      </div>
+
+      {occurrences.length === 0 ? (
+        <div className="cron-preview-empty">This expression never fires.</div>
+      ) : (
+        <ol className="cron-preview-list">
+          {occurrences.map(date => (
+            <li key={date.getTime()}>
+              <span className="cron-preview-time">{formatDateInTimeZone(date, timeZone, 'ddd, MMM D YYYY HH:mm:ss')}</span>
+              <span className="cron-preview-relative">{formatRelativeTime(date)}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {occurrences.length > 0 && occurrences.length < count && (
+        <div className="cron-preview-empty">No more runs in the next 8 years.</div>
+      )}
+    </div>
+  )
+}
+
+export default CronSchedulePreview
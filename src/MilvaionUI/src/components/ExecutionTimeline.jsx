@@ -0,0 +1,365 @@
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react'
+import { useNavigate } from 'react-router-dom'
+import Icon from './Icon'
+import { formatDate, formatDuration } from '../utils/dateUtils'
+import './ExecutionTimeline.css'
+
+const STATUSES = {
+  0: { label: 'Queued', className: 'queued' },
+  1: { label: 'Running', className: 'running' },
+  2: { label: 'Completed', className: 'completed' },
+  3: { label: 'Failed', className: 'failed' },
+  4: { label: 'Cancelled', className: 'cancelled' },
+  5: { label: 'Timed Out', className: 'timeout' },
+  6: { label: 'Unknown', className: 'unknown' },
+}
+
+const GROUP_BY_OPTIONS = [
+  { key: 'job', label: 'Job', icon: 'work' },
+  { key: 'worker', label: 'Worker Instance', icon: 'dns' },
+]
+
+const SECOND = 1000
+const MINUTE = 60 * SECOND
+const HOUR = 60 * MINUTE
+
+// Axis tick steps, the smallest one giving at most MAX_TICKS ticks is used
+const TICK_STEPS = [SECOND, 5 * SECOND, 15 * SECOND, 30 * SECOND, MINUTE, 5 * MINUTE, 15 * MINUTE, 30 * MINUTE, HOUR, 3 * HOUR, 6 * HOUR, 12 * HOUR, 24 * HOUR]
+const MAX_TICKS = 10
+
+const MIN_WINDOW_MS = 5 * SECOND
+const ZOOM_FACTOR = 1.5
+
+// A run longer than this multiple of its job's median duration is marked as an outlier
+const OUTLIER_FACTOR = 3
+
+const isActive = (occurrence) => occurrence.status === 0 || occurrence.status === 1
+
+// Queue and run segments of an occurrence, running and queued ones end now
+const getBarTimes = (occurrence, now) => {
+  const created = new Date(occurrence.createdAt || occurrence.startTime).getTime()
+  const start = occurrence.startTime ? new Date(occurrence.startTime).getTime() : null
+  const end = occurrence.endTime ? new Date(occurrence.endTime).getTime() : (isActive(occurrence) ? now : start)
+
+  return { created: Math.min(created, start ?? created), start, end: Math.max(end ?? created, start ?? created) }
+}
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+// Stack overlapping bars of a group into lanes
+const packLanes = (bars) => {
+  const laneEnds = []
+
+  return bars
+    .sort((a, b) => a.created - b.created)
+    .map(bar => {
+      let lane = laneEnds.findIndex(end => end <= bar.created)
+      if (lane === -1) lane = laneEnds.length
+      laneEnds[lane] = Math.max(bar.end, bar.created + 1)
+      return { ...bar, lane }
+    })
+}
+
+const getTicks = (start, end) => {
+  const step = TICK_STEPS.find(s => (end - start) / s <= MAX_TICKS) || TICK_STEPS[TICK_STEPS.length - 1]
+  const ticks = []
+  for (let time = Math.ceil(start / step) * step; time <= end; time += step) ticks.push(time)
+  return { ticks, step }
+}
+
+/**
+ * Gantt style timeline of occurrences, one bar per occurrence from start to end time.
+ * Queueing delay is drawn before the bar, running occurrences grow until they finish.
+ *
+ * @param {Object} props
+ * @param {Array} props.occurrences - Occurrences (OccurrenceTable shape)
+ */
+function ExecutionTimeline({ occurrences }) {
+  const navigate = useNavigate()
+  const bodyRef = useRef(null)
+  const trackRef = useRef(null)
+  const dragRef = useRef(null)
+
+  const [groupBy, setGroupBy] = useState(() => localStorage.getItem('executionTimelineGroupBy') || 'job')
+  const [now, setNow] = useState(() => Date.now())
+  const [range, setRange] = useState(null) // null = fit to data
+
+  const hasActive = occurrences.some(isActive)
+
+  // Running bars grow live
+  useEffect(() => {
+    if (!hasActive) return
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [hasActive])
+
+  const bars = useMemo(() => {
+    const items = occurrences
+      .filter(occ => occ.createdAt || occ.startTime)
+      .map(occ => ({ occurrence: occ, ...getBarTimes(occ, now) }))
+
+    // Median run time per job for outlier detection
+    const durationsByJob = {}
+    items.forEach(bar => {
+      if (bar.start !== null && !isActive(bar.occurrence)) {
+        const durations = durationsByJob[bar.occurrence.jobId] || (durationsByJob[bar.occurrence.jobId] = [])
+        durations.push(bar.end - bar.start)
+      }
+    })
+    const medians = Object.fromEntries(Object.entries(durationsByJob)
+      .filter(([, durations]) => durations.length >= 3)
+      .map(([jobId, durations]) => [jobId, median(durations)]))
+
+    return items.map(bar => {
+      const typical = medians[bar.occurrence.jobId]
+      const isOutlier = typical > 0 && bar.start !== null && bar.end - bar.start > typical * OUTLIER_FACTOR
+      return { ...bar, isOutlier, typical }
+    })
+  }, [occurrences, now])
+
+  const groups = useMemo(() => {
+    const byKey = {}
+
+    bars.forEach(bar => {
+      const occ = bar.occurrence
+      const key = groupBy === 'job' ? occ.jobId : (occ.workerId || '')
+      const label = groupBy === 'job' ? (occ.jobDisplayName || occ.jobName || occ.jobId) : (occ.workerId || 'Not assigned')
+      const group = byKey[key] || (byKey[key] = { key, label, bars: [] })
+      group.bars.push(bar)
+    })
+
+    return Object.values(byKey)
+      .map(group => {
+        const lanes = packLanes(group.bars)
+        return { ...group, bars: lanes, laneCount: Math.max(1, ...lanes.map(b => b.lane + 1)) }
+      })
+      .sort((a, b) => a.label.localeCompare(b.label))
+  }, [bars, groupBy])
+
+  const dataRange = useMemo(() => {
+    if (bars.length === 0) return { start: now - HOUR, end: now }
+    const start = Math.min(...bars.map(b => b.created))
+    const end = Math.max(...bars.map(b => b.end))
+    const padding = Math.max((end - start) * 0.03, SECOND)
+    return { start: start - padding, end: end + padding }
+  }, [bars, now])
+
+  const view = range || dataRange
+  const duration = view.end - view.start
+
+  const zoom = useCallback((factor, anchorRatio = 0.5) => {
+    setRange(prev => {
+      const current = prev || dataRange
+      const length = current.end - current.start
+      const newLength = Math.max(MIN_WINDOW_MS, length * factor)
+      const anchor = current.start + length * anchorRatio
+      return { start: anchor - newLength * anchorRatio, end: anchor + newLength * (1 - anchorRatio) }
+    })
+  }, [dataRange])
+
+  const pan = (ratio) => {
+    const offset = duration * ratio
+    setRange({ start: view.start + offset, end: view.end + offset })
+  }
+
+  // Ctrl + wheel zooms around the cursor, plain wheel keeps scrolling the page
+  useEffect(() => {
+    const body = bodyRef.current
+    if (!body) return
+
+    const handleWheel = (e) => {
+      if (!e.ctrlKey || !trackRef.current) return
+      e.preventDefault()
+      const rect = trackRef.current.getBoundingClientRect()
+      zoom(e.deltaY > 0 ? ZOOM_FACTOR : 1 / ZOOM_FACTOR, Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width)))
+    }
+
+    body.addEventListener('wheel', handleWheel, { passive: false })
+    return () => body.removeEventListener('wheel', handleWheel)
+  }, [zoom, groups.length])
+
+  const handleMouseDown = (e) => {
+    if (e.button !== 0) return
+    dragRef.current = { x: e.clientX, view, moved: false }
+  }
+
+  const handleMouseMove = (e) => {
+    const drag = dragRef.current
+    if (!drag) return
+
+    const dx = e.clientX - drag.x
+    if (Math.abs(dx) > 3) drag.moved = true
+    if (!drag.moved) return
+
+    const width = trackRef.current.getBoundingClientRect().width
+    const offset = (dx / width) * (drag.view.end - drag.view.start)
+    setRange({ start: drag.view.start - offset, end: drag.view.end - offset })
+  }
+
+  const handleMouseUp = () => {
+    // Keep the drag state until the click event so it can tell a pan from a click
+    setTimeout(() => { dragRef.current = null }, 0)
+  }
+
+  const handleBarClick = (occurrence) => {
+    if (dragRef.current?.moved) return
+    navigate(`/occurrences/${occurrence.id}`)
+  }
+
+  const changeGroupBy = (key) => {
+    setGroupBy(key)
+    localStorage.setItem('executionTimelineGroupBy', key)
+  }
+
+  const toPercent = (time) => ((time - view.start) / duration) * 100
+  const { ticks, step } = getTicks(view.start, view.end)
+  const tickFormat = step >= 24 * HOUR ? 'MMM D' : step >= MINUTE ? 'MMM D HH:mm' : 'HH:mm:ss'
+
+  const describe = (bar) => {
+    const occ = bar.occurrence
+    const status = STATUSES[occ.status] || STATUSES[6]
+    const lines = [
+      occ.jobDisplayName || occ.jobName,
+      `Status: ${status.label}`,
+      `Worker: ${occ.workerId || '-'}`,
+      `Created: ${formatDate(occ.createdAt, 'L LTS')}`,
+    ]
+    if (bar.start !== null) {
+      lines.push(`Queued for: ${formatDuration(bar.created, bar.start)}`)
+      lines.push(`${isActive(occ) ? 'Running for' : 'Duration'}: ${formatDuration(bar.start, bar.end)}`)
+    }
+    if (bar.isOutlier) {
+      lines.push(`Outlier: over ${OUTLIER_FACTOR}x the typical ${formatDuration(bar.start, bar.start + bar.typical)}`)
+    }
+    return lines.join('\n')
+  }
+
+  return (
+    <div className="execution-timeline">
+      <div className="timeline-toolbar">
+        <div className="timeline-group-by">
+          <span>Group by</span>
+          {GROUP_BY_OPTIONS.map(option => (
+            <button
+              key={option.key}
+              type="button"
+              className={`timeline-btn ${groupBy === option.key ? 'active' : ''}`}
+              onClick={() => changeGroupBy(option.key)}
+            >
+              <Icon name={option.icon} size={16} />
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="timeline-zoom">
+          <button type="button" className="timeline-btn" onClick={() => pan(-0.25)} title="Pan left">
+            <Icon name="chevron_left" size={18} />
+          </button>
+          <button type="button" className="timeline-btn" onClick={() => zoom(1 / ZOOM_FACTOR)} title="Zoom in">
+            <Icon name="zoom_in" size={18} />
+          </button>
+          <button type="button" className="timeline-btn" onClick={() => zoom(ZOOM_FACTOR)} title="Zoom out">
+            <Icon name="zoom_out" size={18} />
+          </button>
+          <button type="button" className="timeline-btn" onClick={() => pan(0.25)} title="Pan right">
+            <Icon name="chevron_right" size={18} />
+          </button>
+          <button type="button" className="timeline-btn" onClick={() => setRange(null)} title="Fit all executions" disabled={!range}>
+            <Icon name="fit_screen" size={18} />
+            Fit
+          </button>
+        </div>
+      </div>
+
+      <div className="timeline-hint">Drag to pan, Ctrl + scroll to zoom. Faded segments show time spent in the queue.</div>
+
+      {groups.length === 0 ? (
+        <div className="timeline-empty">No executions to show</div>
+      ) : (
+        <div className="timeline-chart">
+          <div className="timeline-row timeline-axis">
+            <div className="timeline-label" />
+            <div className="timeline-track">
+              {ticks.map(tick => (
+                <span key={tick} className="timeline-tick" style={{ left: `${toPercent(tick)}%` }}>
+                  {formatDate(tick, tickFormat)}
+                </span>
+              ))}
+            </div>
+          </div>
+
+          <div
+            ref={bodyRef}
+            className="timeline-body"
+            onMouseDown={handleMouseDown}
+            onMouseMove={handleMouseMove}
+            onMouseUp={handleMouseUp}
+            onMouseLeave={handleMouseUp}
+          >
+            {groups.map((group, index) => (
+              <div key={group.key} className="timeline-row">
+                <div className="timeline-label" title={group.label}>
+                  {group.label}
+                  <span className="timeline-label-count">{group.bars.length}</span>
+                </div>
+                <div
+                  className="timeline-track"
+                  ref={index === 0 ? trackRef : undefined}
+                  style={{ height: `${group.laneCount * 22 + 6}px` }}
+                >
+                  {ticks.map(tick => (
+                    <span key={tick} className="timeline-gridline" style={{ left: `${toPercent(tick)}%` }} />
+                  ))}
+                  {now >= view.start && now <= view.end && (
+                    <span className="timeline-now" style={{ left: `${toPercent(now)}%` }} />
+                  )}
+                  {group.bars
+                    .filter(bar => bar.end >= view.start && bar.created <= view.end)
+                    .map(bar => {
+                      const status = STATUSES[bar.occurrence.status] || STATUSES[6]
+                      const runStart = bar.start ?? bar.end
+                      return (
+                        <div
+                          key={bar.occurrence.id}
+                          className={`timeline-bar ${status.className} ${bar.isOutlier ? 'outlier' : ''}`}
+                          style={{
+                            left: `${toPercent(bar.created)}%`,
+                            width: `${Math.max(toPercent(bar.end) - toPercent(bar.created), 0)}%`,
+                            top: `${bar.lane * 22 + 3}px`,
+                          }}
+                          title={describe(bar)}
+                          onClick={() => handleBarClick(bar.occurrence)}
+                        >
+                          {runStart > bar.created && (
+                            <span
+                              className="timeline-bar-queue"
+                              style={{ width: `${((runStart - bar.created) / Math.max(bar.end - bar.created, 1)) * 100}%` }}
+                            />
+                          )}
+                          <span className="timeline-bar-run" />
+                        </div>
+                      )
+                    })}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="timeline-legend">
+        {Object.values(STATUSES).filter(s => s.className !== 'unknown').map(status => (
+          <span key={status.className} className={`timeline-legend-item ${status.className}`}>{status.label}</span>
+        ))}
+        <span className="timeline-legend-item outlier">Long-running outlier</span>
+      </div>
+    </div>
+  )
+}
+
+export default ExecutionTimeline
@@ -0,0 +1,190 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import occurrenceService from '../../services/occurrenceService'
+import Icon from '../Icon'
+import TimeSeriesChart from '../TimeSeriesChart'
+import { buildExecutionSeries } from '../../utils/executionMetrics'
+import { formatDurationMs } from '../../utils/dateUtils'
+import './ExecutionTrends.css'
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+
+const WINDOWS = [
+  { key: '1h', label: '1h', rangeMs: HOUR, bucketMs: MINUTE, timeFormat: 'HH:mm' },
+  { key: '6h', label: '6h', rangeMs: 6 * HOUR, bucketMs: 5 * MINUTE, timeFormat: 'HH:mm' },
+  { key: '24h', label: '24h', rangeMs: 24 * HOUR, bucketMs: 30 * MINUTE, timeFormat: 'HH:mm' },
+  { key: '7d', label: '7d', rangeMs: 7 * 24 * HOUR, bucketMs: 3 * HOUR, timeFormat: 'ddd HH:mm' },
+]
+
+const MAX_OCCURRENCES = 5000
+const REFRESH_INTERVAL_MS = 60000
+
+/**
+ * Dashboard trend charts aggregated from the occurrences of the selected window
+ * @param {Object} props
+ * @param {boolean} props.autoRefresh - Reload the window periodically
+ */
+function ExecutionTrends({ autoRefresh }) {
+  const [windowKey, setWindowKey] = useState(() => localStorage.getItem('dashboardTrendsWindow') || '24h')
+  const [occurrences, setOccurrences] = useState([])
+  const [range, setRange] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const selectedWindow = WINDOWS.find(w => w.key === windowKey) || WINDOWS[2]
+
+  const loadOccurrences = useCallback(async () => {
+    // Align to bucket boundaries so refreshes don't shift the buckets
+    const end = Math.ceil(Date.now() / selectedWindow.bucketMs) * selectedWindow.bucketMs
+    const start = end - selectedWindow.rangeMs
+
+    try {
+      const response = await occurrenceService.getAll({
+        pageNumber: 1,
+        rowCount: MAX_OCCURRENCES,
+        filtering: {
+          criterias: [
+            {
+              filterBy: "CreatedAt",
+              value: new Date(start).toISOString(),
+              type: 8 // GreaterEqualThan
+            }
+          ]
+        }
+      })
+
+      setOccurrences(response?.data?.data || response?.data || [])
+      setRange({ start, end, bucketMs: selectedWindow.bucketMs, timeFormat: selectedWindow.timeFormat })
+      setError(null)
+    } catch (err) {
+      console.error('Failed to load execution trends:', err)
+      setError('Failed to load execution trends')
+    } finally {
+      setLoading(false)
+    }
+  }, [selectedWindow])
+
+  useEffect(() => {
+    setLoading(true)
+    loadOccurrences()
+
+    if (!autoRefresh) return
+
+    const interval = setInterval(loadOccurrences, REFRESH_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [loadOccurrences, autoRefresh])
+
+  const handleWindowChange = (key) => {
+    setWindowKey(key)
+    localStorage.setItem('dashboardTrendsWindow', key)
+  }
+
+  const metrics = useMemo(() => {
+    if (!range) return null
+    return buildExecutionSeries(occurrences, range)
+  }, [occurrences, range])
+
+  const truncated = occurrences.length >= MAX_OCCURRENCES
+
+  const charts = metrics && [
+    {
+      key: 'throughput',
+      title: 'Throughput',
+      icon: 'bolt',
+      subtitle: 'executions / min',
+      formatValue: (v) => (v >= 10 ? Math.round(v).toString() : v.toFixed(1)),
+      series: [{ key: 'throughput', label: 'Executions / min', color: 'var(--accent-color)', values: metrics.throughput }],
+    },
+    {
+      key: 'rate',
+      title: 'Success Rate',
+      icon: 'target',
+      subtitle: '% of finished',
+      maxValue: 100,
+      formatValue: (v) => `${Math.round(v)}%`,
+      series: [
+        { key: 'success', label: 'Success', color: 'var(--success-color)', values: metrics.successRate },
+        { key: 'failure', label: 'Failure', color: 'var(--error-color)', values: metrics.failureRate },
+      ],
+    },
+    {
+      key: 'duration',
+      title: 'Duration',
+      icon: 'schedule',
+      subtitle: 'p50 / p95',
+      formatValue: formatDurationMs,
+      series: [
+        { key: 'p50', label: 'p50', color: 'var(--info-color)', values: metrics.p50 },
+        { key: 'p95', label: 'p95', color: 'var(--warning-color)', values: metrics.p95 },
+      ],
+    },
+    {
+      key: 'queue',
+      title: 'Queue Depth',
+      icon: 'hourglass_empty',
+      subtitle: 'waiting to start',
+      formatValue: (v) => Math.round(v).toString(),
+      series: [{ key: 'queue', label: 'Queued', color: '#8b5cf6', values: metrics.queueDepth }],
+    },
+  ]
+
+  return (
+    <div className="execution-trends">
+      <div className="execution-trends-header">
+        <h2>
+          <Icon name="monitoring" size={22} />
+          Trends
+        </h2>
+        <div className="execution-trends-windows">
+          {WINDOWS.map(w => (
+            <button
+              key={w.key}
+              className={'execution-trends-window-btn' + (w.key === windowKey ? ' active' : '')}
+              onClick={() => handleWindowChange(w.key)}
+            >
+              {w.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {truncated && (
+        <div className="execution-trends-notice">
+          <Icon name="info" size={16} />
+          Only the latest {MAX_OCCURRENCES.toLocaleString()} executions are included, the oldest buckets may be incomplete.
+        </div>
+      )}
+
+      {error && <div className="execution-trends-notice error">{error}</div>}
+
+      {loading && !metrics ? (
+        <div className="execution-trends-empty">Loading trends...</div>
+      ) : metrics && (
+        <div className="execution-trends-grid">
+          {charts.map(chart => (
+            <div key={chart.key} className="dashboard-card execution-trends-card">
+              <div className="card-header">
+                <h3>
+                  <Icon name={chart.icon} size={20} />
+                  {chart.title}
+                </h3>
+                <span className="card-subtitle">{chart.subtitle}</span>
+              </div>
+              <div className="execution-trends-chart">
+                <TimeSeriesChart
+                  timestamps={metrics.timestamps}
+                  series={chart.series}
+                  formatValue={chart.formatValue}
+                  maxValue={chart.maxValue}
+                  timeFormat={range.timeFormat}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ExecutionTrends
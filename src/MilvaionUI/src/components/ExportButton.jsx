@@ -0,0 +1,248 @@
+import { useState, useEffect, useRef } from 'react'
+import Icon from './Icon'
+import exportService, { EXPORT_FORMATS } from '../services/exportService'
+import { formatDate } from '../utils/dateUtils'
+import './Modal.css'
+import './ExportButton.css'
+
+// Exports above this row count may take a while to be prepared by the server
+const LARGE_EXPORT_ROW_COUNT = 10000
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+const loadPreferences = (storageKey) => {
+  if (!storageKey) return null
+
+  try {
+    return JSON.parse(localStorage.getItem(storageKey))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Export button for list pages. Downloads every row matching the page's current
+ * search term, filters and sort with the selected columns as an XLSX or CSV file.
+ *
+ * @param {number} exportType - EXPORT_TYPES value
+ * @param {Object} listRequest - Current list request of the page ({ searchTerm, filtering, sorting })
+ * @param {Array<{key: string, label: string, default?: boolean}>} columns - Exportable columns, key is the API property name
+ * @param {string} fileName - Downloaded file name without date and extension
+ * @param {number} totalCount - Row count matching the current list request
+ * @param {string} storageKey - localStorage key to remember the chosen format and columns
+ */
+function ExportButton({ exportType, listRequest, columns, fileName, totalCount = 0, storageKey }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [format, setFormat] = useState(() => {
+    const saved = loadPreferences(storageKey)?.format
+    return EXPORT_FORMATS[saved] ? saved : 'XLSX'
+  })
+  const [selectedColumns, setSelectedColumns] = useState(() => {
+    const saved = loadPreferences(storageKey)?.columns?.filter(key => columns.some(c => c.key === key))
+    return saved?.length ? saved : columns.filter(c => c.default !== false).map(c => c.key)
+  })
+  const [progress, setProgress] = useState(null) // null when idle, { loaded, total } while exporting
+  const [error, setError] = useState(null)
+  const abortController = useRef(null)
+
+  const exporting = progress !== null
+
+  // Cancel a running export when the page is left
+  useEffect(() => {
+    return () => abortController.current?.abort()
+  }, [])
+
+  useEffect(() => {
+    if (storageKey) {
+      localStorage.setItem(storageKey, JSON.stringify({ format, columns: selectedColumns }))
+    }
+  }, [storageKey, format, selectedColumns])
+
+  const handleOpen = () => {
+    setError(null)
+    setIsOpen(true)
+  }
+
+  const handleClose = () => {
+    abortController.current?.abort()
+    setIsOpen(false)
+  }
+
+  const toggleColumn = (key) => {
+    setSelectedColumns(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key])
+  }
+
+  const handleExport = async () => {
+    const controller = new AbortController()
+    abortController.current = controller
+
+    setError(null)
+    setProgress({ loaded: 0, total: 0 })
+
+    try {
+      const exportFormat = EXPORT_FORMATS[format]
+
+      // Keep the page's column order regardless of the click order
+      const exportColumns = columns.filter(c => selectedColumns.includes(c.key)).map(c => c.key)
+
+      const blob = await exportService.export(exportType, listRequest, {
+        format: exportFormat,
+        columns: exportColumns,
+        onProgress: setProgress,
+        signal: controller.signal,
+      })
+
+      exportService.download(blob, `${fileName}_${formatDate(new Date(), 'YYYY-MM-DD_HH-mm')}.${exportFormat.extension}`)
+      setIsOpen(false)
+    } catch (err) {
+      if (err.code === 'ERR_CANCELED') return
+
+      console.error('Export failed:', err)
+      setError(err.response ? 'Export failed. Please try again.' : err.message || 'Export failed. Please try again.')
+    } finally {
+      if (abortController.current === controller) {
+        abortController.current = null
+      }
+      setProgress(null)
+    }
+  }
+
+  const renderProgress = () => {
+    const { loaded, total } = progress
+    const percent = total > 0 ? Math.min(100, Math.round((loaded / total) * 100)) : null
+
+    let label = `Preparing ${totalCount} row${totalCount !== 1 ? 's' : ''} on the server...`
+    if (loaded > 0) {
+      label = percent !== null
+        ? `Downloading ${formatBytes(loaded)} of ${formatBytes(total)} (${percent}%)`
+        : `Downloading ${formatBytes(loaded)}...`
+    }
+
+    return (
+      <div className="export-progress">
+        <div className={`export-progress-bar ${percent === null ? 'indeterminate' : ''}`}>
+          <div className="export-progress-fill" style={percent !== null ? { width: `${percent}%` } : undefined} />
+        </div>
+        <span className="export-progress-label">{label}</span>
+      </div>
+    )
+  }
+
+  return (
+    <>
+      <button
+        type="button"
+        className="export-btn"
+        onClick={handleOpen}
+        disabled={totalCount === 0}
+        title={totalCount === 0 ? 'Nothing to export' : 'Export the current list'}
+      >
+        <Icon name="download" size={20} />
+        <span>Export</span>
+      </button>
+
+      {isOpen && (
+        <div className="modal-overlay" onClick={(e) => { if (e.target === e.currentTarget && !exporting) handleClose() }}>
+          <div className="modal-content modal-info export-modal">
+            <div className="modal-header">
+              <div className="modal-icon">
+                <Icon name="download" size={32} />
+              </div>
+              <h3 className="modal-title">Export</h3>
+              <button className="modal-close-btn" onClick={handleClose} title={exporting ? 'Cancel export' : 'Close'}>
+                <Icon name="close" size={20} />
+              </button>
+            </div>
+
+            <div className="modal-body">
+              <p className="export-summary">
+                <strong>{totalCount}</strong> row{totalCount !== 1 ? 's' : ''} matching the current search, filters and sort will be exported.
+              </p>
+
+              {totalCount > LARGE_EXPORT_ROW_COUNT && (
+                <div className="export-warning">
+                  <Icon name="hourglass_top" size={18} />
+                  <span>This is a large export and may take a while to prepare.</span>
+                </div>
+              )}
+
+              <div className="export-section">
+                <label className="export-section-label">Format</label>
+                <div className="export-formats">
+                  {Object.entries(EXPORT_FORMATS).map(([key, option]) => (
+                    <label key={key} className={`export-format-option ${format === key ? 'active' : ''}`}>
+                      <input
+                        type="radio"
+                        name="exportFormat"
+                        value={key}
+                        checked={format === key}
+                        onChange={() => setFormat(key)}
+                        disabled={exporting}
+                      />
+                      {option.label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div className="export-section">
+                <div className="export-section-header">
+                  <label className="export-section-label">Columns ({selectedColumns.length}/{columns.length})</label>
+                  <button
+                    type="button"
+                    className="export-link-btn"
+                    onClick={() => setSelectedColumns(selectedColumns.length === columns.length ? [] : columns.map(c => c.key))}
+                    disabled={exporting}
+                  >
+                    {selectedColumns.length === columns.length ? 'Clear all' : 'Select all'}
+                  </button>
+                </div>
+                <div className="export-columns">
+                  {columns.map(column => (
+                    <label key={column.key} className="export-column-option">
+                      <input
+                        type="checkbox"
+                        checked={selectedColumns.includes(column.key)}
+                        onChange={() => toggleColumn(column.key)}
+                        disabled={exporting}
+                      />
+                      {column.label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {exporting && renderProgress()}
+
+              {error && (
+                <div className="export-error">
+                  <Icon name="error" size={18} />
+                  <span>{error}</span>
+                </div>
+              )}
+            </div>
+
+            <div className="modal-footer">
+              <button className="modal-btn modal-btn-cancel" onClick={handleClose}>
+                Cancel
+              </button>
+              <button
+                className="modal-btn modal-btn-confirm"
+                onClick={handleExport}
+                disabled={exporting || selectedColumns.length === 0}
+              >
+                {exporting ? 'Exporting...' : 'Export'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
+
+export default ExportButton
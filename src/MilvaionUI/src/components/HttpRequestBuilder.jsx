@@ -0,0 +1,619 @@
+import { useState, useEffect } from 'react'
+import Icon from './Icon'
+import {
+  HTTP_METHODS,
+  AUTH_TYPES,
+  API_KEY_LOCATIONS,
+  OAUTH2_GRANT_TYPES,
+  BODY_CONTENT_TYPES,
+  RAW_BODY_TYPES,
+  setProperty,
+  getPathParameterNames,
+  buildRequestUrl,
+  splitUrlQuery,
+  parseStatusCodes,
+  toCurl,
+  parseCurl,
+  applyCurlImport,
+} from '../utils/httpRequest'
+import './HttpRequestBuilder.css'
+
+const BODY_MODES = [
+  { value: 'none', label: 'None' },
+  { value: 'json', label: 'JSON' },
+  { value: 'form', label: 'Form' },
+  { value: 'raw', label: 'Raw' },
+]
+
+const getBodyMode = (body) => {
+  if (!body?.type || body.type === 'None') return 'none'
+  if (body.type === 'Json') return 'json'
+  if (body.type === 'FormUrlEncoded' || body.type === 'Multipart') return 'form'
+  if (RAW_BODY_TYPES.includes(body.type)) return 'raw'
+  return 'other'
+}
+
+const toRows = (object) => Object.entries(object || {}).map(([key, value]) => ({ key, value }))
+
+const toObject = (rows) => Object.fromEntries(rows.filter(row => row.key.trim() !== '').map(row => [row.key.trim(), row.value]))
+
+const formatStatusCodes = (codes) => (codes || []).join(', ')
+
+/**
+ * Editable name/value table for headers, query parameters and form fields.
+ * Rows are kept locally so a row can be edited while its name is still empty, rows without a name are not saved.
+ */
+function KeyValueTable({ value, onChange, keyPlaceholder = 'Name', valuePlaceholder = 'Value' }) {
+  const [rows, setRows] = useState(() => toRows(value))
+
+  // Follow outside changes (JSON view, cURL import) unless the rows already represent them
+  useEffect(() => {
+    setRows(prev => JSON.stringify(toObject(prev)) === JSON.stringify(value || {}) ? prev : toRows(value))
+  }, [value])
+
+  const updateRows = (newRows) => {
+    setRows(newRows)
+    onChange(toObject(newRows))
+  }
+
+  const updateRow = (index, field, text) => {
+    const newRows = index === rows.length ? [...rows, { key: '', value: '' }] : [...rows]
+    newRows[index] = { ...newRows[index], [field]: text }
+    updateRows(newRows)
+  }
+
+  const keyCounts = rows.reduce((counts, row) => ({ ...counts, [row.key.trim()]: (counts[row.key.trim()] || 0) + 1 }), {})
+
+  return (
+    <table className="request-kv-table">
+      <thead>
+        <tr>
+          <th>{keyPlaceholder}</th>
+          <th>{valuePlaceholder}</th>
+          <th aria-label="Actions" />
+        </tr>
+      </thead>
+      <tbody>
+        {[...rows, { key: '', value: '' }].map((row, index) => {
+          const isNew = index === rows.length
+          const invalid = !isNew && ((row.key.trim() === '' && row.value !== '') || keyCounts[row.key.trim()] > 1)
+
+          return (
+            <tr key={index} className={isNew ? 'new-row' : ''}>
+              <td>
+                <input
+                  type="text"
+                  className={invalid ? 'invalid' : ''}
+                  value={row.key}
+                  placeholder={isNew ? `Add ${keyPlaceholder.toLowerCase()}` : keyPlaceholder}
+                  onChange={(e) => updateRow(index, 'key', e.target.value)}
+                  title={invalid ? (row.key.trim() === '' ? 'Rows without a name are not saved' : 'Duplicate name, the last row wins') : undefined}
+                />
+              </td>
+              <td>
+                <input
+                  type="text"
+                  value={row.value ?? ''}
+                  placeholder={valuePlaceholder}
+                  onChange={(e) => updateRow(index, 'value', e.target.value)}
+                />
+              </td>
+              <td>
+                {!isNew && (
+                  <button
+                    type="button"
+                    className="schema-form-icon-btn danger"
+                    onClick={() => updateRows(rows.filter((_, i) => i !== index))}
+                    title="Remove"
+                  >
+                    <Icon name="close" size={14} />
+                  </button>
+                )}
+              </td>
+            </tr>
+          )
+        })}
+      </tbody>
+    </table>
+  )
+}
+
+/**
+ * JSON body input, the content is saved as a JSON value once the text parses
+ */
+function JsonBodyField({ value, onChange }) {
+  const format = (content) => content === undefined ? '' : typeof content === 'string' ? content : JSON.stringify(content, null, 2)
+  const [text, setText] = useState(() => format(value))
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    setText(prev => {
+      try {
+        if (prev.trim() !== '' && JSON.stringify(JSON.parse(prev)) === JSON.stringify(value)) return prev
+      } catch {
+        // Keep showing the invalid text while the user is typing
+        return prev
+      }
+      return format(value)
+    })
+  }, [value])
+
+  const handleChange = (e) => {
+    const newText = e.target.value
+    setText(newText)
+
+    if (newText.trim() === '') {
+      setError(null)
+      onChange(undefined)
+      return
+    }
+
+    try {
+      onChange(JSON.parse(newText))
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <>
+      <textarea
+        className={`request-textarea ${error ? 'invalid' : ''}`}
+        value={text}
+        onChange={handleChange}
+        rows={8}
+        spellCheck={false}
+        placeholder='{"key": "value"}'
+      />
+      {error && <span className="schema-form-error">Not saved until the JSON is valid: {error}</span>}
+    </>
+  )
+}
+
+/**
+ * Postman-style editor for the job data of HttpWorker's HttpRequestSenderJob.
+ * Only the edited properties are changed, everything else in the job data (retry policy, proxy, validation rules...)
+ * is kept as is, so switching between this view and the JSON view does not change the job data.
+ *
+ * @param {Object} props
+ * @param {Object} props.value - Parsed job data (HttpJobData)
+ * @param {Function} props.onChange - Called with the updated job data object
+ */
+function HttpRequestBuilder({ value, onChange }) {
+  const [tab, setTab] = useState('params')
+  const [statusText, setStatusText] = useState(() => formatStatusCodes(value.validation?.expectedStatusCodes))
+  const [curlInput, setCurlInput] = useState('')
+  const [curlResult, setCurlResult] = useState(null)
+  const [copySuccess, setCopySuccess] = useState(false)
+
+  const expectedStatusCodes = value.validation?.expectedStatusCodes
+
+  // Follow outside changes of the expected status codes unless the text already represents them
+  useEffect(() => {
+    setStatusText(prev => JSON.stringify(parseStatusCodes(prev).codes) === JSON.stringify(expectedStatusCodes || []) ? prev : formatStatusCodes(expectedStatusCodes))
+  }, [expectedStatusCodes])
+
+  const update = (key, newValue) => onChange(setProperty(value, key, newValue))
+
+  const auth = value.authentication || {}
+  const authType = auth.type || 'None'
+  const updateAuth = (field, fieldValue) => update('authentication', setProperty(auth, field, fieldValue))
+
+  const body = value.body || {}
+  const bodyMode = getBodyMode(value.body)
+  const updateBody = (field, fieldValue) => update('body', setProperty(body, field, fieldValue))
+
+  const pathParameterNames = getPathParameterNames(value.url)
+  const queryCount = Object.keys(value.queryParameters || {}).length
+  const headerCount = Object.keys(value.headers || {}).length
+  const resolvedUrl = buildRequestUrl(value)
+  const statusCodes = parseStatusCodes(statusText)
+
+  const changeBodyMode = (mode) => {
+    const { content, formData } = body
+
+    // Other body settings carry over, the content of the previous mode does not
+    const rest = { ...body }
+    delete rest.content
+    delete rest.formData
+    delete rest.files
+
+    if (mode === 'none') {
+      update('body', undefined)
+    } else if (mode === 'json') {
+      let json = content ?? {}
+      if (typeof content === 'string') {
+        try {
+          json = JSON.parse(content)
+        } catch {
+          json = content
+        }
+      }
+      update('body', { ...rest, type: 'Json', content: json })
+    } else if (mode === 'form') {
+      update('body', { ...rest, type: 'FormUrlEncoded', formData: formData || {} })
+    } else {
+      const text = content === undefined ? '' : typeof content === 'string' ? content : JSON.stringify(content, null, 2)
+      update('body', { ...rest, type: 'Text', content: text })
+    }
+  }
+
+  const moveQueryToParameters = () => {
+    const split = splitUrlQuery(value.url)
+    onChange(setProperty(
+      setProperty(value, 'url', split.url),
+      'queryParameters',
+      { ...value.queryParameters, ...split.queryParameters }
+    ))
+  }
+
+  const handleStatusChange = (e) => {
+    setStatusText(e.target.value)
+
+    const parsed = parseStatusCodes(e.target.value)
+    if (parsed.invalid.length === 0) {
+      update('validation', setProperty(value.validation, 'expectedStatusCodes', parsed.codes))
+    }
+  }
+
+  const handleCurlImport = () => {
+    try {
+      const { jobData, warnings } = parseCurl(curlInput)
+      onChange(applyCurlImport(value, jobData))
+      setCurlResult({ type: 'success', messages: ['Request imported.', ...warnings] })
+      setCurlInput('')
+    } catch (err) {
+      setCurlResult({ type: 'error', messages: [err.message] })
+    }
+  }
+
+  const curlExport = toCurl(value)
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(curlExport.command)
+    setCopySuccess(true)
+    setTimeout(() => setCopySuccess(false), 2000)
+  }
+
+  const tabs = [
+    { id: 'params', label: 'Params', count: queryCount },
+    { id: 'headers', label: 'Headers', count: headerCount },
+    { id: 'auth', label: 'Auth', count: authType !== 'None' ? authType : null },
+    { id: 'body', label: 'Body', count: bodyMode !== 'none' ? body.type : null },
+    { id: 'validation', label: 'Expected Status', count: expectedStatusCodes?.length || null },
+    { id: 'curl', label: 'cURL', icon: 'terminal' },
+  ]
+
+  return (
+    <div className="http-request-builder">
+      <div className="request-line">
+        <select
+          className={`request-method method-${(value.method || 'GET').toLowerCase()}`}
+          value={(value.method || 'GET').toUpperCase()}
+          onChange={(e) => update('method', e.target.value)}
+          aria-label="HTTP method"
+        >
+          {HTTP_METHODS.map(method => <option key={method} value={method}>{method}</option>)}
+        </select>
+        <input
+          type="text"
+          className="request-url"
+          value={value.url || ''}
+          onChange={(e) => update('url', e.target.value)}
+          placeholder="https://api.example.com/users/{userId}"
+          spellCheck={false}
+          aria-label="URL"
+        />
+      </div>
+
+      {value.url && (resolvedUrl !== value.url || value.url.includes('?')) && (
+        <div className="request-url-preview">
+          <Icon name="link" size={14} />
+          <code>{resolvedUrl}</code>
+          {value.url.includes('?') && (
+            <button type="button" className="schema-form-link-btn" onClick={moveQueryToParameters}>
+              Move query string to Params
+            </button>
+          )}
+        </div>
+      )}
+
+      <div className="request-tabs">
+        {tabs.map(t => (
+          <button
+            key={t.id}
+            type="button"
+            className={`request-tab ${tab === t.id ? 'active' : ''}`}
+            onClick={() => setTab(t.id)}
+          >
+            {t.icon && <Icon name={t.icon} size={14} />}
+            {t.label}
+            {t.count ? <span className="request-tab-count">{t.count}</span> : null}
+          </button>
+        ))}
+      </div>
+
+      <div className="request-tab-content">
+        {tab === 'params' && (
+          <>
+            <h4>Query Parameters</h4>
+            <KeyValueTable
+              value={value.queryParameters}
+              onChange={(parameters) => update('queryParameters', parameters)}
+              keyPlaceholder="Parameter"
+            />
+            {pathParameterNames.length > 0 && (
+              <>
+                <h4>Path Parameters</h4>
+                <div className="request-fields">
+                  {pathParameterNames.map(name => (
+                    <label key={name} className="request-field">
+                      <span><code>{`{${name}}`}</code></span>
+                      <input
+                        type="text"
+                        value={value.pathParameters?.[name] ?? ''}
+                        onChange={(e) => update('pathParameters', setProperty(value.pathParameters, name, e.target.value))}
+                      />
+                    </label>
+                  ))}
+                </div>
+              </>
+            )}
+          </>
+        )}
+
+        {tab === 'headers' && (
+          <>
+            <KeyValueTable
+              value={value.headers}
+              onChange={(headers) => update('headers', headers)}
+              keyPlaceholder="Header"
+            />
+            <small className="request-hint">
+              Content-Type is set from the body, authorization from the Auth tab.
+            </small>
+          </>
+        )}
+
+        {tab === 'auth' && (
+          <div className="request-fields">
+            <label className="request-field">
+              <span>Type</span>
+              <select
+                value={authType}
+                onChange={(e) => update('authentication', e.target.value === 'None' ? undefined : { ...auth, type: e.target.value })}
+              >
+                {AUTH_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+            </label>
+
+            {authType === 'Bearer' && (
+              <>
+                <label className="request-field">
+                  <span>Token</span>
+                  <input type="text" value={auth.credential || ''} onChange={(e) => updateAuth('credential', e.target.value)} />
+                </label>
+                <label className="request-field">
+                  <span>Prefix</span>
+                  <input type="text" value={auth.authorizationPrefix || ''} placeholder="Bearer" onChange={(e) => updateAuth('authorizationPrefix', e.target.value)} />
+                </label>
+              </>
+            )}
+
+            {authType === 'ApiKey' && (
+              <>
+                <label className="request-field">
+                  <span>Key Name</span>
+                  <input type="text" value={auth.keyName || ''} placeholder="X-API-Key" onChange={(e) => updateAuth('keyName', e.target.value)} />
+                </label>
+                <label className="request-field">
+                  <span>Value</span>
+                  <input type="text" value={auth.credential || ''} onChange={(e) => updateAuth('credential', e.target.value)} />
+                </label>
+                <label className="request-field">
+                  <span>Add To</span>
+                  <select value={auth.keyLocation || 'Header'} onChange={(e) => updateAuth('keyLocation', e.target.value)}>
+                    {API_KEY_LOCATIONS.map(location => <option key={location} value={location}>{location}</option>)}
+                  </select>
+                </label>
+              </>
+            )}
+
+            {authType === 'OAuth2' && (
+              <>
+                <label className="request-field">
+                  <span>Token URL</span>
+                  <input type="text" value={auth.tokenUrl || ''} onChange={(e) => updateAuth('tokenUrl', e.target.value)} />
+                </label>
+                <label className="request-field">
+                  <span>Grant Type</span>
+                  <select value={auth.grantType || 'ClientCredentials'} onChange={(e) => updateAuth('grantType', e.target.value)}>
+                    {OAUTH2_GRANT_TYPES.map(grant => <option key={grant} value={grant}>{grant}</option>)}
+                  </select>
+                </label>
+                <label className="request-field">
+                  <span>Client ID</span>
+                  <input type="text" value={auth.clientId || ''} onChange={(e) => updateAuth('clientId', e.target.value)} />
+                </label>
+                <label className="request-field">
+                  <span>Client Secret</span>
+                  <input type="password" value={auth.clientSecret || ''} onChange={(e) => updateAuth('clientSecret', e.target.value)} />
+                </label>
+                <label className="request-field">
+                  <span>Scopes</span>
+                  <input
+                    type="text"
+                    value={(auth.scopes || []).join(' ')}
+                    placeholder="Space separated"
+                    onChange={(e) => updateAuth('scopes', e.target.value.split(/\s+/).filter(Boolean))}
+                  />
+                </label>
+              </>
+            )}
+
+            {(['Basic', 'Digest', 'Ntlm'].includes(authType) || (authType === 'OAuth2' && auth.grantType === 'Password')) && (
+              <>
+                <label className="request-field">
+                  <span>Username</span>
+                  <input type="text" value={auth.credential || ''} onChange={(e) => updateAuth('credential', e.target.value)} />
+                </label>
+                <label className="request-field">
+                  <span>Password</span>
+                  <input type="password" value={auth.secret || ''} onChange={(e) => updateAuth('secret', e.target.value)} />
+                </label>
+              </>
+            )}
+
+            {authType === 'None' && <div className="schema-form-empty">The request is sent without authentication.</div>}
+          </div>
+        )}
+
+        {tab === 'body' && (
+          <>
+            <div className="request-body-modes">
+              {BODY_MODES.map(mode => (
+                <label key={mode.value} className="schema-form-checkbox">
+                  <input
+                    type="radio"
+                    name="request-body-mode"
+                    checked={bodyMode === mode.value}
+                    onChange={() => changeBodyMode(mode.value)}
+                  />
+                  {mode.label}
+                </label>
+              ))}
+              {bodyMode === 'form' && (
+                <select value={body.type} onChange={(e) => updateBody('type', e.target.value)} aria-label="Form encoding">
+                  <option value="FormUrlEncoded">x-www-form-urlencoded</option>
+                  <option value="Multipart">multipart/form-data</option>
+                </select>
+              )}
+              {bodyMode === 'raw' && (
+                <select value={body.type} onChange={(e) => updateBody('type', e.target.value)} aria-label="Raw body type">
+                  {RAW_BODY_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                </select>
+              )}
+            </div>
+
+            {bodyMode === 'none' && <div className="schema-form-empty">The request has no body.</div>}
+
+            {bodyMode === 'json' && (
+              <JsonBodyField value={body.content} onChange={(content) => updateBody('content', content)} />
+            )}
+
+            {bodyMode === 'form' && (
+              <>
+                <KeyValueTable
+                  value={body.formData}
+                  onChange={(formData) => update('body', { ...body, formData })}
+                  keyPlaceholder="Field"
+                />
+                {body.files?.length > 0 && (
+                  <small className="request-hint">
+                    {body.files.length} file{body.files.length !== 1 ? 's are' : ' is'} attached, edit files in the JSON view.
+                  </small>
+                )}
+              </>
+            )}
+
+            {bodyMode === 'raw' && (
+              <textarea
+                className="request-textarea"
+                value={typeof body.content === 'string' ? body.content : JSON.stringify(body.content ?? '')}
+                onChange={(e) => update('body', { ...body, content: e.target.value })}
+                rows={8}
+                spellCheck={false}
+              />
+            )}
+
+            {bodyMode === 'other' && (
+              <div className="job-data-editor-warning">
+                <Icon name="info" size={18} />
+                <span>The {body.type} body is edited in the JSON view.</span>
+              </div>
+            )}
+
+            {bodyMode !== 'none' && (
+              <label className="request-field">
+                <span>Content-Type</span>
+                <input
+                  type="text"
+                  value={body.contentTypeOverride || ''}
+                  placeholder={BODY_CONTENT_TYPES[body.type]}
+                  onChange={(e) => updateBody('contentTypeOverride', e.target.value)}
+                />
+              </label>
+            )}
+          </>
+        )}
+
+        {tab === 'validation' && (
+          <div className="request-fields">
+            <label className="request-field">
+              <span>Status Codes</span>
+              <input
+                type="text"
+                className={statusCodes.invalid.length > 0 ? 'invalid' : ''}
+                value={statusText}
+                onChange={handleStatusChange}
+                placeholder="200, 201, 204"
+              />
+            </label>
+            {statusCodes.invalid.length > 0 && (
+              <span className="schema-form-error">
+                Not saved, invalid status code{statusCodes.invalid.length !== 1 ? 's' : ''}: {statusCodes.invalid.join(', ')}
+              </span>
+            )}
+            <small className="request-hint">
+              The occurrence fails when the response status is not in the list. Without a list or other validation rules the status must be 2xx.
+              Other validation rules (body, headers, response time) are kept and can be edited in the JSON view.
+            </small>
+          </div>
+        )}
+
+        {tab === 'curl' && (
+          <div className="request-curl">
+            <div className="request-curl-header">
+              <h4>Export</h4>
+              <button type="button" className="toolbar-btn" onClick={handleCopy} disabled={!value.url}>
+                <Icon name={copySuccess ? 'check' : 'content_copy'} size={16} />
+                <span>{copySuccess ? 'Copied' : 'Copy'}</span>
+              </button>
+            </div>
+            <pre className="request-curl-command">{curlExport.command}</pre>
+            {curlExport.warnings.map((warning, index) => (
+              <small key={index} className="request-hint">{warning}</small>
+            ))}
+
+            <h4>Import</h4>
+            <textarea
+              className="request-textarea"
+              value={curlInput}
+              onChange={(e) => setCurlInput(e.target.value)}
+              rows={5}
+              spellCheck={false}
+              placeholder="curl -X POST 'https://api.example.com/orders' -H 'Content-Type: application/json' -d '{...}'"
+            />
+            <div className="request-curl-actions">
+              <small className="request-hint">
+                Replaces the URL, method, headers, parameters, body and authentication. Retry, proxy and validation settings are kept.
+              </small>
+              <button type="button" className="btn btn-secondary btn-sm" onClick={handleCurlImport} disabled={!curlInput.trim()}>
+                <Icon name="download" size={16} />
+                Import
+              </button>
+            </div>
+            {curlResult && (
+              <div className={`request-curl-result ${curlResult.type}`}>
+                {curlResult.messages.map((message, index) => <span key={index}>{message}</span>)}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default HttpRequestBuilder
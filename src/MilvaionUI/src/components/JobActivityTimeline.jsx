@@ -0,0 +1,116 @@
+import { useMemo } from 'react'
+import { Link } from 'react-router-dom'
+import Icon from './Icon'
+import { usePermissions } from '../hooks/usePermissions'
+import { PERMISSIONS } from '../utils/permissions'
+import { formatDateTime, formatRelativeTime } from '../utils/dateUtils'
+import { getJobVersions, getChangedFields } from '../utils/jobVersions'
+import './JobActivityTimeline.css'
+
+function JobActivityTimeline({ job }) {
+  const { hasPermission } = usePermissions()
+  const canViewActivityLogs = hasPermission(PERMISSIONS.ACTIVITY_LOG_LIST)
+
+  const creationDate = job.auditInfo?.creationDate
+  const creatorUserName = job.auditInfo?.creatorUserName
+
+  // Timeline built from the job's own audit info and version snapshots
+  const timeline = useMemo(() => {
+    // Snapshots hold the state before each update, the last entry is the current job
+    const versions = getJobVersions(job)
+
+    const entries = []
+
+    versions.slice(0, -1).forEach(({ version, values }, index) => {
+      const next = versions[index + 1]
+
+      entries.push({
+        key: `version-${version}`,
+        icon: 'edit',
+        kind: 'update',
+        title: `Updated v${version} → v${next.version}`,
+        changes: getChangedFields(values, next.values)
+      })
+    })
+
+    if (job.autoDisableSettings?.disabledAt) {
+      entries.push({
+        key: 'auto-disabled',
+        icon: 'power_off',
+        kind: 'delete',
+        title: `Auto-disabled after ${job.autoDisableSettings.consecutiveFailureCount || 0} consecutive failures`,
+        user: 'System',
+        date: job.autoDisableSettings.disabledAt
+      })
+    }
+
+    entries.reverse()
+
+    entries.push({
+      key: 'created',
+      icon: 'add_circle',
+      kind: 'create',
+      title: 'Job created',
+      user: creatorUserName,
+      date: creationDate
+    })
+
+    return entries
+  }, [job, creationDate, creatorUserName])
+
+  return (
+    <div className="job-activity">
+      <div className="job-activity-section">
+        <div className="job-activity-section-header">
+          <h4 className="job-activity-title">
+            <Icon name="timeline" size={18} />
+            Change Timeline
+          </h4>
+          {canViewActivityLogs && (
+            <Link to="/activity-logs" state={{ filterByEntity: 'ScheduledJob' }} className="job-activity-link">
+              Open Activity Log
+              <Icon name="open_in_new" size={14} />
+            </Link>
+          )}
+        </div>
+
+        <ul className="activity-timeline">
+          {timeline.map(entry => (
+            <li key={entry.key} className={`timeline-entry ${entry.kind}`}>
+              <span className="timeline-marker">
+                <Icon name={entry.icon} size={16} />
+              </span>
+              <div className="timeline-content">
+                <div className="timeline-header">
+                  <span className="timeline-title">{entry.title}</span>
+                  {entry.date && (
+                    <span className="timeline-date" title={formatDateTime(entry.date)}>
+                      {formatRelativeTime(entry.date)}
+                    </span>
+                  )}
+                </div>
+                {entry.user && (
+                  <span className="timeline-user">
+                    <Icon name="person" size={14} />
+                    {entry.user}
+                  </span>
+                )}
+                {entry.changes && (
+                  <div className="timeline-changes">
+                    {entry.changes.length > 0
+                      ? entry.changes.map(change => (
+                        <span key={change} className="timeline-change-chip">{change}</span>
+                      ))
+                      : <span className="timeline-no-changes">No tracked field changes</span>}
+                  </div>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  )
+}
+
+export default JobActivityTimeline
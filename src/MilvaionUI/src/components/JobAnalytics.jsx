@@ -0,0 +1,444 @@
+import { useState, useEffect, useMemo } from 'react'
+import moment from 'moment'
+import Icon from './Icon'
+import TimeSeriesChart from './TimeSeriesChart'
+import occurrenceService from '../services/occurrenceService'
+import failedOccurrenceService from '../services/failedOccurrenceService'
+import { usePermissions } from '../hooks/usePermissions'
+import { useTimeZone } from '../hooks/useTimeZone'
+import { PERMISSIONS } from '../utils/permissions'
+import { formatDate, formatDateTime, formatDurationMs, fromDateTimeInputValue } from '../utils/dateUtils'
+import { summarizeExecutions, summarizeExecutionsBy, buildDurationHistogram } from '../utils/executionMetrics'
+import './JobAnalytics.css'
+
+const RANGES = [
+  { key: '7d', label: '7 days', days: 7 },
+  { key: '30d', label: '30 days', days: 30 },
+  { key: '90d', label: '90 days', days: 90 },
+]
+
+const MAX_OCCURRENCES = 5000
+const MAX_FAILURES = 1000
+const MAX_RETRY_BUCKET = 5
+
+// A version is flagged when it is this much worse than the previous one
+const REGRESSION_SUCCESS_RATE_DROP = 5
+const REGRESSION_P95_INCREASE = 0.2
+
+const formatRate = (rate) => (rate != null ? `${rate.toFixed(1)}%` : 'N/A')
+
+const getRateClass = (rate) => {
+  if (rate == null) return ''
+  return rate >= 90 ? 'success' : rate >= 70 ? 'warning' : 'danger'
+}
+
+const isRegression = (current, previous) => {
+  if (!previous) return false
+
+  const rateDrop = current.successRate != null && previous.successRate != null
+    && previous.successRate - current.successRate > REGRESSION_SUCCESS_RATE_DROP
+  const slower = current.p95 != null && previous.p95 != null
+    && current.p95 > previous.p95 * (1 + REGRESSION_P95_INCREASE)
+
+  return rateDrop || slower
+}
+
+function BarColumns({ bars, emptyText }) {
+  const max = Math.max(1, ...bars.map(bar => bar.count))
+
+  if (bars.every(bar => bar.count === 0)) {
+    return <div className="analytics-empty">{emptyText}</div>
+  }
+
+  return (
+    <div className="analytics-columns">
+      {bars.map(bar => (
+        <div key={bar.label} className="analytics-column" title={`${bar.title || bar.label}: ${bar.count}`}>
+          <span className="analytics-column-count">{bar.count > 0 ? bar.count : ''}</span>
+          <div className="analytics-column-bar" style={{ height: `${(bar.count / max) * 100}%` }} />
+          <span className="analytics-column-label">{bar.label}</span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Analytics of one job over a selectable range: duration histogram, daily outcomes with version changes,
+ * retry distribution, failure types and per version / worker instance performance
+ * @param {Object} props
+ * @param {Object} props.job - Job detail
+ */
+function JobAnalytics({ job }) {
+  const { hasPermission } = usePermissions()
+  const canListFailures = hasPermission(PERMISSIONS.FAILED_OCCURRENCE_LIST)
+  const { timeZone } = useTimeZone()
+
+  const [rangeKey, setRangeKey] = useState(() => localStorage.getItem('jobAnalyticsRange') || '30d')
+  const [occurrences, setOccurrences] = useState([])
+  const [failures, setFailures] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const range = RANGES.find(r => r.key === rangeKey) || RANGES[1]
+
+  // Days of the range in the display time zone, oldest first
+  const days = useMemo(() => {
+    const today = formatDate(new Date(), 'YYYY-MM-DD')
+    return Array.from({ length: range.days }, (_, i) => {
+      const day = moment.utc(today).subtract(range.days - 1 - i, 'day').format('YYYY-MM-DD')
+      return { day, start: new Date(fromDateTimeInputValue(`${day}T00:00`, timeZone)).getTime() }
+    })
+  }, [range, timeZone])
+
+  const rangeStart = days[0].start
+
+  useEffect(() => {
+    let cancelled = false
+
+    const loadAnalytics = async () => {
+      try {
+        setLoading(true)
+        setError(null)
+
+        const from = new Date(rangeStart).toISOString()
+
+        const [occurrencesResponse, failuresResponse] = await Promise.all([
+          occurrenceService.getAll({
+            pageNumber: 1,
+            rowCount: MAX_OCCURRENCES,
+            filtering: {
+              criterias: [
+                { filterBy: "JobId", value: job.id, type: 5 }, // Equals
+                { filterBy: "CreatedAt", value: from, type: 8 } // GreaterEqualThan
+              ]
+            }
+          }),
+          canListFailures
+            ? failedOccurrenceService.getAll({
+              pageNumber: 1,
+              rowCount: MAX_FAILURES,
+              filtering: {
+                criterias: [
+                  { filterBy: "JobId", value: job.id, type: 5 }, // Equals
+                  { filterBy: "FailedAt", value: from, type: 8 } // GreaterEqualThan
+                ]
+              }
+            })
+            : Promise.resolve(null)
+        ])
+
+        if (cancelled) return
+
+        setOccurrences(occurrencesResponse?.data?.data || occurrencesResponse?.data || [])
+        setFailures(failuresResponse?.data?.data || failuresResponse?.data || [])
+      } catch (err) {
+        if (!cancelled) setError('Failed to load job analytics')
+        console.error(err)
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    loadAnalytics()
+
+    return () => {
+      cancelled = true
+    }
+  }, [job.id, rangeStart, canListFailures])
+
+  const handleRangeChange = (key) => {
+    setRangeKey(key)
+    localStorage.setItem('jobAnalyticsRange', key)
+  }
+
+  const summary = useMemo(() => summarizeExecutions(occurrences), [occurrences])
+
+  const histogram = useMemo(() => {
+    const durations = occurrences
+      .filter(o => o.status === 2 && o.durationMs != null)
+      .map(o => o.durationMs)
+
+    return buildDurationHistogram(durations).map(bin => ({
+      label: formatDurationMs(bin.from),
+      title: bin.to != null ? `${formatDurationMs(bin.from)} - ${formatDurationMs(bin.to)}` : `${formatDurationMs(bin.from)} and slower`,
+      count: bin.count,
+    }))
+  }, [occurrences])
+
+  const daily = useMemo(() => {
+    const index = new Map(days.map((d, i) => [d.day, i]))
+    const succeeded = new Array(days.length).fill(0)
+    const failed = new Array(days.length).fill(0)
+
+    for (const occurrence of occurrences) {
+      if (![2, 3, 5].includes(occurrence.status)) continue
+
+      const i = index.get(formatDate(occurrence.endTime || occurrence.createdAt, 'YYYY-MM-DD'))
+      if (i === undefined) continue
+
+      if (occurrence.status === 2) succeeded[i]++
+      else failed[i]++
+    }
+
+    return { timestamps: days.map(d => d.start), succeeded, failed }
+  }, [occurrences, days])
+
+  const versions = useMemo(() => summarizeExecutionsBy(occurrences, o => o.jobVersion || 1), [occurrences])
+  const instances = useMemo(
+    () => summarizeExecutionsBy(occurrences.filter(o => o.workerId), o => o.workerId).sort((a, b) => b.total - a.total),
+    [occurrences]
+  )
+
+  const retries = useMemo(() => {
+    // Dispatch retries are kept on the occurrence, execution retries only on the dead-lettered record
+    const executionRetries = new Map(failures.map(f => [f.occurrenceId, f.retryCount || 0]))
+    const counts = new Array(MAX_RETRY_BUCKET + 1).fill(0)
+
+    for (const occurrence of occurrences) {
+      const count = Math.max(occurrence.dispatchRetryCount || 0, executionRetries.get(occurrence.id) || 0)
+      counts[Math.min(count, MAX_RETRY_BUCKET)]++
+    }
+
+    return counts.map((count, i) => ({ label: i === MAX_RETRY_BUCKET ? `${i}+` : `${i}`, count }))
+  }, [occurrences, failures])
+
+  const failureTypes = useMemo(() => {
+    const counts = new Map()
+    failures.forEach(f => counts.set(f.failureType, (counts.get(f.failureType) || 0) + 1))
+
+    return [...counts.entries()]
+      .map(([type, count]) => ({ ...failedOccurrenceService.getFailureTypeInfo(type), type, count }))
+      .sort((a, b) => b.count - a.count)
+  }, [failures])
+
+  const versionMarkers = versions.slice(1).map(v => ({ time: v.firstSeen, label: `v${v.key}` }))
+
+  return (
+    <div className="job-analytics">
+      <div className="analytics-toolbar">
+        <div className="analytics-ranges">
+          {RANGES.map(r => (
+            <button
+              key={r.key}
+              className={'analytics-range-btn' + (r.key === rangeKey ? ' active' : '')}
+              onClick={() => handleRangeChange(r.key)}
+            >
+              {r.label}
+            </button>
+          ))}
+        </div>
+        {loading && <span className="analytics-loading">Loading...</span>}
+      </div>
+
+      {error && <div className="analytics-notice error">{error}</div>}
+
+      {occurrences.length >= MAX_OCCURRENCES && (
+        <div className="analytics-notice">
+          <Icon name="info" size={16} />
+          Only the latest {MAX_OCCURRENCES.toLocaleString()} executions are included, the start of the range may be incomplete.
+        </div>
+      )}
+
+      {!loading && occurrences.length === 0 ? (
+        <div className="analytics-empty">No executions in the last {range.label}.</div>
+      ) : (
+        <>
+          <div className="analytics-summary">
+            <div className="analytics-stat">
+              <span className="analytics-stat-label">Executions</span>
+              <span className="analytics-stat-value">{summary.total.toLocaleString()}</span>
+            </div>
+            <div className="analytics-stat">
+              <span className="analytics-stat-label">Success Rate</span>
+              <span className={`analytics-stat-value ${getRateClass(summary.successRate)}`}>{formatRate(summary.successRate)}</span>
+            </div>
+            <div className="analytics-stat">
+              <span className="analytics-stat-label">p50 Duration</span>
+              <span className="analytics-stat-value">{formatDurationMs(summary.p50)}</span>
+            </div>
+            <div className="analytics-stat">
+              <span className="analytics-stat-label">p95 Duration</span>
+              <span className="analytics-stat-value">{formatDurationMs(summary.p95)}</span>
+            </div>
+            {canListFailures && (
+              <div className="analytics-stat">
+                <span className="analytics-stat-label">Dead-lettered</span>
+                <span className="analytics-stat-value">{failures.length.toLocaleString()}</span>
+              </div>
+            )}
+          </div>
+
+          <div className="analytics-grid">
+            <div className="analytics-panel wide">
+              <div className="analytics-panel-header">
+                <h4>
+                  <Icon name="show_chart" size={18} />
+                  Daily Outcomes
+                </h4>
+                <span className="analytics-panel-subtitle">Dashed lines mark version changes</span>
+              </div>
+              <TimeSeriesChart
+                timestamps={daily.timestamps}
+                series={[
+                  { key: 'succeeded', label: 'Succeeded', color: 'var(--success-color)', values: daily.succeeded },
+                  { key: 'failed', label: 'Failed', color: 'var(--error-color)', values: daily.failed },
+                ]}
+                formatValue={(v) => Math.round(v).toString()}
+                markers={versionMarkers}
+                timeFormat="MMM D"
+                tooltipFormat="ddd, MMM D"
+                height={180}
+              />
+            </div>
+
+            <div className="analytics-panel">
+              <div className="analytics-panel-header">
+                <h4>
+                  <Icon name="bar_chart" size={18} />
+                  Duration Histogram
+                </h4>
+                <span className="analytics-panel-subtitle">Completed executions</span>
+              </div>
+              <BarColumns bars={histogram} emptyText="No completed executions" />
+            </div>
+
+            <div className="analytics-panel">
+              <div className="analytics-panel-header">
+                <h4>
+                  <Icon name="replay" size={18} />
+                  Retry Distribution
+                </h4>
+                <span className="analytics-panel-subtitle">Retries per execution</span>
+              </div>
+              <BarColumns bars={retries} emptyText="No executions" />
+            </div>
+
+            {canListFailures && (
+              <div className="analytics-panel">
+                <div className="analytics-panel-header">
+                  <h4>
+                    <Icon name="error" size={18} />
+                    Failure Types
+                  </h4>
+                  <span className="analytics-panel-subtitle">Dead-lettered executions</span>
+                </div>
+                {failureTypes.length === 0 ? (
+                  <div className="analytics-empty">No failures</div>
+                ) : (
+                  <div className="analytics-failure-types">
+                    {failureTypes.map(f => (
+                      <div key={f.type} className="analytics-failure-type">
+                        <span className="analytics-failure-type-label">
+                          <Icon name={f.icon} size={16} />
+                          {f.label}
+                        </span>
+                        <div className="analytics-failure-type-track">
+                          <div
+                            className="analytics-failure-type-bar"
+                            style={{ width: `${(f.count / failures.length) * 100}%`, background: f.color }}
+                          />
+                        </div>
+                        <span className="analytics-failure-type-count">
+                          {f.count} ({Math.round((f.count / failures.length) * 100)}%)
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+
+          <div className="analytics-panel">
+            <div className="analytics-panel-header">
+              <h4>
+                <Icon name="history" size={18} />
+                By Version
+              </h4>
+              <span className="analytics-panel-subtitle">Compared with the previous version</span>
+            </div>
+            <div className="analytics-table-wrapper">
+              <table className="analytics-table">
+                <thead>
+                  <tr>
+                    <th>Version</th>
+                    <th>First Seen</th>
+                    <th>Executions</th>
+                    <th>Success Rate</th>
+                    <th>p50</th>
+                    <th>p95</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {versions.map((v, i) => (
+                    <tr key={v.key} className={isRegression(v, versions[i - 1]) ? 'regressed' : ''}>
+                      <td>
+                        <span className="version-badge">v{v.key}</span>
+                        {v.key === (job.version || 1) && <span className="analytics-current">current</span>}
+                        {isRegression(v, versions[i - 1]) && (
+                          <span className="analytics-regression" title="Lower success rate or slower p95 than the previous version">
+                            <Icon name="trending_down" size={16} />
+                            Regression
+                          </span>
+                        )}
+                      </td>
+                      <td>{formatDateTime(v.firstSeen)}</td>
+                      <td>{v.total.toLocaleString()}</td>
+                      <td className={getRateClass(v.successRate)}>{formatRate(v.successRate)}</td>
+                      <td>{formatDurationMs(v.p50)}</td>
+                      <td>{formatDurationMs(v.p95)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="analytics-panel">
+            <div className="analytics-panel-header">
+              <h4>
+                <Icon name="dns" size={18} />
+                By Worker Instance
+              </h4>
+            </div>
+            {instances.length === 0 ? (
+              <div className="analytics-empty">No executions picked up by a worker</div>
+            ) : (
+              <div className="analytics-table-wrapper">
+                <table className="analytics-table">
+                  <thead>
+                    <tr>
+                      <th>Instance</th>
+                      <th>Executions</th>
+                      <th>Success Rate</th>
+                      <th>Average</th>
+                      <th>p50</th>
+                      <th>p95</th>
+                      <th>Last Seen</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {instances.map(instance => (
+                      <tr key={instance.key}>
+                        <td className="analytics-instance">{instance.key}</td>
+                        <td>{instance.total.toLocaleString()}</td>
+                        <td className={getRateClass(instance.successRate)}>{formatRate(instance.successRate)}</td>
+                        <td>{formatDurationMs(instance.average)}</td>
+                        <td>{formatDurationMs(instance.p50)}</td>
+                        <td>{formatDurationMs(instance.p95)}</td>
+                        <td>{formatDateTime(instance.lastSeen)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default JobAnalytics
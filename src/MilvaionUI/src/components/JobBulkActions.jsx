@@ -0,0 +1,329 @@
+import { useState } from 'react'
+import Icon from './Icon'
+import Modal from './Modal'
+import jobService from '../services/jobService'
+import { useModal } from '../hooks/useModal'
+import './JobBulkActions.css'
+
+const CONCURRENCY_POLICIES = [
+  { value: 0, label: 'Skip' },
+  { value: 1, label: 'Queue' },
+]
+
+const getErrorMessage = (response, err) =>
+  response?.message ||
+  response?.messages?.[0]?.message ||
+  err?.response?.data?.message ||
+  err?.response?.data?.messages?.[0]?.message ||
+  err?.message ||
+  'Request failed'
+
+const splitTags = (tags) => (tags || '').split(',').map(t => t.trim()).filter(t => t)
+
+const jobName = (job) => job.displayName || job.name
+
+/**
+ * Selection toolbar of the job list. Runs an action on every selected job one by one,
+ * shows the progress and a summary of succeeded, skipped and failed jobs.
+ * @param {Object} props
+ * @param {Array<Object>} props.jobs - Jobs of the current page
+ * @param {Array<string>} props.selectedIds - Ids of the selected jobs
+ * @param {Function} props.onSelectionChange - Called with the new selected ids
+ * @param {Function} props.onCompleted - Called after an action ran on all selected jobs
+ * @param {boolean} props.canUpdate - User may update jobs (status, tags, concurrency policy)
+ * @param {boolean} props.canTrigger - User may trigger jobs
+ * @param {boolean} props.canDelete - User may delete jobs
+ */
+function JobBulkActions({ jobs, selectedIds, onSelectionChange, onCompleted, canUpdate, canTrigger, canDelete }) {
+  const [editor, setEditor] = useState(null) // 'tags' | 'policy'
+  const [tagInput, setTagInput] = useState('')
+  const [policy, setPolicy] = useState(0)
+  const [progress, setProgress] = useState(null) // { label, done, total } while running
+  const [result, setResult] = useState(null)
+
+  const { modalProps, showConfirm } = useModal()
+
+  const selectedJobs = jobs.filter(job => selectedIds.includes(job.id))
+  const allSelected = jobs.length > 0 && selectedJobs.length === jobs.length
+  const running = progress !== null
+
+  const handleSelectAll = (e) => {
+    onSelectionChange(e.target.checked ? jobs.map(job => job.id) : [])
+  }
+
+  /**
+   * Run an operation on the selected jobs sequentially.
+   * getSkipReason returns why a job is left untouched, run performs the request for one job.
+   */
+  const runBulk = async ({ label, confirmMessage, confirmTitle, confirmText, getSkipReason, run }) => {
+    const targets = selectedJobs
+    if (targets.length === 0) return
+
+    const confirmed = await showConfirm(confirmMessage, confirmTitle, confirmText, 'Cancel')
+    if (!confirmed) return
+
+    const outcome = { label, succeeded: [], skipped: [], failed: [] }
+
+    setEditor(null)
+    setResult(null)
+    setProgress({ label, done: 0, total: targets.length })
+
+    for (const [index, job] of targets.entries()) {
+      const skipReason = getSkipReason?.(job)
+
+      if (skipReason) {
+        outcome.skipped.push({ job, message: skipReason })
+      } else {
+        let response
+        try {
+          response = await run(job)
+
+          if (response?.isSuccess === false) {
+            outcome.failed.push({ job, message: getErrorMessage(response, null) })
+          } else {
+            outcome.succeeded.push({ job })
+          }
+        } catch (err) {
+          console.error(err)
+          outcome.failed.push({ job, message: getErrorMessage(response, err) })
+        }
+      }
+
+      setProgress({ label, done: index + 1, total: targets.length })
+    }
+
+    setProgress(null)
+    setResult(outcome)
+
+    // Keep the failed jobs selected so the action can be retried on them
+    onSelectionChange(outcome.failed.map(f => f.job.id))
+    onCompleted?.()
+  }
+
+  const countLabel = (count) => `${count} selected job${count !== 1 ? 's' : ''}`
+
+  const handleSetActive = (isActive) => runBulk({
+    label: isActive ? 'Activate' : 'Deactivate',
+    confirmTitle: isActive ? 'Activate Jobs' : 'Deactivate Jobs',
+    confirmText: isActive ? 'Activate' : 'Deactivate',
+    confirmMessage: isActive
+      ? `Activate ${countLabel(selectedJobs.length)}? They will be scheduled again.`
+      : `Deactivate ${countLabel(selectedJobs.length)}? They will not be scheduled until they are activated again.`,
+    getSkipReason: (job) => job.isActive === isActive ? `Already ${isActive ? 'active' : 'inactive'}` : null,
+    run: (job) => jobService.setActive(job.id, isActive),
+  })
+
+  const handleTags = (mode) => {
+    const tags = splitTags(tagInput)
+    if (tags.length === 0) return
+
+    const adding = mode === 'add'
+
+    return runBulk({
+      label: adding ? 'Add tags' : 'Remove tags',
+      confirmTitle: adding ? 'Add Tags' : 'Remove Tags',
+      confirmText: adding ? 'Add' : 'Remove',
+      confirmMessage: `${adding ? 'Add' : 'Remove'} ${tags.map(t => `"${t}"`).join(', ')} ${adding ? 'to' : 'from'} ${countLabel(selectedJobs.length)}?`,
+      getSkipReason: (job) => {
+        const jobTags = splitTags(job.tags)
+        if (adding && tags.every(t => jobTags.includes(t))) return 'Already has the tags'
+        if (!adding && !tags.some(t => jobTags.includes(t))) return 'Does not have the tags'
+        return null
+      },
+      run: (job) => {
+        const jobTags = splitTags(job.tags)
+        const nextTags = adding
+          ? [...jobTags, ...tags.filter(t => !jobTags.includes(t))]
+          : jobTags.filter(t => !tags.includes(t))
+
+        return jobService.update(job.id, { tags: nextTags.join(',') }, ['tags'])
+      },
+    })
+  }
+
+  const handlePolicy = () => {
+    const policyLabel = CONCURRENCY_POLICIES.find(p => p.value === policy)?.label
+
+    return runBulk({
+      label: 'Change concurrency policy',
+      confirmTitle: 'Change Concurrency Policy',
+      confirmText: 'Apply',
+      confirmMessage: `Set the concurrency policy of ${countLabel(selectedJobs.length)} to ${policyLabel}?`,
+      getSkipReason: (job) => job.concurrentExecutionPolicy === policy ? `Already ${policyLabel}` : null,
+      run: (job) => jobService.update(job.id, { concurrentExecutionPolicy: policy }, ['concurrentExecutionPolicy']),
+    })
+  }
+
+  const handleTrigger = () => runBulk({
+    label: 'Trigger',
+    confirmTitle: 'Trigger Jobs',
+    confirmText: 'Trigger',
+    confirmMessage: `Trigger ${countLabel(selectedJobs.length)} now? Inactive jobs are skipped.`,
+    getSkipReason: (job) => job.isActive ? null : 'Job is inactive',
+    run: (job) => jobService.trigger(job.id, 'Bulk trigger from job list'),
+  })
+
+  const handleDelete = () => runBulk({
+    label: 'Delete',
+    confirmTitle: 'Delete Jobs',
+    confirmText: 'Delete',
+    confirmMessage: `Delete ${countLabel(selectedJobs.length)}? This action cannot be undone.`,
+    run: (job) => jobService.delete(job.id),
+  })
+
+  const toggleEditor = (name) => setEditor(prev => prev === name ? null : name)
+
+  return (
+    <div className="job-bulk-actions">
+      <Modal {...modalProps} />
+
+      <div className="job-bulk-toolbar">
+        <label className="job-bulk-select-all">
+          <input type="checkbox" checked={allSelected} onChange={handleSelectAll} disabled={running || jobs.length === 0} />
+          {selectedJobs.length > 0 ? `${selectedJobs.length} selected` : `Select all on this page (${jobs.length})`}
+        </label>
+
+        {selectedJobs.length > 0 && (
+          <div className="job-bulk-buttons">
+            {canUpdate && (
+              <>
+                <button type="button" className="job-bulk-btn" onClick={() => handleSetActive(true)} disabled={running}>
+                  <Icon name="play_circle" size={18} />
+                  Activate
+                </button>
+                <button type="button" className="job-bulk-btn warning" onClick={() => handleSetActive(false)} disabled={running}>
+                  <Icon name="pause_circle" size={18} />
+                  Deactivate
+                </button>
+                <button
+                  type="button"
+                  className={`job-bulk-btn ${editor === 'tags' ? 'open' : ''}`}
+                  onClick={() => toggleEditor('tags')}
+                  disabled={running}
+                >
+                  <Icon name="sell" size={18} />
+                  Tags
+                </button>
+                <button
+                  type="button"
+                  className={`job-bulk-btn ${editor === 'policy' ? 'open' : ''}`}
+                  onClick={() => toggleEditor('policy')}
+                  disabled={running}
+                >
+                  <Icon name="tune" size={18} />
+                  Concurrency
+                </button>
+              </>
+            )}
+            {canTrigger && (
+              <button type="button" className="job-bulk-btn" onClick={handleTrigger} disabled={running}>
+                <Icon name="play_arrow" size={18} />
+                Trigger Now
+              </button>
+            )}
+            {canDelete && (
+              <button type="button" className="job-bulk-btn danger" onClick={handleDelete} disabled={running}>
+                <Icon name="delete" size={18} />
+                Delete
+              </button>
+            )}
+            <button
+              type="button"
+              className="job-bulk-clear"
+              onClick={() => onSelectionChange([])}
+              disabled={running}
+              title="Clear selection"
+            >
+              <Icon name="close" size={16} />
+            </button>
+          </div>
+        )}
+      </div>
+
+      {editor === 'tags' && selectedJobs.length > 0 && (
+        <div className="job-bulk-editor">
+          <input
+            type="text"
+            value={tagInput}
+            onChange={(e) => setTagInput(e.target.value)}
+            placeholder="Tags, separated by commas"
+            className="job-bulk-input"
+          />
+          <button type="button" className="job-bulk-btn" onClick={() => handleTags('add')} disabled={splitTags(tagInput).length === 0}>
+            <Icon name="add" size={18} />
+            Add to selected
+          </button>
+          <button type="button" className="job-bulk-btn" onClick={() => handleTags('remove')} disabled={splitTags(tagInput).length === 0}>
+            <Icon name="remove" size={18} />
+            Remove from selected
+          </button>
+        </div>
+      )}
+
+      {editor === 'policy' && selectedJobs.length > 0 && (
+        <div className="job-bulk-editor">
+          <label htmlFor="bulkConcurrencyPolicy">Concurrency policy</label>
+          <select
+            id="bulkConcurrencyPolicy"
+            value={policy}
+            onChange={(e) => setPolicy(Number(e.target.value))}
+            className="job-bulk-input"
+          >
+            {CONCURRENCY_POLICIES.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+          </select>
+          <button type="button" className="job-bulk-btn" onClick={handlePolicy}>
+            <Icon name="check" size={18} />
+            Apply to selected
+          </button>
+        </div>
+      )}
+
+      {progress && (
+        <div className="job-bulk-progress">
+          <div className="job-bulk-progress-bar">
+            <div className="job-bulk-progress-fill" style={{ width: `${Math.round((progress.done / progress.total) * 100)}%` }} />
+          </div>
+          <span>{progress.label}: {progress.done} of {progress.total}...</span>
+        </div>
+      )}
+
+      {result && (
+        <div className={`job-bulk-result ${result.failed.length > 0 ? 'has-failures' : ''}`}>
+          <div className="job-bulk-result-header">
+            <Icon name={result.failed.length > 0 ? 'warning' : 'check_circle'} size={20} />
+            <strong>{result.label}</strong>
+            <span className="job-bulk-count success">{result.succeeded.length} succeeded</span>
+            {result.skipped.length > 0 && <span className="job-bulk-count skipped">{result.skipped.length} skipped</span>}
+            {result.failed.length > 0 && <span className="job-bulk-count failed">{result.failed.length} failed</span>}
+            <button type="button" className="job-bulk-clear" onClick={() => setResult(null)} title="Dismiss">
+              <Icon name="close" size={16} />
+            </button>
+          </div>
+          {result.failed.length > 0 && (
+            <p className="job-bulk-result-hint">The failed jobs are still selected, so the action can be retried on them.</p>
+          )}
+          {(result.failed.length > 0 || result.skipped.length > 0) && (
+            <ul className="job-bulk-result-list">
+              {result.failed.map(({ job, message }) => (
+                <li key={job.id} className="failed">
+                  <Icon name="cancel" size={16} />
+                  <span className="job-bulk-result-name">{jobName(job)}</span>
+                  <span className="job-bulk-result-message">{message}</span>
+                </li>
+              ))}
+              {result.skipped.map(({ job, message }) => (
+                <li key={job.id} className="skipped">
+                  <Icon name="remove_circle" size={16} />
+                  <span className="job-bulk-result-name">{jobName(job)}</span>
+                  <span className="job-bulk-result-message">{message}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default JobBulkActions
@@ -0,0 +1,114 @@
+import { useState } from 'react'
+import Icon from './Icon'
+import { VersionFieldValue, JobDataDiff } from './JobVersionDiff'
+import { diffJson, parseJobData } from '../utils/jobVersions'
+import './JobConflictMerge.css'
+
+// Value of a merge field, formatted for display
+function MergeFieldValue({ field, value }) {
+  switch (field.key) {
+    case 'isActive':
+      return value ? 'Active' : 'Inactive'
+    case 'autoDisableEnabled':
+      return value ? 'Enabled' : 'Disabled'
+    case 'autoDisableThreshold':
+      return value ? `${value} failures` : <span className="version-diff-empty">Default</span>
+    default:
+      return <VersionFieldValue field={field} value={value} />
+  }
+}
+
+// Job data is shown as the structural changes of each side against the original
+function MergeSide({ row, side }) {
+  if (row.field.key === 'jobData') {
+    return <JobDataDiff changes={diffJson(parseJobData(row.original), parseJobData(row[side]))} />
+  }
+
+  return <MergeFieldValue field={row.field} value={row[side]} />
+}
+
+/**
+ * Three-way merge of a job edit with the changes someone else saved in the meantime, shown in a modal.
+ * Each field changed by the other side is taken from "mine" or "theirs", the modal reads the choices from the choices object.
+ * @param {Object} props
+ * @param {Array<Object>} props.rows - Result of getMergeRows
+ * @param {Object} props.choices - Mutable choices, 'mine' or 'theirs' keyed by field key
+ * @param {number} props.originalVersion - Version of the job when the edit started
+ * @param {number} props.latestVersion - Version of the job as saved now
+ */
+function JobConflictMerge({ rows, choices, originalVersion, latestVersion }) {
+  const [selected, setSelected] = useState({ ...choices })
+
+  const handleChoice = (key, side) => {
+    choices[key] = side
+    setSelected(prev => ({ ...prev, [key]: side }))
+  }
+
+  const conflictCount = rows.filter(row => row.conflict).length
+
+  return (
+    <div className="job-conflict-merge">
+      <p className="job-conflict-description">
+        This job was changed by someone else while you were editing it
+        {latestVersion !== originalVersion && <> (v{originalVersion} → v{latestVersion})</>}.
+        {conflictCount > 0
+          ? <> <strong>{conflictCount} {conflictCount === 1 ? 'field was' : 'fields were'} changed on both sides.</strong> Choose the value to keep for each field.</>
+          : <> None of their changes touch the fields you edited, their values are kept unless you choose yours.</>}
+      </p>
+
+      <div className="job-conflict-table">
+        <div className="job-conflict-head">
+          <span>Field</span>
+          <span>Original</span>
+          <span>Mine</span>
+          <span>Theirs</span>
+        </div>
+
+        {rows.map(row => (
+          <div key={row.field.key} className={`job-conflict-row ${row.conflict ? 'conflict' : ''}`}>
+            <div className="job-conflict-field">
+              {row.field.label}
+              {row.conflict && (
+                <span className="job-conflict-badge">
+                  <Icon name="warning" size={12} />
+                  Conflict
+                </span>
+              )}
+            </div>
+
+            <div className="job-conflict-value original">
+              {row.field.key === 'jobData'
+                ? <span className="version-diff-empty">Base of both changes</span>
+                : <MergeFieldValue field={row.field} value={row.original} />}
+            </div>
+
+            {['mine', 'theirs'].map(side => (
+              <label
+                key={side}
+                className={`job-conflict-value choice ${selected[row.field.key] === side ? 'selected' : ''}`}
+              >
+                <input
+                  type="radio"
+                  name={`merge-${row.field.key}`}
+                  checked={selected[row.field.key] === side}
+                  onChange={() => handleChoice(row.field.key, side)}
+                />
+                <div className="job-conflict-choice-content">
+                  {side === 'mine' && !row.mineChanged
+                    ? <span className="version-diff-empty">Unchanged by you</span>
+                    : <MergeSide row={row} side={side} />}
+                </div>
+              </label>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <p className="job-conflict-hint">
+        Fields only you changed keep your values. The merged job is saved when you continue.
+      </p>
+    </div>
+  )
+}
+
+export default JobConflictMerge
@@ -0,0 +1,176 @@
+import { useState } from 'react'
+import Icon from './Icon'
+import JsonEditor from './JsonEditor'
+import SchemaForm from './SchemaForm'
+import HttpRequestBuilder from './HttpRequestBuilder'
+import { applyDefaults, validateSchema } from '../utils/jsonSchema'
+import './JobDataEditor.css'
+
+const MODE_STORAGE_KEY = 'jobDataEditorMode'
+// HTTP request jobs remember their view separately, they open in the request builder by default
+const REQUEST_MODE_STORAGE_KEY = 'jobDataEditorRequestMode'
+
+/**
+ * Job data editor with a form generated from the job's JSON Schema and a raw JSON view.
+ * Both views edit the same JSON string, so changes in one are reflected in the other.
+ * Both views show the schema validation errors at their fields. Without a schema only the JSON view is shown.
+ * Jobs of HttpWorker's request sender also get a Postman-style request builder that edits the same JSON.
+ *
+ * @param {Object} props
+ * @param {string} props.value - Job data JSON string
+ * @param {Function} props.onChange - Called with an event-like object ({ target: { name, value } }), like JsonEditor
+ * @param {Object} props.schema - Parsed JSON Schema of the job data (worker jobDataDefinitions), optional
+ * @param {string} props.name - Input name for form handling
+ * @param {number} props.rows - Number of rows of the JSON view
+ * @param {string} props.placeholder - Placeholder of the JSON view
+ * @param {string} props.hint - Optional hint text below the editor
+ * @param {boolean} props.requestBuilder - Show the HTTP request builder (job data is HttpJobData)
+ */
+function JobDataEditor({ value = '', onChange, schema, name = 'jobData', rows = 8, placeholder, hint, requestBuilder = false }) {
+  const [mode, setMode] = useState(() => localStorage.getItem(MODE_STORAGE_KEY) || 'form')
+  const [requestMode, setRequestMode] = useState(() => localStorage.getItem(REQUEST_MODE_STORAGE_KEY) || 'request')
+
+  const activeMode = requestBuilder ? requestMode : mode
+  const hasForm = !!schema?.properties && Object.keys(schema.properties).length > 0
+  const showRequest = requestBuilder && activeMode === 'request'
+  const showForm = hasForm && activeMode === 'form'
+
+  const changeMode = (newMode) => {
+    if (requestBuilder) {
+      setRequestMode(newMode)
+      localStorage.setItem(REQUEST_MODE_STORAGE_KEY, newMode)
+    } else {
+      setMode(newMode)
+      localStorage.setItem(MODE_STORAGE_KEY, newMode)
+    }
+  }
+
+  const emitChange = (newValue) => {
+    if (onChange) {
+      onChange({
+        target: {
+          name: name,
+          value: JSON.stringify(newValue, null, 2)
+        }
+      })
+    }
+  }
+
+  // The form can only be used while the JSON view holds an object
+  let parsedValue = {}
+  let parseError = null
+  if (value && value.trim() !== '') {
+    try {
+      parsedValue = JSON.parse(value)
+      if (parsedValue === null || typeof parsedValue !== 'object' || Array.isArray(parsedValue)) {
+        parseError = 'Job data must be a JSON object to be edited outside the JSON view.'
+      }
+    } catch (e) {
+      parseError = `Job data is not valid JSON: ${e.message}`
+    }
+  }
+
+  const schemaErrors = showForm && !parseError ? validateSchema(schema, parsedValue) : []
+
+  return (
+    <div className="job-data-editor">
+      {(hasForm || requestBuilder) && (
+        <div className="job-data-editor-header">
+          <div className="job-data-editor-tabs">
+            {requestBuilder && (
+              <button
+                type="button"
+                className={`job-data-editor-tab ${showRequest ? 'active' : ''}`}
+                onClick={() => changeMode('request')}
+              >
+                <Icon name="http" size={16} />
+                Request
+              </button>
+            )}
+            {hasForm && (
+              <button
+                type="button"
+                className={`job-data-editor-tab ${showForm ? 'active' : ''}`}
+                onClick={() => changeMode('form')}
+              >
+                <Icon name="list_alt" size={16} />
+                Form
+              </button>
+            )}
+            <button
+              type="button"
+              className={`job-data-editor-tab ${!showForm && !showRequest ? 'active' : ''}`}
+              onClick={() => changeMode('json')}
+            >
+              <Icon name="data_object" size={16} />
+              JSON
+            </button>
+          </div>
+          {showForm && !parseError && (
+            <div className="job-data-editor-actions">
+              {schemaErrors.length > 0 && (
+                <span className="validation-badge invalid">
+                  <Icon name="rule" size={14} />
+                  {schemaErrors.length} Schema Error{schemaErrors.length !== 1 ? 's' : ''}
+                </span>
+              )}
+              <button
+                type="button"
+                className="toolbar-btn"
+                onClick={() => emitChange(applyDefaults(schema, parsedValue))}
+                title="Fill missing fields with their default values"
+              >
+                <Icon name="auto_fix_high" size={16} />
+                <span>Apply Defaults</span>
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {showRequest ? (
+        <div className="job-data-editor-form">
+          {parseError ? (
+            <div className="job-data-editor-warning">
+              <Icon name="warning" size={18} />
+              <span>{parseError}</span>
+              <button type="button" className="schema-form-link-btn" onClick={() => changeMode('json')}>
+                Fix in JSON view
+              </button>
+            </div>
+          ) : (
+            <HttpRequestBuilder value={parsedValue} onChange={emitChange} />
+          )}
+          {hint && <small className="json-editor-hint">{hint}</small>}
+        </div>
+      ) : showForm ? (
+        <div className="job-data-editor-form">
+          {parseError ? (
+            <div className="job-data-editor-warning">
+              <Icon name="warning" size={18} />
+              <span>{parseError}</span>
+              <button type="button" className="schema-form-link-btn" onClick={() => changeMode('json')}>
+                Fix in JSON view
+              </button>
+            </div>
+          ) : (
+            <SchemaForm schema={schema} value={parsedValue} onChange={emitChange} errors={schemaErrors} />
+          )}
+          {hint && <small className="json-editor-hint">{hint}</small>}
+        </div>
+      ) : (
+        <JsonEditor
+          name={name}
+          value={value}
+          onChange={onChange}
+          rows={rows}
+          placeholder={placeholder}
+          hint={hint}
+          schema={schema}
+        />
+      )}
+    </div>
+  )
+}
+
+export default JobDataEditor
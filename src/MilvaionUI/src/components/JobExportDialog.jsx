@@ -0,0 +1,205 @@
+import { useState, useEffect, useRef } from 'react'
+import Icon from './Icon'
+import jobService from '../services/jobService'
+import exportService from '../services/exportService'
+import { BUNDLE_FORMATS, serializeBundle } from '../utils/jobBundle'
+import { formatDate } from '../utils/dateUtils'
+import './Modal.css'
+import './ExportButton.css'
+import './JobExportDialog.css'
+
+/**
+ * Dialog that exports job definitions as a portable JSON or YAML bundle,
+ * which can be imported into another environment from the job import page.
+ *
+ * @param {Object} listFilters - Current search and filters of the job list, used to list the jobs
+ * @param {Function} onClose - Called when the dialog is closed
+ */
+function JobExportDialog({ listFilters, onClose }) {
+  const [jobs, setJobs] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [selectedIds, setSelectedIds] = useState([])
+  const [format, setFormat] = useState('json')
+  const [progress, setProgress] = useState(null) // null when idle, { done, total } while exporting
+  const [error, setError] = useState(null)
+  const cancelled = useRef(false)
+
+  const exporting = progress !== null
+
+  useEffect(() => {
+    const loadJobs = async () => {
+      try {
+        const response = await jobService.getAll({ ...listFilters })
+        const data = response?.data?.data || response?.data || []
+        setJobs(data)
+        setSelectedIds(data.map(job => job.id))
+      } catch (err) {
+        console.error(err)
+        setError('Failed to load jobs')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    loadJobs()
+
+    return () => { cancelled.current = true }
+  }, [listFilters])
+
+  const handleClose = () => {
+    cancelled.current = true
+    onClose()
+  }
+
+  const toggleJob = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(i => i !== id) : [...prev, id])
+  }
+
+  const handleExport = async () => {
+    cancelled.current = false
+    setError(null)
+    setProgress({ done: 0, total: selectedIds.length })
+
+    try {
+      // The list does not carry worker, timeouts and auto-disable settings, so each job detail is loaded
+      const details = []
+      for (const id of selectedIds) {
+        if (cancelled.current) return
+
+        const response = await jobService.getById(id)
+        if (response?.isSuccess === false || !response?.data) {
+          throw new Error(response?.messages?.[0]?.message || `Job ${id} could not be loaded`)
+        }
+
+        details.push(response.data)
+        setProgress({ done: details.length, total: selectedIds.length })
+      }
+
+      const bundleFormat = BUNDLE_FORMATS[format]
+      const content = serializeBundle(details, format)
+
+      exportService.download(
+        new Blob([content], { type: bundleFormat.mimeType }),
+        `milvaion_jobs_${formatDate(new Date(), 'YYYY-MM-DD_HH-mm')}.${bundleFormat.extension}`
+      )
+      onClose()
+    } catch (err) {
+      console.error('Job export failed:', err)
+      setError(err.response?.data?.messages?.[0]?.message || err.message || 'Job export failed')
+    } finally {
+      setProgress(null)
+    }
+  }
+
+  const allSelected = jobs.length > 0 && selectedIds.length === jobs.length
+
+  return (
+    <div className="modal-overlay" onClick={(e) => { if (e.target === e.currentTarget && !exporting) handleClose() }}>
+      <div className="modal-content modal-info export-modal">
+        <div className="modal-header">
+          <div className="modal-icon">
+            <Icon name="file_export" size={32} />
+          </div>
+          <h3 className="modal-title">Export Job Definitions</h3>
+          <button className="modal-close-btn" onClick={handleClose} title={exporting ? 'Cancel export' : 'Close'}>
+            <Icon name="close" size={20} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="export-summary">
+            Selected jobs are saved with their worker, job type, schedule, job data, tags, concurrency policy,
+            timeouts and auto-disable settings, ready to be imported into another environment.
+          </p>
+
+          <div className="export-section">
+            <label className="export-section-label">Format</label>
+            <div className="export-formats">
+              {Object.entries(BUNDLE_FORMATS).map(([key, option]) => (
+                <label key={key} className={`export-format-option ${format === key ? 'active' : ''}`}>
+                  <input
+                    type="radio"
+                    name="bundleFormat"
+                    value={key}
+                    checked={format === key}
+                    onChange={() => setFormat(key)}
+                    disabled={exporting}
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="export-section">
+            <div className="export-section-header">
+              <label className="export-section-label">Jobs ({selectedIds.length}/{jobs.length})</label>
+              <button
+                type="button"
+                className="export-link-btn"
+                onClick={() => setSelectedIds(allSelected ? [] : jobs.map(job => job.id))}
+                disabled={exporting || jobs.length === 0}
+              >
+                {allSelected ? 'Clear all' : 'Select all'}
+              </button>
+            </div>
+            {loading ? (
+              <div className="job-export-empty">Loading jobs...</div>
+            ) : jobs.length === 0 ? (
+              <div className="job-export-empty">No jobs match the current search and filters.</div>
+            ) : (
+              <div className="job-export-list">
+                {jobs.map(job => (
+                  <label key={job.id} className="job-export-item">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(job.id)}
+                      onChange={() => toggleJob(job.id)}
+                      disabled={exporting}
+                    />
+                    <span className="job-export-name">{job.displayName}</span>
+                    <span className="job-export-type">{job.jobType}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {exporting && (
+            <div className="export-progress">
+              <div className="export-progress-bar">
+                <div
+                  className="export-progress-fill"
+                  style={{ width: `${progress.total > 0 ? Math.round((progress.done / progress.total) * 100) : 0}%` }}
+                />
+              </div>
+              <span className="export-progress-label">Loading job {progress.done} of {progress.total}...</span>
+            </div>
+          )}
+
+          {error && (
+            <div className="export-error">
+              <Icon name="error" size={18} />
+              <span>{error}</span>
+            </div>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button className="modal-btn modal-btn-cancel" onClick={handleClose}>
+            Cancel
+          </button>
+          <button
+            className="modal-btn modal-btn-confirm"
+            onClick={handleExport}
+            disabled={exporting || selectedIds.length === 0}
+          >
+            {exporting ? 'Exporting...' : `Export ${selectedIds.length} Job${selectedIds.length !== 1 ? 's' : ''}`}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default JobExportDialog
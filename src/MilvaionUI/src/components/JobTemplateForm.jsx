@@ -0,0 +1,57 @@
+import { getPlaceholders } from '../utils/jobTemplates'
+import './JobTemplateForm.css'
+
+/**
+ * Name and description of a job template, shown in a modal when a job is saved as a template.
+ * The modal reads the entered values from the values object.
+ * @param {Object} props
+ * @param {Object} props.job - Template job configuration to save
+ * @param {Object} props.values - Mutable form values ({ name, description })
+ */
+function JobTemplateForm({ job, values }) {
+  const placeholders = getPlaceholders(job)
+
+  return (
+    <div className="job-template-form">
+      <p className="job-template-description">
+        Saves the worker, job type, job data, schedule, timeouts and auto-disable settings of <strong>{job.displayName || job.jobType}</strong>.
+        Use placeholders such as <code>{'{{tenantId}}'}</code> in the job data to fill them in when the template is used.
+      </p>
+
+      <div className="form-group">
+        <label htmlFor="templateName">Template Name</label>
+        <input
+          id="templateName"
+          type="text"
+          className="form-control"
+          maxLength={100}
+          placeholder="e.g. Tenant report export"
+          defaultValue={values.name}
+          onChange={(e) => { values.name = e.target.value }}
+          autoFocus
+        />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="templateDescription">Description (optional)</label>
+        <textarea
+          id="templateDescription"
+          className="form-control"
+          rows="2"
+          maxLength={500}
+          defaultValue={values.description}
+          onChange={(e) => { values.description = e.target.value }}
+        />
+      </div>
+
+      {placeholders.length > 0 && (
+        <div className="job-template-placeholders">
+          <span>Placeholders:</span>
+          {placeholders.map(name => <code key={name}>{`{{${name}}}`}</code>)}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default JobTemplateForm
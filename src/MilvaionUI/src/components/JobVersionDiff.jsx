@@ -0,0 +1,233 @@
+import { useState, useMemo } from 'react'
+import Icon from './Icon'
+import CronDisplay from './CronDisplay'
+import jobService from '../services/jobService'
+import { formatDateTime } from '../utils/dateUtils'
+import { TRACKED_FIELDS, getJobVersions, isFieldChanged, diffJson, parseJobData } from '../utils/jobVersions'
+import './JobVersionDiff.css'
+
+const CONCURRENCY_POLICIES = { 0: 'Skip', 1: 'Queue', 2: 'Allow' }
+
+const formatJsonValue = (value) => {
+  if (value === undefined) return ''
+  const text = JSON.stringify(value)
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text
+}
+
+// Value of a tracked field, formatted for display
+export function VersionFieldValue({ field, value }) {
+  if (value === null || value === undefined || value === '') {
+    return <span className="version-diff-empty">Not set</span>
+  }
+
+  switch (field.key) {
+    case 'cronExpression':
+      return <CronDisplay expression={value} />
+    case 'executeAt':
+      return formatDateTime(value)
+    case 'concurrentExecutionPolicy':
+      return CONCURRENCY_POLICIES[value] ?? value
+    case 'zombieTimeoutMinutes':
+      return `${value} min`
+    case 'executionTimeoutSeconds':
+      return `${value} s`
+    default:
+      return <span className="version-diff-text">{String(value)}</span>
+  }
+}
+
+// Structural job data changes from diffJson
+export function JobDataDiff({ changes }) {
+  if (changes.length === 0) {
+    return <div className="version-diff-empty">Job data is identical</div>
+  }
+
+  return (
+    <ul className="version-diff-json">
+      {changes.map(change => (
+        <li key={change.path} className={`version-diff-json-change ${change.kind}`}>
+          <span className="version-diff-json-kind">
+            {change.kind === 'added' ? '+' : change.kind === 'removed' ? '−' : '~'}
+          </span>
+          <code className="version-diff-json-path">{change.path}</code>
+          {change.kind !== 'added' && <code className="version-diff-json-before">{formatJsonValue(change.before)}</code>}
+          {change.kind === 'changed' && <Icon name="arrow_forward" size={14} />}
+          {change.kind !== 'removed' && <code className="version-diff-json-after">{formatJsonValue(change.after)}</code>}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+/**
+ * Side-by-side comparison of two job versions with a structural job data diff and restore of an older version
+ * @param {Object} props
+ * @param {Object} props.job - Job detail with jobVersions
+ * @param {boolean} props.canRestore - User may update the job
+ * @param {Function} props.onRestored - Called with the restored version number after a successful restore
+ */
+function JobVersionDiff({ job, canRestore, onRestored }) {
+  const versions = useMemo(() => getJobVersions(job), [job])
+  const current = versions[versions.length - 1]
+
+  const [leftVersion, setLeftVersion] = useState(versions[Math.max(0, versions.length - 2)].version)
+  const [rightVersion, setRightVersion] = useState(current.version)
+  const [onlyChanges, setOnlyChanges] = useState(true)
+  const [showRestorePreview, setShowRestorePreview] = useState(false)
+  const [restoring, setRestoring] = useState(false)
+  const [restoreError, setRestoreError] = useState(null)
+
+  const left = versions.find(v => v.version === leftVersion) || versions[0]
+  const right = versions.find(v => v.version === rightVersion) || current
+
+  const jobDataChanges = useMemo(
+    () => diffJson(parseJobData(left.values.jobData), parseJobData(right.values.jobData)),
+    [left, right]
+  )
+
+  const fields = TRACKED_FIELDS.filter(field => !onlyChanges || isFieldChanged(field, left.values, right.values))
+
+  // What restoring the left version changes on the current job
+  const restoreChanges = TRACKED_FIELDS.filter(field => isFieldChanged(field, left.values, current.values))
+  const restorableChanges = restoreChanges.filter(field => field.restorable)
+  const skippedChanges = restoreChanges.filter(field => !field.restorable)
+
+  const selectVersion = (setter) => (e) => {
+    setter(Number(e.target.value))
+    setShowRestorePreview(false)
+    setRestoreError(null)
+  }
+
+  const handleRestore = async () => {
+    try {
+      setRestoring(true)
+      setRestoreError(null)
+
+      const restoredValues = Object.fromEntries(restorableChanges.map(field => [field.key, left.values[field.key]]))
+
+      await jobService.update(job.id, restoredValues, restorableChanges.map(field => field.key))
+
+      onRestored?.(left.version)
+    } catch (err) {
+      console.error('Failed to restore version:', err)
+      setRestoreError(err.response?.data?.message || 'Failed to restore this version. Please try again.')
+    } finally {
+      setRestoring(false)
+    }
+  }
+
+  const versionLabel = (v) => `v${v.version}${v.current ? ' (current)' : ''}`
+
+  return (
+    <div className="version-diff">
+      <div className="version-diff-toolbar">
+        <label className="version-diff-select">
+          <span>Compare</span>
+          <select value={left.version} onChange={selectVersion(setLeftVersion)}>
+            {versions.map(v => <option key={v.version} value={v.version}>{versionLabel(v)}</option>)}
+          </select>
+        </label>
+        <Icon name="compare_arrows" size={18} />
+        <label className="version-diff-select">
+          <span>with</span>
+          <select value={right.version} onChange={selectVersion(setRightVersion)}>
+            {versions.map(v => <option key={v.version} value={v.version}>{versionLabel(v)}</option>)}
+          </select>
+        </label>
+
+        <label className="version-diff-toggle">
+          <input type="checkbox" checked={onlyChanges} onChange={(e) => setOnlyChanges(e.target.checked)} />
+          Only changed fields
+        </label>
+
+        {canRestore && !left.current && (
+          <button
+            className="btn btn-secondary btn-sm version-diff-restore-btn"
+            onClick={() => setShowRestorePreview(true)}
+            disabled={showRestorePreview || restorableChanges.length === 0}
+            title={restorableChanges.length === 0 ? 'The current job already matches this version' : undefined}
+          >
+            <Icon name="restore" size={16} />
+            Restore v{left.version}
+          </button>
+        )}
+      </div>
+
+      {showRestorePreview && (
+        <div className="version-diff-restore">
+          <h4>
+            <Icon name="restore" size={18} />
+            Restore v{left.version}
+          </h4>
+          <p>The following fields of the current job (v{current.version}) will be set back to their v{left.version} values:</p>
+          <ul className="version-diff-restore-list">
+            {restorableChanges.map(field => (
+              <li key={field.key}>
+                <strong>{field.label}</strong>
+                {field.key === 'jobData' ? (
+                  <JobDataDiff changes={diffJson(parseJobData(current.values.jobData), parseJobData(left.values.jobData))} />
+                ) : (
+                  <span className="version-diff-restore-values">
+                    <VersionFieldValue field={field} value={current.values[field.key]} />
+                    <Icon name="arrow_forward" size={14} />
+                    <VersionFieldValue field={field} value={left.values[field.key]} />
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+          {skippedChanges.length > 0 && (
+            <p className="version-diff-note">
+              <Icon name="info" size={16} />
+              {skippedChanges.map(field => field.label).join(', ')} cannot be restored and will keep the current value.
+            </p>
+          )}
+          {restoreError && <p className="version-diff-error">{restoreError}</p>}
+          <div className="version-diff-restore-actions">
+            <button className="btn btn-secondary btn-sm" onClick={() => setShowRestorePreview(false)} disabled={restoring}>
+              Cancel
+            </button>
+            <button className="btn btn-primary btn-sm" onClick={handleRestore} disabled={restoring}>
+              {restoring ? 'Restoring...' : `Restore v${left.version}`}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {left.version === right.version ? (
+        <div className="version-diff-empty">Select two different versions to compare.</div>
+      ) : fields.length === 0 ? (
+        <div className="version-diff-empty">No differences between v{left.version} and v{right.version}.</div>
+      ) : (
+        <table className="version-diff-table">
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>{versionLabel(left)}</th>
+              <th>{versionLabel(right)}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fields.map(field => (
+              <tr key={field.key} className={isFieldChanged(field, left.values, right.values) ? 'changed' : ''}>
+                <td className="version-diff-field">{field.label}</td>
+                {field.key === 'jobData' ? (
+                  <td colSpan={2}>
+                    <JobDataDiff changes={jobDataChanges} />
+                  </td>
+                ) : (
+                  <>
+                    <td><VersionFieldValue field={field} value={left.values[field.key]} /></td>
+                    <td><VersionFieldValue field={field} value={right.values[field.key]} /></td>
+                  </>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
+
+export default JobVersionDiff
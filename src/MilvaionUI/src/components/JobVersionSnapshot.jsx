@@ -0,0 +1,119 @@
+import { useMemo } from 'react'
+import { Link } from 'react-router-dom'
+import Icon from './Icon'
+import JsonViewer from './JsonViewer'
+import { VersionFieldValue, JobDataDiff } from './JobVersionDiff'
+import { TRACKED_FIELDS, getJobVersions, isFieldChanged, diffJson, parseJobData } from '../utils/jobVersions'
+import './JobVersionSnapshot.css'
+
+/**
+ * Configuration of one job version and what changed on the job since then
+ * @param {Object} props
+ * @param {Object} props.job - Job detail with jobVersions
+ * @param {number} props.version - Version to show (e.g. the version an occurrence ran with)
+ */
+function JobVersionSnapshot({ job, version }) {
+  const versions = useMemo(() => getJobVersions(job), [job])
+  const current = versions[versions.length - 1]
+  const snapshot = versions.find(v => v.version === version)
+
+  if (!snapshot) {
+    return (
+      <div className="version-snapshot">
+        <div className="version-snapshot-missing">
+          <Icon name="help" size={20} />
+          No snapshot of v{version} is stored for this job, so its configuration is not available.
+        </div>
+      </div>
+    )
+  }
+
+  const changedFields = TRACKED_FIELDS.filter(field => isFieldChanged(field, snapshot.values, current.values))
+  const versionsBehind = current.version - snapshot.version
+
+  return (
+    <div className="version-snapshot">
+      <div className="version-snapshot-summary">
+        <span className="version-badge">
+          <Icon name="history" size={14} />
+          v{snapshot.version}
+        </span>
+        {snapshot.current ? (
+          <span>This is the current version of the job.</span>
+        ) : (
+          <span>
+            {versionsBehind} {versionsBehind === 1 ? 'version' : 'versions'} behind the current v{current.version}
+          </span>
+        )}
+        <Link to={`/jobs/${job.id}`} className="version-snapshot-job-link">
+          {job.displayName}
+        </Link>
+      </div>
+
+      <div className="version-snapshot-section">
+        <h4>
+          <Icon name="settings" size={18} />
+          Configuration at v{snapshot.version}
+        </h4>
+        <div className="version-snapshot-fields">
+          {TRACKED_FIELDS.filter(field => field.key !== 'jobData').map(field => (
+            <div key={field.key} className="version-snapshot-field">
+              <span className="version-snapshot-label">{field.label}</span>
+              <span className="version-snapshot-value">
+                <VersionFieldValue field={field} value={snapshot.values[field.key]} />
+              </span>
+            </div>
+          ))}
+        </div>
+        {snapshot.values.jobData ? (
+          <JsonViewer data={snapshot.values.jobData} title="Job Data" />
+        ) : (
+          <div className="version-diff-empty">No job data</div>
+        )}
+      </div>
+
+      {!snapshot.current && (
+        <div className="version-snapshot-section">
+          <h4>
+            <Icon name="difference" size={18} />
+            Changed since this run
+          </h4>
+          {changedFields.length === 0 ? (
+            <div className="version-diff-empty">
+              The configuration of v{snapshot.version} and the current job are identical.
+            </div>
+          ) : (
+            <table className="version-diff-table">
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>v{snapshot.version} (this run)</th>
+                  <th>v{current.version} (current)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {changedFields.map(field => (
+                  <tr key={field.key} className="changed">
+                    <td className="version-diff-field">{field.label}</td>
+                    {field.key === 'jobData' ? (
+                      <td colSpan={2}>
+                        <JobDataDiff changes={diffJson(parseJobData(snapshot.values.jobData), parseJobData(current.values.jobData))} />
+                      </td>
+                    ) : (
+                      <>
+                        <td><VersionFieldValue field={field} value={snapshot.values[field.key]} /></td>
+                        <td><VersionFieldValue field={field} value={current.values[field.key]} /></td>
+                      </>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default JobVersionSnapshot
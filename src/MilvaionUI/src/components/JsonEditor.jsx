@@ -1,7 +1,12 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
 import Icon from './Icon'
+import { validateSchema, getJsonPathLines } from '../utils/jsonSchema'
 import './JsonEditor.css'
 
+// "a.b[0]" -> "a.b" -> "a" -> ""
+const LAST_PATH_SEGMENT = /(\.[^.[\]]+|\[\d+\])$/
+const getParentPath = (path) => LAST_PATH_SEGMENT.test(path) ? path.replace(LAST_PATH_SEGMENT, '') : ''
+
 /**
  * JSON Editor component with beautify and validation features.
  * 
@@ -14,6 +19,7 @@ import './JsonEditor.css'
  * @param {boolean} props.required - Whether field is required
  * @param {string} props.label - Optional label text
  * @param {string} props.hint - Optional hint text below input
+ * @param {Object} props.schema - Optional JSON Schema, the value is validated against it and errors are listed per path
  */
 function JsonEditor({ 
   value = '', 
@@ -23,10 +29,12 @@ function JsonEditor({
   rows = 8,
   required = false,
   label,
-  hint
+  hint,
+  schema
 }) {
   const [error, setError] = useState(null)
   const [isValid, setIsValid] = useState(true)
+  const textareaRef = useRef(null)
 
   // Validate JSON on value change
   const validateJson = useCallback((jsonString) => {
@@ -53,6 +61,41 @@ function JsonEditor({
     validateJson(value)
   }, [value, validateJson])
 
+  // Schema errors with the line of the closest path present in the text
+  const schemaErrors = useMemo(() => {
+    if (!schema || !isValid || !value || value.trim() === '') return []
+
+    let parsed
+    try {
+      parsed = JSON.parse(value)
+    } catch {
+      return []
+    }
+
+    const errors = validateSchema(schema, parsed)
+    if (errors.length === 0) return errors
+
+    const lines = getJsonPathLines(value)
+    return errors.map(err => {
+      let path = err.path
+      while (path && lines[path] === undefined) {
+        path = getParentPath(path)
+      }
+      return { ...err, line: lines[path] ?? 1 }
+    })
+  }, [schema, isValid, value])
+
+  // Select the line of a schema error in the textarea
+  const goToLine = (line) => {
+    const textarea = textareaRef.current
+    if (!textarea) return
+
+    const lines = value.split('\n')
+    const start = lines.slice(0, line - 1).reduce((sum, l) => sum + l.length + 1, 0)
+    textarea.focus()
+    textarea.setSelectionRange(start, start + lines[line - 1].length)
+  }
+
   // Handle input change
   const handleChange = (e) => {
     const newValue = e.target.value
@@ -129,7 +172,7 @@ function JsonEditor({
   }
 
   return (
-    <div className={`json-editor ${!isValid ? 'has-error' : ''}`}>
+    <div className={`json-editor ${!isValid || schemaErrors.length > 0 ? 'has-error' : ''}`}>
       {label && (
         <label className="json-editor-label">
           {label}
@@ -140,10 +183,16 @@ function JsonEditor({
       <div className="json-editor-container">
         <div className="json-editor-toolbar">
           <div className="toolbar-left">
-            {isValid && value && value.trim() !== '' && (
+            {isValid && value && value.trim() !== '' && schemaErrors.length === 0 && (
               <span className="validation-badge valid">
                 <Icon name="check_circle" size={14} />
-                Valid JSON
+                {schema ? 'Matches Schema' : 'Valid JSON'}
+              </span>
+            )}
+            {schemaErrors.length > 0 && (
+              <span className="validation-badge invalid">
+                <Icon name="rule" size={14} />
+                {schemaErrors.length} Schema Error{schemaErrors.length !== 1 ? 's' : ''}
               </span>
             )}
             {!isValid && (
@@ -187,12 +236,13 @@ function JsonEditor({
         </div>
         
         <textarea
+          ref={textareaRef}
           id={name}
           name={name}
           value={value}
           onChange={handleChange}
           rows={rows}
-          className={`json-editor-textarea ${!isValid ? 'invalid' : ''}`}
+          className={`json-editor-textarea ${!isValid || schemaErrors.length > 0 ? 'invalid' : ''}`}
           placeholder={placeholder}
           spellCheck={false}
           required={required}
@@ -204,6 +254,20 @@ function JsonEditor({
             <span>{error}</span>
           </div>
         )}
+
+        {schemaErrors.length > 0 && (
+          <ul className="json-editor-schema-errors">
+            {schemaErrors.map((err, index) => (
+              <li key={index}>
+                <button type="button" onClick={() => goToLine(err.line)} title="Go to line">
+                  <span className="json-editor-error-line">Line {err.line}</span>
+                  {err.path && <code>{err.path}</code>}
+                  <span>{err.message}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
       </div>
       
       {hint && <small className="json-editor-hint">{hint}</small>}
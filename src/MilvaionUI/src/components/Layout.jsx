@@ -1,10 +1,32 @@
 import { Link, useLocation, useNavigate } from 'react-router-dom'
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo } from 'react'
 import Icon from './Icon'
+import NotificationBell from './NotificationBell'
 import authService from '../services/authService'
 import { useTheme } from '../contexts/ThemeContext'
+import { usePermissions } from '../hooks/usePermissions'
+import { useNotifications } from '../hooks/useNotifications'
+import { getRoutePermissions } from '../utils/permissions'
 import './Layout.css'
 
+const MAIN_NAV_ITEMS = [
+  { path: '/dashboard', label: 'Dashboard', icon: 'dashboard' },
+  { path: '/jobs', label: 'Jobs', icon: 'settings' },
+  { path: '/executions', label: 'Executions', icon: 'assignment' },
+  { path: '/calendar', label: 'Calendar', icon: 'calendar_month' },
+  { path: '/failed-executions', label: 'Failed Executions', icon: 'error' },
+  { path: '/tags', label: 'Tags', icon: 'label' },
+]
+
+const ADMIN_NAV_ITEMS = [
+  { path: '/workers', label: 'Workers', icon: 'engineering' },
+  { path: '/admin', label: 'Monitoring', icon: 'monitor_heart', exact: true },
+  { path: '/configuration', label: 'Configuration', icon: 'tune' },
+  { path: '/users', label: 'Users', icon: 'group' },
+  { path: '/roles', label: 'Roles', icon: 'shield_person' },
+  { path: '/activity-logs', label: 'Activity Log', icon: 'manage_history' },
+]
+
 function Layout({ children }) {
 const location = useLocation()
 const navigate = useNavigate()
@@ -14,10 +36,31 @@ const [showAdminMenu, setShowAdminMenu] = useState(true)
 const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(false)
 const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false)
 const user = authService.getCurrentUser()
+const { menuItems, getMenuItem, canAccessRoute } = usePermissions()
+const { unseenCount } = useNotifications()
+
+  const mainNavItems = MAIN_NAV_ITEMS.filter(item => canAccessRoute(item.path))
+
+  // Static admin pages plus accessible server menu items that point to a page this UI has.
+  // Server menu items carry localized names, so they override the static labels.
+  const adminNavItems = useMemo(() => {
+    const items = ADMIN_NAV_ITEMS
+      .filter(item => canAccessRoute(item.path))
+      .map(item => ({ ...item, label: getMenuItem(item.path)?.name || item.label }))
 
-  // Close mobile menu when route changes
+    const serverItems = menuItems
+      .flatMap(item => item.childrens?.length ? item.childrens : [item])
+      .filter(item => item.url && getRoutePermissions(item.url) && !items.some(i => i.path === item.url))
+      .sort((a, b) => a.order - b.order)
+      .map(item => ({ path: item.url, label: item.name, icon: 'chevron_right' }))
+
+    return [...items, ...serverItems]
+  }, [menuItems, getMenuItem, canAccessRoute])
+
+  // Close mobile and account menus when route changes
   useEffect(() => {
     setIsMobileMenuOpen(false)
+    setShowUserMenu(false)
   }, [location.pathname])
 
   // Close mobile menu on escape key
@@ -53,8 +96,9 @@ const user = authService.getCurrentUser()
     return location.pathname === path
   }
 
-  const handleLogout = () => {
-    authService.logout()
+  const handleLogout = async () => {
+    setShowUserMenu(false)
+    await authService.logout()
     navigate('/login')
   }
 
@@ -75,6 +119,7 @@ const user = authService.getCurrentUser()
         aria-label="Toggle menu"
       >
         <Icon name={isMobileMenuOpen ? 'close' : 'menu'} size={24} />
+        {!isMobileMenuOpen && unseenCount > 0 && <span className="mobile-menu-badge" />}
       </button>
 
       {/* Mobile Backdrop */}
@@ -95,15 +140,18 @@ const user = authService.getCurrentUser()
                 </div>
               )}
             </Link>
-            {!isSidebarCollapsed && (
-              <button
-                className="sidebar-toggle"
-                onClick={toggleSidebar}
-                title="Collapse sidebar"
-              >
-                <Icon name="chevron_left" size={24} />
-              </button>
-            )}
+            <div className="sidebar-header-actions">
+              <NotificationBell collapsed={isSidebarCollapsed} />
+              {!isSidebarCollapsed && (
+                <button
+                  className="sidebar-toggle"
+                  onClick={toggleSidebar}
+                  title="Collapse sidebar"
+                >
+                  <Icon name="chevron_left" size={24} />
+                </button>
+              )}
+            </div>
           </div>
           {isSidebarCollapsed && (
             <button
@@ -116,39 +164,17 @@ const user = authService.getCurrentUser()
           )}
         </div>
         <ul className="nav-menu">
-          <li className={isActive('/dashboard') ? 'active' : ''}>
-            <Link to="/dashboard" title="Dashboard">
-              <Icon name="dashboard" size={20} />
-              {!isSidebarCollapsed && <span>Dashboard</span>}
-            </Link>
-          </li>
-          <li className={isActive('/jobs') ? 'active' : ''}>
-            <Link to="/jobs" title="Jobs">
-              <Icon name="settings" size={20} />
-              {!isSidebarCollapsed && <span>Jobs</span>}
-            </Link>
-          </li>
-          <li className={isActive('/executions') ? 'active' : ''}>
-            <Link to="/executions" title="Executions">
-              <Icon name="assignment" size={20} />
-              {!isSidebarCollapsed && <span>Executions</span>}
-            </Link>
-          </li>
-          <li className={isActive('/failed-executions') ? 'active' : ''}>
-            <Link to="/failed-executions" title="Failed Executions">
-              <Icon name="error" size={20} />
-              {!isSidebarCollapsed && <span>Failed Executions</span>}
-            </Link>
-          </li>
-          <li className={isActive('/tags') ? 'active' : ''}>
-            <Link to="/tags" title="Tags">
-              <Icon name="label" size={20} />
-              {!isSidebarCollapsed && <span>Tags</span>}
-            </Link>
-          </li>
+          {mainNavItems.map(item => (
+            <li key={item.path} className={isActive(item.path) ? 'active' : ''}>
+              <Link to={item.path} title={item.label}>
+                <Icon name={item.icon} size={20} />
+                {!isSidebarCollapsed && <span>{item.label}</span>}
+              </Link>
+            </li>
+          ))}
 
           {/* Admin Collapsible Menu - Normal Mode */}
-          {!isSidebarCollapsed && (
+          {!isSidebarCollapsed && adminNavItems.length > 0 && (
             <li className="nav-group">
               <button
                 className="nav-group-header"
@@ -163,49 +189,27 @@ const user = authService.getCurrentUser()
               </button>
               {showAdminMenu && (
                 <ul className="nav-submenu">
-                  <li className={isActive('/workers') ? 'active' : ''}>
-                    <Link to="/workers">
-                      <Icon name="engineering" size={18} />
-                      <span>Workers</span>
-                    </Link>
-                  </li>
-                  <li className={isExactActive('/admin') ? 'active' : ''}>
-                    <Link to="/admin">
-                      <Icon name="monitor_heart" size={18} />
-                      <span>Monitoring</span>
-                    </Link>
-                  </li>
-                  <li className={isActive('/configuration') ? 'active' : ''}>
-                    <Link to="/configuration">
-                      <Icon name="tune" size={18} />
-                      <span>Configuration</span>
-                    </Link>
-                  </li>
+                  {adminNavItems.map(item => (
+                    <li key={item.path} className={(item.exact ? isExactActive(item.path) : isActive(item.path)) ? 'active' : ''}>
+                      <Link to={item.path}>
+                        <Icon name={item.icon} size={18} />
+                        <span>{item.label}</span>
+                      </Link>
+                    </li>
+                  ))}
                 </ul>
               )}
             </li>
           )}
 
           {/* Admin Menu Items - Collapsed Mode (Show children directly) */}
-          {isSidebarCollapsed && (
-            <>
-              <li className={isActive('/workers') ? 'active' : ''}>
-                <Link to="/workers" title="Workers">
-                  <Icon name="engineering" size={20} />
-                </Link>
-              </li>
-              <li className={isExactActive('/admin') ? 'active' : ''}>
-                <Link to="/admin" title="Monitoring">
-                  <Icon name="monitor_heart" size={20} />
-                </Link>
-              </li>
-              <li className={isActive('/configuration') ? 'active' : ''}>
-                <Link to="/configuration" title="Configuration">
-                  <Icon name="tune" size={20} />
-                </Link>
-              </li>
-            </>
-          )}
+          {isSidebarCollapsed && adminNavItems.map(item => (
+            <li key={item.path} className={(item.exact ? isExactActive(item.path) : isActive(item.path)) ? 'active' : ''}>
+              <Link to={item.path} title={item.label}>
+                <Icon name={item.icon} size={20} />
+              </Link>
+            </li>
+          ))}
         </ul>
 
 
@@ -277,6 +281,19 @@ const user = authService.getCurrentUser()
 
             {!isSidebarCollapsed && showUserMenu && (
               <div className="user-menu-dropdown">
+                <Link to="/account/profile" className="user-menu-item">
+                  <Icon name="account_circle" size={20} />
+                  <span>My Profile</span>
+                </Link>
+                <Link to="/account/password" className="user-menu-item">
+                  <Icon name="password" size={20} />
+                  <span>Change Password</span>
+                </Link>
+                <Link to="/account/notifications" className="user-menu-item">
+                  <Icon name="notifications" size={20} />
+                  <span>Notifications</span>
+                </Link>
+                <div className="user-menu-divider" />
                 <button onClick={handleLogout} className="logout-button">
                   <Icon name="logout" size={20} />
                   <span>Sign Out</span>
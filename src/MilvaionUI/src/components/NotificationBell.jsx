@@ -0,0 +1,147 @@
+import { useState, useEffect, useRef } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import Icon from './Icon'
+import notificationService from '../services/notificationService'
+import { useNotifications } from '../hooks/useNotifications'
+import { formatRelativeTime } from '../utils/dateUtils'
+import './NotificationBell.css'
+
+const MAX_DROPDOWN_ITEMS = 10
+
+function NotificationBell({ collapsed = false }) {
+  const navigate = useNavigate()
+  const { notifications, liveNotifications, unseenCount, markAsSeen, markAllAsSeen, remove } = useNotifications()
+  const [isOpen, setIsOpen] = useState(false)
+  const containerRef = useRef(null)
+
+  const items = [
+    ...liveNotifications,
+    ...notifications.map(notificationService.toDisplay),
+  ].slice(0, MAX_DROPDOWN_ITEMS)
+
+  // Close on outside click and escape key
+  useEffect(() => {
+    if (!isOpen) return
+
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false)
+      }
+    }
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') setIsOpen(false)
+    }
+
+    document.addEventListener('mousedown', handleClickOutside)
+    document.addEventListener('keydown', handleEscape)
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside)
+      document.removeEventListener('keydown', handleEscape)
+    }
+  }, [isOpen])
+
+  const handleItemClick = (item) => {
+    if (!item.isSeen) {
+      markAsSeen([item.id]).catch(err => console.error('Failed to mark notification as seen:', err))
+    }
+
+    if (item.actionLink) {
+      setIsOpen(false)
+      navigate(item.actionLink)
+    }
+  }
+
+  const handleAction = (e, action) => {
+    e.stopPropagation()
+    action().catch(err => console.error('Notification action failed:', err))
+  }
+
+  return (
+    <div className="notification-bell-container" ref={containerRef}>
+      <button
+        className={`notification-bell ${unseenCount > 0 ? 'has-unseen' : ''}`}
+        onClick={() => setIsOpen(!isOpen)}
+        title={unseenCount > 0 ? `${unseenCount} unread notifications` : 'Notifications'}
+        aria-label="Notifications"
+      >
+        <Icon name={unseenCount > 0 ? 'notifications_active' : 'notifications'} size={22} />
+        {unseenCount > 0 && (
+          <span className="notification-badge">{unseenCount > 99 ? '99+' : unseenCount}</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className={`notification-dropdown ${collapsed ? 'sidebar-collapsed' : ''}`}>
+          <div className="notification-dropdown-header">
+            <h3>Notifications</h3>
+            {unseenCount > 0 && (
+              <button className="notification-link-btn" onClick={(e) => handleAction(e, markAllAsSeen)}>
+                <Icon name="done_all" size={16} />
+                Mark all as seen
+              </button>
+            )}
+          </div>
+
+          <div className="notification-dropdown-list">
+            {items.length === 0 ? (
+              <div className="notification-empty">
+                <Icon name="notifications_off" size={32} />
+                <span>You&apos;re all caught up</span>
+              </div>
+            ) : (
+              items.map(item => (
+                <NotificationItem
+                  key={item.id}
+                  item={item}
+                  onClick={() => handleItemClick(item)}
+                  onMarkSeen={(e) => handleAction(e, () => markAsSeen([item.id]))}
+                  onDelete={(e) => handleAction(e, () => remove([item.id]))}
+                />
+              ))
+            )}
+          </div>
+
+          <Link to="/account/notifications" className="notification-dropdown-footer" onClick={() => setIsOpen(false)}>
+            View all notifications
+            <Icon name="arrow_forward" size={16} />
+          </Link>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export function NotificationItem({ item, onClick, onMarkSeen, onDelete, children }) {
+  return (
+    <div
+      className={`notification-item ${item.severity} ${item.isSeen ? 'seen' : 'unseen'} ${item.actionLink ? 'clickable' : ''}`}
+      onClick={onClick}
+    >
+      {children}
+      <span className="notification-item-icon">
+        <Icon name={item.icon} size={20} />
+      </span>
+      <div className="notification-item-content">
+        <span className="notification-item-title">
+          {item.title}
+          {item.id.toString().startsWith('live-') && <span className="notification-live-tag">live</span>}
+        </span>
+        <span className="notification-item-message">{item.message}</span>
+        {item.date && <span className="notification-item-date">{formatRelativeTime(item.date)}</span>}
+      </div>
+      <div className="notification-item-actions">
+        {!item.isSeen && (
+          <button className="notification-icon-btn" onClick={onMarkSeen} title="Mark as seen">
+            <Icon name="done" size={16} />
+          </button>
+        )}
+        <button className="notification-icon-btn delete" onClick={onDelete} title="Delete">
+          <Icon name="delete" size={16} />
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default NotificationBell
@@ -0,0 +1,76 @@
+import { useState } from 'react'
+import { toDateTimeInputValue, formatTimeZoneLabel } from '../utils/dateUtils'
+import './PauseJobForm.css'
+
+const PAUSE_DURATIONS = [
+  // Hours, resolved by useJobPause when the pause is confirmed
+  { value: '', label: 'Until resumed manually' },
+  { value: '1', label: '1 hour' },
+  { value: '4', label: '4 hours' },
+  { value: '24', label: '24 hours' },
+  { value: 'custom', label: 'Until a specific time' },
+]
+
+/**
+ * Optional reason and resume time of a job pause, shown in a modal.
+ * @param {Object} props
+ * @param {string} props.jobName - Name of the job to pause
+ * @param {Object} props.initialValues - Initial form values ({ reason, duration, customUntil })
+ * @param {Function} props.onChange - Called with the form values after every change
+ * @param {string} props.timeZone - Display time zone of the custom resume time
+ */
+function PauseJobForm({ jobName, initialValues, onChange, timeZone }) {
+  const [values, setValues] = useState(initialValues)
+
+  const handleChange = (e) => {
+    const newValues = { ...values, [e.target.name]: e.target.value }
+    setValues(newValues)
+    onChange(newValues)
+  }
+
+  return (
+    <div className="pause-job-form">
+      <p className="pause-job-description">
+        <strong>{jobName}</strong> will not be scheduled while it is paused. Manual triggers are disabled too.
+      </p>
+
+      <div className="form-group">
+        <label htmlFor="pauseReason">Reason (optional)</label>
+        <textarea
+          id="pauseReason"
+          name="reason"
+          className="form-control"
+          rows="3"
+          maxLength={500}
+          placeholder="e.g. Incident INC-1234, downstream API is down"
+          value={values.reason}
+          onChange={handleChange}
+        />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="pauseDuration">Resume</label>
+        <select id="pauseDuration" name="duration" className="form-control" value={values.duration} onChange={handleChange}>
+          {PAUSE_DURATIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+        </select>
+      </div>
+
+      {values.duration === 'custom' && (
+        <div className="form-group">
+          <label htmlFor="pauseUntil">Resume at ({formatTimeZoneLabel(timeZone)})</label>
+          <input
+            id="pauseUntil"
+            name="customUntil"
+            type="datetime-local"
+            className="form-control"
+            min={toDateTimeInputValue(new Date(), timeZone)}
+            value={values.customUntil}
+            onChange={handleChange}
+          />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PauseJobForm
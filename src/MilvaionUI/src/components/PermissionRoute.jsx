@@ -0,0 +1,35 @@
+import { Link, useLocation } from 'react-router-dom'
+import Icon from './Icon'
+import { usePermissions } from '../hooks/usePermissions'
+import { ROUTE_PERMISSIONS } from '../utils/permissions'
+
+// Renders children only when the current user has permission for the current route
+function PermissionRoute({ children }) {
+  const location = useLocation()
+  const { canAccessRoute } = usePermissions()
+
+  if (!canAccessRoute(location.pathname)) {
+    // First list page the user can open, to offer a way out
+    const fallbackPath = ROUTE_PERMISSIONS
+      .map(route => route.path)
+      .find(path => !path.includes(':') && !path.endsWith('/new') && canAccessRoute(path))
+
+    return (
+      <div className="access-denied">
+        <Icon name="lock" size={64} />
+        <h2>Access Denied</h2>
+        <p>You do not have permission to view this page. Ask an administrator to grant the required role.</p>
+        {fallbackPath && fallbackPath !== location.pathname && (
+          <Link to={fallbackPath} className="access-denied-link">
+            <Icon name="arrow_back" size={18} />
+            Go to an accessible page
+          </Link>
+        )}
+      </div>
+    )
+  }
+
+  return children
+}
+
+export default PermissionRoute
@@ -1,10 +1,20 @@
+import { useEffect } from 'react'
 import { Navigate, useLocation } from 'react-router-dom'
 import authService from '../services/authService'
+import sessionManager from '../services/sessionManager'
 
 function ProtectedRoute({ children }) {
   const location = useLocation()
   const isAuthenticated = authService.isAuthenticated()
 
+  // Keep the token fresh and in sync with other tabs while the protected app is open
+  useEffect(() => {
+    if (!isAuthenticated) return
+
+    sessionManager.start()
+    return () => sessionManager.stop()
+  }, [isAuthenticated])
+
   if (!isAuthenticated) {
     // Redirect to login page but save the attempted location
     return <Navigate to="/login" state={{ from: location }} replace />
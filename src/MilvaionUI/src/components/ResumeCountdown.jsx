@@ -0,0 +1,32 @@
+import { useState, useEffect } from 'react'
+import Icon from './Icon'
+import { formatCountdown, formatDateTime } from '../utils/dateUtils'
+import './ResumeCountdown.css'
+
+/**
+ * Live countdown to the automatic resume of a paused job
+ * @param {Object} props
+ * @param {string} props.until - Resume time (ISO)
+ * @param {boolean} props.compact - Show only the remaining time, without the label
+ */
+function ResumeCountdown({ until, compact = false }) {
+  const [now, setNow] = useState(() => Date.now())
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  const remaining = new Date(until).getTime() - now
+
+  return (
+    <span className="resume-countdown" title={`Resumes automatically at ${formatDateTime(until)}`}>
+      <Icon name="timer" size={14} />
+      {remaining > 0
+        ? `${compact ? '' : 'Resumes in '}${formatCountdown(remaining)}`
+        : 'Resuming...'}
+    </span>
+  )
+}
+
+export default ResumeCountdown
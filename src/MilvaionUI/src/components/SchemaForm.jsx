@@ -0,0 +1,428 @@
+import { useState, useEffect } from 'react'
+import moment from 'moment'
+import Icon from './Icon'
+import { getSchemaType, isRequiredProperty, createDefaultValue } from '../utils/jsonSchema'
+import './SchemaForm.css'
+
+const INPUT_TYPES_BY_FORMAT = {
+  'date-time': 'datetime-local',
+  date: 'date',
+  time: 'time',
+  email: 'email',
+  uri: 'url',
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+const childPath = (path, key) => path ? `${path}.${key}` : key
+
+// Short description of the schema constraints, shown below the field
+const describeConstraints = (schema) => {
+  const parts = []
+
+  if (schema.minimum !== undefined) parts.push(`min ${schema.minimum}`)
+  if (schema.exclusiveMinimum !== undefined) parts.push(`> ${schema.exclusiveMinimum}`)
+  if (schema.maximum !== undefined) parts.push(`max ${schema.maximum}`)
+  if (schema.exclusiveMaximum !== undefined) parts.push(`< ${schema.exclusiveMaximum}`)
+  if (schema.minLength !== undefined) parts.push(`at least ${schema.minLength} characters`)
+  if (schema.maxLength !== undefined) parts.push(`at most ${schema.maxLength} characters`)
+  if (schema.minItems !== undefined) parts.push(`at least ${schema.minItems} items`)
+  if (schema.maxItems !== undefined) parts.push(`at most ${schema.maxItems} items`)
+  if (schema.pattern) parts.push(`pattern ${schema.pattern}`)
+  if (schema.format) parts.push(schema.format)
+
+  return parts.join(', ')
+}
+
+// Date-time values are stored as ISO strings, the input works in local time
+const toDateTimeInput = (value) => {
+  if (!value) return ''
+  const date = moment(value)
+  return date.isValid() ? date.format('YYYY-MM-DDTHH:mm:ss') : ''
+}
+
+/**
+ * Validation errors of a single path
+ */
+function FieldErrors({ errors, path }) {
+  const pathErrors = errors.filter(err => err.path === path)
+  if (pathErrors.length === 0) return null
+
+  return pathErrors.map((err, index) => (
+    <span key={index} className="schema-form-error">{err.message}</span>
+  ))
+}
+
+/**
+ * Free-form JSON input for values without a usable schema (objects without properties, untyped values)
+ */
+function RawValueField({ id, value, onChange, disabled }) {
+  const [text, setText] = useState(value === undefined ? '' : JSON.stringify(value, null, 2))
+  const [error, setError] = useState(null)
+
+  // Follow outside changes (e.g. edits in the JSON view) unless the current text already represents them
+  useEffect(() => {
+    setText(prev => {
+      try {
+        if (prev.trim() !== '' && JSON.stringify(JSON.parse(prev)) === JSON.stringify(value)) return prev
+      } catch {
+        // Keep showing the invalid text while the user is typing
+        return prev
+      }
+      return value === undefined ? '' : JSON.stringify(value, null, 2)
+    })
+  }, [value])
+
+  const handleChange = (e) => {
+    const newText = e.target.value
+    setText(newText)
+
+    if (newText.trim() === '') {
+      setError(null)
+      onChange(undefined)
+      return
+    }
+
+    try {
+      onChange(JSON.parse(newText))
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <>
+      <textarea
+        id={id}
+        className={`schema-form-raw ${error ? 'invalid' : ''}`}
+        value={text}
+        onChange={handleChange}
+        rows={3}
+        spellCheck={false}
+        disabled={disabled}
+        placeholder="JSON value"
+      />
+      {error && <span className="schema-form-error">{error}</span>}
+    </>
+  )
+}
+
+/**
+ * Input for a single scalar value (string, number, integer, boolean or enum)
+ */
+function ScalarInput({ id, schema, type, value, required, onChange, disabled }) {
+  if (schema.enum) {
+    const index = schema.enum.findIndex(option => JSON.stringify(option) === JSON.stringify(value))
+
+    return (
+      <select
+        id={id}
+        value={index >= 0 ? index : ''}
+        onChange={(e) => onChange(e.target.value === '' ? undefined : schema.enum[parseInt(e.target.value)])}
+        required={required}
+        disabled={disabled}
+      >
+        <option value="">{required ? 'Select...' : '(not set)'}</option>
+        {schema.enum.map((option, i) => (
+          <option key={i} value={i}>{String(option)}</option>
+        ))}
+      </select>
+    )
+  }
+
+  if (type === 'boolean') {
+    return (
+      <label className="schema-form-checkbox">
+        <input
+          type="checkbox"
+          id={id}
+          checked={value === true}
+          onChange={(e) => onChange(e.target.checked)}
+          disabled={disabled}
+        />
+        <span>{value === undefined ? 'Not set' : value ? 'true' : 'false'}</span>
+      </label>
+    )
+  }
+
+  if (type === 'integer' || type === 'number') {
+    return (
+      <input
+        type="number"
+        id={id}
+        value={value ?? ''}
+        onChange={(e) => onChange(e.target.value === '' ? undefined : Number(e.target.value))}
+        min={schema.minimum ?? schema.exclusiveMinimum}
+        max={schema.maximum ?? schema.exclusiveMaximum}
+        step={type === 'integer' ? 1 : 'any'}
+        placeholder={schema.default !== undefined ? `${schema.default}` : ''}
+        required={required}
+        disabled={disabled}
+      />
+    )
+  }
+
+  if (schema.format === 'date-time') {
+    return (
+      <input
+        type="datetime-local"
+        id={id}
+        value={toDateTimeInput(value)}
+        onChange={(e) => onChange(e.target.value === '' ? undefined : moment(e.target.value).toISOString())}
+        step={1}
+        required={required}
+        disabled={disabled}
+      />
+    )
+  }
+
+  return (
+    <div className="schema-form-input-row">
+      <input
+        type={INPUT_TYPES_BY_FORMAT[schema.format] || 'text'}
+        id={id}
+        value={value ?? ''}
+        onChange={(e) => onChange(e.target.value === '' && !required ? undefined : e.target.value)}
+        minLength={schema.minLength}
+        maxLength={schema.maxLength}
+        step={schema.format === 'time' ? 1 : undefined}
+        placeholder={schema.default !== undefined ? `${schema.default}` : schema.format === 'uuid' ? '00000000-0000-0000-0000-000000000000' : ''}
+        required={required}
+        disabled={disabled}
+      />
+      {schema.format === 'uuid' && !disabled && (
+        <button
+          type="button"
+          className="schema-form-icon-btn"
+          onClick={() => onChange(crypto.randomUUID())}
+          title="Generate new ID"
+        >
+          <Icon name="autorenew" size={16} />
+        </button>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Editor for an array value, each item is rendered with the items schema
+ */
+function ArrayField({ id, path, schema, value, errors, onChange, disabled }) {
+  const items = Array.isArray(value) ? value : []
+  const itemSchema = schema.items || {}
+  const canAdd = schema.maxItems === undefined || items.length < schema.maxItems
+  const canRemove = schema.minItems === undefined || items.length > schema.minItems
+
+  const setItem = (index, itemValue) => {
+    const next = [...items]
+    next[index] = itemValue === undefined ? createDefaultValue(itemSchema) : itemValue
+    onChange(next)
+  }
+
+  const moveItem = (index, offset) => {
+    const next = [...items]
+    const [item] = next.splice(index, 1)
+    next.splice(index + offset, 0, item)
+    onChange(next)
+  }
+
+  return (
+    <div className="schema-form-array">
+      {items.length === 0 && <div className="schema-form-empty">No items</div>}
+      {items.map((item, index) => (
+        <div key={index} className="schema-form-array-item">
+          <span className="schema-form-array-index">{index + 1}</span>
+          <div className="schema-form-array-value">
+            <FieldInput
+              id={`${id}-${index}`}
+              path={`${path}[${index}]`}
+              schema={itemSchema}
+              value={item}
+              errors={errors}
+              required
+              onChange={(itemValue) => setItem(index, itemValue)}
+              disabled={disabled}
+            />
+            <FieldErrors errors={errors} path={`${path}[${index}]`} />
+          </div>
+          {!disabled && (
+            <div className="schema-form-array-actions">
+              <button type="button" className="schema-form-icon-btn" onClick={() => moveItem(index, -1)} disabled={index === 0} title="Move up">
+                <Icon name="arrow_upward" size={16} />
+              </button>
+              <button type="button" className="schema-form-icon-btn" onClick={() => moveItem(index, 1)} disabled={index === items.length - 1} title="Move down">
+                <Icon name="arrow_downward" size={16} />
+              </button>
+              <button type="button" className="schema-form-icon-btn danger" onClick={() => onChange(items.filter((_, i) => i !== index))} disabled={!canRemove} title="Remove item">
+                <Icon name="delete" size={16} />
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+      {!disabled && (
+        <button
+          type="button"
+          className="schema-form-add-btn"
+          onClick={() => onChange([...items, createDefaultValue(itemSchema)])}
+          disabled={!canAdd}
+        >
+          <Icon name="add" size={16} />
+          Add item
+        </button>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Fields of an object schema. Properties that are not in the schema are kept as they are.
+ */
+function ObjectFields({ id, path, schema, value, errors, onChange, disabled }) {
+  const current = isPlainObject(value) ? value : {}
+  const properties = schema.properties || {}
+  const extraKeys = Object.keys(current).filter(key => !(key in properties))
+
+  const setProperty = (key, propertyValue) => {
+    const next = { ...current }
+    if (propertyValue === undefined) {
+      delete next[key]
+    } else {
+      next[key] = propertyValue
+    }
+    onChange(next)
+  }
+
+  return (
+    <div className="schema-form-fields">
+      {Object.entries(properties).map(([key, propertySchema]) => (
+        <SchemaField
+          key={key}
+          id={`${id}-${key}`}
+          path={childPath(path, key)}
+          name={key}
+          schema={propertySchema}
+          value={current[key]}
+          errors={errors}
+          required={isRequiredProperty(schema, key)}
+          onChange={(propertyValue) => setProperty(key, propertyValue)}
+          disabled={disabled}
+        />
+      ))}
+      {extraKeys.length > 0 && (
+        <div className="schema-form-extra">
+          <Icon name="info" size={14} />
+          <span>Not in schema, kept as-is: {extraKeys.join(', ')}</span>
+        </div>
+      )}
+      {extraKeys.map(key => (
+        <FieldErrors key={key} errors={errors} path={childPath(path, key)} />
+      ))}
+    </div>
+  )
+}
+
+/**
+ * Input for a value of any schema type, without a label
+ */
+function FieldInput({ id, path, schema, value, errors, required, onChange, disabled }) {
+  const type = getSchemaType(schema)
+
+  if (type === 'object' && schema.properties && Object.keys(schema.properties).length > 0) {
+    return <ObjectFields id={id} path={path} schema={schema} value={value} errors={errors} onChange={onChange} disabled={disabled} />
+  }
+
+  if (type === 'array') {
+    return <ArrayField id={id} path={path} schema={schema} value={value} errors={errors} onChange={onChange} disabled={disabled} />
+  }
+
+  if (schema.enum || ['string', 'integer', 'number', 'boolean'].includes(type)) {
+    return <ScalarInput id={id} schema={schema} type={type} value={value} required={required} onChange={onChange} disabled={disabled} />
+  }
+
+  return <RawValueField id={id} value={value} onChange={onChange} disabled={disabled} />
+}
+
+/**
+ * Labeled field for an object property
+ */
+function SchemaField({ id, path, name, schema, value, errors, required, onChange, disabled }) {
+  const type = getSchemaType(schema)
+  const isGroup = (type === 'object' && schema.properties) || type === 'array'
+  const constraints = describeConstraints(schema)
+  const hasErrors = errors.some(err => err.path === path)
+
+  const label = (
+    <>
+      <span className="schema-form-name">{schema.title || name}</span>
+      {type && <span className={`schema-form-type type-${type}`}>{type}</span>}
+      {required && <span className="required">*</span>}
+    </>
+  )
+
+  const body = (
+    <>
+      {schema.description && <small className="schema-form-description">{schema.description}</small>}
+      <FieldInput id={id} path={path} schema={schema} value={value} errors={errors} required={required} onChange={onChange} disabled={disabled} />
+      {constraints && <small className="schema-form-constraints">{constraints}</small>}
+    </>
+  )
+
+  if (isGroup) {
+    return (
+      <fieldset className={`schema-form-group ${hasErrors ? 'invalid' : ''}`}>
+        <legend>
+          {label}
+          {!disabled && value === undefined && (
+            <button type="button" className="schema-form-link-btn" onClick={() => onChange(createDefaultValue(schema))}>
+              Add
+            </button>
+          )}
+          {!disabled && value !== undefined && !required && (
+            <button type="button" className="schema-form-link-btn" onClick={() => onChange(undefined)}>
+              Remove
+            </button>
+          )}
+        </legend>
+        {value !== undefined && body}
+        <FieldErrors errors={errors} path={path} />
+      </fieldset>
+    )
+  }
+
+  return (
+    <div className={`schema-form-field ${hasErrors ? 'invalid' : ''}`}>
+      <label htmlFor={id}>{label}</label>
+      {body}
+      <FieldErrors errors={errors} path={path} />
+    </div>
+  )
+}
+
+/**
+ * Form generated from a JSON Schema (worker jobDataDefinitions) for editing an object value.
+ * Supports nested objects, arrays, enums, string formats, required fields, defaults and
+ * min/max/length/pattern constraints. Values without a usable schema are edited as raw JSON.
+ *
+ * @param {Object} props
+ * @param {Object} props.schema - Parsed JSON Schema of the object
+ * @param {Object} props.value - Current object value
+ * @param {Function} props.onChange - Called with the new object value
+ * @param {Array<{path: string, message: string}>} props.errors - Validation errors (validateSchema), shown at their fields
+ * @param {boolean} props.disabled - Render the form read-only
+ */
+function SchemaForm({ schema, value, onChange, errors = [], disabled = false }) {
+  if (!schema?.properties || Object.keys(schema.properties).length === 0) {
+    return <div className="schema-form-empty">This job does not define any job data fields.</div>
+  }
+
+  return (
+    <div className="schema-form">
+      <ObjectFields id="schema-form" path="" schema={schema} value={value} errors={errors} onChange={onChange} disabled={disabled} />
+      <FieldErrors errors={errors} path="" />
+    </div>
+  )
+}
+
+export default SchemaForm
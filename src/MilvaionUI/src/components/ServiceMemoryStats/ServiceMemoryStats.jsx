@@ -1,6 +1,7 @@
 import { useState, useEffect, useCallback } from 'react'
 import api from '../../services/api'
 import Icon from '../Icon'
+import { formatDate } from '../../utils/dateUtils'
 import './ServiceMemoryStats.css'
 
 function ServiceMemoryStats() {
@@ -259,7 +260,7 @@ function ServiceMemoryStats() {
         {/* Timestamp */}
         <div className="memory-stats-timestamp">
           <Icon name="schedule" size={14} />
-          <span>Last updated: {new Date(memoryStats.timestamp).toLocaleTimeString()}</span>
+          <span>Last updated: {formatDate(memoryStats.timestamp, 'LTS')}</span>
         </div>
       </div>
     </div>
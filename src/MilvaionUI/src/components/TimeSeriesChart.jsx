@@ -0,0 +1,159 @@
+import { useState, useRef } from 'react'
+import { formatDate } from '../utils/dateUtils'
+import './TimeSeriesChart.css'
+
+const WIDTH = 600
+const PADDING = { top: 12, right: 12, bottom: 24, left: 48 }
+const Y_TICKS = 4
+const X_TICKS = 6
+
+// Round the axis maximum up to a 1/2/5 step so gridlines land on readable values
+const niceMax = (value) => {
+  if (!value || value <= 0) return 1
+
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)))
+  const step = [1, 2, 5, 10].find(s => s * magnitude >= value)
+
+  return step * magnitude
+}
+
+/**
+ * Lightweight SVG line chart for bucketed time series
+ * @param {Object} props
+ * @param {Array<number>} props.timestamps - Bucket start times (ms), shared by all series
+ * @param {Array<Object>} props.series - Lines as { key, label, color, values }, null values leave a gap
+ * @param {Function} props.formatValue - Formats axis and tooltip values
+ * @param {number} props.maxValue - Fixed axis maximum, derived from the data when omitted
+ * @param {Array<Object>} props.markers - Vertical event lines as { time, label } (e.g. version changes)
+ * @param {string} props.timeFormat - moment format of the axis labels
+ * @param {string} props.tooltipFormat - moment format of the tooltip time
+ * @param {number} props.height - Chart height in SVG units
+ */
+function TimeSeriesChart({ timestamps, series, formatValue = (v) => v, maxValue, markers = [], timeFormat = 'HH:mm', tooltipFormat = 'MMM D, HH:mm', height = 200 }) {
+  const svgRef = useRef(null)
+  const [hoverIndex, setHoverIndex] = useState(null)
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right
+  const plotHeight = height - PADDING.top - PADDING.bottom
+  const count = timestamps.length
+
+  const yMax = maxValue ?? niceMax(Math.max(0, ...series.flatMap(s => s.values.filter(v => v != null))))
+
+  const xAt = (index) => PADDING.left + (count > 1 ? (index / (count - 1)) * plotWidth : plotWidth / 2)
+  const xAtTime = (time) => {
+    const first = timestamps[0]
+    const step = count > 1 ? timestamps[1] - first : 1
+    return xAt((time - first) / step)
+  }
+  const yAt = (value) => PADDING.top + plotHeight - (Math.min(value, yMax) / yMax) * plotHeight
+
+  // One "M" per run of defined values, so missing buckets break the line
+  const buildPath = (values) => {
+    let path = ''
+    let drawing = false
+
+    values.forEach((value, index) => {
+      if (value == null) {
+        drawing = false
+        return
+      }
+
+      path += `${drawing ? 'L' : 'M'}${xAt(index).toFixed(1)},${yAt(value).toFixed(1)}`
+      drawing = true
+    })
+
+    return path
+  }
+
+  const handleMouseMove = (e) => {
+    if (count === 0) return
+
+    const rect = svgRef.current.getBoundingClientRect()
+    const x = ((e.clientX - rect.left) / rect.width) * WIDTH
+    const index = Math.round(((x - PADDING.left) / plotWidth) * (count - 1))
+
+    setHoverIndex(Math.max(0, Math.min(count - 1, index)))
+  }
+
+  const xTickStep = Math.max(1, Math.ceil(count / X_TICKS))
+  const hoverLeft = hoverIndex !== null ? (xAt(hoverIndex) / WIDTH) * 100 : 0
+
+  return (
+    <div className="time-series-chart">
+      <div className="time-series-plot">
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${WIDTH} ${height}`}
+          onMouseMove={handleMouseMove}
+          onMouseLeave={() => setHoverIndex(null)}
+        >
+          {Array.from({ length: Y_TICKS + 1 }, (_, i) => {
+            const value = (yMax / Y_TICKS) * i
+            const y = yAt(value)
+
+            return (
+              <g key={i}>
+                <line className="time-series-grid" x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y} y2={y} />
+                <text className="time-series-label" x={PADDING.left - 6} y={y} textAnchor="end" dominantBaseline="middle">
+                  {formatValue(value)}
+                </text>
+              </g>
+            )
+          })}
+
+          {timestamps.map((time, index) => (index % xTickStep === 0 && (
+            <text key={time} className="time-series-label" x={xAt(index)} y={height - 6} textAnchor="middle">
+              {formatDate(time, timeFormat)}
+            </text>
+          )))}
+
+          {markers.map(marker => (
+            <g key={`${marker.time}-${marker.label}`}>
+              <line className="time-series-marker" x1={xAtTime(marker.time)} x2={xAtTime(marker.time)} y1={PADDING.top} y2={PADDING.top + plotHeight} />
+              <text className="time-series-marker-label" x={xAtTime(marker.time) + 3} y={PADDING.top + 8}>{marker.label}</text>
+            </g>
+          ))}
+
+          {series.map(s => (
+            <path key={s.key} className="time-series-line" d={buildPath(s.values)} style={{ stroke: s.color }} />
+          ))}
+
+          {hoverIndex !== null && (
+            <g>
+              <line className="time-series-crosshair" x1={xAt(hoverIndex)} x2={xAt(hoverIndex)} y1={PADDING.top} y2={PADDING.top + plotHeight} />
+              {series.map(s => s.values[hoverIndex] != null && (
+                <circle key={s.key} cx={xAt(hoverIndex)} cy={yAt(s.values[hoverIndex])} r={3.5} style={{ fill: s.color }} />
+              ))}
+            </g>
+          )}
+        </svg>
+
+        {hoverIndex !== null && (
+          <div className={'time-series-tooltip' + (hoverLeft > 60 ? ' left' : '')} style={{ left: `${hoverLeft}%` }}>
+            <div className="time-series-tooltip-time">{formatDate(timestamps[hoverIndex], tooltipFormat)}</div>
+            {series.map(s => (
+              <div key={s.key} className="time-series-tooltip-row">
+                <span className="time-series-swatch" style={{ background: s.color }} />
+                <span>{s.label}</span>
+                <strong>{s.values[hoverIndex] != null ? formatValue(s.values[hoverIndex]) : '-'}</strong>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {series.length > 1 && (
+        <div className="time-series-legend">
+          {series.map(s => (
+            <span key={s.key} className="time-series-legend-item">
+              <span className="time-series-swatch" style={{ background: s.color }} />
+              {s.label}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TimeSeriesChart
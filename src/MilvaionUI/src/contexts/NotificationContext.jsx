@@ -0,0 +1,213 @@
+import { createContext, useState, useEffect, useCallback, useRef } from 'react';
+import notificationService from '../services/notificationService';
+import signalRService from '../services/signalRService';
+import jobService from '../services/jobService';
+import { usePermissions } from '../hooks/usePermissions';
+import { PERMISSIONS } from '../utils/permissions';
+
+const NotificationContext = createContext();
+
+// JobOccurrenceStatus values that raise a live notification
+const FAILED_STATUS = 3;
+const TIMED_OUT_STATUS = 5;
+
+const RECENT_NOTIFICATION_COUNT = 10;
+const MAX_LIVE_NOTIFICATIONS = 50;
+const POLL_INTERVAL_MS = 60000;
+const RELOAD_DEBOUNCE_MS = 2000;
+// Failures of a job within this window share one auto-disable lookup
+const JOB_CHECK_DEBOUNCE_MS = 5000;
+
+const isLiveId = (id) => typeof id === 'string' && id.startsWith('live-');
+
+export function NotificationProvider({ children }) {
+  const { hasPermission } = usePermissions();
+  const canViewJobs = hasPermission(PERMISSIONS.JOB_DETAIL);
+
+  // Inbox notifications stored by the API
+  const [notifications, setNotifications] = useState([]);
+  const [unseenCount, setUnseenCount] = useState(0);
+  // Notifications raised in this session from SignalR events (not stored by the API)
+  const [liveNotifications, setLiveNotifications] = useState([]);
+
+  // Job id -> pending auto-disable lookup timer
+  const jobCheckTimers = useRef(new Map());
+  const reloadTimer = useRef(null);
+
+  const reload = useCallback(async () => {
+    try {
+      const [recentResponse, unseenResponse] = await Promise.all([
+        notificationService.getAll({ pageNumber: 1, rowCount: RECENT_NOTIFICATION_COUNT }),
+        notificationService.getUnseen({ pageNumber: 1, rowCount: 1 }),
+      ]);
+
+      setNotifications(recentResponse?.data?.data || recentResponse?.data || []);
+      setUnseenCount(unseenResponse?.data?.totalDataCount || unseenResponse?.totalDataCount || 0);
+    } catch (err) {
+      console.error('Failed to load notifications:', err);
+    }
+  }, []);
+
+  const scheduleReload = useCallback(() => {
+    clearTimeout(reloadTimer.current);
+    reloadTimer.current = setTimeout(reload, RELOAD_DEBOUNCE_MS);
+  }, [reload]);
+
+  const addLiveNotification = useCallback((notification) => {
+    setLiveNotifications(prev => {
+      if (prev.some(n => n.id === notification.id)) return prev;
+      return [{ ...notification, date: new Date().toISOString(), isSeen: false }, ...prev].slice(0, MAX_LIVE_NOTIFICATIONS);
+    });
+  }, []);
+
+  useEffect(() => {
+    reload();
+    const interval = setInterval(reload, POLL_INTERVAL_MS);
+
+    return () => {
+      clearInterval(interval);
+      clearTimeout(reloadTimer.current);
+    };
+  }, [reload]);
+
+  // Raise live notifications for failed executions and jobs auto-disabled by them
+  useEffect(() => {
+    const checkAutoDisabled = async (jobId, jobName) => {
+      try {
+        const response = await jobService.getById(jobId);
+        const job = response?.data;
+
+        if (job && !job.isActive && job.autoDisableSettings?.disabledAt) {
+          addLiveNotification({
+            id: `live-disabled-${jobId}-${job.autoDisableSettings.disabledAt}`,
+            severity: 'error',
+            icon: 'power_off',
+            title: 'Job auto-disabled',
+            message: `${job.displayName || jobName} was disabled after ${job.autoDisableSettings.consecutiveFailureCount || 0} consecutive failures.`,
+            actionLink: `/jobs/${jobId}`,
+          });
+        }
+      } catch (err) {
+        console.error('Failed to check job status:', err);
+      }
+    };
+
+    const scheduleAutoDisabledCheck = (jobId, jobName) => {
+      const timers = jobCheckTimers.current;
+      clearTimeout(timers.get(jobId));
+      timers.set(jobId, setTimeout(() => {
+        timers.delete(jobId);
+        checkAutoDisabled(jobId, jobName);
+      }, JOB_CHECK_DEBOUNCE_MS));
+    };
+
+    const handleOccurrenceUpdated = (occurrence) => {
+      if (occurrence.status !== FAILED_STATUS && occurrence.status !== TIMED_OUT_STATUS) return;
+
+      const timedOut = occurrence.status === TIMED_OUT_STATUS;
+
+      addLiveNotification({
+        id: `live-occurrence-${occurrence.id}`,
+        severity: 'error',
+        icon: timedOut ? 'timer_off' : 'error',
+        title: timedOut ? 'Execution timed out' : 'Execution failed',
+        message: occurrence.jobName
+          ? `${occurrence.jobName} ${timedOut ? 'timed out' : 'failed'}${occurrence.workerId ? ` on ${occurrence.workerId}` : ''}.`
+          : `An execution ${timedOut ? 'timed out' : 'failed'}${occurrence.workerId ? ` on ${occurrence.workerId}` : ''}.`,
+        actionLink: `/occurrences/${occurrence.id}`,
+      });
+
+      if (occurrence.jobId && canViewJobs) {
+        scheduleAutoDisabledCheck(occurrence.jobId, occurrence.jobName);
+      }
+
+      // The API may have stored notifications for this failure
+      scheduleReload();
+    };
+
+    signalRService.connect();
+
+    const unsubscribeUpdated = signalRService.on('OccurrenceUpdated', handleOccurrenceUpdated);
+    const unsubscribeReconnected = signalRService.on('Reconnected', scheduleReload);
+
+    const timers = jobCheckTimers.current;
+
+    return () => {
+      unsubscribeUpdated();
+      unsubscribeReconnected();
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+    };
+  }, [addLiveNotification, scheduleReload, canViewJobs]);
+
+  /**
+   * Mark notifications as seen. Accepts both inbox and live notification ids.
+   *
+   * @param {Array<number|string>} ids - Notification ids
+   */
+  const markAsSeen = useCallback(async (ids) => {
+    const liveIds = ids.filter(isLiveId);
+    const inboxIds = ids.filter(id => !isLiveId(id));
+
+    if (liveIds.length > 0) {
+      setLiveNotifications(prev => prev.map(n => liveIds.includes(n.id) ? { ...n, isSeen: true } : n));
+    }
+
+    if (inboxIds.length > 0) {
+      await notificationService.markAsSeen(inboxIds);
+      await reload();
+    }
+  }, [reload]);
+
+  const markAllAsSeen = useCallback(async () => {
+    setLiveNotifications(prev => prev.map(n => ({ ...n, isSeen: true })));
+    await notificationService.markAllAsSeen();
+    await reload();
+  }, [reload]);
+
+  /**
+   * Delete notifications. Accepts both inbox and live notification ids.
+   *
+   * @param {Array<number|string>} ids - Notification ids
+   */
+  const remove = useCallback(async (ids) => {
+    const liveIds = ids.filter(isLiveId);
+    const inboxIds = ids.filter(id => !isLiveId(id));
+
+    if (liveIds.length > 0) {
+      setLiveNotifications(prev => prev.filter(n => !liveIds.includes(n.id)));
+    }
+
+    if (inboxIds.length > 0) {
+      await notificationService.delete(inboxIds);
+      await reload();
+    }
+  }, [reload]);
+
+  const removeAll = useCallback(async () => {
+    setLiveNotifications([]);
+    await notificationService.deleteAll();
+    await reload();
+  }, [reload]);
+
+  const liveUnseenCount = liveNotifications.filter(n => !n.isSeen).length;
+
+  const value = {
+    notifications,
+    liveNotifications,
+    unseenCount: unseenCount + liveUnseenCount,
+    reload,
+    markAsSeen,
+    markAllAsSeen,
+    remove,
+    removeAll,
+  };
+
+  return (
+    <NotificationContext.Provider value={value}>
+      {children}
+    </NotificationContext.Provider>
+  );
+}
+
+export default NotificationContext;
@@ -0,0 +1,122 @@
+import { createContext, useState, useEffect, useCallback, useMemo } from 'react';
+import authService from '../services/authService';
+import uiService from '../services/uiService';
+import { PERMISSIONS, getRoutePermissions } from '../utils/permissions';
+
+const PermissionContext = createContext();
+
+// Flatten hierarchical menu items (childrens) into a single list
+const flattenMenuItems = (items = []) =>
+  items.flatMap(item => [item, ...flattenMenuItems(item.childrens || [])]);
+
+export function PermissionProvider({ children }) {
+  // Permissions come from the access token so checks are available before /ui calls finish
+  const [permissions, setPermissions] = useState(() => authService.getPermissions());
+  const [menuItems, setMenuItems] = useState([]);
+  const [pages, setPages] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadUIData = useCallback(async () => {
+    setPermissions(authService.getPermissions());
+
+    const [menuResult, pagesResult] = await Promise.allSettled([
+      uiService.getMenuItems(),
+      uiService.getPages(),
+    ]);
+
+    if (menuResult.status === 'fulfilled') {
+      setMenuItems(menuResult.value?.data || []);
+    } else {
+      console.error('Failed to load menu items:', menuResult.reason);
+    }
+
+    if (pagesResult.status === 'fulfilled') {
+      setPages(pagesResult.value?.data || []);
+    } else {
+      console.error('Failed to load page permissions:', pagesResult.reason);
+    }
+
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadUIData();
+  }, [loadUIData]);
+
+  const isSuperAdmin = permissions.includes(PERMISSIONS.SUPER_ADMIN);
+
+  /**
+   * Check whether the current user has any of the given permissions.
+   * Super admins have every permission.
+   *
+   * @param {...string} required - Permission names ("Group.Name")
+   */
+  const hasPermission = useCallback((...required) => {
+    if (isSuperAdmin || required.length === 0) return true;
+    return required.some(p => permissions.includes(p));
+  }, [permissions, isSuperAdmin]);
+
+  const flatMenuItems = useMemo(() => flattenMenuItems(menuItems), [menuItems]);
+
+  /**
+   * Find the accessible menu item returned by the server for a url.
+   *
+   * @param {string} url - Frontend url (e.g. /roles)
+   */
+  const getMenuItem = useCallback((url) => {
+    return flatMenuItems.find(item => item.url === url) || null;
+  }, [flatMenuItems]);
+
+  /**
+   * Check whether the current user may open a route.
+   * Menu items returned by the server are already filtered by permissions.
+   *
+   * @param {string} path - Location pathname
+   */
+  const canAccessRoute = useCallback((path) => {
+    if (getMenuItem(path)) return true;
+
+    const required = getRoutePermissions(path);
+    return !required || hasPermission(...required);
+  }, [getMenuItem, hasPermission]);
+
+  /**
+   * Check a page action using /ui/pages information, falling back to token permissions
+   * when the page is not defined on the server.
+   *
+   * @param {string} pageName - Page name (e.g. UserManagement)
+   * @param {'create'|'detail'|'edit'|'delete'} action - Page action
+   * @param {string} fallbackPermission - Permission to check when page info is missing
+   */
+  const canOnPage = useCallback((pageName, action, fallbackPermission) => {
+    const page = pages.find(p => p.name === pageName);
+
+    if (page) {
+      const key = `userCan${action.charAt(0).toUpperCase()}${action.slice(1)}`;
+      return isSuperAdmin || !!page[key];
+    }
+
+    return hasPermission(fallbackPermission);
+  }, [pages, isSuperAdmin, hasPermission]);
+
+  const value = {
+    permissions,
+    menuItems,
+    pages,
+    loading,
+    isSuperAdmin,
+    hasPermission,
+    getMenuItem,
+    canAccessRoute,
+    canOnPage,
+    reload: loadUIData,
+  };
+
+  return (
+    <PermissionContext.Provider value={value}>
+      {children}
+    </PermissionContext.Provider>
+  );
+}
+
+export default PermissionContext;
@@ -0,0 +1,47 @@
+import { createContext, useState, useCallback } from 'react';
+import authService from '../services/authService';
+import { setDisplayTimeZone, isValidTimeZone } from '../utils/dateUtils';
+
+const TimeZoneContext = createContext();
+
+// Preference is kept per user, so operators sharing a browser keep their own zone
+const getStorageKey = () => `milvaion-timezone-${authService.getCurrentUser()?.id ?? 'anonymous'}`;
+
+const loadTimeZone = () => {
+  const saved = localStorage.getItem(getStorageKey());
+  return saved && isValidTimeZone(saved) ? saved : 'local';
+};
+
+export function TimeZoneProvider({ children }) {
+  const [timeZone, setTimeZoneState] = useState(() => {
+    const initial = loadTimeZone();
+    // Set before the first render so date helpers use it right away
+    setDisplayTimeZone(initial);
+    return initial;
+  });
+
+  /**
+   * Change the display time zone of the current user.
+   *
+   * @param {string} newTimeZone - 'UTC', 'local' or an IANA time zone
+   */
+  const setTimeZone = useCallback((newTimeZone) => {
+    const value = isValidTimeZone(newTimeZone) ? newTimeZone : 'local';
+    setDisplayTimeZone(value);
+    localStorage.setItem(getStorageKey(), value);
+    setTimeZoneState(value);
+  }, []);
+
+  const value = {
+    timeZone,
+    setTimeZone,
+  };
+
+  return (
+    <TimeZoneContext.Provider value={value}>
+      {children}
+    </TimeZoneContext.Provider>
+  );
+}
+
+export default TimeZoneContext;
@@ -0,0 +1,43 @@
+import { useState, useEffect, useMemo } from 'react'
+import workerService from '../services/workerService'
+import { parseSchema } from '../utils/jsonSchema'
+
+/**
+ * Custom hook that loads the job data JSON Schema of a job type from its worker's jobDataDefinitions.
+ * The worker is loaded only while a workerId is given, so pass null until the schema is needed.
+ *
+ * @param {string|null} workerId - Worker that runs the job
+ * @param {string} jobType - Job name in the worker
+ * @returns {Object|null} Parsed JSON Schema, null if the worker or schema is not available
+ */
+export function useJobDataSchema(workerId, jobType) {
+  const [definitions, setDefinitions] = useState({ workerId: null, jobDataDefinitions: null })
+
+  useEffect(() => {
+    if (!workerId) return
+
+    let ignore = false
+
+    const loadWorker = async () => {
+      try {
+        const response = await workerService.getById(workerId)
+        const worker = response?.data
+
+        if (!ignore) {
+          setDefinitions({ workerId, jobDataDefinitions: worker?.jobDataDefinitions || {} })
+        }
+      } catch (err) {
+        console.error('Failed to load worker job data definitions:', err)
+      }
+    }
+
+    loadWorker()
+
+    return () => { ignore = true }
+  }, [workerId])
+
+  return useMemo(() => {
+    if (!workerId || definitions.workerId !== workerId || !jobType) return null
+    return parseSchema(definitions.jobDataDefinitions?.[jobType])
+  }, [workerId, jobType, definitions])
+}
@@ -0,0 +1,130 @@
+import { useState } from 'react'
+import jobService from '../services/jobService'
+import { useModal } from './useModal'
+import { useTimeZone } from '../hooks/useTimeZone'
+import { fromDateTimeInputValue } from '../utils/dateUtils'
+import PauseJobForm from '../components/PauseJobForm'
+
+/**
+ * Resume time of a pause chosen in the PauseJobForm
+ * @param {Object} values - Form values ({ duration, customUntil })
+ * @param {string} timeZone - Display time zone the custom time was entered in
+ * @returns {string|null|undefined} ISO UTC string, null to pause until resumed manually,
+ *   undefined if the time is invalid or not in the future
+ */
+const resolvePausedUntil = (values, timeZone) => {
+  if (!values.duration) return null
+
+  const until = values.duration === 'custom'
+    ? fromDateTimeInputValue(values.customUntil, timeZone)
+    : new Date(Date.now() + Number(values.duration) * 3600000).toISOString()
+
+  if (!until || new Date(until).getTime() <= Date.now()) return undefined
+
+  return until
+}
+
+const getErrorMessage = (response, err) =>
+  response?.message ||
+  response?.messages?.[0]?.message ||
+  err?.response?.data?.message ||
+  err?.response?.data?.messages?.[0]?.message ||
+  err?.message ||
+  'Request failed'
+
+/**
+ * Custom hook for pausing and resuming jobs through the isActive field of the job update.
+ * Pausing asks for an optional reason and resume time. The change is applied optimistically
+ * and rolled back when the request fails.
+ *
+ * @returns {Object} { toggleJobActive, pendingJobIds, modalProps }
+ */
+export function useJobPause() {
+  const [pendingJobIds, setPendingJobIds] = useState([])
+  const { modalProps, showModal, showError } = useModal()
+  const { timeZone } = useTimeZone()
+
+  /**
+   * Pauses an active job or resumes a paused one.
+   *
+   * @param {Object} job - Job to pause or resume (id, isActive, autoDisableSettings)
+   * @param {Function} applyPatch - Merges a partial job into the caller's state, used for the optimistic update and the rollback
+   * @param {Function} onSuccess - Optional callback after the change was saved
+   * @returns {Promise<boolean>} True if the job was paused or resumed
+   */
+  const toggleJobActive = async (job, applyPatch, onSuccess = null) => {
+    if (pendingJobIds.includes(job.id)) return false
+
+    const pausing = job.isActive
+    let pause = { reason: null, pausedUntil: null }
+
+    if (pausing) {
+      // Latest values reported by the form, read when the modal is confirmed
+      let values = { reason: '', duration: '', customUntil: '' }
+
+      const confirmed = await showModal({
+        title: 'Pause Job',
+        message: (
+          <PauseJobForm
+            jobName={job.displayName || job.name}
+            initialValues={values}
+            onChange={(newValues) => { values = newValues }}
+            timeZone={timeZone}
+          />
+        ),
+        confirmText: 'Pause',
+        cancelText: 'Cancel',
+        showCancel: true,
+        type: 'custom'
+      })
+
+      if (!confirmed) return false
+
+      const pausedUntil = resolvePausedUntil(values, timeZone)
+
+      if (pausedUntil === undefined) {
+        await showError('Please choose a resume time in the future.')
+        return false
+      }
+
+      pause = { reason: values.reason.trim() || null, pausedUntil }
+    }
+
+    const previous = { isActive: job.isActive, autoDisableSettings: job.autoDisableSettings }
+
+    // Same settings the server stores: a pause is recorded, resuming clears pause and auto-disable info
+    applyPatch({
+      isActive: !pausing,
+      autoDisableSettings: pausing
+        ? { ...job.autoDisableSettings, pausedAt: new Date().toISOString(), pauseReason: pause.reason, pausedUntil: pause.pausedUntil }
+        : { ...job.autoDisableSettings, disabledAt: null, disableReason: null, pausedAt: null, pauseReason: null, pausedUntil: null }
+    })
+
+    setPendingJobIds(prev => [...prev, job.id])
+
+    let response
+    try {
+      response = await jobService.setActive(job.id, !pausing, pause)
+
+      if (response?.isSuccess === false) {
+        throw new Error(getErrorMessage(response, null))
+      }
+
+      onSuccess?.()
+      return true
+    } catch (err) {
+      console.error(err)
+      applyPatch(previous)
+      await showError(`Failed to ${pausing ? 'pause' : 'resume'} the job, the change was reverted. ${getErrorMessage(response, err)}`)
+      return false
+    } finally {
+      setPendingJobIds(prev => prev.filter(id => id !== job.id))
+    }
+  }
+
+  return {
+    toggleJobActive,
+    pendingJobIds,
+    modalProps
+  }
+}
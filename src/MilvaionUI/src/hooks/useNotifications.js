@@ -0,0 +1,15 @@
+import { useContext } from 'react'
+import NotificationContext from '../contexts/NotificationContext'
+
+/**
+ * Custom hook for reading the notification center state and actions from NotificationProvider.
+ *
+ * @returns {Object} { notifications, liveNotifications, unseenCount, reload, markAsSeen, markAllAsSeen, remove, removeAll }
+ */
+export function useNotifications() {
+  const context = useContext(NotificationContext)
+  if (context === undefined) {
+    throw new Error('useNotifications must be used within a NotificationProvider')
+  }
+  return context
+}
@@ -0,0 +1,15 @@
+import { useContext } from 'react'
+import PermissionContext from '../contexts/PermissionContext'
+
+/**
+ * Custom hook for reading the current user's permissions and page access from PermissionProvider.
+ *
+ * @returns {Object} { permissions, menuItems, pages, loading, isSuperAdmin, hasPermission, getMenuItem, canAccessRoute, canOnPage, reload }
+ */
+export function usePermissions() {
+  const context = useContext(PermissionContext)
+  if (context === undefined) {
+    throw new Error('usePermissions must be used within a PermissionProvider')
+  }
+  return context
+}
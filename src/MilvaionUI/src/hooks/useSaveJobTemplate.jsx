@@ -0,0 +1,67 @@
+import { useModal } from './useModal'
+import { findTemplateByName, saveTemplate, toTemplateJob } from '../utils/jobTemplates'
+import JobTemplateForm from '../components/JobTemplateForm'
+
+/**
+ * Custom hook for saving a job configuration to the templates library.
+ * Asks for the template name and confirms before an existing template with the same name is replaced.
+ *
+ * @returns {Object} { saveAsTemplate, modalProps }
+ */
+export function useSaveJobTemplate() {
+  const { modalProps, showModal, showConfirm, showSuccess, showError } = useModal()
+
+  /**
+   * Saves a job as a template.
+   *
+   * @param {Object} job - Job detail or JobForm payload (jobData as JSON string or object)
+   * @returns {Promise<Object|null>} Saved template, null if cancelled
+   */
+  const saveAsTemplate = async (job) => {
+    const templateJob = toTemplateJob(job)
+    const values = { name: job.displayName || '', description: '' }
+
+    const confirmed = await showModal({
+      title: 'Save as Template',
+      message: <JobTemplateForm job={templateJob} values={values} />,
+      confirmText: 'Save Template',
+      cancelText: 'Cancel',
+      showCancel: true,
+      type: 'custom'
+    })
+
+    if (!confirmed) return null
+
+    if (!values.name.trim()) {
+      await showError('Please enter a template name.')
+      return null
+    }
+
+    const existing = findTemplateByName(values.name)
+    if (existing) {
+      const replace = await showConfirm(
+        `A template named "${existing.name}" already exists. Do you want to replace it?`,
+        'Replace Template',
+        'Replace',
+        'Cancel'
+      )
+
+      if (!replace) return null
+    }
+
+    try {
+      const template = saveTemplate({ name: values.name, description: values.description, job: templateJob })
+      await showSuccess(`Template "${template.name}" saved. Use it from the Templates page to create new jobs.`)
+      return template
+    } catch (err) {
+      console.error(err)
+      await showError(`Failed to save the template. ${err.message}`)
+      return null
+    }
+  }
+
+  return {
+    saveAsTemplate,
+    modalProps
+  }
+}
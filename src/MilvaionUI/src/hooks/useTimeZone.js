@@ -0,0 +1,15 @@
+import { useContext } from 'react'
+import TimeZoneContext from '../contexts/TimeZoneContext'
+
+/**
+ * Custom hook for reading and changing the current user's display time zone from TimeZoneProvider.
+ *
+ * @returns {Object} { timeZone, setTimeZone }
+ */
+export function useTimeZone() {
+  const context = useContext(TimeZoneContext)
+  if (context === undefined) {
+    throw new Error('useTimeZone must be used within a TimeZoneProvider')
+  }
+  return context
+}
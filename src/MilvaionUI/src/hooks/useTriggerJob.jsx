@@ -1,6 +1,7 @@
 import { useState } from 'react'
 import jobService from '../services/jobService'
 import { useModal } from './useModal'
+import { validateJobData } from '../utils/validators'
 
 /**
  * Custom hook for triggering jobs with modal feedback and force retry support.
@@ -21,11 +22,47 @@ export function useTriggerJob() {
    * @param {boolean} force - Force trigger bypassing concurrent policy (default: false)
    * @param {string|null} jobData - Optional custom job data JSON (default: null, uses job's existing data)
    * @param {Function} onSuccess - Optional callback on success (receives correlationId)
+   * @param {Object|null} jobDataSchema - Optional JSON Schema of the job data. Custom job data that does not match it
+   *   is only sent after the user confirms (default: null, no schema validation)
    * @returns {Promise<boolean>} True if successful, false otherwise
    */
-  const triggerJob = async (jobId, reason = 'Manual trigger by user', force = false, jobData = null, onSuccess = null) => {
+  const triggerJob = async (jobId, reason = 'Manual trigger by user', force = false, jobData = null, onSuccess = null, jobDataSchema = null) => {
     if (triggering) return false
 
+    // Block custom job data that does not match the job's schema until the user overrides it
+    if (jobData && jobDataSchema) {
+      const validation = validateJobData(jobData, jobDataSchema)
+
+      if (!validation.isValid) {
+        showModal({
+          title: '⚠️ Invalid Job Data',
+          message: (
+            <div style={{ textAlign: 'left' }}>
+              <p>{validation.error}.</p>
+              {validation.errors && (
+                <ul style={{ color: '#f44336', fontSize: '14px', fontFamily: 'monospace', paddingLeft: '20px' }}>
+                  {validation.errors.slice(0, 10).map((err, index) => (
+                    <li key={index}>{err.message}</li>
+                  ))}
+                  {validation.errors.length > 10 && <li>...and {validation.errors.length - 10} more</li>}
+                </ul>
+              )}
+              <p><strong>Do you want to trigger the job with this data anyway?</strong></p>
+              <p style={{ fontSize: '14px', color: '#666' }}>
+                The worker may fail to run the job with invalid data.
+              </p>
+            </div>
+          ),
+          confirmText: 'Trigger Anyway',
+          cancelText: 'Cancel',
+          showCancel: true,
+          onConfirm: () => triggerJob(jobId, reason, force, jobData, onSuccess)
+        })
+
+        return false
+      }
+    }
+
     setTriggering(true)
 
     try {
@@ -0,0 +1,207 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import authService from '../../services/authService'
+import Icon from '../../components/Icon'
+import Modal from '../../components/Modal'
+import { useModal } from '../../hooks/useModal'
+import { useTimeZone } from '../../hooks/useTimeZone'
+import { formatDate, formatTimeZoneLabel, getTimeZoneOptions } from '../../utils/dateUtils'
+import './Account.css'
+
+function AccountProfile() {
+  const navigate = useNavigate()
+  const [account, setAccount] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [signingOut, setSigningOut] = useState(false)
+
+  const { modalProps, showConfirm } = useModal()
+  const { timeZone, setTimeZone } = useTimeZone()
+  const currentUser = authService.getCurrentUser()
+
+  const timeZones = useMemo(() => getTimeZoneOptions(), [])
+
+  const loadAccount = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const response = await authService.getAccountDetail()
+
+      if (response?.isSuccess === false) {
+        setError(response.messages?.[0]?.message || 'Failed to load account details')
+        return
+      }
+
+      setAccount(response.data)
+    } catch (err) {
+      setError('Failed to load account details')
+      console.error(err)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadAccount()
+  }, [loadAccount])
+
+  const handleSignOut = async () => {
+    const confirmed = await showConfirm(
+      'Sign out from this device? Its session will be ended on the server.',
+      'Sign Out',
+      'Sign Out',
+      'Cancel'
+    )
+
+    if (!confirmed) return
+
+    setSigningOut(true)
+    await authService.logout()
+    navigate('/login')
+  }
+
+  if (loading) return <div className="loading">Loading account...</div>
+  if (error) return <div className="error">{error}</div>
+  if (!account) return <div className="error">Account not found</div>
+
+  const fullName = [account.name, account.surname].filter(Boolean).join(' ')
+
+  return (
+    <div className="account-page">
+      <Modal {...modalProps} />
+
+      {/* Header Section */}
+      <div className="account-header">
+        <div className="account-avatar">
+          <Icon name="person" size={40} />
+        </div>
+        <div className="account-title">
+          <h1>{fullName || account.userName}</h1>
+          <p>
+            @{account.userName}
+            <span className="account-type-badge">{currentUser?.userType === 1 ? 'Manager' : 'User'}</span>
+          </p>
+        </div>
+        <div className="account-header-actions">
+          <Link to="/account/password" className="btn btn-secondary">
+            <Icon name="password" size={18} />
+            Change Password
+          </Link>
+          <button onClick={handleSignOut} className="btn btn-danger" disabled={signingOut}>
+            <Icon name="logout" size={18} />
+            {signingOut ? 'Signing Out...' : 'Sign Out'}
+          </button>
+        </div>
+      </div>
+
+      <div className="account-content-grid">
+        {/* Profile Card */}
+        <div className="info-card">
+          <div className="card-header">
+            <h3>
+              <Icon name="badge" size={20} />
+              Profile
+            </h3>
+          </div>
+          <div className="card-body">
+            <div className="info-row">
+              <span className="info-label">Username</span>
+              <span className="info-value code">{account.userName}</span>
+            </div>
+            <div className="info-row">
+              <span className="info-label">Name</span>
+              <span className="info-value">{account.name || '-'}</span>
+            </div>
+            <div className="info-row">
+              <span className="info-label">Surname</span>
+              <span className="info-value">{account.surname || '-'}</span>
+            </div>
+            <div className="info-row">
+              <span className="info-label">Email</span>
+              <span className="info-value">{account.email || '-'}</span>
+            </div>
+          </div>
+        </div>
+
+        {/* Roles Card */}
+        <div className="info-card">
+          <div className="card-header">
+            <h3>
+              <Icon name="shield_person" size={20} />
+              Roles
+            </h3>
+            <span className="count-badge">{account.roles?.length || 0}</span>
+          </div>
+          <div className="card-body">
+            {account.roles?.length > 0 ? (
+              <div className="account-role-chips">
+                {account.roles.map(role => (
+                  <span key={role.id} className="account-role-chip">
+                    <Icon name="verified_user" size={14} />
+                    {role.name}
+                  </span>
+                ))}
+              </div>
+            ) : (
+              <p className="account-hint">No roles assigned</p>
+            )}
+          </div>
+        </div>
+
+        {/* Preferences Card */}
+        <div className="info-card">
+          <div className="card-header">
+            <h3>
+              <Icon name="schedule" size={20} />
+              Preferences
+            </h3>
+          </div>
+          <div className="card-body">
+            <div className="info-row">
+              <label className="info-label" htmlFor="displayTimeZone">Time Zone</label>
+              <select
+                id="displayTimeZone"
+                className="account-select"
+                value={timeZone}
+                onChange={(e) => setTimeZone(e.target.value)}
+              >
+                {timeZones.map(zone => (
+                  <option key={zone} value={zone}>{formatTimeZoneLabel(zone)}</option>
+                ))}
+              </select>
+            </div>
+            <div className="info-row">
+              <span className="info-label">Current Time</span>
+              <span className="info-value">{formatDate(new Date(), 'lll')}</span>
+            </div>
+            <p className="account-hint">
+              Dates across the app are shown in this time zone. Cron schedules always run in UTC.
+            </p>
+          </div>
+        </div>
+
+        {/* Session Card */}
+        <div className="info-card">
+          <div className="card-header">
+            <h3>
+              <Icon name="devices" size={20} />
+              This Device
+            </h3>
+          </div>
+          <div className="card-body">
+            <div className="info-row">
+              <span className="info-label">Device ID</span>
+              <span className="info-value code">{authService.deviceId}</span>
+            </div>
+            <p className="account-hint">
+              Signing out ends this device&apos;s session on the server. Changing your password ends the sessions on all devices.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AccountProfile
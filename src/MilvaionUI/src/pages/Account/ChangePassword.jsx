@@ -0,0 +1,197 @@
+import { useState } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import authService from '../../services/authService'
+import { validatePasswordStrength } from '../../utils/validators'
+import Icon from '../../components/Icon'
+import Modal from '../../components/Modal'
+import { useModal } from '../../hooks/useModal'
+import './Account.css'
+
+const STRENGTH_LABELS = {
+  weak: 'Weak',
+  medium: 'Good',
+  strong: 'Strong',
+}
+
+function ChangePassword() {
+  const navigate = useNavigate()
+  const { modalProps, showSuccess } = useModal()
+  const [formData, setFormData] = useState({
+    oldPassword: '',
+    newPassword: '',
+    confirmPassword: '',
+  })
+  const [showPasswords, setShowPasswords] = useState(false)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const validation = validatePasswordStrength(formData.newPassword)
+  const passwordsMatch = formData.newPassword === formData.confirmPassword
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData(prev => ({ ...prev, [name]: value }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError(null)
+
+    if (!formData.oldPassword) {
+      setError('Current password is required')
+      return
+    }
+
+    if (!validation.isValid) {
+      setError(validation.error)
+      return
+    }
+
+    if (!passwordsMatch) {
+      setError('New passwords do not match')
+      return
+    }
+
+    if (formData.oldPassword === formData.newPassword) {
+      setError('New password must be different from the current password')
+      return
+    }
+
+    try {
+      setLoading(true)
+
+      const response = await authService.changePassword(formData.oldPassword, formData.newPassword)
+
+      if (response?.isSuccess === false) {
+        setError(response.messages?.[0]?.message || 'Failed to change password')
+        return
+      }
+
+      // The server ended every session, including this one
+      await showSuccess('Your password has been changed. Please sign in again with your new password.', 'Password Changed')
+      authService.clearSession()
+      navigate('/login')
+    } catch (err) {
+      setError(err.response?.data?.messages?.[0]?.message || 'Failed to change password. Please try again.')
+      console.error(err)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="account-page change-password-page">
+      <Modal {...modalProps} />
+
+      <div className="form-header">
+        <div className="form-header-left">
+          <Link to="/account/profile" className="back-icon-btn" title="Back to Profile">
+            <Icon name="arrow_back" size={24} />
+          </Link>
+          <div className="form-header-content">
+            <h1>Change Password</h1>
+            <p className="form-subtitle">All of your sessions will be signed out after the change</p>
+          </div>
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <form onSubmit={handleSubmit} className="form-card change-password-form">
+        <div className="form-group">
+          <label htmlFor="oldPassword">
+            Current Password <span className="required">*</span>
+          </label>
+          <input
+            type={showPasswords ? 'text' : 'password'}
+            id="oldPassword"
+            name="oldPassword"
+            value={formData.oldPassword}
+            onChange={handleChange}
+            autoComplete="current-password"
+            required
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="newPassword">
+            New Password <span className="required">*</span>
+          </label>
+          <input
+            type={showPasswords ? 'text' : 'password'}
+            id="newPassword"
+            name="newPassword"
+            value={formData.newPassword}
+            onChange={handleChange}
+            autoComplete="new-password"
+            required
+          />
+
+          {formData.newPassword && (
+            <div className="password-strength">
+              <div className={`password-strength-bar ${validation.strength}`}>
+                <span />
+              </div>
+              <span className={`password-strength-label ${validation.strength}`}>
+                {STRENGTH_LABELS[validation.strength]}
+              </span>
+            </div>
+          )}
+
+          <ul className="password-rules">
+            {validation.checks.map(check => (
+              <li key={check.label} className={check.passed ? 'passed' : ''}>
+                <Icon name={check.passed ? 'check_circle' : 'radio_button_unchecked'} size={16} />
+                {check.label}
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="confirmPassword">
+            Confirm New Password <span className="required">*</span>
+          </label>
+          <input
+            type={showPasswords ? 'text' : 'password'}
+            id="confirmPassword"
+            name="confirmPassword"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            autoComplete="new-password"
+            className={formData.confirmPassword && !passwordsMatch ? 'invalid' : ''}
+            required
+          />
+          {formData.confirmPassword && !passwordsMatch && (
+            <span className="field-error">Passwords do not match</span>
+          )}
+        </div>
+
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={showPasswords}
+            onChange={(e) => setShowPasswords(e.target.checked)}
+          />
+          Show passwords
+        </label>
+
+        <div className="form-actions">
+          <Link to="/account/profile" className="btn btn-secondary">
+            Cancel
+          </Link>
+          <button
+            type="submit"
+            className="btn btn-primary"
+            disabled={loading || !validation.isValid || !passwordsMatch || !formData.oldPassword}
+          >
+            <Icon name="password" size={18} />
+            {loading ? 'Changing...' : 'Change Password'}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+export default ChangePassword
@@ -0,0 +1,427 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { useLocation } from 'react-router-dom'
+import activityLogService from '../../services/activityLogService'
+import { formatDateTime, formatRelativeTime } from '../../utils/dateUtils'
+import Icon from '../../components/Icon'
+import './ActivityLogList.css'
+
+const ACTION_ICONS = {
+  Create: 'add_circle',
+  Update: 'edit',
+  Delete: 'delete',
+}
+
+function ActivityLogList() {
+  const location = useLocation()
+  const [logs, setLogs] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [userName, setUserName] = useState('')
+  const [debouncedUserName, setDebouncedUserName] = useState('')
+  const [filterEntity, setFilterEntity] = useState(location.state?.filterByEntity || '')
+  const [filterAction, setFilterAction] = useState('')
+  const [dateFrom, setDateFrom] = useState('')
+  const [dateTo, setDateTo] = useState('')
+  const [currentPage, setCurrentPage] = useState(1)
+  const [pageSize, setPageSize] = useState(20)
+  const [totalCount, setTotalCount] = useState(0)
+  const [isInitialLoad, setIsInitialLoad] = useState(true)
+
+  const [activityTypes, setActivityTypes] = useState([])
+
+  const entities = useMemo(() => activityLogService.getEntities(activityTypes), [activityTypes])
+
+  // Load the UserActivity enum values once, entity and action filters are built from them
+  useEffect(() => {
+    const loadActivityTypes = async () => {
+      try {
+        setActivityTypes(await activityLogService.getActivityTypes())
+      } catch (err) {
+        setError('Failed to load activity types')
+        console.error(err)
+      }
+    }
+
+    loadActivityTypes()
+  }, [])
+
+  // Debounce user name filter
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedUserName(userName)
+      setCurrentPage(1)
+    }, 500)
+
+    return () => clearTimeout(timer)
+  }, [userName])
+
+  const loadLogs = useCallback(async (showLoading = false) => {
+    // Entity and action filters need the activity types, wait until they are loaded
+    if ((filterEntity || filterAction) && activityTypes.length === 0) return
+
+    try {
+      if (showLoading) {
+        setLoading(true)
+      }
+      setError(null)
+
+      const requestBody = {
+        pageNumber: currentPage,
+        rowCount: pageSize
+      }
+
+      // Build filtering criteria
+      const criterias = []
+
+      if (debouncedUserName) {
+        criterias.push({
+          filterBy: "UserName",
+          value: debouncedUserName,
+          type: 1 // Contains
+        })
+      }
+
+      // Entity and action narrow down the UserActivity enum values
+      if (filterEntity || filterAction) {
+        const matchingActivities = activityTypes
+          .filter(t => (!filterEntity || t.entity === filterEntity) && (!filterAction || t.action === filterAction))
+          .map(t => t.value)
+
+        if (matchingActivities.length === 1) {
+          criterias.push({
+            filterBy: "Activity",
+            value: matchingActivities[0],
+            type: 5 // Equals
+          })
+        } else {
+          criterias.push({
+            filterBy: "Activity",
+            value: matchingActivities,
+            type: 16 // In
+          })
+        }
+      }
+
+      if (dateFrom) {
+        criterias.push({
+          filterBy: "ActivityDate",
+          value: new Date(dateFrom).toISOString(),
+          type: 8 // GreaterEqualThan
+        })
+      }
+
+      if (dateTo) {
+        criterias.push({
+          filterBy: "ActivityDate",
+          value: new Date(dateTo).toISOString(),
+          type: 10 // LessEqualThan
+        })
+      }
+
+      if (criterias.length > 0) {
+        requestBody.filtering = { criterias }
+      }
+
+      const response = await activityLogService.getAll(requestBody)
+
+      const data = response?.data?.data || response?.data || []
+      const total = response?.data?.totalDataCount || response?.totalDataCount || 0
+
+      setLogs(data)
+      setTotalCount(total)
+    } catch (err) {
+      setError('Failed to load activity logs')
+      console.error(err)
+    } finally {
+      if (showLoading) {
+        setLoading(false)
+        setIsInitialLoad(false)
+      }
+    }
+  }, [currentPage, pageSize, debouncedUserName, filterEntity, filterAction, dateFrom, dateTo, activityTypes])
+
+  useEffect(() => {
+    loadLogs(isInitialLoad)
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentPage, pageSize, debouncedUserName, filterEntity, filterAction, dateFrom, dateTo, activityTypes])
+
+  const hasFilters = userName || filterEntity || filterAction || dateFrom || dateTo
+
+  const clearFilters = () => {
+    setUserName('')
+    setFilterEntity('')
+    setFilterAction('')
+    setDateFrom('')
+    setDateTo('')
+    setCurrentPage(1)
+  }
+
+  if (loading) return <div className="loading">Loading activity logs...</div>
+  if (error) return <div className="error">{error}</div>
+
+  return (
+    <div className="activity-log-page">
+      {/* Page Header */}
+      <div className="page-header">
+        <div className="header-content">
+          <h1>
+            <Icon name="manage_history" size={28} />
+            <span style={{ margin: '0 0 0 1rem' }}>Activity Log</span>
+            <span>({totalCount})</span>
+          </h1>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="filters-section">
+        <div className="search-box">
+          <input
+            type="text"
+            placeholder="Filter by username..."
+            value={userName}
+            onChange={(e) => setUserName(e.target.value)}
+            className="search-input"
+          />
+          {userName && (
+            <button
+              onClick={() => setUserName('')}
+              className="clear-search-btn"
+              title="Clear"
+            >
+              <Icon name="close" size={16} />
+            </button>
+          )}
+        </div>
+
+        <div className="filter-select">
+          <label htmlFor="filterEntity">Entity:</label>
+          <select
+            id="filterEntity"
+            value={filterEntity}
+            onChange={(e) => {
+              const entity = e.target.value
+              setFilterEntity(entity)
+              // Drop an action the selected entity does not have (e.g. Languages only has Update)
+              if (entity && filterAction && !activityTypes.some(t => t.entity === entity && t.action === filterAction)) {
+                setFilterAction('')
+              }
+              setCurrentPage(1)
+            }}
+            className="activity-filter-select"
+          >
+            <option value="">All</option>
+            {entities.map(entity => (
+              <option key={entity.value} value={entity.value}>{entity.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="filter-select">
+          <label htmlFor="filterAction">Action:</label>
+          <select
+            id="filterAction"
+            value={filterAction}
+            onChange={(e) => {
+              setFilterAction(e.target.value)
+              setCurrentPage(1)
+            }}
+            className="activity-filter-select"
+          >
+            <option value="">All</option>
+            {['Create', 'Update', 'Delete']
+              .filter(action => !filterEntity || activityTypes.some(t => t.entity === filterEntity && t.action === action))
+              .map(action => (
+                <option key={action} value={action}>{action}</option>
+              ))}
+          </select>
+        </div>
+
+        <div className="filter-select">
+          <label htmlFor="dateFrom">From:</label>
+          <input
+            id="dateFrom"
+            type="datetime-local"
+            value={dateFrom}
+            max={dateTo || undefined}
+            onChange={(e) => {
+              setDateFrom(e.target.value)
+              setCurrentPage(1)
+            }}
+            className="activity-date-input"
+          />
+        </div>
+
+        <div className="filter-select">
+          <label htmlFor="dateTo">To:</label>
+          <input
+            id="dateTo"
+            type="datetime-local"
+            value={dateTo}
+            min={dateFrom || undefined}
+            onChange={(e) => {
+              setDateTo(e.target.value)
+              setCurrentPage(1)
+            }}
+            className="activity-date-input"
+          />
+        </div>
+
+        {hasFilters && (
+          <button onClick={clearFilters} className="btn btn-secondary">
+            <Icon name="filter_alt_off" size={18} />
+            Clear Filters
+          </button>
+        )}
+      </div>
+
+      {logs.length === 0 ? (
+        <div className="empty-state-card">
+          <div className="empty-icon">
+            <Icon name="manage_history" size={64} />
+          </div>
+          <h3>No Activity Found</h3>
+          <p>
+            {hasFilters
+              ? 'No activity matches the selected filters.'
+              : 'User actions such as creating, updating or deleting records will appear here.'}
+          </p>
+        </div>
+      ) : (
+        <>
+          <div className="activity-table-container">
+            <table className="activity-table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>User</th>
+                  <th>Action</th>
+                  <th>Entity</th>
+                  <th>Description</th>
+                </tr>
+              </thead>
+              <tbody>
+                {logs.map((log) => {
+                  const info = activityLogService.getActivityInfo(log.activity, activityTypes)
+                  return (
+                    <tr key={log.id}>
+                      <td>
+                        <div className="activity-date-cell">
+                          <span>{formatDateTime(log.activityDate)}</span>
+                          <small>{formatRelativeTime(log.activityDate)}</small>
+                        </div>
+                      </td>
+                      <td>
+                        <span className="activity-user">
+                          <Icon name="person" size={16} />
+                          {log.userName}
+                        </span>
+                      </td>
+                      <td>
+                        <span className={`activity-action-badge ${info.action.toLowerCase()}`}>
+                          <Icon name={ACTION_ICONS[info.action] || 'help'} size={14} />
+                          {info.action}
+                        </span>
+                      </td>
+                      <td>{info.entityLabel}</td>
+                      <td className="activity-description">{log.activityDescription || info.name}</td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Pagination */}
+          <div className="pagination-container">
+            <div className="pagination">
+              {(() => {
+                const totalPages = Math.ceil(totalCount / pageSize)
+                if (totalPages <= 1) return null
+
+                const maxVisiblePages = 5
+                let startPage = Math.max(1, currentPage - Math.floor(maxVisiblePages / 2))
+                let endPage = Math.min(totalPages, startPage + maxVisiblePages - 1)
+
+                if (endPage - startPage + 1 < maxVisiblePages) {
+                  startPage = Math.max(1, endPage - maxVisiblePages + 1)
+                }
+
+                return (
+                  <>
+                    <button
+                      className="btn btn-sm"
+                      onClick={() => setCurrentPage(1)}
+                      disabled={currentPage === 1}
+                    >
+                      <Icon name="first_page" size={18} />
+                    </button>
+                    <button
+                      className="btn btn-sm"
+                      onClick={() => setCurrentPage(currentPage - 1)}
+                      disabled={currentPage === 1}
+                    >
+                      <Icon name="chevron_left" size={18} />
+                    </button>
+
+                    {startPage > 1 && <span className="page-ellipsis">...</span>}
+
+                    {Array.from({ length: endPage - startPage + 1 }, (_, i) => startPage + i).map(page => (
+                      <button
+                        key={page}
+                        className={'btn btn-sm' + (page === currentPage ? ' btn-primary' : '')}
+                        onClick={() => setCurrentPage(page)}
+                      >
+                        {page}
+                      </button>
+                    ))}
+
+                    {endPage < totalPages && <span className="page-ellipsis">...</span>}
+
+                    <button
+                      className="btn btn-sm"
+                      onClick={() => setCurrentPage(currentPage + 1)}
+                      disabled={currentPage === totalPages}
+                    >
+                      <Icon name="chevron_right" size={18} />
+                    </button>
+                    <button
+                      className="btn btn-sm"
+                      onClick={() => setCurrentPage(totalPages)}
+                      disabled={currentPage === totalPages}
+                    >
+                      <Icon name="last_page" size={18} />
+                    </button>
+
+                    <span className="page-info">
+                      Page {currentPage} of {totalPages} ({totalCount} total)
+                    </span>
+                  </>
+                )
+              })()}
+            </div>
+
+            <div className="page-size-selector">
+              <label htmlFor="pageSize">Rows per page:</label>
+              <select
+                id="pageSize"
+                value={pageSize}
+                onChange={(e) => {
+                  setPageSize(parseInt(e.target.value))
+                  setCurrentPage(1)
+                }}
+                className="page-size-select"
+              >
+                <option value={10}>10</option>
+                <option value={20}>20</option>
+                <option value={50}>50</option>
+                <option value={100}>100</option>
+              </select>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ActivityLogList
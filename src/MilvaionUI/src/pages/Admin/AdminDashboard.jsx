@@ -4,6 +4,8 @@ import Icon from '../../components/Icon'
 import AutoRefreshIndicator from '../../components/AutoRefreshIndicator'
 import DatabaseStatistics from '../../components/DatabaseStatistics/DatabaseStatistics'
 import ServiceMemoryStats from '../../components/ServiceMemoryStats/ServiceMemoryStats'
+import { usePermissions } from '../../hooks/usePermissions'
+import { PERMISSIONS } from '../../utils/permissions'
 import './AdminDashboard.css'
 
 function AdminDashboard() {
@@ -19,6 +21,10 @@ function AdminDashboard() {
   const [emergencyStopDialogOpen, setEmergencyStopDialogOpen] = useState(false)
   const [stopReason, setStopReason] = useState('')
 
+  const { hasPermission } = usePermissions()
+  const canControlDispatcher = hasPermission(PERMISSIONS.SYSTEM_UPDATE)
+  const noPermissionTitle = 'You do not have permission to control the dispatcher'
+
   const loadHealthData = useCallback(async () => {
     try {
       const response = await api.get('/admin/system-health')
@@ -212,6 +218,8 @@ function AdminDashboard() {
                 <button
                   className="btn btn-error"
                   onClick={() => setEmergencyStopDialogOpen(true)}
+                  disabled={!canControlDispatcher}
+                  title={canControlDispatcher ? undefined : noPermissionTitle}
                 >
                   <Icon name="cancel" size={18} />
                   Emergency Stop
@@ -220,6 +228,8 @@ function AdminDashboard() {
                 <button
                   className="btn btn-success"
                   onClick={handleResume}
+                  disabled={!canControlDispatcher}
+                  title={canControlDispatcher ? undefined : noPermissionTitle}
                 >
                   <Icon name="play_arrow" size={18} />
                   Resume Operations
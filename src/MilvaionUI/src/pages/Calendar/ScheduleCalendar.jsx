@@ -0,0 +1,487 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { Link } from 'react-router-dom'
+import moment from 'moment'
+import jobService from '../../services/jobService'
+import workerService from '../../services/workerService'
+import occurrenceService from '../../services/occurrenceService'
+import Icon from '../../components/Icon'
+import { usePermissions } from '../../hooks/usePermissions'
+import { useTimeZone } from '../../hooks/useTimeZone'
+import { PERMISSIONS } from '../../utils/permissions'
+import { formatDateInTimeZone, formatTimeZoneLabel, fromDateTimeInputValue } from '../../utils/dateUtils'
+import { expandScheduledRuns, getAverageDurations, findCapacityOverloads, MAX_RUNS_PER_JOB } from '../../utils/scheduleCalendar'
+import './ScheduleCalendar.css'
+
+const VIEWS = [
+  { key: 'day', label: 'Day', icon: 'view_day' },
+  { key: 'week', label: 'Week', icon: 'view_week' },
+  { key: 'month', label: 'Month', icon: 'calendar_view_month' },
+]
+
+const OCCURRENCE_STATUSES = {
+  0: { label: 'Queued', className: 'queued' },
+  1: { label: 'Running', className: 'running' },
+  2: { label: 'Completed', className: 'completed' },
+  3: { label: 'Failed', className: 'failed' },
+  4: { label: 'Cancelled', className: 'cancelled' },
+  5: { label: 'Timed Out', className: 'timeout' },
+  6: { label: 'Unknown', className: 'unknown' },
+}
+
+// Executions overlaid on a range, and recent executions used to estimate run durations
+const MAX_EXECUTIONS = 2000
+const DURATION_SAMPLE_SIZE = 500
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour)
+
+// Calendar days ('YYYY-MM-DD') shown by a view, weeks start on Monday
+const getViewDays = (view, anchor) => {
+  const date = moment.utc(anchor)
+  let first = date
+  let count = 1
+
+  if (view === 'week') {
+    first = date.clone().isoWeekday(1)
+    count = 7
+  } else if (view === 'month') {
+    first = date.clone().startOf('month').isoWeekday(1)
+    count = 42
+  }
+
+  return Array.from({ length: count }, (_, i) => first.clone().add(i, 'days').format('YYYY-MM-DD'))
+}
+
+const getViewTitle = (view, anchor, days) => {
+  if (view === 'day') return moment.utc(anchor).format('dddd, MMMM D, YYYY')
+  if (view === 'month') return moment.utc(anchor).format('MMMM YYYY')
+
+  const first = moment.utc(days[0])
+  const last = moment.utc(days[days.length - 1])
+  return `${first.format(first.year() === last.year() ? 'MMM D' : 'MMM D, YYYY')} - ${last.format('MMM D, YYYY')}`
+}
+
+const addDay = (day) => moment.utc(day).add(1, 'day').format('YYYY-MM-DD')
+
+// Contiguous time slots for the days, hourly or daily, boundaries in the display time zone
+const buildSlots = (days, timeZone, hourly) => {
+  const starts = hourly
+    ? days.flatMap(day => HOURS.map(hour => ({ day, hour, start: fromDateTimeInputValue(`${day}T${String(hour).padStart(2, '0')}:00`, timeZone) })))
+    : days.map(day => ({ day, start: fromDateTimeInputValue(`${day}T00:00`, timeZone) }))
+  const end = new Date(fromDateTimeInputValue(`${addDay(days[days.length - 1])}T00:00`, timeZone))
+
+  return starts.map((slot, index) => ({
+    ...slot,
+    start: new Date(slot.start),
+    end: index < starts.length - 1 ? new Date(starts[index + 1].start) : end,
+  }))
+}
+
+// Put time-sorted items into the slots they fall in
+const binItems = (slots, items) => {
+  const bins = slots.map(() => [])
+  let index = 0
+
+  for (const item of items) {
+    while (index < slots.length && item.time >= slots[index].end) index++
+    if (index === slots.length) break
+    if (item.time >= slots[index].start) bins[index].push(item)
+  }
+
+  return bins
+}
+
+const getSlotOverloads = (overloads, slot) => overloads.filter(o => o.start < slot.end && o.end > slot.start)
+
+const describeOverloads = (overloads, workerNames) => overloads
+  .map(o => `${workerNames[o.workerId] || o.workerId}: up to ${o.peak} parallel runs, capacity ${o.capacity}`)
+  .join('\n')
+
+function CalendarItem({ item, timeZone }) {
+  const time = formatDateInTimeZone(item.time, timeZone, 'HH:mm:ss')
+
+  if (item.kind === 'scheduled') {
+    return (
+      <Link
+        to={`/jobs/${item.job.id}`}
+        className="calendar-item scheduled"
+        title={`${item.job.displayName}\nScheduled at ${time}`}
+      >
+        <span className="calendar-item-time">{time}</span>
+        <span className="calendar-item-name">{item.job.displayName}</span>
+      </Link>
+    )
+  }
+
+  const status = OCCURRENCE_STATUSES[item.occurrence.status] || OCCURRENCE_STATUSES[6]
+
+  return (
+    <Link
+      to={`/occurrences/${item.occurrence.id}`}
+      className={`calendar-item execution ${status.className}`}
+      title={`${item.occurrence.jobDisplayName || item.occurrence.jobName}\n${status.label} at ${time}`}
+    >
+      <span className="calendar-item-time">{time}</span>
+      <span className="calendar-item-name">{item.occurrence.jobDisplayName || item.occurrence.jobName}</span>
+    </Link>
+  )
+}
+
+function SlotItems({ items, limit, timeZone, onMore }) {
+  const visible = items.slice(0, limit)
+
+  return (
+    <>
+      {visible.map(item => (
+        <CalendarItem key={item.key} item={item} timeZone={timeZone} />
+      ))}
+      {items.length > limit && (
+        <button type="button" className="calendar-more" onClick={onMore}>
+          +{items.length - limit} more
+        </button>
+      )}
+    </>
+  )
+}
+
+function ScheduleCalendar() {
+  const { hasPermission } = usePermissions()
+  const { timeZone } = useTimeZone()
+  const canListWorkers = hasPermission(PERMISSIONS.WORKER_LIST)
+
+  const [view, setView] = useState(() => localStorage.getItem('scheduleCalendarView') || 'week')
+  const [anchor, setAnchor] = useState(() => formatDateInTimeZone(new Date(), timeZone, 'YYYY-MM-DD'))
+  const [workerFilter, setWorkerFilter] = useState('')
+  const [jobs, setJobs] = useState([])
+  const [workers, setWorkers] = useState([])
+  const [recentOccurrences, setRecentOccurrences] = useState([])
+  const [executions, setExecutions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [loadingExecutions, setLoadingExecutions] = useState(false)
+  const [error, setError] = useState(null)
+
+  const days = useMemo(() => getViewDays(view, anchor), [view, anchor])
+  const slots = useMemo(() => buildSlots(days, timeZone, view !== 'month'), [days, timeZone, view])
+  const rangeStart = slots[0].start
+  const rangeEnd = slots[slots.length - 1].end
+  const today = formatDateInTimeZone(new Date(), timeZone, 'YYYY-MM-DD')
+
+  const loadData = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const [jobsResponse, workersResponse, occurrencesResponse] = await Promise.all([
+        jobService.getAll(),
+        canListWorkers ? workerService.getAll() : Promise.resolve(null),
+        occurrenceService.getAll({ pageNumber: 1, rowCount: DURATION_SAMPLE_SIZE }),
+      ])
+
+      setJobs(jobsResponse?.data?.data || jobsResponse?.data || [])
+      setWorkers(workersResponse?.data?.data || workersResponse?.data || [])
+      setRecentOccurrences(occurrencesResponse?.data?.data || occurrencesResponse?.data || [])
+    } catch (err) {
+      setError('Failed to load schedule')
+      console.error(err)
+    } finally {
+      setLoading(false)
+    }
+  }, [canListWorkers])
+
+  useEffect(() => {
+    loadData()
+  }, [loadData])
+
+  const rangeStartTime = rangeStart.getTime()
+  const rangeEndTime = rangeEnd.getTime()
+
+  useEffect(() => {
+    // Future ranges have no executions to overlay
+    if (rangeStartTime > Date.now()) {
+      setExecutions([])
+      return
+    }
+
+    let cancelled = false
+
+    const loadExecutions = async () => {
+      try {
+        setLoadingExecutions(true)
+
+        const response = await occurrenceService.getAll({
+          pageNumber: 1,
+          rowCount: MAX_EXECUTIONS,
+          filtering: {
+            criterias: [
+              {
+                filterBy: "CreatedAt",
+                value: new Date(rangeStartTime).toISOString(),
+                type: 8 // GreaterEqualThan
+              },
+              {
+                filterBy: "CreatedAt",
+                value: new Date(rangeEndTime).toISOString(),
+                type: 10 // LessEqualThan
+              }
+            ]
+          }
+        })
+
+        if (!cancelled) setExecutions(response?.data?.data || response?.data || [])
+      } catch (err) {
+        console.error('Failed to load executions:', err)
+        if (!cancelled) setExecutions([])
+      } finally {
+        if (!cancelled) setLoadingExecutions(false)
+      }
+    }
+
+    loadExecutions()
+    return () => { cancelled = true }
+  }, [rangeStartTime, rangeEndTime])
+
+  const workerNames = useMemo(
+    () => Object.fromEntries(workers.map(w => [w.workerId, w.displayName || w.workerId])),
+    [workers]
+  )
+
+  // Capacity of a worker is the parallel job limit of each instance times its instances
+  const capacities = useMemo(() => Object.fromEntries(workers
+    .filter(w => w.maxParallelJobsPerWorker > 0)
+    .map(w => [w.workerId, w.maxParallelJobsPerWorker * Math.max(1, w.instances?.length || 0)])), [workers])
+
+  const visibleJobs = useMemo(
+    () => (workerFilter ? jobs.filter(job => job.workerId === workerFilter) : jobs),
+    [jobs, workerFilter]
+  )
+
+  const { runs, truncatedJobIds } = useMemo(
+    () => expandScheduledRuns(visibleJobs, new Date(rangeStartTime), new Date(rangeEndTime)),
+    [visibleJobs, rangeStartTime, rangeEndTime]
+  )
+
+  const durations = useMemo(
+    () => getAverageDurations([...recentOccurrences, ...executions]),
+    [recentOccurrences, executions]
+  )
+
+  const overloads = useMemo(() => findCapacityOverloads(runs, capacities, durations), [runs, capacities, durations])
+
+  const items = useMemo(() => {
+    const jobWorkers = Object.fromEntries(jobs.map(job => [job.id, job.workerId]))
+
+    const executionItems = executions
+      .filter(occ => !workerFilter || jobWorkers[occ.jobId] === workerFilter)
+      .map(occ => ({ key: occ.id, kind: 'execution', time: new Date(occ.startTime || occ.createdAt), occurrence: occ }))
+
+    const runItems = runs.map(run => ({ key: `${run.job.id}-${run.time.getTime()}`, kind: 'scheduled', time: run.time, job: run.job }))
+
+    return [...executionItems, ...runItems].sort((a, b) => a.time - b.time)
+  }, [jobs, executions, runs, workerFilter])
+
+  const bins = useMemo(() => binItems(slots, items), [slots, items])
+
+  const changeView = (newView) => {
+    setView(newView)
+    localStorage.setItem('scheduleCalendarView', newView)
+  }
+
+  const move = (direction) => {
+    const unit = view === 'day' ? 'day' : view === 'week' ? 'week' : 'month'
+    setAnchor(moment.utc(anchor).add(direction, unit).format('YYYY-MM-DD'))
+  }
+
+  const openDay = (day) => {
+    setAnchor(day)
+    changeView('day')
+  }
+
+  const renderHourCell = (slotIndex, limit) => {
+    const slot = slots[slotIndex]
+    const slotOverloads = getSlotOverloads(overloads, slot)
+
+    return (
+      <div
+        key={slotIndex}
+        className={`calendar-hour-cell ${slotOverloads.length > 0 ? 'overloaded' : ''}`}
+        title={slotOverloads.length > 0 ? describeOverloads(slotOverloads, workerNames) : undefined}
+      >
+        <SlotItems items={bins[slotIndex]} limit={limit} timeZone={timeZone} onMore={() => openDay(slot.day)} />
+      </div>
+    )
+  }
+
+  if (loading) return <div className="loading">Loading schedule...</div>
+  if (error) return <div className="error">{error}</div>
+
+  const truncatedJobs = jobs.filter(job => truncatedJobIds.includes(job.id))
+
+  return (
+    <div className="schedule-calendar">
+      <div className="calendar-header">
+        <h1>
+          <Icon name="calendar_month" size={28} />
+          Schedule Calendar
+        </h1>
+        <span className="calendar-timezone" title="Change it on your account page">
+          <Icon name="schedule" size={16} />
+          {formatTimeZoneLabel(timeZone, rangeStart)}
+        </span>
+      </div>
+
+      <div className="calendar-toolbar">
+        <div className="calendar-nav">
+          <button type="button" className="calendar-btn" onClick={() => move(-1)} title="Previous">
+            <Icon name="chevron_left" size={20} />
+          </button>
+          <button type="button" className="calendar-btn" onClick={() => setAnchor(today)}>
+            Today
+          </button>
+          <button type="button" className="calendar-btn" onClick={() => move(1)} title="Next">
+            <Icon name="chevron_right" size={20} />
+          </button>
+          <h2 className="calendar-title">{getViewTitle(view, anchor, days)}</h2>
+          {loadingExecutions && <span className="calendar-loading">Loading executions...</span>}
+        </div>
+
+        <div className="calendar-controls">
+          {workers.length > 0 && (
+            <select value={workerFilter} onChange={(e) => setWorkerFilter(e.target.value)} className="calendar-select">
+              <option value="">All workers</option>
+              {workers.map(worker => (
+                <option key={worker.workerId} value={worker.workerId}>{worker.displayName || worker.workerId}</option>
+              ))}
+            </select>
+          )}
+          <div className="calendar-view-selector">
+            {VIEWS.map(v => (
+              <button
+                key={v.key}
+                type="button"
+                className={`calendar-view-btn ${view === v.key ? 'active' : ''}`}
+                onClick={() => changeView(v.key)}
+              >
+                <Icon name={v.icon} size={18} />
+                <span>{v.label}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="calendar-legend">
+        <span className="calendar-legend-item scheduled">Scheduled</span>
+        {Object.values(OCCURRENCE_STATUSES).filter(s => s.className !== 'unknown').map(status => (
+          <span key={status.className} className={`calendar-legend-item ${status.className}`}>{status.label}</span>
+        ))}
+        <span className="calendar-legend-item overloaded">Over worker capacity</span>
+      </div>
+
+      {overloads.length > 0 && (
+        <div className="calendar-notice warning">
+          <Icon name="warning" size={18} />
+          {overloads.length} period{overloads.length > 1 ? 's' : ''} where scheduled runs exceed a worker&apos;s parallel job capacity,
+          based on each job&apos;s average run time.
+        </div>
+      )}
+
+      {!canListWorkers && (
+        <div className="calendar-notice">
+          <Icon name="info" size={18} />
+          Worker capacity is not checked, listing workers requires the worker list permission.
+        </div>
+      )}
+
+      {truncatedJobs.length > 0 && (
+        <div className="calendar-notice">
+          <Icon name="info" size={18} />
+          Only the first {MAX_RUNS_PER_JOB} runs in this range are shown for {truncatedJobs.map(job => job.displayName).join(', ')}.
+        </div>
+      )}
+
+      {executions.length >= MAX_EXECUTIONS && (
+        <div className="calendar-notice">
+          <Icon name="info" size={18} />
+          Only the latest {MAX_EXECUTIONS} executions in this range are shown.
+        </div>
+      )}
+
+      {view === 'day' && (
+        <div className="calendar-day-view">
+          {HOURS.map(hour => (
+            <div key={hour} className="calendar-day-row">
+              <div className="calendar-hour-label">{String(hour).padStart(2, '0')}:00</div>
+              {renderHourCell(hour, 50)}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {view === 'week' && (
+        <div className="calendar-week-view">
+          <div className="calendar-week-row header">
+            <div className="calendar-hour-label" />
+            {days.map(day => (
+              <button
+                key={day}
+                type="button"
+                className={`calendar-week-day ${day === today ? 'today' : ''}`}
+                onClick={() => openDay(day)}
+              >
+                {moment.utc(day).format('ddd D')}
+              </button>
+            ))}
+          </div>
+          {HOURS.map(hour => (
+            <div key={hour} className="calendar-week-row">
+              <div className="calendar-hour-label">{String(hour).padStart(2, '0')}:00</div>
+              {days.map((day, dayIndex) => renderHourCell(dayIndex * 24 + hour, 3))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {view === 'month' && (
+        <div className="calendar-month-view">
+          {days.slice(0, 7).map(day => (
+            <div key={day} className="calendar-month-weekday">{moment.utc(day).format('ddd')}</div>
+          ))}
+          {slots.map((slot, index) => {
+            const slotItems = bins[index]
+            const scheduledCount = slotItems.filter(item => item.kind === 'scheduled').length
+            const statusCounts = {}
+            slotItems.filter(item => item.kind === 'execution').forEach(item => {
+              statusCounts[item.occurrence.status] = (statusCounts[item.occurrence.status] || 0) + 1
+            })
+            const slotOverloads = getSlotOverloads(overloads, slot)
+            const outside = !slot.day.startsWith(anchor.slice(0, 7))
+
+            return (
+              <button
+                key={slot.day}
+                type="button"
+                className={`calendar-month-day ${outside ? 'outside' : ''} ${slot.day === today ? 'today' : ''} ${slotOverloads.length > 0 ? 'overloaded' : ''}`}
+                onClick={() => openDay(slot.day)}
+                title={slotOverloads.length > 0 ? describeOverloads(slotOverloads, workerNames) : undefined}
+              >
+                <span className="calendar-month-date">{moment.utc(slot.day).date()}</span>
+                {scheduledCount > 0 && (
+                  <span className="calendar-month-count scheduled">{scheduledCount} scheduled</span>
+                )}
+                {Object.entries(statusCounts).map(([status, count]) => {
+                  const info = OCCURRENCE_STATUSES[status] || OCCURRENCE_STATUSES[6]
+                  return (
+                    <span key={status} className={`calendar-month-count ${info.className}`}>
+                      {count} {info.label.toLowerCase()}
+                    </span>
+                  )
+                })}
+              </button>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ScheduleCalendar
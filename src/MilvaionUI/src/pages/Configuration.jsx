@@ -1,6 +1,7 @@
 import { useState, useEffect, useCallback } from 'react'
 import Icon from '../components/Icon'
 import configurationService from '../services/configurationService'
+import { formatDate } from '../utils/dateUtils'
 import './Configuration.css'
 
 function Configuration() {
@@ -151,7 +152,7 @@ function Configuration() {
           </div>
           <div className="config-item">
             <span className="config-label">Startup Time</span>
-            <span className="config-value">{new Date(config.startupTime).toLocaleString()}</span>
+            <span className="config-value">{formatDate(config.startupTime, 'L LTS')}</span>
           </div>
           <div className="config-item">
             <span className="config-label">Uptime</span>
@@ -3,6 +3,7 @@ import { useNavigate } from 'react-router-dom'
 import dashboardService from '../services/dashboardService'
 import Icon from '../components/Icon'
 import AutoRefreshIndicator from '../components/AutoRefreshIndicator'
+import ExecutionTrends from '../components/ExecutionTrends/ExecutionTrends'
 import './Dashboard.css'
 
 function Dashboard() {
@@ -402,6 +403,9 @@ function Dashboard() {
         </div>
       </div>
 
+      {/* Historical Trends */}
+      <ExecutionTrends autoRefresh={autoRefreshEnabled} />
+
       {/* Auto-refresh indicator */}
       <AutoRefreshIndicator
         enabled={autoRefreshEnabled}
@@ -1,12 +1,38 @@
-import { useState, useEffect, useRef, useCallback } from 'react'
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react'
 import { useLocation } from 'react-router-dom'
 import occurrenceService from '../../services/occurrenceService'
 import signalRService from '../../services/signalRService'
 import Icon from '../../components/Icon'
 import Modal from '../../components/Modal'
+import ExportButton from '../../components/ExportButton'
+import { EXPORT_TYPES } from '../../services/exportService'
 import { useModal } from '../../hooks/useModal'
+import { usePermissions } from '../../hooks/usePermissions'
+import { PERMISSIONS } from '../../utils/permissions'
 import './ExecutionList.css'
 import OccurrenceTable from '../../components/OccurrenceTable'
+import ExecutionTimeline from '../../components/ExecutionTimeline'
+
+// Exportable columns (API property names), the ones shown in the table are selected by default
+const EXPORT_COLUMNS = [
+  { key: 'JobDisplayName', label: 'Job' },
+  { key: 'JobName', label: 'Job Type' },
+  { key: 'Status', label: 'Status' },
+  { key: 'WorkerId', label: 'Worker' },
+  { key: 'StartTime', label: 'Start Time' },
+  { key: 'EndTime', label: 'End Time' },
+  { key: 'DurationMs', label: 'Duration (ms)' },
+  { key: 'CreatedAt', label: 'Created At' },
+  { key: 'JobTags', label: 'Tags', default: false },
+  { key: 'CorrelationId', label: 'Correlation ID', default: false },
+  { key: 'Result', label: 'Result', default: false },
+]
+
+// Exports keep the list order of occurrenceService.getAll
+const EXPORT_SORTING = { sortBy: 'Id', type: 1 } // 1 = Descending
+
+// Latest executions drawn by the timeline, it has no paging
+const TIMELINE_ROW_COUNT = 500
 
 function ExecutionList() {
   const location = useLocation()
@@ -20,8 +46,12 @@ function ExecutionList() {
   const [totalCount, setTotalCount] = useState(0)
   const [filterStatus, setFilterStatus] = useState(location.state?.filterByStatus || null)
   const [pageSize, setPageSize] = useState(20)
+  const [viewMode, setViewMode] = useState(() => localStorage.getItem('executionListViewMode') || 'table')
+  const isTimeline = viewMode === 'timeline'
 
   const { modalProps, showConfirm, showSuccess, showError } = useModal()
+  const { hasPermission } = usePermissions()
+  const canDelete = hasPermission(PERMISSIONS.JOB_DELETE)
 
   useEffect(() => {
     const timer = setTimeout(() => {
@@ -32,6 +62,27 @@ function ExecutionList() {
     return () => clearTimeout(timer)
   }, [searchTerm])
 
+  // Search and filters shared by the list and the export
+  const listFilters = useMemo(() => {
+    const filters = {
+      searchTerm: debouncedSearchTerm || undefined
+    }
+
+    if (filterStatus !== null) {
+      filters.filtering = {
+        criterias: [
+          {
+            filterBy: "Status",
+            value: filterStatus,
+            type: 5
+          }
+        ]
+      }
+    }
+
+    return filters
+  }, [debouncedSearchTerm, filterStatus])
+
   const loadOccurrences = useCallback(async (showLoading = false) => {
     try {
       if (showLoading) {
@@ -40,21 +91,9 @@ function ExecutionList() {
       setError(null)
 
       const requestBody = {
-        pageNumber: currentPage,
-        rowCount: pageSize,
-        searchTerm: debouncedSearchTerm || undefined
-      }
-
-      if (filterStatus !== null) {
-        requestBody.filtering = {
-          criterias: [
-            {
-              filterBy: "Status",
-              value: filterStatus,
-              type: 5
-            }
-          ]
-        }
+        pageNumber: isTimeline ? 1 : currentPage,
+        rowCount: isTimeline ? TIMELINE_ROW_COUNT : pageSize,
+        ...listFilters
       }
 
       const response = await occurrenceService.getAll(requestBody)
@@ -73,12 +112,12 @@ function ExecutionList() {
         setIsInitialLoad(false)
       }
     }
-  }, [currentPage, pageSize, debouncedSearchTerm, filterStatus])
+  }, [currentPage, pageSize, listFilters, isTimeline])
 
   useEffect(() => {
     loadOccurrences(isInitialLoad)
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [currentPage, pageSize, debouncedSearchTerm, filterStatus])
+  }, [currentPage, pageSize, debouncedSearchTerm, filterStatus, isTimeline])
 
   useEffect(() => {
 
@@ -103,13 +142,13 @@ function ExecutionList() {
     }
 
     const handleOccurrenceCreated = (newOccurrence) => {
-      if (currentPage === 1 && (filterStatus === null || newOccurrence.status === filterStatus)) {
+      if ((currentPage === 1 || isTimeline) && (filterStatus === null || newOccurrence.status === filterStatus)) {
         setOccurrences(prev => {
           const occId = newOccurrence.id || newOccurrence.occurrenceId
           const exists = prev.some(occ => occ.id === occId)
           if (!exists) {
             const updated = [newOccurrence, ...prev]
-            return updated.slice(0, pageSize)
+            return updated.slice(0, isTimeline ? TIMELINE_ROW_COUNT : pageSize)
           }
           return prev
         })
@@ -126,7 +165,12 @@ function ExecutionList() {
       unsubscribeOccurrenceUpdated()
       unsubscribeOccurrenceCreated()
     }
-  }, [currentPage, pageSize, filterStatus])
+  }, [currentPage, pageSize, filterStatus, isTimeline])
+
+  const changeViewMode = (mode) => {
+    setViewMode(mode)
+    localStorage.setItem('executionListViewMode', mode)
+  }
 
   const handlePageChange = (newPage) => {
     const totalPages = Math.ceil(totalCount / pageSize)
@@ -190,27 +234,57 @@ function ExecutionList() {
             </button>
           )}
         </div>
+        <div className="view-mode-selector">
+          <button
+            className={`view-mode-btn ${!isTimeline ? 'active' : ''}`}
+            onClick={() => changeViewMode('table')}
+            title="Table View"
+          >
+            <Icon name="table_rows" size={20} />
+            <span>Table</span>
+          </button>
+          <button
+            className={`view-mode-btn ${isTimeline ? 'active' : ''}`}
+            onClick={() => changeViewMode('timeline')}
+            title="Timeline View"
+          >
+            <Icon name="view_timeline" size={20} />
+            <span>Timeline</span>
+          </button>
+        </div>
+        <ExportButton
+          exportType={EXPORT_TYPES.JOB_OCCURRENCE}
+          listRequest={{ ...listFilters, sorting: EXPORT_SORTING }}
+          columns={EXPORT_COLUMNS}
+          fileName="job_executions"
+          totalCount={totalCount}
+          storageKey="executionList_export"
+        />
       </div>
 
-      <OccurrenceTable
-        occurrences={occurrences}
-        loading={loading}
-        totalCount={totalCount}
-        currentPage={currentPage}
-        pageSize={pageSize}
-        filterStatus={filterStatus}
-        onFilterChange={(status) => {
-          setFilterStatus(status)
-          setCurrentPage(1)
-        }}
-        onPageChange={handlePageChange}
-        onPageSizeChange={(newSize) => {
-          setPageSize(newSize)
-          setCurrentPage(1)
-        }}
-        onBulkDelete={handleBulkDelete}
-        showJobName={true}
-      />
+      {isTimeline ? (
+        <ExecutionTimeline occurrences={occurrences} />
+      ) : (
+        <OccurrenceTable
+          occurrences={occurrences}
+          loading={loading}
+          totalCount={totalCount}
+          currentPage={currentPage}
+          pageSize={pageSize}
+          filterStatus={filterStatus}
+          onFilterChange={(status) => {
+            setFilterStatus(status)
+            setCurrentPage(1)
+          }}
+          onPageChange={handlePageChange}
+          onPageSizeChange={(newSize) => {
+            setPageSize(newSize)
+            setCurrentPage(1)
+          }}
+          onBulkDelete={canDelete ? handleBulkDelete : undefined}
+          showJobName={true}
+        />
+      )}
     </div>
   )
 }
@@ -5,6 +5,8 @@ import { formatDateTime } from '../../utils/dateUtils'
 import Modal from '../../components/Modal'
 import Icon from '../../components/Icon'
 import { useModal } from '../../hooks/useModal'
+import { usePermissions } from '../../hooks/usePermissions'
+import { PERMISSIONS } from '../../utils/permissions'
 import './FailedOccurrenceDetail.css'
 
 function FailedOccurrenceDetail() {
@@ -15,6 +17,7 @@ function FailedOccurrenceDetail() {
   const [error, setError] = useState(null)
 
   const { modalProps, showConfirm, showSuccess, showError, showModal } = useModal()
+  const { hasPermission } = usePermissions()
 
   const loadJob = useCallback(async () => {
     try {
@@ -173,16 +176,18 @@ function FailedOccurrenceDetail() {
           </div>
         </div>
         <div className="header-actions">
-          {!job.resolved && (
+          {!job.resolved && hasPermission(PERMISSIONS.FAILED_OCCURRENCE_UPDATE) && (
             <button onClick={handleResolve} className="btn btn-success" >
               <Icon name="check" size={18} />
               Mark as Resolved
             </button>
           )}
-          <button onClick={handleDelete} className="btn btn-danger" style={{ opacity: 0.3, color: '#ffff' }}>
-            <Icon name="delete" size={18} />
-            Delete
-          </button>
+          {hasPermission(PERMISSIONS.FAILED_OCCURRENCE_DELETE) && (
+            <button onClick={handleDelete} className="btn btn-danger" style={{ opacity: 0.3, color: '#ffff' }}>
+              <Icon name="delete" size={18} />
+              Delete
+            </button>
+          )}
         </div>
       </div>
 
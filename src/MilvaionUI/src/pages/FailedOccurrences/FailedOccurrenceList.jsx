@@ -1,13 +1,32 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useMemo } from 'react'
 import { Link } from 'react-router-dom'
 import failedOccurrenceService from '../../services/failedOccurrenceService'
 import { formatDateTime } from '../../utils/dateUtils'
 import Modal from '../../components/Modal'
 import Icon from '../../components/Icon'
 import AutoRefreshIndicator from '../../components/AutoRefreshIndicator'
+import ExportButton from '../../components/ExportButton'
+import { EXPORT_TYPES } from '../../services/exportService'
 import { useModal } from '../../hooks/useModal'
+import { usePermissions } from '../../hooks/usePermissions'
+import { PERMISSIONS } from '../../utils/permissions'
 import './FailedOccurrenceList.css'
 
+// Exportable columns (API property names), the ones shown in the table are selected by default
+const EXPORT_COLUMNS = [
+  { key: 'JobDisplayName', label: 'Job Name' },
+  { key: 'FailureType', label: 'Failure Type' },
+  { key: 'FailedAt', label: 'Failed At' },
+  { key: 'RetryCount', label: 'Retry Count' },
+  { key: 'WorkerId', label: 'Worker ID' },
+  { key: 'Resolved', label: 'Resolved' },
+  { key: 'JobNameInWorker', label: 'Job Type', default: false },
+  { key: 'ResolvedAt', label: 'Resolved At', default: false },
+]
+
+// Exports keep the list order of failedOccurrenceService.getAll
+const EXPORT_SORTING = { sortBy: 'Id', type: 1 } // 1 = Descending
+
 function FailedOccurrenceList() {
   const [jobs, setJobs] = useState([])
   const [loading, setLoading] = useState(true)
@@ -30,6 +49,9 @@ function FailedOccurrenceList() {
 
   const { modalProps: deleteModalProps, showConfirm, showSuccess, showError } = useModal()
   const { modalProps: resolveModalProps, showModal } = useModal()
+  const { hasPermission } = usePermissions()
+  const canResolve = hasPermission(PERMISSIONS.FAILED_OCCURRENCE_UPDATE)
+  const canDelete = hasPermission(PERMISSIONS.FAILED_OCCURRENCE_DELETE)
 
   // Debounce search term
   useEffect(() => {
@@ -41,6 +63,43 @@ function FailedOccurrenceList() {
     return () => clearTimeout(timer)
   }, [searchTerm])
 
+  // Search and filters shared by the list and the export
+  const listFilters = useMemo(() => {
+    const filters = {}
+
+    // Add search term
+    if (debouncedSearchTerm) {
+      filters.searchTerm = debouncedSearchTerm
+    }
+
+    // Build filtering criteria
+    const criterias = []
+
+    // Filter by resolved status
+    if (filterResolved !== null) {
+      criterias.push({
+        filterBy: "Resolved",
+        value: filterResolved,
+        type: 5 // Equals
+      })
+    }
+
+    // Filter by failure type
+    if (filterFailureType !== null) {
+      criterias.push({
+        filterBy: "FailureType",
+        value: filterFailureType,
+        type: 5 // Equals
+      })
+    }
+
+    if (criterias.length > 0) {
+      filters.filtering = { criterias }
+    }
+
+    return filters
+  }, [debouncedSearchTerm, filterResolved, filterFailureType])
+
   const loadJobs = useCallback(async (showLoading = false) => {
     try {
       if (showLoading) {
@@ -50,37 +109,8 @@ function FailedOccurrenceList() {
 
       const requestBody = {
         pageNumber: currentPage,
-        rowCount: pageSize
-      }
-
-      // Add search term
-      if (debouncedSearchTerm) {
-        requestBody.searchTerm = debouncedSearchTerm
-      }
-
-      // Build filtering criteria
-      const criterias = []
-
-      // Filter by resolved status
-      if (filterResolved !== null) {
-        criterias.push({
-          filterBy: "Resolved",
-          value: filterResolved,
-          type: 5 // Equals
-        })
-      }
-
-      // Filter by failure type
-      if (filterFailureType !== null) {
-        criterias.push({
-          filterBy: "FailureType",
-          value: filterFailureType,
-          type: 5 // Equals
-        })
-      }
-
-      if (criterias.length > 0) {
-        requestBody.filtering = { criterias }
+        rowCount: pageSize,
+        ...listFilters
       }
 
       const response = await failedOccurrenceService.getAll(requestBody)
@@ -100,7 +130,7 @@ function FailedOccurrenceList() {
         setIsInitialLoad(false)
       }
     }
-  }, [filterResolved, filterFailureType, currentPage, pageSize, debouncedSearchTerm])
+  }, [listFilters, currentPage, pageSize])
 
   useEffect(() => {
     loadJobs(isInitialLoad)
@@ -275,22 +305,26 @@ function FailedOccurrenceList() {
             <span>({totalCount})</span>
           </h1>
         </div>
-        {selectedJobs.length > 0 && (
+        {selectedJobs.length > 0 && (canResolve || canDelete) && (
           <div className="bulk-actions">
-            <button
-              onClick={() => handleResolve(null)}
-              className="bulk-resolve-btn"
-            >
-              <Icon name="check" size={20} />
-              Mark as Resolved ({selectedJobs.length})
-            </button>
-            <button
-              onClick={() => handleDelete(null)}
-              className="bulk-delete-btn"
-            >
-              <Icon name="delete" size={20} />
-              Delete Selected ({selectedJobs.length})
-            </button>
+            {canResolve && (
+              <button
+                onClick={() => handleResolve(null)}
+                className="bulk-resolve-btn"
+              >
+                <Icon name="check" size={20} />
+                Mark as Resolved ({selectedJobs.length})
+              </button>
+            )}
+            {canDelete && (
+              <button
+                onClick={() => handleDelete(null)}
+                className="bulk-delete-btn"
+              >
+                <Icon name="delete" size={20} />
+                Delete Selected ({selectedJobs.length})
+              </button>
+            )}
           </div>
         )}
       </div>
@@ -357,6 +391,15 @@ function FailedOccurrenceList() {
             <option value="8">Zombie Detection</option>
           </select>
         </div>
+
+        <ExportButton
+          exportType={EXPORT_TYPES.FAILED_OCCURRENCE}
+          listRequest={{ ...listFilters, sorting: EXPORT_SORTING }}
+          columns={EXPORT_COLUMNS}
+          fileName="failed_executions"
+          totalCount={totalCount}
+          storageKey="failedOccurrences_export"
+        />
       </div>
 
       {/* Failed Jobs Table */}
@@ -446,7 +489,7 @@ function FailedOccurrenceList() {
                         >
                           <Icon name="visibility" size={18} />
                         </Link>
-                        {!job.resolved && (
+                        {!job.resolved && canResolve && (
                           <button
                             onClick={() => handleResolve(job)}
                             className="action-btn resolve"
@@ -455,13 +498,15 @@ function FailedOccurrenceList() {
                             <Icon name="check" size={18} />
                           </button>
                         )}
-                        <button
-                          onClick={() => handleDelete(job.id)}
-                          className="action-btn delete"
-                          title="Delete"
-                        >
-                          <Icon name="delete" size={18} />
-                        </button>
+                        {canDelete && (
+                          <button
+                            onClick={() => handleDelete(job.id)}
+                            className="action-btn delete"
+                            title="Delete"
+                          >
+                            <Icon name="delete" size={18} />
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -6,14 +6,23 @@ import signalRService from '../../services/signalRService'
 import { formatDate } from '../../utils/dateUtils'
 import Icon from '../../components/Icon'
 import JsonViewer from '../../components/JsonViewer'
-import JsonEditor from '../../components/JsonEditor'
+import JobDataEditor from '../../components/JobDataEditor'
 import Modal from '../../components/Modal'
 import AutoRefreshIndicator from '../../components/AutoRefreshIndicator'
 import { useTriggerJob } from '../../hooks/useTriggerJob'
+import { useJobPause } from '../../hooks/useJobPause'
+import { useSaveJobTemplate } from '../../hooks/useSaveJobTemplate'
+import { useJobDataSchema } from '../../hooks/useJobDataSchema'
 import { useModal } from '../../hooks/useModal'
+import { usePermissions } from '../../hooks/usePermissions'
+import { PERMISSIONS } from '../../utils/permissions'
 import './JobDetail.css'
 import CronDisplay from '../../components/CronDisplay'
 import OccurrenceTable from '../../components/OccurrenceTable'
+import JobActivityTimeline from '../../components/JobActivityTimeline'
+import JobAnalytics from '../../components/JobAnalytics'
+import JobVersionDiff from '../../components/JobVersionDiff'
+import ResumeCountdown from '../../components/ResumeCountdown'
 
 function JobDetail() {
 const { id } = useParams()
@@ -34,11 +43,21 @@ const [autoRefreshEnabled, setAutoRefreshEnabled] = useState(() => {
   return saved !== null ? saved === 'true' : true
 })
 const [lastRefreshTime, setLastRefreshTime] = useState(null)
+const [activeTab, setActiveTab] = useState('executions')
 
 const subscribedOccurrences = useRef(new Set())
 
+const { hasPermission } = usePermissions()
+const canCreate = hasPermission(PERMISSIONS.JOB_CREATE)
+const canUpdate = hasPermission(PERMISSIONS.JOB_UPDATE)
+const canDelete = hasPermission(PERMISSIONS.JOB_DELETE)
+const canTrigger = hasPermission(PERMISSIONS.JOB_TRIGGER)
+
 const { triggerJob, triggering, modalProps } = useTriggerJob()
-const { modalProps: versionModalProps, showModal } = useModal()
+const { toggleJobActive, pendingJobIds, modalProps: pauseModalProps } = useJobPause()
+const { saveAsTemplate, modalProps: templateModalProps } = useSaveJobTemplate()
+const triggerSchema = useJobDataSchema(showTriggerModal ? job?.workerId : null, job?.jobType)
+const { modalProps: versionModalProps, showModal, closeModal: closeVersionModal } = useModal()
 const { modalProps: deleteModalProps, showConfirm, showSuccess, showError } = useModal()
 
   const subscribeToPageOccurrences = useCallback(async (pageOccurrences) => {
@@ -229,7 +248,7 @@ const { modalProps: deleteModalProps, showConfirm, showSuccess, showError } = us
       } else {
         setCurrentPage(1)
       }
-    })
+    }, triggerSchema)
   }
 
   const handleTriggerCancel = () => {
@@ -238,6 +257,12 @@ const { modalProps: deleteModalProps, showConfirm, showSuccess, showError } = us
     setUseCustomData(false)
   }
 
+  const handleVersionRestored = async (version) => {
+    closeVersionModal()
+    await loadJobDetails(false)
+    await showSuccess(`Version ${version} restored`)
+  }
+
   const handleShowVersionHistory = () => {
     if (!job.jobVersions || job.jobVersions.length === 0) {
       showModal({
@@ -249,21 +274,6 @@ const { modalProps: deleteModalProps, showConfirm, showSuccess, showError } = us
       return
     }
 
-    const versionHistory = job.jobVersions.map((versionJson, index) => {
-      try {
-        return {
-          version: job.jobVersions.length - index, // Reverse order (newest first)
-          data: JSON.parse(versionJson)
-        }
-      } catch (err) {
-        console.error('Failed to parse version JSON:', err)
-        return {
-          version: job.jobVersions.length - index,
-          data: { error: 'Failed to parse version data' }
-        }
-      }
-    })
-
     const modalContent = (
       <div className="version-history-modal">
         <div className="current-version-info">
@@ -272,32 +282,11 @@ const { modalProps: deleteModalProps, showConfirm, showSuccess, showError } = us
             Current Version: v{job.version || 1}
           </div>
           <p className="version-note">
-            Showing {versionHistory.length} previous {versionHistory.length === 1 ? 'version' : 'versions'}
+            {job.jobVersions.length} previous {job.jobVersions.length === 1 ? 'version' : 'versions'}
           </p>
         </div>
 
-        <div className="version-list">
-          {versionHistory.map((version, index) => (
-            <div key={index} className="version-item">
-              <div className="version-header">
-                <span className="version-number">
-                  <Icon name="label" size={16} />
-                  Version {version.version}
-                </span>
-                <span className="version-date">
-                  {version.data.creationDate ? formatDate(version.data.creationDate) : 'Unknown date'}
-                </span>
-              </div>
-              <div className="version-content">
-                <JsonViewer
-                  data={version.data}
-                  title={`Version ${version.version} Details`}
-                  defaultExpanded={index === 0}
-                />
-              </div>
-            </div>
-          ))}
-        </div>
+        <JobVersionDiff job={job} canRestore={canUpdate} onRestored={handleVersionRestored} />
       </div>
     )
 
@@ -360,18 +349,26 @@ const { modalProps: deleteModalProps, showConfirm, showSuccess, showError } = us
     }
   }
 
+  const handleToggleActive = () => {
+    toggleJobActive(job, (patch) => setJob(prev => ({ ...prev, ...patch })))
+  }
+
   if (loading) return <div className="loading">Loading job details...</div>
   if (error) return <div className="error">{error}</div>
   if (!job) return <div className="error">Job not found</div>
 
   // Check if job was auto-disabled
   const isAutoDisabled = job.autoDisableSettings?.disabledAt && !job.isActive
+  const isPaused = !job.isActive && !isAutoDisabled && job.autoDisableSettings?.pausedAt
+  const togglingActive = pendingJobIds.includes(job.id)
 
   return (
     <div className="job-detail">
       <Modal {...modalProps} />
       <Modal {...versionModalProps} />
       <Modal {...deleteModalProps} />
+      <Modal {...pauseModalProps} />
+      <Modal {...templateModalProps} />
 
       {/* Trigger Job Modal */}
       {showTriggerModal && (
@@ -398,10 +395,11 @@ const { modalProps: deleteModalProps, showConfirm, showSuccess, showError } = us
 
               {useCustomData && (
                 <div className="trigger-jobdata-input">
-                  <JsonEditor
+                  <JobDataEditor
                     name="triggerJobData"
                     value={triggerJobData}
                     onChange={(e) => setTriggerJobData(e.target.value)}
+                    schema={triggerSchema}
                     rows={8}
                     placeholder='{"key": "value"}'
                     hint="Leave empty to use job's existing data. If provided, this data will be used only for this execution."
@@ -441,9 +439,43 @@ const { modalProps: deleteModalProps, showConfirm, showSuccess, showError } = us
               )}
             </p>
           </div>
-          <Link to={`/jobs/${id}/edit`} className="warning-action">
-            Re-enable
-          </Link>
+          {canUpdate && (
+            <Link to={`/jobs/${id}/edit`} className="warning-action">
+              Re-enable
+            </Link>
+          )}
+        </div>
+      )}
+
+      {/* Paused Banner */}
+      {isPaused && (
+        <div className="paused-job-banner">
+          <div className="paused-icon">
+            <Icon name="pause_circle" size={24} />
+          </div>
+          <div className="paused-content">
+            <h3>
+              Job Paused
+              {job.autoDisableSettings.pausedUntil && <ResumeCountdown until={job.autoDisableSettings.pausedUntil} />}
+            </h3>
+            <p>
+              Paused {formatDate(job.autoDisableSettings.pausedAt)}
+              {job.autoDisableSettings.pausedUntil
+                ? <>, resumes automatically {formatDate(job.autoDisableSettings.pausedUntil)}.</>
+                : <> until it is resumed manually.</>}
+            </p>
+            {job.autoDisableSettings.pauseReason && (
+              <p className="paused-reason">
+                <Icon name="notes" size={16} />
+                {job.autoDisableSettings.pauseReason}
+              </p>
+            )}
+          </div>
+          {canUpdate && (
+            <button className="paused-action" onClick={handleToggleActive} disabled={togglingActive}>
+              Resume Now
+            </button>
+          )}
         </div>
       )}
 
@@ -460,7 +492,7 @@ const { modalProps: deleteModalProps, showConfirm, showSuccess, showError } = us
                 <h1 >{job.displayName || job.name}</h1>
                 <span className={`job-status-badge ${job.isActive ? 'active' : 'inactive'} ${isAutoDisabled ? 'auto-disabled' : ''}`}>
                   <Icon name={job.isActive ? 'check_circle' : isAutoDisabled ? 'power_off' : 'pause_circle'} size={16} />
-                  {isAutoDisabled ? 'Auto-Disabled' : job.isActive ? 'Active' : 'Inactive'}
+                  {isAutoDisabled ? 'Auto-Disabled' : job.isActive ? 'Active' : isPaused ? 'Paused' : 'Inactive'}
                 </span>
               </div>
 
@@ -486,24 +518,55 @@ const { modalProps: deleteModalProps, showConfirm, showSuccess, showError } = us
             <button
               onClick={handleTrigger}
               className="action-btn trigger-btn"
-              disabled={!job.isActive || triggering}
-              title="Trigger job now"
+              disabled={!job.isActive || triggering || !canTrigger}
+              title={canTrigger ? 'Trigger job now' : 'You do not have permission to trigger jobs'}
             >
               <Icon name="play_arrow" size={20} />
               <span>{triggering ? 'Triggering...' : 'Trigger Now'}</span>
             </button>
-            <Link to={`/jobs/${id}/edit`} className="action-btn edit-btn">
-              <Icon name="edit" size={20} />
-              <span>Edit Job</span>
-            </Link>
-            <button
-              onClick={handleDeleteJob}
-              className="action-btn delete-btn"
-              title="Delete job"
-            >
-              <Icon name="delete" size={20} />
-              <span>Delete</span>
-            </button>
+            {canUpdate && (
+              <button
+                onClick={handleToggleActive}
+                className={`action-btn ${job.isActive ? 'pause-btn' : 'resume-btn'}`}
+                disabled={togglingActive}
+                title={job.isActive ? 'Pause scheduling of this job' : 'Resume scheduling of this job'}
+              >
+                <Icon name={job.isActive ? 'pause' : 'resume'} size={20} />
+                <span>{job.isActive ? 'Pause' : 'Resume'}</span>
+              </button>
+            )}
+            {canUpdate && (
+              <Link to={`/jobs/${id}/edit`} className="action-btn edit-btn">
+                <Icon name="edit" size={20} />
+                <span>Edit Job</span>
+              </Link>
+            )}
+            {canCreate && (
+              <Link to={`/jobs/new?duplicate=${id}`} className="action-btn duplicate-btn" title="Create a new job prefilled from this job">
+                <Icon name="content_copy" size={20} />
+                <span>Duplicate</span>
+              </Link>
+            )}
+            {canCreate && (
+              <button
+                onClick={() => saveAsTemplate(job)}
+                className="action-btn template-btn"
+                title="Save this job's configuration to the templates library"
+              >
+                <Icon name="library_add" size={20} />
+                <span>Save as Template</span>
+              </button>
+            )}
+            {canDelete && (
+              <button
+                onClick={handleDeleteJob}
+                className="action-btn delete-btn"
+                title="Delete job"
+              >
+                <Icon name="delete" size={20} />
+                <span>Delete</span>
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -572,7 +635,7 @@ const { modalProps: deleteModalProps, showConfirm, showSuccess, showError } = us
               <div className="info-row">
                 <span className="info-label">Schedule</span>
                 <div className="info-value">
-                  <CronDisplay expression={job.cronExpression} showTooltip={true} />
+                  <CronDisplay expression={job.cronExpression} showTooltip={true} showNextRun={job.isActive} />
                 </div>
               </div>
             )}
@@ -731,41 +794,78 @@ const { modalProps: deleteModalProps, showConfirm, showSuccess, showError } = us
 
       </div>
 
-      {/* Occurrences Section */}
+      {/* Occurrences / Activity Section */}
       <div className="occurrences-card">
         <div className="card-header">
-          <div>
-            <h3>
+          <div className="detail-tabs">
+            <button
+              className={`detail-tab ${activeTab === 'executions' ? 'active' : ''}`}
+              onClick={() => setActiveTab('executions')}
+            >
               <Icon name="history" size={20} />
               Execution History
-            </h3>
-          </div>
-          {totalCount > 0 && <span className="count-badge">{totalCount} total</span>}
-          <div className={`signalr-indicator ${signalRConnected ? 'connected' : 'disconnected'}`}>
-            <span className="indicator-dot"></span>
-            <span>{signalRConnected ? 'Live' : 'Reconnecting...'}</span>
+            </button>
+            <button
+              className={`detail-tab ${activeTab === 'activity' ? 'active' : ''}`}
+              onClick={() => setActiveTab('activity')}
+            >
+              <Icon name="manage_history" size={20} />
+              Activity
+            </button>
+            <button
+              className={`detail-tab ${activeTab === 'analytics' ? 'active' : ''}`}
+              onClick={() => setActiveTab('analytics')}
+            >
+              <Icon name="analytics" size={20} />
+              Analytics
+            </button>
           </div>
+          {activeTab === 'executions' && (
+            <>
+              {totalCount > 0 && <span className="count-badge">{totalCount} total</span>}
+              <div className={`signalr-indicator ${signalRConnected ? 'connected' : 'disconnected'}`}>
+                <span className="indicator-dot"></span>
+                <span>{signalRConnected ? 'Live' : 'Reconnecting...'}</span>
+              </div>
+            </>
+          )}
+          {activeTab === 'activity' && (
+            <button className="btn btn-secondary btn-sm" onClick={handleShowVersionHistory}>
+              <Icon name="history" size={16} />
+              Version History ({job.jobVersions?.length || 0})
+            </button>
+          )}
         </div>
 
-        <OccurrenceTable
-          occurrences={occurrences}
-          loading={false}
-          totalCount={totalCount}
-          currentPage={currentPage}
-          pageSize={pageSize}
-          filterStatus={filterStatus}
-          onFilterChange={(status) => {
-            setFilterStatus(status)
-            setCurrentPage(1)
-          }}
-          onPageChange={handlePageChange}
-          onPageSizeChange={(newSize) => {
-            setPageSize(newSize)
-            setCurrentPage(1)
-          }}
-          showJobName={false}
-          onBulkDelete={handleBulkDelete}
-        />
+        {activeTab === 'activity' ? (
+          <div className="card-body">
+            <JobActivityTimeline job={job} />
+          </div>
+        ) : activeTab === 'analytics' ? (
+          <div className="card-body">
+            <JobAnalytics job={job} />
+          </div>
+        ) : (
+          <OccurrenceTable
+            occurrences={occurrences}
+            loading={false}
+            totalCount={totalCount}
+            currentPage={currentPage}
+            pageSize={pageSize}
+            filterStatus={filterStatus}
+            onFilterChange={(status) => {
+              setFilterStatus(status)
+              setCurrentPage(1)
+            }}
+            onPageChange={handlePageChange}
+            onPageSizeChange={(newSize) => {
+              setPageSize(newSize)
+              setCurrentPage(1)
+            }}
+            showJobName={false}
+            onBulkDelete={canDelete ? handleBulkDelete : undefined}
+          />
+        )}
       </div>
 
       {/* Auto-refresh indicator */}
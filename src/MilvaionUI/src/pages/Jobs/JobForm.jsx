@@ -1,11 +1,24 @@
-import { useState, useEffect, useCallback } from 'react'
-import { useParams, useNavigate, Link } from 'react-router-dom'
+import { useState, useEffect, useCallback, useRef } from 'react'
+import { useParams, useNavigate, useLocation, useSearchParams, useBlocker, Link } from 'react-router-dom'
 import jobService from '../../services/jobService'
 import workerService from '../../services/workerService'
 import Icon from '../../components/Icon'
 import CronExpressionInput from '../../components/CronExpressionInput'
 import JsonStringConverter from '../../components/JsonStringConverter'
-import JsonEditor from '../../components/JsonEditor'
+import JobDataEditor from '../../components/JobDataEditor'
+import JobConflictMerge from '../../components/JobConflictMerge'
+import Modal from '../../components/Modal'
+import { useModal } from '../../hooks/useModal'
+import { useSaveJobTemplate } from '../../hooks/useSaveJobTemplate'
+import { useTimeZone } from '../../hooks/useTimeZone'
+import { usePermissions } from '../../hooks/usePermissions'
+import { PERMISSIONS } from '../../utils/permissions'
+import { parseSchema } from '../../utils/jsonSchema'
+import { validateJobData } from '../../utils/validators'
+import { getDraft, saveDraft, clearDraft } from '../../utils/jobDrafts'
+import { isHttpRequestJob } from '../../utils/httpRequest'
+import { toMergeValues, getMergeRows, getDefaultChoices, mergeJob } from '../../utils/jobMerge'
+import { formatDateInTimeZone, formatTimeZoneLabel, formatDateTime, toDateTimeInputValue, fromDateTimeInputValue } from '../../utils/dateUtils'
 import './JobForm.css'
 
 // Helper function to generate example JSON from JSON Schema
@@ -65,6 +78,54 @@ function generateExampleFromSchema(schema) {
   return example
 }
 
+const EMPTY_FORM_DATA = {
+  displayName: '',
+  workerId: '',
+  selectedJobName: '',
+  cronExpression: '',
+  executeAt: '',
+  description: '',
+  jobData: '{}',
+  isActive: true,
+  concurrentExecutionPolicy: 0, // 0=Skip, 1=Queue
+  tags: [], // Tag array
+  zombieTimeoutMinutes: '',
+  executionTimeoutSeconds: '',
+  // Auto-disable settings
+  autoDisableSettings: {
+    enabled: true,
+    threshold: ''
+  }
+}
+
+// Drafts are saved once the form has not changed for this long
+const DRAFT_AUTOSAVE_DELAY = 1000
+
+// Comparable form state, used to detect unsaved changes
+const serializeForm = (formData, scheduleType) => JSON.stringify({ formData, scheduleType })
+
+// Form state of a job detail, used for editing, duplicating and creating from a template
+function toFormData(data, timeZone) {
+  return {
+    displayName: data.displayName || '',
+    workerId: data.workerId || '',
+    selectedJobName: data.jobType || '',
+    cronExpression: data.cronExpression || '',
+    executeAt: toDateTimeInputValue(data.executeAt, timeZone),
+    description: data.description || '',
+    jobData: data.jobData ? JSON.stringify(JSON.parse(data.jobData), null, 2) : '{}',
+    isActive: data.isActive,
+    concurrentExecutionPolicy: data.concurrentExecutionPolicy ?? 0,
+    tags: data.tags ? data.tags.split(',').map(t => t.trim()).filter(t => t) : [], // Split by comma
+    zombieTimeoutMinutes: data.zombieTimeoutMinutes || '',
+    executionTimeoutSeconds: data.executionTimeoutSeconds || '',
+    autoDisableSettings: {
+      enabled: data.autoDisableSettings?.enabled ?? true,
+      threshold: data.autoDisableSettings?.threshold || ''
+    }
+  }
+}
+
 // Schema Viewer Component
 function SchemaViewer({ schema }) {
   const [expanded, setExpanded] = useState(false)
@@ -129,27 +190,23 @@ function SchemaViewer({ schema }) {
 function JobForm() {
   const { id } = useParams()
   const navigate = useNavigate()
+  const location = useLocation()
+  const [searchParams] = useSearchParams()
   const isEditMode = !!id
-
-  const [formData, setFormData] = useState({
-    displayName: '',
-    workerId: '',
-    selectedJobName: '',
-    cronExpression: '',
-    executeAt: '',
-    description: '',
-    jobData: '{}',
-    isActive: true,
-    concurrentExecutionPolicy: 0, // 0=Skip, 1=Queue
-    tags: [], // Tag array
-    zombieTimeoutMinutes: '',
-    executionTimeoutSeconds: '',
-    // Auto-disable settings
-    autoDisableSettings: {
-      enabled: true,
-      threshold: ''
-    }
-  })
+  // New jobs can be prefilled from an existing job (?duplicate=<id>) or a template (navigation state)
+  const duplicateId = isEditMode ? null : searchParams.get('duplicate')
+  const template = isEditMode ? null : location.state?.template
+  const sourceJobId = id || duplicateId
+  // Drafts are kept per form source, so a blank job, a duplicate and a template do not restore each other's draft
+  const draftId = isEditMode
+    ? id
+    : duplicateId
+      ? `dup:${duplicateId}`
+      : template
+        ? `tpl:${template.id}`
+        : 'new'
+
+  const [formData, setFormData] = useState(EMPTY_FORM_DATA)
 
   const [scheduleType, setScheduleType] = useState('cron') // 'cron' or 'once'
   const [loading, setLoading] = useState(false)
@@ -157,6 +214,17 @@ function JobForm() {
   const [workers, setWorkers] = useState([])           // ← YENİ
   const [selectedWorker, setSelectedWorker] = useState(null) // ← YENİ
   const [tagInput, setTagInput] = useState('') // Input for new tag
+  const [original, setOriginal] = useState(null) // Job as loaded, base of the conflict check on save
+  const [initialSnapshot, setInitialSnapshot] = useState(null)
+  const [draft, setDraft] = useState(null) // Draft offered for restore
+  const [draftSavedAt, setDraftSavedAt] = useState(null)
+  const savedRef = useRef(false)
+
+  const { modalProps, showModal, showConfirm } = useModal()
+  const { saveAsTemplate, modalProps: templateModalProps } = useSaveJobTemplate()
+  const { timeZone } = useTimeZone()
+  const { hasPermission } = usePermissions()
+  const canCreate = hasPermission(PERMISSIONS.JOB_CREATE)
 
   const loadWorkers = useCallback(async () => {
     try {
@@ -179,49 +247,119 @@ function JobForm() {
     }
   }, [])
 
+  // Returns the loaded job, null if it could not be loaded
   const loadJob = useCallback(async () => {
     try {
       setLoading(true)
-      const response = await jobService.getById(id)
-      const data = response.data
-
-      setFormData({
-        displayName: data.displayName || '',
-        workerId: data.workerId || '',
-        selectedJobName: data.jobType || '',
-        cronExpression: data.cronExpression || '',
-        executeAt: data.executeAt ? new Date(data.executeAt).toISOString().slice(0, 16) : '',
-        description: data.description || '',
-        jobData: data.jobData ? JSON.stringify(JSON.parse(data.jobData), null, 2) : '{}',
-        isActive: data.isActive,
-        concurrentExecutionPolicy: data.concurrentExecutionPolicy ?? 0,
-        tags: data.tags ? data.tags.split(',').map(t => t.trim()).filter(t => t) : [], // Split by comma
-        zombieTimeoutMinutes: data.zombieTimeoutMinutes || '',
-        executionTimeoutSeconds: data.executionTimeoutSeconds || '',
-        autoDisableSettings: {
-          enabled: data.autoDisableSettings?.enabled ?? true,
-          threshold: data.autoDisableSettings?.threshold || ''
-        }
-      })
-
-      setScheduleType(data.cronExpression ? 'cron' : 'once')
+      const response = await jobService.getById(sourceJobId)
+      return response.data
     } catch (err) {
       setError('Failed to load job')
       console.error(err)
+      return null
     } finally {
       setLoading(false)
     }
-  }, [id])
+  }, [sourceJobId])
 
   useEffect(() => {
     const initializeForm = async () => {
       await loadWorkers()
-      if (isEditMode) {
-        await loadJob()
+
+      let initialForm = EMPTY_FORM_DATA
+      let initialScheduleType = 'cron'
+
+      if (sourceJobId) {
+        const data = await loadJob()
+        if (!data) return
+
+        initialForm = {
+          ...toFormData(data, timeZone),
+          // A duplicate is a new job, it gets its own name
+          ...(isEditMode ? {} : { displayName: `${data.displayName || ''} (copy)` })
+        }
+        initialScheduleType = data.cronExpression ? 'cron' : 'once'
+        setOriginal(isEditMode ? data : null)
+      } else if (template) {
+        initialForm = toFormData(template.job, timeZone)
+        initialScheduleType = template.job.cronExpression ? 'cron' : 'once'
+      }
+
+      setFormData(initialForm)
+      setScheduleType(initialScheduleType)
+      setInitialSnapshot(serializeForm(initialForm, initialScheduleType))
+
+      // Offer the autosaved draft if it has changes
+      const savedDraft = getDraft(draftId)
+      if (savedDraft && serializeForm(savedDraft.formData, savedDraft.scheduleType) !== serializeForm(initialForm, initialScheduleType)) {
+        setDraft(savedDraft)
       }
     }
     initializeForm()
-  }, [isEditMode, loadWorkers, loadJob])
+  }, [sourceJobId, isEditMode, draftId, template, timeZone, loadWorkers, loadJob])
+
+  const isDirty = initialSnapshot !== null && serializeForm(formData, scheduleType) !== initialSnapshot
+
+  // Autosave a draft of unsaved changes, reverting all changes removes the draft
+  useEffect(() => {
+    if (!isDirty) {
+      if (initialSnapshot !== null && !draft) clearDraft(draftId)
+      return
+    }
+
+    const timer = setTimeout(() => {
+      saveDraft(draftId, { formData, scheduleType, original })
+      setDraftSavedAt(new Date())
+      // The offered draft was replaced by the current changes
+      setDraft(null)
+    }, DRAFT_AUTOSAVE_DELAY)
+
+    return () => clearTimeout(timer)
+  }, [isDirty, initialSnapshot, draft, draftId, formData, scheduleType, original])
+
+  // Closing or reloading the tab with unsaved changes asks the browser to confirm
+  useEffect(() => {
+    if (!isDirty) return
+
+    const handleBeforeUnload = (e) => {
+      e.preventDefault()
+      e.returnValue = ''
+    }
+
+    window.addEventListener('beforeunload', handleBeforeUnload)
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload)
+  }, [isDirty])
+
+  // Leaving the form inside the app with unsaved changes needs a confirmation, the draft is kept
+  const blocker = useBlocker(({ currentLocation, nextLocation }) =>
+    isDirty && !savedRef.current && currentLocation.pathname !== nextLocation.pathname
+  )
+
+  useEffect(() => {
+    if (blocker.state !== 'blocked') return
+
+    showConfirm(
+      'You have unsaved changes. They are kept as a draft and offered again when you open this form. Leave the page?',
+      'Unsaved Changes',
+      'Leave',
+      'Stay'
+    ).then(leave => leave ? blocker.proceed() : blocker.reset())
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [blocker.state])
+
+  const handleRestoreDraft = () => {
+    setFormData(draft.formData)
+    setScheduleType(draft.scheduleType)
+    setSelectedWorker(workers.find(w => w.workerId === draft.formData.workerId) || null)
+    // The draft is merged against the job it was made on, so changes saved since are detected on save
+    if (isEditMode && draft.original) setOriginal(draft.original)
+    setDraft(null)
+  }
+
+  const handleDiscardDraft = () => {
+    clearDraft(draftId)
+    setDraft(null)
+  }
 
   const handleWorkerChange = (e) => {
     const workerId = e.target.value
@@ -292,6 +430,92 @@ function JobForm() {
     }))
   }
 
+  // JSON Schema of the selected job's data, drives the job data form and validation
+  const jobDataSchema = parseSchema(selectedWorker?.jobDataDefinitions?.[formData.selectedJobName])
+
+  // executeAt is entered as wall clock time in the user's display time zone
+  const executeAtUtc = fromDateTimeInputValue(formData.executeAt, timeZone)
+
+  const buildPayload = (formData, scheduleType) => {
+    const payload = {
+      displayName: formData.displayName,
+      workerId: formData.workerId,
+      selectedJobName: formData.selectedJobName,
+      description: formData.description,
+      jobData: formData.jobData,
+      isActive: formData.isActive,
+      concurrentExecutionPolicy: parseInt(formData.concurrentExecutionPolicy),
+      tags: formData.tags.join(','), // Join tags with comma
+      zombieTimeoutMinutes: formData.zombieTimeoutMinutes ? parseInt(formData.zombieTimeoutMinutes) : null,
+      executionTimeoutSeconds: formData.executionTimeoutSeconds ? parseInt(formData.executionTimeoutSeconds) : null,
+      autoDisableSettings: {
+        enabled: formData.autoDisableSettings.enabled,
+        threshold: formData.autoDisableSettings.threshold ? parseInt(formData.autoDisableSettings.threshold) : null
+      }
+    }
+
+    if (scheduleType === 'cron') {
+      payload.cronExpression = formData.cronExpression
+    } else {
+      payload.executeAt = fromDateTimeInputValue(formData.executeAt, timeZone)
+    }
+
+    return payload
+  }
+
+  const handleSaveTemplate = () => {
+    setError(null)
+
+    try {
+      JSON.parse(formData.jobData)
+    } catch {
+      setError('Invalid JSON in Job Data field')
+      return
+    }
+
+    saveAsTemplate(buildPayload(formData, scheduleType))
+  }
+
+  // Compares the edit with the job as saved now and lets the user merge the changes someone else saved since it was loaded.
+  // Returns the payload to save and the concurrency stamp of the job it is based on, null if the user keeps editing
+  const resolveConflicts = async (payload) => {
+    if (!original) return { payload, concurrencyStamp: null }
+
+    const response = await jobService.getById(id)
+    const latest = response.data
+    const mine = toMergeValues(payload)
+    const rows = getMergeRows(toMergeValues(original), mine, toMergeValues(latest))
+
+    if (rows.length === 0) {
+      return { payload, concurrencyStamp: latest.concurrencyStamp }
+    }
+
+    const choices = getDefaultChoices(rows)
+
+    const confirmed = await showModal({
+      title: 'Job Changed by Someone Else',
+      message: <JobConflictMerge rows={rows} choices={choices} originalVersion={original.version} latestVersion={latest.version} />,
+      confirmText: 'Save Merged Job',
+      cancelText: 'Keep Editing',
+      showCancel: true,
+      type: 'custom',
+      className: 'modal-large'
+    })
+
+    if (!confirmed) return null
+
+    // The merge result becomes the edit, based on the job as saved now
+    const mergedJob = mergeJob(latest, mine, rows, choices)
+    const mergedForm = toFormData(mergedJob, timeZone)
+    const mergedScheduleType = mergedJob.cronExpression ? 'cron' : 'once'
+
+    setOriginal(latest)
+    setFormData(mergedForm)
+    setScheduleType(mergedScheduleType)
+
+    return { payload: buildPayload(mergedForm, mergedScheduleType), concurrencyStamp: latest.concurrencyStamp }
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     setError(null)
@@ -304,38 +528,54 @@ function JobForm() {
       return
     }
 
-    try {
-      setLoading(true)
-
-      const payload = {
-        displayName: formData.displayName,
-        workerId: formData.workerId,
-        selectedJobName: formData.selectedJobName,
-        description: formData.description,
-        jobData: formData.jobData,
-        isActive: formData.isActive,
-        concurrentExecutionPolicy: parseInt(formData.concurrentExecutionPolicy),
-        tags: formData.tags.join(','), // Join tags with comma
-        zombieTimeoutMinutes: formData.zombieTimeoutMinutes ? parseInt(formData.zombieTimeoutMinutes) : null,
-        executionTimeoutSeconds: formData.executionTimeoutSeconds ? parseInt(formData.executionTimeoutSeconds) : null,
-        autoDisableSettings: {
-          enabled: formData.autoDisableSettings.enabled,
-          threshold: formData.autoDisableSettings.threshold ? parseInt(formData.autoDisableSettings.threshold) : null
-        }
+    // Validate against the worker's job data schema, saving invalid data needs an explicit override
+    const jobDataValidation = validateJobData(formData.jobData, jobDataSchema)
+    if (!jobDataValidation.isValid) {
+      const saveAnyway = await showConfirm(
+        <div className="schema-errors-confirm">
+          <span>{jobDataValidation.error}. The worker may fail to run the job with this data.</span>
+          <ul>
+            {jobDataValidation.errors.slice(0, 10).map((err, index) => (
+              <li key={index}>{err.message}</li>
+            ))}
+            {jobDataValidation.errors.length > 10 && <li>...and {jobDataValidation.errors.length - 10} more</li>}
+          </ul>
+          <span>Save the job anyway?</span>
+        </div>,
+        'Job Data Does Not Match Schema',
+        'Save Anyway',
+        'Fix Errors'
+      )
+
+      if (!saveAnyway) {
+        setError(jobDataValidation.error)
+        return
       }
+    }
 
-      if (scheduleType === 'cron') {
-        payload.cronExpression = formData.cronExpression
-      } else {
-        payload.executeAt = new Date(formData.executeAt).toISOString()
-      }
+    try {
+      const payload = buildPayload(formData, scheduleType)
 
       if (isEditMode) {
-        await jobService.update(id, payload)
+        const resolved = await resolveConflicts(payload)
+        if (!resolved) return
+
+        setLoading(true)
+
+        // The API rejects the update if the job was updated again after the conflict check
+        const response = await jobService.update(id, { ...resolved.payload, expectedConcurrencyStamp: resolved.concurrencyStamp })
+
+        if (response?.isSuccess === false) {
+          setError(response.message || response.messages?.[0]?.message || 'Failed to save job')
+          return
+        }
       } else {
+        setLoading(true)
         await jobService.create(payload)
       }
 
+      savedRef.current = true
+      clearDraft(draftId)
       navigate('/jobs')
     } catch (err) {
       setError(err.response?.data?.message || 'Failed to save job')
@@ -355,6 +595,8 @@ function JobForm() {
 
   return (
     <div className="job-form-container">
+      <Modal {...modalProps} />
+      <Modal {...templateModalProps} />
       <div className="form-header">
         <div className="form-header-left">
           <Link to={isEditMode ? `/jobs/${id}` : '/jobs'} className="back-icon-btn" title={isEditMode ? 'Back to Job Detail' : 'Back to Jobs'}>
@@ -363,13 +605,17 @@ function JobForm() {
           <div className="form-header-content">
             <h1>
               {/*<Icon name={isEditMode ? 'edit' : 'add'} size={28} />*/}
-              <span style={{ margin: '0 0 0 0.25rem' }}>  {isEditMode ? 'Edit Job' : 'Create New Job'}</span>
+              <span style={{ margin: '0 0 0 0.25rem' }}>  {isEditMode ? 'Edit Job' : duplicateId ? 'Duplicate Job' : 'Create New Job'}</span>
 
             </h1>
             <p className="form-subtitle">
               {isEditMode
                 ? 'Update the configuration for this scheduled job'
-                : 'Configure a new scheduled job to run on your workers'
+                : duplicateId
+                  ? <>Prefilled from <Link to={`/jobs/${duplicateId}`}>the original job</Link>, review it before creating the copy</>
+                  : template
+                    ? <>Prefilled from the template <strong>{template.name}</strong>, review it before creating the job</>
+                    : 'Configure a new scheduled job to run on your workers'
               }
             </p>
           </div>
@@ -377,10 +623,22 @@ function JobForm() {
 
         {/* Form Actions - moved to header */}
         <div className="form-actions">
+          {isDirty && (
+            <span className="draft-status" title="Unsaved changes are autosaved as a draft in this browser">
+              <Icon name="edit_note" size={16} />
+              {draftSavedAt ? `Draft saved ${formatDateTime(draftSavedAt)}` : 'Unsaved changes'}
+            </span>
+          )}
           <button type="button" onClick={handleCancel} className="btn btn-secondary">
             <Icon name="close" size={18} />
             Cancel
           </button>
+          {canCreate && (
+            <button type="button" onClick={handleSaveTemplate} className="btn btn-secondary" title="Save this configuration to the templates library">
+              <Icon name="library_add" size={18} />
+              Save as Template
+            </button>
+          )}
           <button type="submit" disabled={loading} className="btn btn-primary" form="job-form">
             {loading ? (
               <>
@@ -404,6 +662,25 @@ function JobForm() {
 
       {error && <div className="error-message">{error}</div>}
 
+      {draft && (
+        <div className="draft-banner">
+          <Icon name="history" size={20} />
+          <span>
+            You have an unsaved draft of this {isEditMode ? 'job' : 'new job'} from {formatDateTime(draft.savedAt)}.
+            {isEditMode && original && draft.original && draft.original.concurrencyStamp !== original.concurrencyStamp &&
+              ' The job has been changed since, you can merge the changes when saving.'}
+          </span>
+          <div className="draft-banner-actions">
+            <button type="button" onClick={handleRestoreDraft} className="btn btn-sm btn-primary">
+              Restore Draft
+            </button>
+            <button type="button" onClick={handleDiscardDraft} className="btn btn-sm btn-secondary">
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+
       <form onSubmit={handleSubmit} className="job-form" id="job-form">
         {/* Main Form Section */}
         <div className="main-form-section">
@@ -584,6 +861,7 @@ function JobForm() {
                     onChange={handleChange}
                     required={scheduleType === 'cron'}
                   />
+                  <small>Schedules run in UTC, next runs are previewed in {formatTimeZoneLabel(timeZone)}</small>
                 </div>
               ) : (
                 <div className="form-group">
@@ -598,6 +876,21 @@ function JobForm() {
                     onChange={handleChange}
                     required={scheduleType === 'once'}
                   />
+                  <small>Entered in {formatTimeZoneLabel(timeZone, executeAtUtc || new Date())}</small>
+                  {executeAtUtc && (
+                    <div className="timezone-conversions">
+                      <span>
+                        <Icon name="public" size={14} />
+                        UTC: {formatDateInTimeZone(executeAtUtc, 'UTC', 'lll')}
+                      </span>
+                      {timeZone !== 'local' && (
+                        <span>
+                          <Icon name="computer" size={14} />
+                          Local: {formatDateInTimeZone(executeAtUtc, 'local', 'lll')}
+                        </span>
+                      )}
+                    </div>
+                  )}
                 </div>
               )}
             </div>
@@ -606,13 +899,15 @@ function JobForm() {
           {/* Job Data Card */}
           <div className="form-card">
             <div className="form-section">
-              <h3 className="form-section-title">Job Data (JSON)</h3>
+              <h3 className="form-section-title">Job Data</h3>
 
               <div className="form-group">
-                <JsonEditor
+                <JobDataEditor
                   name="jobData"
                   value={formData.jobData}
                   onChange={handleChange}
+                  schema={jobDataSchema}
+                  requestBuilder={isHttpRequestJob(formData.selectedJobName)}
                   rows={10}
                   placeholder='{"key": "value"}'
                   hint="JSON configuration data that will be passed to the job"
@@ -0,0 +1,447 @@
+import { useState, useRef } from 'react'
+import { Link } from 'react-router-dom'
+import jobService from '../../services/jobService'
+import workerService from '../../services/workerService'
+import Icon from '../../components/Icon'
+import { usePermissions } from '../../hooks/usePermissions'
+import { PERMISSIONS } from '../../utils/permissions'
+import {
+  parseBundle,
+  validateBundleEntry,
+  diffBundleEntry,
+  toCreatePayload,
+  toUpdatePayload,
+} from '../../utils/jobBundle'
+import './JobImport.css'
+
+const ACTIONS = {
+  create: { label: 'Create', icon: 'add_circle', className: 'action-create' },
+  update: { label: 'Update', icon: 'sync', className: 'action-update' },
+  unchanged: { label: 'Unchanged', icon: 'check', className: 'action-unchanged' },
+  invalid: { label: 'Invalid', icon: 'error', className: 'action-invalid' },
+}
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—'
+  if (Array.isArray(value) && value.every(v => typeof v !== 'object')) return value.join(', ') || '—'
+  if (typeof value === 'object') return JSON.stringify(value, null, 2)
+  return String(value)
+}
+
+const getErrorMessage = (response, err, fallback) =>
+  response?.messages?.[0]?.message || err?.response?.data?.messages?.[0]?.message || err?.message || fallback
+
+function JobImport() {
+  const { hasPermission } = usePermissions()
+  const canCreate = hasPermission(PERMISSIONS.JOB_CREATE)
+  const canUpdate = hasPermission(PERMISSIONS.JOB_UPDATE)
+  const fileInputRef = useRef(null)
+
+  const [step, setStep] = useState('source') // 'source' | 'review' | 'result'
+  const [content, setContent] = useState('')
+  const [fileName, setFileName] = useState('')
+  const [error, setError] = useState(null)
+  const [validating, setValidating] = useState(false)
+  const [items, setItems] = useState([])
+  const [expandedIndex, setExpandedIndex] = useState(null)
+  const [progress, setProgress] = useState(null) // { done, total } while importing
+  const [results, setResults] = useState([])
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    const reader = new FileReader()
+    reader.onload = () => {
+      setContent(reader.result)
+      setFileName(file.name)
+      setError(null)
+    }
+    reader.onerror = () => setError('File could not be read')
+    reader.readAsText(file)
+
+    // Allow selecting the same file again
+    e.target.value = ''
+  }
+
+  const loadWorkers = async () => {
+    const response = await workerService.getAll()
+    if (Array.isArray(response?.data)) return response.data
+    return response?.data?.data || []
+  }
+
+  const loadJobs = async () => {
+    const response = await jobService.getAll()
+    return response?.data?.data || response?.data || []
+  }
+
+  // Validate every entry and compare it with the job of the same name and type
+  const handleValidate = async () => {
+    setError(null)
+
+    let entries
+    try {
+      entries = parseBundle(content)
+    } catch (err) {
+      setError(err.message)
+      return
+    }
+
+    if (entries.length === 0) {
+      setError('The file does not contain any job.')
+      return
+    }
+
+    try {
+      setValidating(true)
+      const [workers, jobs] = await Promise.all([loadWorkers(), loadJobs()])
+      const seenKeys = new Set()
+      const reviewed = []
+
+      for (const [index, entry] of entries.entries()) {
+        const { errors, warnings } = validateBundleEntry(entry, workers)
+        const key = `${entry.displayName.toLowerCase()}|${entry.jobType}`
+        const matches = jobs.filter(j => j.displayName?.toLowerCase() === entry.displayName.toLowerCase() && j.jobType === entry.jobType)
+        let existing = null
+        let changes = []
+
+        if (seenKeys.has(key)) {
+          errors.push('The file contains this job more than once.')
+        }
+        seenKeys.add(key)
+
+        if (matches.length > 1) {
+          errors.push(`${matches.length} existing jobs have this name and type, rename it to import.`)
+        } else if (matches.length === 1) {
+          const response = await jobService.getById(matches[0].id)
+          existing = response?.data
+          changes = existing ? diffBundleEntry(entry, existing) : []
+
+          changes.filter(c => c.createOnly).forEach(c => {
+            warnings.push(`${c.label} cannot be changed on an existing job and will be skipped.`)
+          })
+        }
+
+        let action = existing ? (changes.some(c => !c.createOnly) ? 'update' : 'unchanged') : 'create'
+
+        if (action === 'create' && !canCreate) errors.push('You do not have permission to create jobs.')
+        if (action === 'update' && !canUpdate) errors.push('You do not have permission to update jobs.')
+        if (errors.length > 0) action = 'invalid'
+
+        reviewed.push({ index, entry, errors, warnings, existing, changes, action, include: action === 'create' || action === 'update' })
+      }
+
+      setItems(reviewed)
+      setExpandedIndex(null)
+      setStep('review')
+    } catch (err) {
+      console.error(err)
+      setError(getErrorMessage(null, err, 'Failed to validate the file'))
+    } finally {
+      setValidating(false)
+    }
+  }
+
+  const toggleInclude = (index) => {
+    setItems(prev => prev.map(item => item.index === index ? { ...item, include: !item.include } : item))
+  }
+
+  const handleImport = async () => {
+    const selected = items.filter(item => item.include)
+    const importResults = []
+
+    setProgress({ done: 0, total: selected.length })
+
+    for (const item of selected) {
+      let response
+      try {
+        if (item.action === 'create') {
+          response = await jobService.create(toCreatePayload(item.entry))
+        } else {
+          const { payload, updatedFields } = toUpdatePayload(item.entry, item.changes)
+          response = await jobService.update(item.existing.id, payload, updatedFields)
+        }
+
+        importResults.push(response?.isSuccess === false
+          ? { ...item, success: false, message: getErrorMessage(response, null, 'Import failed') }
+          : { ...item, success: true })
+      } catch (err) {
+        console.error(err)
+        importResults.push({ ...item, success: false, message: getErrorMessage(response, err, 'Import failed') })
+      }
+
+      setProgress({ done: importResults.length, total: selected.length })
+    }
+
+    setResults(importResults)
+    setProgress(null)
+    setStep('result')
+  }
+
+  const handleReset = () => {
+    setStep('source')
+    setContent('')
+    setFileName('')
+    setItems([])
+    setResults([])
+    setError(null)
+  }
+
+  const counts = items.reduce((acc, item) => ({ ...acc, [item.action]: (acc[item.action] || 0) + 1 }), {})
+  const selectedCount = items.filter(item => item.include).length
+
+  const renderSource = () => (
+    <div className="import-card">
+      <h2>
+        <Icon name="upload_file" size={22} />
+        1. Choose a job bundle
+      </h2>
+      <p className="import-hint">
+        Select a JSON or YAML file created with <strong>Export Jobs</strong> on the job list, or paste its content below.
+      </p>
+
+      <div className="import-file-row">
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,.yaml,.yml,application/json,application/x-yaml,text/yaml"
+          onChange={handleFileChange}
+          hidden
+        />
+        <button type="button" className="btn btn-secondary" onClick={() => fileInputRef.current?.click()}>
+          <Icon name="folder_open" size={18} />
+          Choose File
+        </button>
+        {fileName && <span className="import-file-name">{fileName}</span>}
+      </div>
+
+      <textarea
+        className="import-content"
+        value={content}
+        onChange={(e) => {
+          setContent(e.target.value)
+          setFileName('')
+        }}
+        placeholder={'kind: MilvaionJobBundle\nversion: 1\njobs:\n  - displayName: ...'}
+        rows={14}
+        spellCheck={false}
+      />
+
+      {error && (
+        <div className="import-error">
+          <Icon name="error" size={18} />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className="import-actions">
+        <button type="button" className="btn btn-primary" onClick={handleValidate} disabled={!content.trim() || validating}>
+          <Icon name="fact_check" size={18} />
+          {validating ? 'Validating...' : 'Validate'}
+        </button>
+      </div>
+    </div>
+  )
+
+  const renderReview = () => (
+    <div className="import-card">
+      <h2>
+        <Icon name="difference" size={22} />
+        2. Review changes
+      </h2>
+      <div className="import-summary">
+        {Object.entries(ACTIONS).map(([key, action]) => (
+          <span key={key} className={`import-action-badge ${action.className}`}>
+            <Icon name={action.icon} size={14} />
+            {counts[key] || 0} {action.label}
+          </span>
+        ))}
+      </div>
+
+      <div className="import-items">
+        {items.map(item => {
+          const action = ACTIONS[item.action]
+          const selectable = item.action === 'create' || item.action === 'update'
+          const expanded = expandedIndex === item.index
+
+          return (
+            <div key={item.index} className={`import-item ${action.className}`}>
+              <div className="import-item-header">
+                <input
+                  type="checkbox"
+                  checked={item.include}
+                  disabled={!selectable || progress !== null}
+                  onChange={() => toggleInclude(item.index)}
+                />
+                <div className="import-item-title">
+                  <span className="import-item-name">{item.entry.displayName || '(no name)'}</span>
+                  <span className="import-item-meta">
+                    {item.entry.workerId || '?'} / {item.entry.jobType || '?'} · {item.entry.cronExpression || item.entry.executeAt || 'no schedule'}
+                  </span>
+                </div>
+                <span className={`import-action-badge ${action.className}`}>
+                  <Icon name={action.icon} size={14} />
+                  {action.label}
+                  {item.action === 'update' && ` (${item.changes.filter(c => !c.createOnly).length})`}
+                </span>
+                {item.existing && item.changes.length > 0 && (
+                  <button
+                    type="button"
+                    className="import-diff-toggle"
+                    onClick={() => setExpandedIndex(expanded ? null : item.index)}
+                    title={expanded ? 'Hide changes' : 'Show changes'}
+                  >
+                    <Icon name={expanded ? 'expand_less' : 'expand_more'} size={20} />
+                  </button>
+                )}
+                {item.existing && (
+                  <Link to={`/jobs/${item.existing.id}`} className="import-diff-toggle" title="Open existing job" target="_blank">
+                    <Icon name="open_in_new" size={18} />
+                  </Link>
+                )}
+              </div>
+
+              {item.errors.length > 0 && (
+                <ul className="import-messages errors">
+                  {item.errors.map((message, i) => <li key={i}>{message}</li>)}
+                </ul>
+              )}
+              {item.warnings.length > 0 && (
+                <ul className="import-messages warnings">
+                  {item.warnings.map((message, i) => <li key={i}>{message}</li>)}
+                </ul>
+              )}
+
+              {expanded && (
+                <table className="import-diff">
+                  <thead>
+                    <tr>
+                      <th>Field</th>
+                      <th>Current</th>
+                      <th>Imported</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {item.changes.map(change => (
+                      <tr key={change.key} className={change.createOnly ? 'skipped' : ''}>
+                        <td>{change.label}{change.createOnly && <small> (skipped)</small>}</td>
+                        <td><pre className="diff-removed">{formatValue(change.current)}</pre></td>
+                        <td><pre className="diff-added">{formatValue(change.imported)}</pre></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )
+        })}
+      </div>
+
+      {progress && (
+        <div className="import-progress">
+          <div className="import-progress-bar">
+            <div className="import-progress-fill" style={{ width: `${Math.round((progress.done / progress.total) * 100)}%` }} />
+          </div>
+          <span>Importing {progress.done} of {progress.total}...</span>
+        </div>
+      )}
+
+      <div className="import-actions">
+        <button type="button" className="btn btn-secondary" onClick={() => setStep('source')} disabled={progress !== null}>
+          <Icon name="arrow_back" size={18} />
+          Back
+        </button>
+        <button type="button" className="btn btn-primary" onClick={handleImport} disabled={selectedCount === 0 || progress !== null}>
+          <Icon name="download_done" size={18} />
+          {progress ? 'Importing...' : `Import ${selectedCount} Job${selectedCount !== 1 ? 's' : ''}`}
+        </button>
+      </div>
+    </div>
+  )
+
+  const renderResult = () => {
+    const succeeded = results.filter(r => r.success)
+    const failed = results.filter(r => !r.success)
+
+    return (
+      <div className="import-card">
+        <h2>
+          <Icon name={failed.length > 0 ? 'warning' : 'task_alt'} size={22} />
+          3. Import finished
+        </h2>
+        <div className="import-summary">
+          <span className="import-action-badge action-create">
+            <Icon name="add_circle" size={14} />
+            {succeeded.filter(r => r.action === 'create').length} created
+          </span>
+          <span className="import-action-badge action-update">
+            <Icon name="sync" size={14} />
+            {succeeded.filter(r => r.action === 'update').length} updated
+          </span>
+          <span className="import-action-badge action-invalid">
+            <Icon name="error" size={14} />
+            {failed.length} failed
+          </span>
+        </div>
+
+        <div className="import-items">
+          {results.map(result => (
+            <div key={result.index} className={`import-item ${result.success ? 'action-create' : 'action-invalid'}`}>
+              <div className="import-item-header">
+                <Icon name={result.success ? 'check_circle' : 'cancel'} size={20} />
+                <div className="import-item-title">
+                  <span className="import-item-name">{result.entry.displayName}</span>
+                  <span className="import-item-meta">
+                    {result.success ? (result.action === 'create' ? 'Created' : 'Updated') : result.message}
+                  </span>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="import-actions">
+          <button type="button" className="btn btn-secondary" onClick={handleReset}>
+            <Icon name="upload_file" size={18} />
+            Import Another File
+          </button>
+          <Link to="/jobs" className="btn btn-primary">
+            <Icon name="work" size={18} />
+            Go to Jobs
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="job-import-page">
+      <div className="page-header">
+        <div className="header-content">
+          <Link to="/jobs" className="back-icon-btn" title="Back to Jobs">
+            <Icon name="arrow_back" size={24} />
+          </Link>
+          <h1>
+            <Icon name="upload_file" size={28} />
+            <span>Import Jobs</span>
+          </h1>
+        </div>
+      </div>
+
+      <div className="import-steps">
+        {['Choose file', 'Review', 'Result'].map((label, i) => (
+          <div key={label} className={`import-step ${['source', 'review', 'result'].indexOf(step) >= i ? 'active' : ''}`}>
+            <span className="import-step-number">{i + 1}</span>
+            {label}
+          </div>
+        ))}
+      </div>
+
+      {step === 'source' && renderSource()}
+      {step === 'review' && renderReview()}
+      {step === 'result' && renderResult()}
+    </div>
+  )
+}
+
+export default JobImport
@@ -1,18 +1,49 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useMemo } from 'react'
 import { Link, useLocation } from 'react-router-dom'
 import jobService from '../../services/jobService'
 import { formatDateTime } from '../../utils/dateUtils'
 import CronDisplay from '../../components/CronDisplay'
 import Modal from '../../components/Modal'
 import Icon from '../../components/Icon'
-import JsonEditor from '../../components/JsonEditor'
+import JobDataEditor from '../../components/JobDataEditor'
 import AutoRefreshIndicator from '../../components/AutoRefreshIndicator'
+import ExportButton from '../../components/ExportButton'
+import JobExportDialog from '../../components/JobExportDialog'
+import JobBulkActions from '../../components/JobBulkActions'
+import ResumeCountdown from '../../components/ResumeCountdown'
+import { EXPORT_TYPES } from '../../services/exportService'
 import { useModal } from '../../hooks/useModal'
 import { useTriggerJob } from '../../hooks/useTriggerJob'
+import { useJobPause } from '../../hooks/useJobPause'
+import { useJobDataSchema } from '../../hooks/useJobDataSchema'
+import { usePermissions } from '../../hooks/usePermissions'
+import { PERMISSIONS } from '../../utils/permissions'
 import './JobList.css'
 
+// Exportable columns (API property names), the ones shown in the table are selected by default
+const EXPORT_COLUMNS = [
+  { key: 'IsActive', label: 'Status' },
+  { key: 'DisplayName', label: 'Name' },
+  { key: 'JobType', label: 'Type' },
+  { key: 'CronExpression', label: 'Schedule' },
+  { key: 'LatestRun', label: 'Latest Run' },
+  { key: 'LatestStatus', label: 'Latest Status' },
+  { key: 'ConcurrentExecutionPolicy', label: 'Concurrent Policy' },
+  { key: 'Tags', label: 'Tags', default: false },
+  { key: 'JobData', label: 'Job Data', default: false },
+]
+
+// Exports keep the list order of jobService.getAll
+const EXPORT_SORTING = { sortBy: 'Id', type: 1 } // 1 = Descending
+
 function JobList() {
   const location = useLocation()
+  const { hasPermission } = usePermissions()
+  const canCreate = hasPermission(PERMISSIONS.JOB_CREATE)
+  const canUpdate = hasPermission(PERMISSIONS.JOB_UPDATE)
+  const canDelete = hasPermission(PERMISSIONS.JOB_DELETE)
+  const canTrigger = hasPermission(PERMISSIONS.JOB_TRIGGER)
+  const canBulkEdit = canUpdate || canTrigger || canDelete
   const [jobs, setJobs] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
@@ -38,8 +69,13 @@ function JobList() {
   const [useCustomData, setUseCustomData] = useState(false)
   const [selectedJobForTrigger, setSelectedJobForTrigger] = useState(null)
 
+  const [showJobExport, setShowJobExport] = useState(false)
+  const [selectedJobIds, setSelectedJobIds] = useState([])
+
   const { modalProps: deleteModalProps, showConfirm, showSuccess, showError } = useModal()
   const { triggerJob, triggering, modalProps: triggerModalProps } = useTriggerJob()
+  const { toggleJobActive, pendingJobIds, modalProps: pauseModalProps } = useJobPause()
+  const triggerSchema = useJobDataSchema(showTriggerModal ? selectedJobForTrigger?.workerId : null, selectedJobForTrigger?.jobType)
 
   const [isInitialLoad, setIsInitialLoad] = useState(true)
 
@@ -53,6 +89,31 @@ function JobList() {
     return () => clearTimeout(timer)
   }, [searchTerm])
 
+  // Search and filters shared by the list and the export
+  const listFilters = useMemo(() => {
+    const filters = {}
+
+    // Add search term if provided
+    if (debouncedSearchTerm) {
+      filters.searchTerm = debouncedSearchTerm
+    }
+
+    // Add tag filtering if filterTag is set
+    if (filterTag) {
+      filters.filtering = {
+        criterias: [
+          {
+            filterBy: "Tags",
+            value: filterTag,
+            type: 1 // Contains
+          }
+        ]
+      }
+    }
+
+    return filters
+  }, [debouncedSearchTerm, filterTag])
+
   const loadJobs = useCallback(async (showLoading = false) => {
     try {
       if (showLoading) {
@@ -62,25 +123,8 @@ function JobList() {
 
       const requestBody = {
         pageNumber: currentPage,
-        rowCount: pageSize
-      }
-
-      // Add search term if provided
-      if (debouncedSearchTerm) {
-        requestBody.searchTerm = debouncedSearchTerm
-      }
-
-      // Add tag filtering if filterTag is set
-      if (filterTag) {
-        requestBody.filtering = {
-          criterias: [
-            {
-              filterBy: "Tags",
-              value: filterTag,
-              type: 1 // Contains
-            }
-          ]
-        }
+        rowCount: pageSize,
+        ...listFilters
       }
 
       const response = await jobService.getAll(requestBody)
@@ -101,7 +145,7 @@ function JobList() {
         setIsInitialLoad(false)
       }
     }
-  }, [filterTag, currentPage, pageSize, debouncedSearchTerm])
+  }, [listFilters, currentPage, pageSize])
 
   useEffect(() => {
     loadJobs(isInitialLoad)
@@ -117,6 +161,19 @@ function JobList() {
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [filterTag, currentPage, pageSize, debouncedSearchTerm, autoRefreshEnabled])
 
+  // Clear selection when the page or filters change
+  useEffect(() => {
+    setSelectedJobIds([])
+  }, [filterTag, currentPage, pageSize, debouncedSearchTerm])
+
+  const handleSelectJob = (jobId) => {
+    setSelectedJobIds(prev =>
+      prev.includes(jobId)
+        ? prev.filter(id => id !== jobId)
+        : [...prev, jobId]
+    )
+  }
+
   const handleDelete = async (id) => {
     const confirmed = await showConfirm(
       'Are you sure you want to delete this job? This action cannot be undone.',
@@ -137,6 +194,22 @@ function JobList() {
     }
   }
 
+  const handleToggleActive = (job, e) => {
+    e.preventDefault()
+    e.stopPropagation()
+
+    toggleJobActive(job, (patch) => {
+      setJobs(prev => prev.map(j => j.id === job.id ? { ...j, ...patch } : j))
+    })
+  }
+
+  const getPauseTitle = (job) => {
+    const pause = job.autoDisableSettings
+    if (job.isActive || !pause?.pausedAt) return job.isActive ? 'Active' : 'Inactive'
+
+    return `Paused ${formatDateTime(pause.pausedAt)}${pause.pauseReason ? `: ${pause.pauseReason}` : ''}`
+  }
+
   const handleTrigger = (job, e) => {
     e.preventDefault()
     e.stopPropagation()
@@ -157,7 +230,7 @@ function JobList() {
     await triggerJob(selectedJobForTrigger.id, 'Manual trigger from job list', false, customData, () => {
       // onSuccess: reload jobs to update latest run info
       loadJobs()
-    })
+    }, triggerSchema)
 
     // Reset state
     setSelectedJobForTrigger(null)
@@ -204,6 +277,7 @@ function JobList() {
     <div className="job-list">
       <Modal {...deleteModalProps} />
       <Modal {...triggerModalProps} />
+      <Modal {...pauseModalProps} />
 
       {/* Trigger Job Modal */}
       {showTriggerModal && selectedJobForTrigger && (
@@ -230,10 +304,11 @@ function JobList() {
 
               {useCustomData && (
                 <div className="trigger-jobdata-input">
-                  <JsonEditor
+                  <JobDataEditor
                     name="triggerJobData"
                     value={triggerJobData}
                     onChange={(e) => setTriggerJobData(e.target.value)}
+                    schema={triggerSchema}
                     rows={8}
                     placeholder='{"key": "value"}'
                     hint="Leave empty to use job's existing data. If provided, this data will be used only for this execution."
@@ -258,6 +333,10 @@ function JobList() {
         />
       )}
 
+      {showJobExport && (
+        <JobExportDialog listFilters={listFilters} onClose={() => setShowJobExport(false)} />
+      )}
+
       {/* Page Header */}
       <div className="page-header">
         <div className="header-content">
@@ -308,10 +387,42 @@ function JobList() {
               <span>Table</span>
             </button>
           </div>
-          <Link to="/jobs/new" className="create-job-btn">
-            <Icon name="add" size={20} />
-            <span>Create New Job</span>
-          </Link>
+          <ExportButton
+            exportType={EXPORT_TYPES.SCHEDULED_JOB}
+            listRequest={{ ...listFilters, sorting: EXPORT_SORTING }}
+            columns={EXPORT_COLUMNS}
+            fileName="scheduled_jobs"
+            totalCount={totalCount}
+            storageKey="jobList_export"
+          />
+          <button
+            type="button"
+            className="export-btn"
+            onClick={() => setShowJobExport(true)}
+            disabled={totalCount === 0}
+            title="Export job definitions to import them into another environment"
+          >
+            <Icon name="file_export" size={20} />
+            <span>Export Jobs</span>
+          </button>
+          {canCreate && (
+            <Link to="/jobs/import" className="export-btn" title="Import job definitions from a JSON or YAML file">
+              <Icon name="upload_file" size={20} />
+              <span>Import</span>
+            </Link>
+          )}
+          {canCreate && (
+            <Link to="/jobs/templates" className="export-btn" title="Create jobs from saved job templates">
+              <Icon name="library_books" size={20} />
+              <span>Templates</span>
+            </Link>
+          )}
+          {canCreate && (
+            <Link to="/jobs/new" className="create-job-btn">
+              <Icon name="add" size={20} />
+              <span>Create New Job</span>
+            </Link>
+          )}
         </div>
       </div>
 
@@ -327,6 +438,18 @@ function JobList() {
         </div>
       )}
 
+      {canBulkEdit && jobs.length > 0 && (
+        <JobBulkActions
+          jobs={jobs}
+          selectedIds={selectedJobIds}
+          onSelectionChange={setSelectedJobIds}
+          onCompleted={() => loadJobs()}
+          canUpdate={canUpdate}
+          canTrigger={canTrigger}
+          canDelete={canDelete}
+        />
+      )}
+
       {jobs.length === 0 ? (
         <div className="empty-state-card">
           <div className="empty-icon">
@@ -338,7 +461,7 @@ function JobList() {
               ? `No jobs found with tag "${filterTag}". Try clearing the filter.`
               : 'Get started by creating your first scheduled job.'}
           </p>
-          {!filterTag && (
+          {!filterTag && canCreate && (
             <Link to="/jobs/new" className="empty-action-btn">
               Create Your First Job
             </Link>
@@ -351,12 +474,22 @@ function JobList() {
               {jobs.map((job) => (
                 <div
                   key={job.id}
-                  className={`job-card ${job.isActive ? 'active' : 'inactive'}`}
+                  className={`job-card ${job.isActive ? 'active' : 'inactive'} ${selectedJobIds.includes(job.id) ? 'selected' : ''}`}
                   onClick={() => window.location.href = `/jobs/${job.id}`}
                   style={{ cursor: 'pointer' }}
                 >
                   <div className="job-card-header">
                     <div className="job-title-section">
+                      {canBulkEdit && (
+                        <input
+                          type="checkbox"
+                          className="job-select-checkbox"
+                          checked={selectedJobIds.includes(job.id)}
+                          onChange={() => handleSelectJob(job.id)}
+                          onClick={(e) => e.stopPropagation()}
+                          title="Select job"
+                        />
+                      )}
                       <Link
                         to={`/jobs/${job.id}`}
                         className="job-name"
@@ -367,37 +500,75 @@ function JobList() {
                     </div>
 
                     <div className="job-actions" onClick={(e) => e.stopPropagation()}>
+                      {canUpdate && (
+                        <button
+                          onClick={(e) => handleToggleActive(job, e)}
+                          className={`action-btn ${job.isActive ? 'pause' : 'resume'}`}
+                          title={job.isActive ? 'Pause' : 'Resume'}
+                          disabled={pendingJobIds.includes(job.id)}
+                        >
+                          <Icon name={job.isActive ? 'pause' : 'resume'} size={18} />
+                        </button>
+                      )}
                       <button
                         onClick={(e) => handleTrigger(job, e)}
                         className="action-btn trigger"
-                        title="Trigger now"
-                        disabled={!job.isActive || triggering}
+                        title={canTrigger ? 'Trigger now' : 'You do not have permission to trigger jobs'}
+                        disabled={!job.isActive || triggering || !canTrigger}
                       >
                         <Icon name="play_arrow" size={18} />
                       </button>
-                      <Link
-                        to={`/jobs/${job.id}/edit`}
-                        className="action-btn edit"
-                        title="Edit"
-                        onClick={(e) => e.stopPropagation()}
-                      >
-                        <Icon name="edit" size={18} />
-                      </Link>
-                      <button
-                        onClick={(e) => {
-                          e.preventDefault()
-                          e.stopPropagation()
-                          handleDelete(job.id)
-                        }}
-                        className="action-btn delete"
-                        title="Delete"
-                      >
-                        <Icon name="delete" size={18} />
-                      </button>
+                      {canUpdate && (
+                        <Link
+                          to={`/jobs/${job.id}/edit`}
+                          className="action-btn edit"
+                          title="Edit"
+                          onClick={(e) => e.stopPropagation()}
+                        >
+                          <Icon name="edit" size={18} />
+                        </Link>
+                      )}
+                      {canCreate && (
+                        <Link
+                          to={`/jobs/new?duplicate=${job.id}`}
+                          className="action-btn duplicate"
+                          title="Duplicate"
+                          onClick={(e) => e.stopPropagation()}
+                        >
+                          <Icon name="content_copy" size={18} />
+                        </Link>
+                      )}
+                      {canDelete && (
+                        <button
+                          onClick={(e) => {
+                            e.preventDefault()
+                            e.stopPropagation()
+                            handleDelete(job.id)
+                          }}
+                          className="action-btn delete"
+                          title="Delete"
+                        >
+                          <Icon name="delete" size={18} />
+                        </button>
+                      )}
                     </div>
                   </div>
 
                   <div className="job-card-body">
+                    {!job.isActive && job.autoDisableSettings?.pausedAt && (
+                      <div className="job-info-row job-paused-row">
+                        <span className="info-label">Paused</span>
+                        <div className="info-value job-paused-info" title={getPauseTitle(job)}>
+                          {job.autoDisableSettings.pausedUntil
+                            ? <ResumeCountdown until={job.autoDisableSettings.pausedUntil} />
+                            : <span className="job-paused-manual">Until resumed</span>}
+                          {job.autoDisableSettings.pauseReason && (
+                            <span className="job-paused-reason">{job.autoDisableSettings.pauseReason}</span>
+                          )}
+                        </div>
+                      </div>
+                    )}
+
                     {job.latestRun ? (
                       <div className="job-info-row">
                         <div style={{ display: 'flex', alignItems: 'center', gap: '5px' }}>
@@ -424,7 +595,7 @@ function JobList() {
                     <div className="job-info-row">
                       <span className="info-label">Schedule</span>
                       <div className="info-value">
-                        <CronDisplay expression={job.cronExpression} showTooltip={false} />
+                        <CronDisplay expression={job.cronExpression} showTooltip={false} showNextRun={job.isActive} />
                       </div>
                     </div>
 
@@ -444,6 +615,16 @@ function JobList() {
               <table className="jobs-table">
                 <thead>
                   <tr>
+                    {canBulkEdit && (
+                      <th className="checkbox-column">
+                        <input
+                          type="checkbox"
+                          className="job-select-checkbox"
+                          checked={jobs.every(job => selectedJobIds.includes(job.id))}
+                          onChange={(e) => setSelectedJobIds(e.target.checked ? jobs.map(job => job.id) : [])}
+                        />
+                      </th>
+                    )}
                     <th>Status</th>
                     <th>Name</th>
                     <th>Type</th>
@@ -458,13 +639,28 @@ function JobList() {
                   {jobs.map((job) => (
                     <tr
                       key={job.id}
-                      className={`job-table-row ${job.isActive ? 'active' : 'inactive'}`}
+                      className={`job-table-row ${job.isActive ? 'active' : 'inactive'} ${selectedJobIds.includes(job.id) ? 'selected' : ''}`}
                       onClick={() => window.location.href = `/jobs/${job.id}`}
                       style={{ cursor: 'pointer' }}
                     >
+                      {canBulkEdit && (
+                        <td className="checkbox-column" onClick={(e) => e.stopPropagation()}>
+                          <input
+                            type="checkbox"
+                            className="job-select-checkbox"
+                            checked={selectedJobIds.includes(job.id)}
+                            onChange={() => handleSelectJob(job.id)}
+                          />
+                        </td>
+                      )}
                       <td>
-                        <div className={`job-status-indicator ${job.isActive ? 'active' : 'inactive'}`}>
-                          <Icon name={job.isActive ? 'check_circle' : 'cancel'} size={20} />
+                        <div className="job-status-cell" title={getPauseTitle(job)}>
+                          <div className={`job-status-indicator ${job.isActive ? 'active' : 'inactive'}`}>
+                            <Icon name={job.isActive ? 'check_circle' : job.autoDisableSettings?.pausedAt ? 'pause_circle' : 'cancel'} size={20} />
+                          </div>
+                          {!job.isActive && job.autoDisableSettings?.pausedUntil && (
+                            <ResumeCountdown until={job.autoDisableSettings.pausedUntil} compact />
+                          )}
                         </div>
                       </td>
                       <td>
@@ -480,7 +676,7 @@ function JobList() {
                         <span className="job-type-badge">{job.jobType}</span>
                       </td>
                       <td>
-                        <CronDisplay expression={job.cronExpression} showTooltip={false} />
+                        <CronDisplay expression={job.cronExpression} showTooltip={false} showNextRun={job.isActive} />
                       </td>
                       <td>
                         {job.latestRun ? (
@@ -502,33 +698,57 @@ function JobList() {
                       </td>
                       <td onClick={(e) => e.stopPropagation()}>
                         <div className="table-actions">
+                          {canUpdate && (
+                            <button
+                              onClick={(e) => handleToggleActive(job, e)}
+                              className={`action-btn ${job.isActive ? 'pause' : 'resume'}`}
+                              title={job.isActive ? 'Pause' : 'Resume'}
+                              disabled={pendingJobIds.includes(job.id)}
+                            >
+                              <Icon name={job.isActive ? 'pause' : 'resume'} size={18} />
+                            </button>
+                          )}
                           <button
                             onClick={(e) => handleTrigger(job, e)}
                             className="action-btn trigger"
-                            title="Trigger now"
-                            disabled={!job.isActive || triggering}
+                            title={canTrigger ? 'Trigger now' : 'You do not have permission to trigger jobs'}
+                            disabled={!job.isActive || triggering || !canTrigger}
                           >
                             <Icon name="play_arrow" size={18} />
                           </button>
-                          <Link
-                            to={`/jobs/${job.id}/edit`}
-                            className="action-btn edit"
-                            title="Edit"
-                            onClick={(e) => e.stopPropagation()}
-                          >
-                            <Icon name="edit" size={18} />
-                          </Link>
-                          <button
-                            onClick={(e) => {
-                              e.preventDefault()
-                              e.stopPropagation()
-                              handleDelete(job.id)
-                            }}
-                            className="action-btn delete"
-                            title="Delete"
-                          >
-                            <Icon name="delete" size={18} />
-                          </button>
+                          {canUpdate && (
+                            <Link
+                              to={`/jobs/${job.id}/edit`}
+                              className="action-btn edit"
+                              title="Edit"
+                              onClick={(e) => e.stopPropagation()}
+                            >
+                              <Icon name="edit" size={18} />
+                            </Link>
+                          )}
+                          {canCreate && (
+                            <Link
+                              to={`/jobs/new?duplicate=${job.id}`}
+                              className="action-btn duplicate"
+                              title="Duplicate"
+                              onClick={(e) => e.stopPropagation()}
+                            >
+                              <Icon name="content_copy" size={18} />
+                            </Link>
+                          )}
+                          {canDelete && (
+                            <button
+                              onClick={(e) => {
+                                e.preventDefault()
+                                e.stopPropagation()
+                                handleDelete(job.id)
+                              }}
+                              className="action-btn delete"
+                              title="Delete"
+                            >
+                              <Icon name="delete" size={18} />
+                            </button>
+                          )}
                         </div>
                       </td>
                     </tr>
@@ -0,0 +1,239 @@
+import { useState } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import Icon from '../../components/Icon'
+import Modal from '../../components/Modal'
+import JsonViewer from '../../components/JsonViewer'
+import CronDisplay from '../../components/CronDisplay'
+import { useModal } from '../../hooks/useModal'
+import { usePermissions } from '../../hooks/usePermissions'
+import { PERMISSIONS } from '../../utils/permissions'
+import { formatDateTime } from '../../utils/dateUtils'
+import { getTemplates, deleteTemplate, getPlaceholders, instantiateTemplate } from '../../utils/jobTemplates'
+import './JobTemplates.css'
+
+// Placeholder values asked for when a template is used, the modal reads them from the values object
+function PlaceholderForm({ templateName, placeholders, values }) {
+  return (
+    <div className="template-placeholder-form">
+      <p>
+        Fill in the placeholders of <strong>{templateName}</strong>. The job form opens with the values
+        substituted so you can review the job before creating it.
+      </p>
+      {placeholders.map(name => (
+        <div key={name} className="form-group">
+          <label htmlFor={`placeholder-${name}`}><code>{`{{${name}}}`}</code></label>
+          <input
+            id={`placeholder-${name}`}
+            type="text"
+            className="form-control"
+            defaultValue={values[name]}
+            onChange={(e) => { values[name] = e.target.value }}
+          />
+        </div>
+      ))}
+    </div>
+  )
+}
+
+function JobTemplates() {
+  const navigate = useNavigate()
+  const [templates, setTemplates] = useState(() => getTemplates())
+  const [searchTerm, setSearchTerm] = useState('')
+  const [expandedId, setExpandedId] = useState(null)
+
+  const { modalProps, showModal, showConfirm, showError } = useModal()
+  const { hasPermission } = usePermissions()
+  const canCreate = hasPermission(PERMISSIONS.JOB_CREATE)
+
+  const search = searchTerm.trim().toLowerCase()
+  const filteredTemplates = templates.filter(t => !search ||
+    t.name.toLowerCase().includes(search) ||
+    t.description?.toLowerCase().includes(search) ||
+    t.job.jobType?.toLowerCase().includes(search) ||
+    t.job.workerId?.toLowerCase().includes(search))
+
+  const handleUse = async (template) => {
+    const placeholders = getPlaceholders(template.job)
+    const values = Object.fromEntries(placeholders.map(name => [name, '']))
+
+    if (placeholders.length > 0) {
+      const confirmed = await showModal({
+        title: 'Use Template',
+        message: <PlaceholderForm templateName={template.name} placeholders={placeholders} values={values} />,
+        confirmText: 'Continue',
+        cancelText: 'Cancel',
+        showCancel: true,
+        type: 'custom'
+      })
+
+      if (!confirmed) return
+
+      const missing = placeholders.filter(name => !values[name].trim())
+      if (missing.length > 0) {
+        await showError(`Please fill in ${missing.map(name => `{{${name}}}`).join(', ')}.`)
+        return
+      }
+    }
+
+    navigate('/jobs/new', {
+      state: { template: { id: template.id, name: template.name, job: instantiateTemplate(template, values) } }
+    })
+  }
+
+  const handleDelete = async (template) => {
+    const confirmed = await showConfirm(
+      `Are you sure you want to delete the template "${template.name}"? Jobs created from it are not affected.`,
+      'Delete Template',
+      'Delete',
+      'Cancel'
+    )
+
+    if (!confirmed) return
+
+    deleteTemplate(template.id)
+    setTemplates(getTemplates())
+  }
+
+  return (
+    <div className="job-templates-page">
+      <Modal {...modalProps} />
+
+      <div className="page-header">
+        <div className="header-content">
+          <Link to="/jobs" className="back-icon-btn" title="Back to Jobs">
+            <Icon name="arrow_back" size={24} />
+          </Link>
+          <div>
+            <h1>
+              <Icon name="library_books" size={28} />
+              <span>Job Templates</span>
+            </h1>
+            <p className="page-subtitle">
+              Reusable job configurations saved in this browser. Save a job as a template from its detail page or the job form.
+            </p>
+          </div>
+        </div>
+      </div>
+
+      {templates.length > 0 && (
+        <div className="templates-search">
+          <Icon name="search" size={20} />
+          <input
+            type="text"
+            placeholder="Search by name, description, worker or job type..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+          />
+        </div>
+      )}
+
+      {templates.length === 0 ? (
+        <div className="templates-empty">
+          <Icon name="library_books" size={48} />
+          <h3>No templates yet</h3>
+          <p>
+            Open a job and choose <strong>Save as Template</strong> to reuse its configuration.
+            Placeholders such as <code>{'{{tenantId}}'}</code> in the job data are filled in when the template is used.
+          </p>
+        </div>
+      ) : filteredTemplates.length === 0 ? (
+        <div className="templates-empty">
+          <Icon name="search_off" size={48} />
+          <h3>No templates match &quot;{searchTerm}&quot;</h3>
+        </div>
+      ) : (
+        <div className="templates-grid">
+          {filteredTemplates.map(template => {
+            const placeholders = getPlaceholders(template.job)
+            const expanded = expandedId === template.id
+
+            return (
+              <div key={template.id} className="template-card">
+                <div className="template-card-header">
+                  <div>
+                    <h3>{template.name}</h3>
+                    {template.description && <p className="template-description">{template.description}</p>}
+                  </div>
+                  <div className="template-actions">
+                    {canCreate && (
+                      <button type="button" className="btn btn-primary btn-sm" onClick={() => handleUse(template)}>
+                        <Icon name="add" size={16} />
+                        Use Template
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      className="template-delete-btn"
+                      onClick={() => handleDelete(template)}
+                      title="Delete template"
+                    >
+                      <Icon name="delete" size={18} />
+                    </button>
+                  </div>
+                </div>
+
+                <div className="template-info">
+                  <div className="template-info-row">
+                    <span className="info-label">Worker</span>
+                    <span className="info-value code">{template.job.workerId || '—'}</span>
+                  </div>
+                  <div className="template-info-row">
+                    <span className="info-label">Job Type</span>
+                    <span className="info-value code">{template.job.jobType || '—'}</span>
+                  </div>
+                  <div className="template-info-row">
+                    <span className="info-label">Schedule</span>
+                    <span className="info-value">
+                      {template.job.cronExpression
+                        ? <CronDisplay expression={template.job.cronExpression} />
+                        : 'One-time, chosen when used'}
+                    </span>
+                  </div>
+                  <div className="template-info-row">
+                    <span className="info-label">Timeouts</span>
+                    <span className="info-value">
+                      Execution {template.job.executionTimeoutSeconds ? `${template.job.executionTimeoutSeconds}s` : 'default'},
+                      zombie {template.job.zombieTimeoutMinutes ? `${template.job.zombieTimeoutMinutes}m` : 'default'}
+                    </span>
+                  </div>
+                  <div className="template-info-row">
+                    <span className="info-label">Auto-Disable</span>
+                    <span className="info-value">
+                      {template.job.autoDisableSettings?.enabled
+                        ? `After ${template.job.autoDisableSettings.threshold || 5} failures`
+                        : 'Disabled'}
+                    </span>
+                  </div>
+                  {placeholders.length > 0 && (
+                    <div className="template-info-row">
+                      <span className="info-label">Placeholders</span>
+                      <span className="info-value template-placeholders">
+                        {placeholders.map(name => <code key={name}>{`{{${name}}}`}</code>)}
+                      </span>
+                    </div>
+                  )}
+                </div>
+
+                <div className="template-card-footer">
+                  <span>Updated {formatDateTime(template.updatedAt)}</span>
+                  <button
+                    type="button"
+                    className="template-toggle-btn"
+                    onClick={() => setExpandedId(expanded ? null : template.id)}
+                  >
+                    <Icon name={expanded ? 'expand_less' : 'expand_more'} size={16} />
+                    {expanded ? 'Hide Job Data' : 'Show Job Data'}
+                  </button>
+                </div>
+
+                {expanded && <JsonViewer data={template.job.jobData} title="Job Data" defaultExpanded />}
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default JobTemplates
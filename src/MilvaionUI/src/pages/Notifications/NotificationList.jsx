@@ -0,0 +1,358 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useNavigate } from 'react-router-dom'
+import notificationService from '../../services/notificationService'
+import { useNotifications } from '../../hooks/useNotifications'
+import { NotificationItem } from '../../components/NotificationBell'
+import Icon from '../../components/Icon'
+import Modal from '../../components/Modal'
+import { useModal } from '../../hooks/useModal'
+import './NotificationList.css'
+
+function NotificationList() {
+  const navigate = useNavigate()
+  const { modalProps, showConfirm, showSuccess, showError } = useModal()
+  const { liveNotifications, unseenCount, reload: reloadBell, markAsSeen, markAllAsSeen, remove, removeAll } = useNotifications()
+  const [notifications, setNotifications] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [showUnseenOnly, setShowUnseenOnly] = useState(false)
+  const [selectedIds, setSelectedIds] = useState([])
+  const [currentPage, setCurrentPage] = useState(1)
+  const [pageSize, setPageSize] = useState(20)
+  const [totalCount, setTotalCount] = useState(0)
+  const [isInitialLoad, setIsInitialLoad] = useState(true)
+
+  const loadNotifications = useCallback(async (showLoading = false) => {
+    try {
+      if (showLoading) {
+        setLoading(true)
+      }
+      setError(null)
+
+      const params = { pageNumber: currentPage, rowCount: pageSize }
+      const response = showUnseenOnly
+        ? await notificationService.getUnseen(params)
+        : await notificationService.getAll(params)
+
+      const data = response?.data?.data || response?.data || []
+      const total = response?.data?.totalDataCount || response?.totalDataCount || 0
+
+      setNotifications(data.map(notificationService.toDisplay))
+      setTotalCount(total)
+      setSelectedIds([])
+    } catch (err) {
+      setError('Failed to load notifications')
+      console.error(err)
+    } finally {
+      if (showLoading) {
+        setLoading(false)
+        setIsInitialLoad(false)
+      }
+    }
+  }, [currentPage, pageSize, showUnseenOnly])
+
+  useEffect(() => {
+    loadNotifications(isInitialLoad)
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentPage, pageSize, showUnseenOnly])
+
+  // Reload the page and the header bell after a change
+  const runAction = async (action, successMessage) => {
+    try {
+      await action()
+      await Promise.all([loadNotifications(), reloadBell()])
+      if (successMessage) {
+        await showSuccess(successMessage)
+      }
+    } catch (err) {
+      console.error(err)
+      await showError(err.response?.data?.messages?.[0]?.message || 'Notification action failed')
+    }
+  }
+
+  const handleItemClick = (item) => {
+    if (!item.isSeen) {
+      runAction(() => markAsSeen([item.id]))
+    }
+
+    if (item.actionLink) {
+      navigate(item.actionLink)
+    }
+  }
+
+  const handleDeleteSelected = async () => {
+    const confirmed = await showConfirm(
+      `Are you sure you want to delete ${selectedIds.length} notification(s)?`,
+      'Delete Notifications',
+      'Delete',
+      'Cancel'
+    )
+    if (!confirmed) return
+
+    await runAction(() => remove(selectedIds), 'Notifications deleted.')
+  }
+
+  const handleDeleteAll = async () => {
+    const confirmed = await showConfirm(
+      'Are you sure you want to delete all of your notifications? This cannot be undone.',
+      'Delete All Notifications',
+      'Delete All',
+      'Cancel'
+    )
+    if (!confirmed) return
+
+    await runAction(removeAll, 'All notifications deleted.')
+  }
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(i => i !== id) : [...prev, id])
+  }
+
+  const allSelected = notifications.length > 0 && notifications.every(n => selectedIds.includes(n.id))
+
+  const visibleLiveNotifications = showUnseenOnly
+    ? liveNotifications.filter(n => !n.isSeen)
+    : liveNotifications
+
+  if (loading) return <div className="loading">Loading notifications...</div>
+  if (error) return <div className="error">{error}</div>
+
+  return (
+    <div className="notification-list-page">
+      <Modal {...modalProps} />
+
+      {/* Page Header */}
+      <div className="page-header">
+        <div className="header-content">
+          <h1>
+            <Icon name="notifications" size={28} />
+            <span style={{ margin: '0 0 0 1rem' }}>Notifications</span>
+            {unseenCount > 0 && <span className="unseen-count">{unseenCount} unread</span>}
+          </h1>
+        </div>
+        <div className="header-actions">
+          <button
+            onClick={() => runAction(markAllAsSeen)}
+            className="btn btn-secondary"
+            disabled={unseenCount === 0}
+          >
+            <Icon name="done_all" size={18} />
+            Mark All as Seen
+          </button>
+          <button
+            onClick={handleDeleteAll}
+            className="btn btn-danger"
+            disabled={totalCount === 0 && liveNotifications.length === 0}
+          >
+            <Icon name="delete_sweep" size={18} />
+            Delete All
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="filters-section">
+        <div className="notification-filter-tabs">
+          <button
+            className={`filter-tab ${!showUnseenOnly ? 'active' : ''}`}
+            onClick={() => {
+              setShowUnseenOnly(false)
+              setCurrentPage(1)
+            }}
+          >
+            All
+          </button>
+          <button
+            className={`filter-tab ${showUnseenOnly ? 'active' : ''}`}
+            onClick={() => {
+              setShowUnseenOnly(true)
+              setCurrentPage(1)
+            }}
+          >
+            Unread
+          </button>
+        </div>
+
+        {selectedIds.length > 0 && (
+          <div className="selection-actions">
+            <span>{selectedIds.length} selected</span>
+            <button onClick={() => runAction(() => markAsSeen(selectedIds))} className="btn btn-secondary btn-sm">
+              <Icon name="done" size={16} />
+              Mark as Seen
+            </button>
+            <button onClick={handleDeleteSelected} className="btn btn-danger btn-sm">
+              <Icon name="delete" size={16} />
+              Delete
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Live notifications raised in this session */}
+      {visibleLiveNotifications.length > 0 && (
+        <div className="notification-section">
+          <div className="notification-section-header">
+            <h3>
+              <Icon name="bolt" size={18} />
+              This Session
+            </h3>
+            <small>Raised live from execution events, not stored on the server.</small>
+          </div>
+          {visibleLiveNotifications.map(item => (
+            <NotificationItem
+              key={item.id}
+              item={item}
+              onClick={() => handleItemClick(item)}
+              onMarkSeen={(e) => {
+                e.stopPropagation()
+                markAsSeen([item.id])
+              }}
+              onDelete={(e) => {
+                e.stopPropagation()
+                remove([item.id])
+              }}
+            />
+          ))}
+        </div>
+      )}
+
+      {/* Inbox */}
+      {notifications.length === 0 ? (
+        <div className="empty-state-card">
+          <div className="empty-icon">
+            <Icon name="notifications_off" size={64} />
+          </div>
+          <h3>{showUnseenOnly ? 'No Unread Notifications' : 'No Notifications'}</h3>
+          <p>Notifications sent to your account will appear here.</p>
+        </div>
+      ) : (
+        <>
+          <div className="notification-section">
+            <div className="notification-section-header">
+              <label className="select-all">
+                <input
+                  type="checkbox"
+                  checked={allSelected}
+                  onChange={() => setSelectedIds(allSelected ? [] : notifications.map(n => n.id))}
+                />
+                Inbox
+              </label>
+            </div>
+            {notifications.map(item => (
+              <NotificationItem
+                key={item.id}
+                item={item}
+                onClick={() => handleItemClick(item)}
+                onMarkSeen={(e) => {
+                  e.stopPropagation()
+                  runAction(() => markAsSeen([item.id]))
+                }}
+                onDelete={(e) => {
+                  e.stopPropagation()
+                  runAction(() => remove([item.id]))
+                }}
+              >
+                <input
+                  type="checkbox"
+                  className="notification-checkbox"
+                  checked={selectedIds.includes(item.id)}
+                  onClick={(e) => e.stopPropagation()}
+                  onChange={() => toggleSelected(item.id)}
+                />
+              </NotificationItem>
+            ))}
+          </div>
+
+          {/* Pagination */}
+          <div className="pagination-container">
+            <div className="pagination">
+              {(() => {
+                const totalPages = Math.ceil(totalCount / pageSize)
+                if (totalPages <= 1) return null
+
+                const maxVisiblePages = 5
+                let startPage = Math.max(1, currentPage - Math.floor(maxVisiblePages / 2))
+                let endPage = Math.min(totalPages, startPage + maxVisiblePages - 1)
+
+                if (endPage - startPage + 1 < maxVisiblePages) {
+                  startPage = Math.max(1, endPage - maxVisiblePages + 1)
+                }
+
+                return (
+                  <>
+                    <button
+                      className="btn btn-sm"
+                      onClick={() => setCurrentPage(1)}
+                      disabled={currentPage === 1}
+                    >
+                      <Icon name="first_page" size={18} />
+                    </button>
+                    <button
+                      className="btn btn-sm"
+                      onClick={() => setCurrentPage(currentPage - 1)}
+                      disabled={currentPage === 1}
+                    >
+                      <Icon name="chevron_left" size={18} />
+                    </button>
+
+                    {startPage > 1 && <span className="page-ellipsis">...</span>}
+
+                    {Array.from({ length: endPage - startPage + 1 }, (_, i) => startPage + i).map(page => (
+                      <button
+                        key={page}
+                        className={'btn btn-sm' + (page === currentPage ? ' btn-primary' : '')}
+                        onClick={() => setCurrentPage(page)}
+                      >
+                        {page}
+                      </button>
+                    ))}
+
+                    {endPage < totalPages && <span className="page-ellipsis">...</span>}
+
+                    <button
+                      className="btn btn-sm"
+                      onClick={() => setCurrentPage(currentPage + 1)}
+                      disabled={currentPage === totalPages}
+                    >
+                      <Icon name="chevron_right" size={18} />
+                    </button>
+                    <button
+                      className="btn btn-sm"
+                      onClick={() => setCurrentPage(totalPages)}
+                      disabled={currentPage === totalPages}
+                    >
+                      <Icon name="last_page" size={18} />
+                    </button>
+
+                    <span className="page-info">
+                      Page {currentPage} of {totalPages} ({totalCount} total)
+                    </span>
+                  </>
+                )
+              })()}
+            </div>
+
+            <div className="page-size-selector">
+              <label htmlFor="pageSize">Rows per page:</label>
+              <select
+                id="pageSize"
+                value={pageSize}
+                onChange={(e) => {
+                  setPageSize(parseInt(e.target.value))
+                  setCurrentPage(1)
+                }}
+                className="page-size-select"
+              >
+                <option value={10}>10</option>
+                <option value={20}>20</option>
+                <option value={50}>50</option>
+              </select>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default NotificationList
@@ -1,13 +1,17 @@
 import { useState, useEffect, useRef, useCallback } from 'react'
 import { useParams, Link, useNavigate } from 'react-router-dom'
 import occurrenceService from '../../services/occurrenceService'
+import jobService from '../../services/jobService'
 import signalRService from '../../services/signalRService'
 import { formatDateTime, formatDuration, formatTime } from '../../utils/dateUtils'
 import Icon from '../../components/Icon'
 import JsonViewer from '../../components/JsonViewer'
 import Modal from '../../components/Modal'
 import AutoRefreshIndicator from '../../components/AutoRefreshIndicator'
+import JobVersionSnapshot from '../../components/JobVersionSnapshot'
 import { useModal } from '../../hooks/useModal'
+import { usePermissions } from '../../hooks/usePermissions'
+import { PERMISSIONS } from '../../utils/permissions'
 import './OccurrenceDetail.css'
 
 function OccurrenceDetail() {
@@ -24,8 +28,10 @@ const [autoScroll, setAutoScroll] = useState(true)
 const [showCancelModal, setShowCancelModal] = useState(false)
 const [cancelReason, setCancelReason] = useState('')
 const [lastRefreshTime, setLastRefreshTime] = useState(null)
+const [loadingVersion, setLoadingVersion] = useState(false)
 
 const { modalProps, showModal } = useModal()
+const { hasPermission } = usePermissions()
 
   // Ref to track if initial load has been done
   const initialLoadDoneRef = useRef(false)
@@ -302,6 +308,34 @@ const { modalProps, showModal } = useModal()
     }
   }
 
+  // Open the configuration the occurrence ran with, loaded from the job's version snapshots
+  const handleShowJobVersion = async () => {
+    const version = occurrence.jobVersion || 1
+
+    try {
+      setLoadingVersion(true)
+      const jobResponse = await jobService.getById(occurrence.jobId)
+
+      showModal({
+        title: `Job Version v${version}`,
+        message: <JobVersionSnapshot job={jobResponse.data} version={version} />,
+        confirmText: 'Close',
+        showCancel: false,
+        className: 'modal-large',
+        type: 'custom'
+      })
+    } catch (err) {
+      console.error('Failed to load job version:', err)
+      showModal({
+        title: '❌ Failed to Load Version',
+        message: err.response?.data?.message || 'Failed to load the job. It may have been deleted.',
+        confirmText: 'OK'
+      })
+    } finally {
+      setLoadingVersion(false)
+    }
+  }
+
   const handleCancelModalClose = () => {
     setShowCancelModal(false)
     setCancelReason('')
@@ -475,7 +509,7 @@ const { modalProps, showModal } = useModal()
           </div>
 
           {/* Show cancel button for queued or running occurrences */}
-          {(occurrence.status === 0 || occurrence.status === 1) && (
+          {(occurrence.status === 0 || occurrence.status === 1) && hasPermission(PERMISSIONS.JOB_CANCEL) && (
             <button
               onClick={handleCancel}
               disabled={deleting}
@@ -488,7 +522,7 @@ const { modalProps, showModal } = useModal()
           )}
 
           {/* Show delete button only for completed, failed, cancelled, timed out occurrences */}
-          {(occurrence.status === 2 || occurrence.status === 3 || occurrence.status === 4 || occurrence.status === 5 || occurrence.status === 6) && (
+          {(occurrence.status === 2 || occurrence.status === 3 || occurrence.status === 4 || occurrence.status === 5 || occurrence.status === 6) && hasPermission(PERMISSIONS.JOB_DELETE) && (
             <button
               onClick={handleDelete}
               disabled={deleting}
@@ -553,10 +587,22 @@ const { modalProps, showModal } = useModal()
           </div>
           <div className="info-item">
             <label>JOB VERSION</label>
-            <span className="version-badge">
-              <Icon name="history" size={14} />
-              v{occurrence.jobVersion || 1}
-            </span>
+            {occurrence.jobId && hasPermission(PERMISSIONS.JOB_DETAIL) ? (
+              <button
+                className="version-badge version-badge-btn"
+                onClick={handleShowJobVersion}
+                disabled={loadingVersion}
+                title="Show the configuration this execution ran with"
+              >
+                <Icon name={loadingVersion ? 'hourglass_empty' : 'history'} size={14} />
+                v{occurrence.jobVersion || 1}
+              </button>
+            ) : (
+              <span className="version-badge">
+                <Icon name="history" size={14} />
+                v{occurrence.jobVersion || 1}
+              </span>
+            )}
           </div>
           {occurrence.retryCount > 0 && (
             <div className="info-item">
@@ -0,0 +1,315 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { useParams, useNavigate, Link } from 'react-router-dom'
+import roleService from '../../services/roleService'
+import permissionService from '../../services/permissionService'
+import Icon from '../../components/Icon'
+import './RoleForm.css'
+
+// Common CRUD actions first, anything else (e.g. Trigger, Cancel) after in alphabetical order
+const ACTION_ORDER = ['List', 'Detail', 'Create', 'Update', 'Delete']
+
+const sortActions = (a, b) => {
+  const indexA = ACTION_ORDER.indexOf(a)
+  const indexB = ACTION_ORDER.indexOf(b)
+  if (indexA !== -1 && indexB !== -1) return indexA - indexB
+  if (indexA !== -1) return -1
+  if (indexB !== -1) return 1
+  return a.localeCompare(b)
+}
+
+// Checkbox that can render the "partially selected" state
+function TriStateCheckbox({ checked, indeterminate, onChange, title }) {
+  return (
+    <input
+      type="checkbox"
+      checked={checked}
+      ref={el => { if (el) el.indeterminate = indeterminate }}
+      onChange={onChange}
+      title={title}
+    />
+  )
+}
+
+// Permission Matrix Component - permission groups as rows, actions as columns
+function PermissionMatrix({ permissions, selectedIds, onChange }) {
+  const groups = useMemo(() => permissionService.groupPermissions(permissions), [permissions])
+
+  const actions = useMemo(() => {
+    const names = new Set(permissions.map(p => p.name))
+    return Array.from(names).sort(sortActions)
+  }, [permissions])
+
+  const toggleIds = (ids, select) => {
+    const next = new Set(selectedIds)
+    ids.forEach(id => (select ? next.add(id) : next.delete(id)))
+    onChange(Array.from(next))
+  }
+
+  const selectionState = (ids) => {
+    const selectedCount = ids.filter(id => selectedIds.includes(id)).length
+    return {
+      all: ids.length > 0 && selectedCount === ids.length,
+      some: selectedCount > 0 && selectedCount < ids.length
+    }
+  }
+
+  const allIds = permissions.map(p => p.id)
+  const allState = selectionState(allIds)
+
+  return (
+    <div className="permission-matrix-container">
+      <table className="permission-matrix">
+        <thead>
+          <tr>
+            <th className="group-column">
+              <label className="matrix-select-all">
+                <TriStateCheckbox
+                  checked={allState.all}
+                  indeterminate={allState.some}
+                  onChange={() => toggleIds(allIds, !allState.all)}
+                  title="Select all permissions"
+                />
+                <span>Permission Group</span>
+              </label>
+            </th>
+            {actions.map(action => {
+              const columnIds = permissions.filter(p => p.name === action).map(p => p.id)
+              const state = selectionState(columnIds)
+              return (
+                <th key={action}>
+                  <label className="matrix-column-header">
+                    <span>{action}</span>
+                    <TriStateCheckbox
+                      checked={state.all}
+                      indeterminate={state.some}
+                      onChange={() => toggleIds(columnIds, !state.all)}
+                      title={`Toggle ${action} for all groups`}
+                    />
+                  </label>
+                </th>
+              )
+            })}
+          </tr>
+        </thead>
+        <tbody>
+          {groups.map(group => {
+            const rowIds = group.permissions.map(p => p.id)
+            const state = selectionState(rowIds)
+            return (
+              <tr key={group.group} className={state.all ? 'row-full' : state.some ? 'row-partial' : ''}>
+                <td className="group-column">
+                  <label className="matrix-group-label" title={group.group}>
+                    <TriStateCheckbox
+                      checked={state.all}
+                      indeterminate={state.some}
+                      onChange={() => toggleIds(rowIds, !state.all)}
+                      title={`Toggle all ${group.description} permissions`}
+                    />
+                    <span>{group.description}</span>
+                  </label>
+                </td>
+                {actions.map(action => {
+                  const permission = group.permissions.find(p => p.name === action)
+                  return (
+                    <td key={action} className="matrix-cell">
+                      {permission ? (
+                        <input
+                          type="checkbox"
+                          checked={selectedIds.includes(permission.id)}
+                          onChange={() => toggleIds([permission.id], !selectedIds.includes(permission.id))}
+                          title={permission.description || `${group.group}.${permission.name}`}
+                        />
+                      ) : (
+                        <span className="matrix-cell-empty">—</span>
+                      )}
+                    </td>
+                  )
+                })}
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+function RoleForm() {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const isEditMode = !!id
+
+  const [name, setName] = useState('')
+  const [permissionIdList, setPermissionIdList] = useState([])
+  const [original, setOriginal] = useState(null)
+  const [roleUsers, setRoleUsers] = useState([])
+  const [permissions, setPermissions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  const loadPermissions = useCallback(async () => {
+    try {
+      const response = await permissionService.getAll()
+      setPermissions(response?.data?.data || response?.data || [])
+    } catch (err) {
+      console.error('Failed to load permissions:', err)
+      setError('Failed to load permissions. Check console for details.')
+    }
+  }, [])
+
+  const loadRole = useCallback(async () => {
+    try {
+      const response = await roleService.getById(id)
+      const data = response.data
+      const ids = (data.permissions || []).map(p => p.id)
+
+      setName(data.name || '')
+      setPermissionIdList(ids)
+      setRoleUsers(data.users || [])
+      setOriginal({ name: data.name || '', permissionIdList: ids })
+    } catch (err) {
+      setError('Failed to load role')
+      console.error(err)
+    }
+  }, [id])
+
+  useEffect(() => {
+    const initializeForm = async () => {
+      setLoading(true)
+      await loadPermissions()
+      if (isEditMode) {
+        await loadRole()
+      }
+      setLoading(false)
+    }
+    initializeForm()
+  }, [isEditMode, loadPermissions, loadRole])
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError(null)
+
+    try {
+      setSaving(true)
+
+      let response
+
+      if (isEditMode) {
+        const permissionsChanged = permissionIdList.length !== original.permissionIdList.length ||
+          permissionIdList.some(pid => !original.permissionIdList.includes(pid))
+
+        const updatedFields = []
+        if (name !== original.name) updatedFields.push('name')
+        if (permissionsChanged) updatedFields.push('permissionIdList')
+
+        response = await roleService.update(parseInt(id), { name, permissionIdList }, updatedFields)
+      } else {
+        response = await roleService.create({ name, permissionIdList })
+      }
+
+      if (response?.isSuccess === false) {
+        setError(response.messages?.[0]?.message || 'Failed to save role')
+        return
+      }
+
+      navigate('/roles')
+    } catch (err) {
+      setError(err.response?.data?.messages?.[0]?.message || 'Failed to save role')
+      console.error(err)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (loading) {
+    return <div className="loading">Loading role...</div>
+  }
+
+  return (
+    <div className="role-form-container">
+      <div className="form-header">
+        <div className="form-header-left">
+          <Link to="/roles" className="back-icon-btn" title="Back to Roles">
+            <Icon name="arrow_back" size={24} />
+          </Link>
+          <div className="form-header-content">
+            <h1>{isEditMode ? 'Edit Role' : 'Create New Role'}</h1>
+            <p className="form-subtitle">
+              Select which actions this role may perform in each permission group
+            </p>
+          </div>
+        </div>
+
+        <div className="form-actions">
+          <button type="button" onClick={() => navigate('/roles')} className="btn btn-secondary">
+            <Icon name="close" size={18} />
+            Cancel
+          </button>
+          <button type="submit" disabled={saving} className="btn btn-primary" form="role-form">
+            <Icon name={saving ? 'schedule' : 'save'} size={18} />
+            {saving ? 'Saving...' : isEditMode ? 'Update Role' : 'Create Role'}
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <form onSubmit={handleSubmit} className="role-form" id="role-form">
+        <div className="form-card">
+          <div className="form-section">
+            <h3 className="form-section-title">Role</h3>
+            <div className="form-group">
+              <label htmlFor="roleName">
+                Name <span className="required">*</span>
+              </label>
+              <input
+                type="text"
+                id="roleName"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                required
+                placeholder="e.g., Operator"
+              />
+            </div>
+
+            {isEditMode && roleUsers.length > 0 && (
+              <div className="role-users">
+                <span className="role-users-label">Assigned users:</span>
+                {roleUsers.map(user => (
+                  <Link key={user.id} to={`/users/${user.id}`} className="role-user-chip">
+                    <Icon name="person" size={14} />
+                    {user.name}
+                  </Link>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="form-card">
+          <div className="form-section">
+            <h3 className="form-section-title">
+              Permissions
+              <span className="permission-count">{permissionIdList.length} / {permissions.length} selected</span>
+            </h3>
+
+            {permissions.length === 0 ? (
+              <p className="form-empty-hint">
+                No permissions found. Run &quot;Migrate Permissions&quot; on the Roles page to create them.
+              </p>
+            ) : (
+              <PermissionMatrix
+                permissions={permissions}
+                selectedIds={permissionIdList}
+                onChange={setPermissionIdList}
+              />
+            )}
+          </div>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+export default RoleForm
@@ -0,0 +1,181 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import roleService from '../../services/roleService'
+import permissionService from '../../services/permissionService'
+import Modal from '../../components/Modal'
+import Icon from '../../components/Icon'
+import { useModal } from '../../hooks/useModal'
+import { usePermissions } from '../../hooks/usePermissions'
+import { PAGES, PERMISSIONS } from '../../utils/permissions'
+import './RoleList.css'
+
+function RoleList() {
+  const navigate = useNavigate()
+  const [roles, setRoles] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [migrating, setMigrating] = useState(false)
+
+  const { modalProps, showConfirm, showSuccess, showError } = useModal()
+  const { canOnPage, isSuperAdmin } = usePermissions()
+  const canCreate = canOnPage(PAGES.ROLE_MANAGEMENT, 'create', PERMISSIONS.ROLE_CREATE)
+  const canEdit = canOnPage(PAGES.ROLE_MANAGEMENT, 'edit', PERMISSIONS.ROLE_UPDATE)
+  const canDelete = canOnPage(PAGES.ROLE_MANAGEMENT, 'delete', PERMISSIONS.ROLE_DELETE)
+
+  const loadRoles = useCallback(async () => {
+    try {
+      setError(null)
+      const response = await roleService.getAll()
+      setRoles(response?.data?.data || response?.data || [])
+    } catch (err) {
+      setError('Failed to load roles')
+      console.error(err)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadRoles()
+  }, [loadRoles])
+
+  const handleDelete = async (role) => {
+    const confirmed = await showConfirm(
+      `Are you sure you want to delete role "${role.name}"? Users assigned to this role will lose its permissions.`,
+      'Delete Role',
+      'Delete',
+      'Cancel'
+    )
+
+    if (!confirmed) return
+
+    try {
+      const response = await roleService.delete(role.id)
+
+      if (response?.isSuccess === false) {
+        await showError(response.messages?.[0]?.message || 'Failed to delete role.')
+        return
+      }
+
+      await loadRoles()
+      await showSuccess('Role deleted successfully')
+    } catch (err) {
+      await showError(err.response?.data?.messages?.[0]?.message || 'Failed to delete role. Please try again.')
+      console.error(err)
+    }
+  }
+
+  const handleMigratePermissions = async () => {
+    const confirmed = await showConfirm(
+      'This will synchronize the permissions declared by the API with the database. New permissions are added and removed ones are deleted. Continue?',
+      'Migrate Permissions',
+      'Migrate',
+      'Cancel'
+    )
+
+    if (!confirmed) return
+
+    try {
+      setMigrating(true)
+      const response = await permissionService.migrate()
+
+      if (response?.isSuccess === false) {
+        await showError(response.messages?.[0]?.message || 'Permission migration failed.')
+        return
+      }
+
+      await showSuccess(response?.data || response?.messages?.[0]?.message || 'Permissions migrated successfully')
+    } catch (err) {
+      await showError(err.response?.data?.messages?.[0]?.message || 'Permission migration failed. Only super admins can run it.')
+      console.error(err)
+    } finally {
+      setMigrating(false)
+    }
+  }
+
+  if (loading) return <div className="loading">Loading roles...</div>
+  if (error) return <div className="error">{error}</div>
+
+  return (
+    <div className="role-list-page">
+      <Modal {...modalProps} />
+
+      {/* Page Header */}
+      <div className="page-header">
+        <div className="header-content">
+          <h1>
+            <Icon name="shield_person" size={28} />
+            <span style={{ margin: '0 0 0 1rem' }}>Roles & Permissions</span>
+            <span>({roles.length})</span>
+          </h1>
+        </div>
+        <div className="header-actions">
+          {isSuperAdmin && (
+            <button
+              onClick={handleMigratePermissions}
+              className="btn btn-secondary"
+              disabled={migrating}
+              title="Sync permissions declared in code to the database"
+            >
+              <Icon name="sync" size={18} />
+              {migrating ? 'Migrating...' : 'Migrate Permissions'}
+            </button>
+          )}
+          {canCreate && (
+            <Link to="/roles/new" className="create-role-btn">
+              <Icon name="add" size={20} />
+              <span>Create Role</span>
+            </Link>
+          )}
+        </div>
+      </div>
+
+      {roles.length === 0 ? (
+        <div className="empty-state-card">
+          <div className="empty-icon">
+            <Icon name="shield_person" size={64} />
+          </div>
+          <h3>No Roles Found</h3>
+          <p>Create a role and grant it permissions to control what operators can do.</p>
+        </div>
+      ) : (
+        <div className="roles-grid">
+          {roles.map(role => (
+            <div
+              key={role.id}
+              className={`role-card ${canEdit ? '' : 'readonly'}`}
+              onClick={() => canEdit && navigate(`/roles/${role.id}/edit`)}
+            >
+              <div className="role-card-title">
+                <Icon name="verified_user" size={22} />
+                <span>{role.name}</span>
+              </div>
+              <div className="role-card-actions" onClick={(e) => e.stopPropagation()}>
+                {canEdit && (
+                  <Link
+                    to={`/roles/${role.id}/edit`}
+                    className="action-btn edit"
+                    title="Edit permissions"
+                  >
+                    <Icon name="edit" size={18} />
+                  </Link>
+                )}
+                {canDelete && (
+                  <button
+                    onClick={() => handleDelete(role)}
+                    className="action-btn delete"
+                    title="Delete"
+                  >
+                    <Icon name="delete" size={18} />
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RoleList
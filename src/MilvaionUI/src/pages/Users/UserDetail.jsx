@@ -0,0 +1,212 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useParams, useNavigate, Link } from 'react-router-dom'
+import userService from '../../services/userService'
+import notificationService from '../../services/notificationService'
+import { formatDateTime } from '../../utils/dateUtils'
+import Icon from '../../components/Icon'
+import Modal from '../../components/Modal'
+import { useModal } from '../../hooks/useModal'
+import { usePermissions } from '../../hooks/usePermissions'
+import { PAGES, PERMISSIONS } from '../../utils/permissions'
+import './UserDetail.css'
+
+function UserDetail() {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const [user, setUser] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const { modalProps, showConfirm, showSuccess, showError } = useModal()
+  const { canOnPage } = usePermissions()
+
+  const loadUser = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+
+      const response = await userService.getById(id)
+      setUser(response.data)
+    } catch (err) {
+      setError('Failed to load user details')
+      console.error(err)
+    } finally {
+      setLoading(false)
+    }
+  }, [id])
+
+  useEffect(() => {
+    loadUser()
+  }, [loadUser])
+
+  const handleDelete = async () => {
+    const confirmed = await showConfirm(
+      `Are you sure you want to delete user "${user.userName}"? This action cannot be undone.`,
+      'Delete User',
+      'Delete',
+      'Cancel'
+    )
+
+    if (!confirmed) return
+
+    try {
+      const response = await userService.delete(id)
+
+      if (response?.isSuccess === false) {
+        await showError(response.messages?.[0]?.message || 'Failed to delete user.')
+        return
+      }
+
+      await showSuccess('User deleted successfully')
+      navigate('/users')
+    } catch (err) {
+      await showError(err.response?.data?.messages?.[0]?.message || 'Failed to delete user. Please try again.')
+      console.error(err)
+    }
+  }
+
+  if (loading) return <div className="loading">Loading user details...</div>
+  if (error) return <div className="error">{error}</div>
+  if (!user) return <div className="error">User not found</div>
+
+  const fullName = [user.name, user.surname].filter(Boolean).join(' ')
+
+  return (
+    <div className="user-detail">
+      <Modal {...modalProps} />
+
+      {/* Header Section */}
+      <div className="detail-header">
+        <div className="header-content">
+          <div className="header-left">
+            <Link to="/users" className="back-icon-btn" title="Back to Users">
+              <Icon name="arrow_back" size={24} />
+            </Link>
+
+            <div className="title-content">
+              <div className="title-section">
+                <h1>{user.userName}</h1>
+              </div>
+              {fullName && <p className="user-subtitle">{fullName}</p>}
+            </div>
+          </div>
+
+          <div className="header-actions">
+            {canOnPage(PAGES.USER_MANAGEMENT, 'edit', PERMISSIONS.USER_UPDATE) && (
+              <Link to={`/users/${id}/edit`} className="action-btn edit-btn">
+                <Icon name="edit" size={20} />
+                <span>Edit User</span>
+              </Link>
+            )}
+            {canOnPage(PAGES.USER_MANAGEMENT, 'delete', PERMISSIONS.USER_DELETE) && (
+              <button
+                onClick={handleDelete}
+                className="action-btn delete-btn"
+                title="Delete user"
+              >
+                <Icon name="delete" size={20} />
+                <span>Delete</span>
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="user-content-grid">
+        {/* Profile Card */}
+        <div className="info-card">
+          <div className="card-header">
+            <h3>
+              <Icon name="badge" size={20} />
+              Profile
+            </h3>
+          </div>
+          <div className="card-body">
+            <div className="info-row">
+              <span className="info-label">Username</span>
+              <span className="info-value code">{user.userName}</span>
+            </div>
+            <div className="info-row">
+              <span className="info-label">Name</span>
+              <span className="info-value">{user.name || '-'}</span>
+            </div>
+            <div className="info-row">
+              <span className="info-label">Surname</span>
+              <span className="info-value">{user.surname || '-'}</span>
+            </div>
+            <div className="info-row">
+              <span className="info-label">Email</span>
+              <span className="info-value">{user.email || '-'}</span>
+            </div>
+          </div>
+        </div>
+
+        {/* Roles Card */}
+        <div className="info-card">
+          <div className="card-header">
+            <h3>
+              <Icon name="shield_person" size={20} />
+              Roles
+            </h3>
+            <span className="count-badge">{user.roles?.length || 0}</span>
+          </div>
+          <div className="card-body">
+            {user.roles?.length > 0 ? (
+              <div className="role-chips">
+                {user.roles.map(role => (
+                  <span key={role.id} className="role-chip">
+                    <Icon name="verified_user" size={14} />
+                    {role.name}
+                  </span>
+                ))}
+              </div>
+            ) : (
+              <p className="empty-hint">No roles assigned</p>
+            )}
+
+            <div className="info-row notifications-row">
+              <span className="info-label">Notifications</span>
+              <span className="info-value">
+                {user.allowedNotifications?.length > 0
+                  ? user.allowedNotifications
+                    .map(type => notificationService.getTypeInfo(type).label)
+                    .join(', ')
+                  : 'None'}
+              </span>
+            </div>
+          </div>
+        </div>
+
+        {/* Audit Card */}
+        {user.auditInfo && (
+          <div className="info-card">
+            <div className="card-header">
+              <h3>
+                <Icon name="history" size={20} />
+                Audit
+              </h3>
+            </div>
+            <div className="card-body">
+              <div className="info-row">
+                <span className="info-label">Created</span>
+                <span className="info-value">
+                  {formatDateTime(user.auditInfo.creationDate)}
+                  {user.auditInfo.creatorUserName && <small> by {user.auditInfo.creatorUserName}</small>}
+                </span>
+              </div>
+              <div className="info-row">
+                <span className="info-label">Modified</span>
+                <span className="info-value">
+                  {formatDateTime(user.auditInfo.lastModificationDate)}
+                  {user.auditInfo.lastModifierUserName && <small> by {user.auditInfo.lastModifierUserName}</small>}
+                </span>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default UserDetail
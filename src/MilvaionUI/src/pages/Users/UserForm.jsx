@@ -0,0 +1,383 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useParams, useNavigate, Link } from 'react-router-dom'
+import userService from '../../services/userService'
+import roleService from '../../services/roleService'
+import notificationService from '../../services/notificationService'
+import Icon from '../../components/Icon'
+import './UserForm.css'
+
+function UserForm() {
+  const { id } = useParams()
+  const navigate = useNavigate()
+  const isEditMode = !!id
+
+  const [formData, setFormData] = useState({
+    userType: 1, // 1=Manager, 2=AppUser
+    userName: '',
+    email: '',
+    name: '',
+    surname: '',
+    password: '',
+    roleIdList: [],
+    allowedNotifications: [],
+    unlock: false
+  })
+
+  // Snapshot of loaded user, used to decide which fields are sent with isUpdated=true
+  const [originalUser, setOriginalUser] = useState(null)
+  const [roles, setRoles] = useState([])
+  const [notificationTypes, setNotificationTypes] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const loadRoles = useCallback(async () => {
+    try {
+      const response = await roleService.getAll()
+      setRoles(response?.data?.data || response?.data || [])
+    } catch (err) {
+      console.error('Failed to load roles:', err)
+      setError('Failed to load roles. Check console for details.')
+    }
+  }, [])
+
+  const loadNotificationTypes = useCallback(async () => {
+    try {
+      setNotificationTypes(await notificationService.getTypes())
+    } catch (err) {
+      console.error('Failed to load notification types:', err)
+      setError('Failed to load notification types. Check console for details.')
+    }
+  }, [])
+
+  const loadUser = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await userService.getById(id)
+      const data = response.data
+
+      const loaded = {
+        userType: 1,
+        userName: data.userName || '',
+        email: data.email || '',
+        name: data.name || '',
+        surname: data.surname || '',
+        password: '',
+        roleIdList: (data.roles || []).map(r => r.id),
+        allowedNotifications: data.allowedNotifications || [],
+        unlock: false
+      }
+
+      setFormData(loaded)
+      setOriginalUser(loaded)
+    } catch (err) {
+      setError('Failed to load user')
+      console.error(err)
+    } finally {
+      setLoading(false)
+    }
+  }, [id])
+
+  useEffect(() => {
+    const initializeForm = async () => {
+      await Promise.all([loadRoles(), loadNotificationTypes()])
+      if (isEditMode) {
+        await loadUser()
+      }
+    }
+    initializeForm()
+  }, [isEditMode, loadRoles, loadNotificationTypes, loadUser])
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target
+    setFormData((prev) => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+    }))
+  }
+
+  const toggleListValue = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter(v => v !== value)
+        : [...prev[field], value]
+    }))
+  }
+
+  const sameItems = (a, b) => a.length === b.length && a.every(item => b.includes(item))
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError(null)
+
+    if (!isEditMode && formData.roleIdList.length === 0) {
+      setError('Please assign at least one role')
+      return
+    }
+
+    try {
+      setLoading(true)
+
+      let response
+
+      if (isEditMode) {
+        const updatedFields = []
+        if (formData.name !== originalUser.name) updatedFields.push('name')
+        if (formData.surname !== originalUser.surname) updatedFields.push('surname')
+        if (formData.password) updatedFields.push('newPassword')
+        if (formData.unlock) updatedFields.push('lockout')
+        if (!sameItems(formData.roleIdList, originalUser.roleIdList)) updatedFields.push('roleIdList')
+        if (!sameItems(formData.allowedNotifications, originalUser.allowedNotifications)) updatedFields.push('allowedNotifications')
+
+        response = await userService.update(parseInt(id), {
+          name: formData.name,
+          surname: formData.surname,
+          newPassword: formData.password,
+          lockout: false,
+          roleIdList: formData.roleIdList,
+          allowedNotifications: formData.allowedNotifications
+        }, updatedFields)
+      } else {
+        response = await userService.create({
+          userType: parseInt(formData.userType),
+          userName: formData.userName,
+          email: formData.email,
+          name: formData.name,
+          surname: formData.surname,
+          password: formData.password,
+          roleIdList: formData.roleIdList,
+          allowedNotifications: formData.allowedNotifications
+        })
+      }
+
+      if (response?.isSuccess === false) {
+        setError(response.messages?.[0]?.message || 'Failed to save user')
+        return
+      }
+
+      navigate(isEditMode ? `/users/${id}` : '/users')
+    } catch (err) {
+      setError(err.response?.data?.messages?.[0]?.message || 'Failed to save user')
+      console.error(err)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleCancel = () => {
+    navigate(isEditMode ? `/users/${id}` : '/users')
+  }
+
+  if (loading && isEditMode && !originalUser) {
+    return <div className="loading">Loading user...</div>
+  }
+
+  return (
+    <div className="user-form-container">
+      <div className="form-header">
+        <div className="form-header-left">
+          <Link to={isEditMode ? `/users/${id}` : '/users'} className="back-icon-btn" title={isEditMode ? 'Back to User Detail' : 'Back to Users'}>
+            <Icon name="arrow_back" size={24} />
+          </Link>
+          <div className="form-header-content">
+            <h1>{isEditMode ? 'Edit User' : 'Create New User'}</h1>
+            <p className="form-subtitle">
+              {isEditMode
+                ? 'Update profile, password and role assignments'
+                : 'Create an operator account and assign its roles'
+              }
+            </p>
+          </div>
+        </div>
+
+        <div className="form-actions">
+          <button type="button" onClick={handleCancel} className="btn btn-secondary">
+            <Icon name="close" size={18} />
+            Cancel
+          </button>
+          <button type="submit" disabled={loading} className="btn btn-primary" form="user-form">
+            {loading ? (
+              <>
+                <Icon name="schedule" size={18} />
+                Saving...
+              </>
+            ) : isEditMode ? (
+              <>
+                <Icon name="save" size={18} />
+                Update User
+              </>
+            ) : (
+              <>
+                <Icon name="person_add" size={18} />
+                Create User
+              </>
+            )}
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <form onSubmit={handleSubmit} className="user-form" id="user-form">
+        {/* Account Card */}
+        <div className="form-card">
+          <div className="form-section">
+            <h3 className="form-section-title">Account</h3>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="userName">
+                  Username <span className="required">*</span>
+                </label>
+                <input
+                  type="text"
+                  id="userName"
+                  name="userName"
+                  value={formData.userName}
+                  onChange={handleChange}
+                  required={!isEditMode}
+                  disabled={isEditMode}
+                  placeholder="e.g., johndoe"
+                  autoComplete="off"
+                />
+                {isEditMode && <small>Username cannot be changed</small>}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="email">Email</label>
+                <input
+                  type="email"
+                  id="email"
+                  name="email"
+                  value={formData.email}
+                  onChange={handleChange}
+                  disabled={isEditMode}
+                  placeholder="e.g., john@example.com"
+                />
+              </div>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="name">Name</label>
+                <input
+                  type="text"
+                  id="name"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleChange}
+                  maxLength={70}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="surname">Surname</label>
+                <input
+                  type="text"
+                  id="surname"
+                  name="surname"
+                  value={formData.surname}
+                  onChange={handleChange}
+                  maxLength={70}
+                />
+              </div>
+            </div>
+
+            <div className="form-row">
+              {!isEditMode && (
+                <div className="form-group">
+                  <label htmlFor="userType">
+                    User Type <span className="required">*</span>
+                  </label>
+                  <select
+                    id="userType"
+                    name="userType"
+                    value={formData.userType}
+                    onChange={handleChange}
+                  >
+                    <option value={1}>Manager</option>
+                    <option value={2}>App User</option>
+                  </select>
+                  <small>Managers can access this panel; app users are API-only</small>
+                </div>
+              )}
+
+              <div className="form-group">
+                <label htmlFor="password">
+                  {isEditMode ? 'New Password' : 'Password'} {!isEditMode && <span className="required">*</span>}
+                </label>
+                <input
+                  type="password"
+                  id="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  required={!isEditMode}
+                  autoComplete="new-password"
+                  placeholder={isEditMode ? 'Leave empty to keep current password' : ''}
+                />
+              </div>
+            </div>
+
+            {isEditMode && (
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  name="unlock"
+                  checked={formData.unlock}
+                  onChange={handleChange}
+                />
+                <span>Remove account lockout (after repeated failed logins)</span>
+              </label>
+            )}
+          </div>
+        </div>
+
+        {/* Roles Card */}
+        <div className="form-card">
+          <div className="form-section">
+            <h3 className="form-section-title">
+              Roles {!isEditMode && <span className="required">*</span>}
+            </h3>
+
+            {roles.length === 0 ? (
+              <p className="form-empty-hint">No roles defined yet.</p>
+            ) : (
+              <div className="role-checkbox-grid">
+                {roles.map(role => (
+                  <label key={role.id} className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={formData.roleIdList.includes(role.id)}
+                      onChange={() => toggleListValue('roleIdList', role.id)}
+                    />
+                    <span>{role.name}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="form-section">
+            <h3 className="form-section-title">Notifications</h3>
+
+            <div className="role-checkbox-grid">
+              {notificationTypes.map(type => (
+                <label key={type.value} className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={formData.allowedNotifications.includes(type.value)}
+                    onChange={() => toggleListValue('allowedNotifications', type.value)}
+                  />
+                  <span>{type.label}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+export default UserForm
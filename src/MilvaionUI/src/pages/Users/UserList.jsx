@@ -0,0 +1,324 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import userService from '../../services/userService'
+import Modal from '../../components/Modal'
+import Icon from '../../components/Icon'
+import { useModal } from '../../hooks/useModal'
+import { usePermissions } from '../../hooks/usePermissions'
+import { PAGES, PERMISSIONS } from '../../utils/permissions'
+import './UserList.css'
+
+function UserList() {
+  const navigate = useNavigate()
+  const [users, setUsers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [searchTerm, setSearchTerm] = useState('')
+  const [debouncedSearchTerm, setDebouncedSearchTerm] = useState('')
+  const [currentPage, setCurrentPage] = useState(1)
+  const [pageSize, setPageSize] = useState(20)
+  const [totalCount, setTotalCount] = useState(0)
+  const [isInitialLoad, setIsInitialLoad] = useState(true)
+
+  const { modalProps, showConfirm, showSuccess, showError } = useModal()
+  const { canOnPage } = usePermissions()
+  const canCreate = canOnPage(PAGES.USER_MANAGEMENT, 'create', PERMISSIONS.USER_CREATE)
+  const canEdit = canOnPage(PAGES.USER_MANAGEMENT, 'edit', PERMISSIONS.USER_UPDATE)
+  const canDelete = canOnPage(PAGES.USER_MANAGEMENT, 'delete', PERMISSIONS.USER_DELETE)
+
+  // Debounce search term
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearchTerm(searchTerm)
+      setCurrentPage(1)
+    }, 500)
+
+    return () => clearTimeout(timer)
+  }, [searchTerm])
+
+  const loadUsers = useCallback(async (showLoading = false) => {
+    try {
+      if (showLoading) {
+        setLoading(true)
+      }
+      setError(null)
+
+      const requestBody = {
+        pageNumber: currentPage,
+        rowCount: pageSize
+      }
+
+      if (debouncedSearchTerm) {
+        requestBody.searchTerm = debouncedSearchTerm
+      }
+
+      const response = await userService.getAll(requestBody)
+
+      const data = response?.data?.data || response?.data || []
+      const total = response?.data?.totalDataCount || response?.totalDataCount || 0
+
+      setUsers(data)
+      setTotalCount(total)
+    } catch (err) {
+      setError('Failed to load users')
+      console.error(err)
+    } finally {
+      if (showLoading) {
+        setLoading(false)
+        setIsInitialLoad(false)
+      }
+    }
+  }, [currentPage, pageSize, debouncedSearchTerm])
+
+  useEffect(() => {
+    loadUsers(isInitialLoad)
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentPage, pageSize, debouncedSearchTerm])
+
+  const handleDelete = async (user) => {
+    const confirmed = await showConfirm(
+      `Are you sure you want to delete user "${user.userName}"? This action cannot be undone.`,
+      'Delete User',
+      'Delete',
+      'Cancel'
+    )
+
+    if (!confirmed) return
+
+    try {
+      const response = await userService.delete(user.id)
+
+      if (response?.isSuccess === false) {
+        await showError(response.messages?.[0]?.message || 'Failed to delete user.')
+        return
+      }
+
+      await loadUsers()
+      await showSuccess('User deleted successfully')
+    } catch (err) {
+      await showError(err.response?.data?.messages?.[0]?.message || 'Failed to delete user. Please try again.')
+      console.error(err)
+    }
+  }
+
+  const getFullName = (user) => {
+    const fullName = [user.name, user.surname].filter(Boolean).join(' ')
+    return fullName || '-'
+  }
+
+  if (loading) return <div className="loading">Loading users...</div>
+  if (error) return <div className="error">{error}</div>
+
+  return (
+    <div className="user-list-page">
+      <Modal {...modalProps} />
+
+      {/* Page Header */}
+      <div className="page-header">
+        <div className="header-content">
+          <h1>
+            <Icon name="group" size={28} />
+            <span style={{ margin: '0 0 0 1rem' }}>Users</span>
+            <span>({totalCount})</span>
+          </h1>
+        </div>
+        <div className="header-actions">
+          {canCreate && (
+            <Link to="/users/new" className="create-user-btn">
+              <Icon name="person_add" size={20} />
+              <span>Create User</span>
+            </Link>
+          )}
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="filters-section">
+        <div className="search-box">
+          <input
+            type="text"
+            placeholder="Search users by username, name or email..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="search-input"
+          />
+          {searchTerm && (
+            <button
+              onClick={() => setSearchTerm('')}
+              className="clear-search-btn"
+              title="Clear search"
+            >
+              <Icon name="close" size={16} />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {users.length === 0 ? (
+        <div className="empty-state-card">
+          <div className="empty-icon">
+            <Icon name="group" size={64} />
+          </div>
+          <h3>No Users Found</h3>
+          <p>
+            {debouncedSearchTerm
+              ? `No users match "${debouncedSearchTerm}". Try a different search.`
+              : 'Create the first operator account to get started.'}
+          </p>
+        </div>
+      ) : (
+        <>
+          <div className="users-table-container">
+            <table className="users-table">
+              <thead>
+                <tr>
+                  <th>Username</th>
+                  <th>Full Name</th>
+                  <th>Email</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {users.map((user) => (
+                  <tr
+                    key={user.id}
+                    onClick={() => navigate(`/users/${user.id}`)}
+                    style={{ cursor: 'pointer' }}
+                  >
+                    <td>
+                      <div className="user-name-cell">
+                        <Icon name="account_circle" size={20} />
+                        <strong>{user.userName}</strong>
+                      </div>
+                    </td>
+                    <td>{getFullName(user)}</td>
+                    <td>{user.email || '-'}</td>
+                    <td onClick={(e) => e.stopPropagation()}>
+                      <div className="action-buttons">
+                        <Link
+                          to={`/users/${user.id}`}
+                          className="action-btn view"
+                          title="View details"
+                        >
+                          <Icon name="visibility" size={18} />
+                        </Link>
+                        {canEdit && (
+                          <Link
+                            to={`/users/${user.id}/edit`}
+                            className="action-btn edit"
+                            title="Edit"
+                          >
+                            <Icon name="edit" size={18} />
+                          </Link>
+                        )}
+                        {canDelete && (
+                          <button
+                            onClick={() => handleDelete(user)}
+                            className="action-btn delete"
+                            title="Delete"
+                          >
+                            <Icon name="delete" size={18} />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Pagination */}
+          <div className="pagination-container">
+            <div className="pagination">
+              {(() => {
+                const totalPages = Math.ceil(totalCount / pageSize)
+                if (totalPages <= 1) return null
+
+                const maxVisiblePages = 5
+                let startPage = Math.max(1, currentPage - Math.floor(maxVisiblePages / 2))
+                let endPage = Math.min(totalPages, startPage + maxVisiblePages - 1)
+
+                if (endPage - startPage + 1 < maxVisiblePages) {
+                  startPage = Math.max(1, endPage - maxVisiblePages + 1)
+                }
+
+                return (
+                  <>
+                    <button
+                      className="btn btn-sm"
+                      onClick={() => setCurrentPage(1)}
+                      disabled={currentPage === 1}
+                    >
+                      <Icon name="first_page" size={18} />
+                    </button>
+                    <button
+                      className="btn btn-sm"
+                      onClick={() => setCurrentPage(currentPage - 1)}
+                      disabled={currentPage === 1}
+                    >
+                      <Icon name="chevron_left" size={18} />
+                    </button>
+
+                    {startPage > 1 && <span className="page-ellipsis">...</span>}
+
+                    {Array.from({ length: endPage - startPage + 1 }, (_, i) => startPage + i).map(page => (
+                      <button
+                        key={page}
+                        className={'btn btn-sm' + (page === currentPage ? ' btn-primary' : '')}
+                        onClick={() => setCurrentPage(page)}
+                      >
+                        {page}
+                      </button>
+                    ))}
+
+                    {endPage < totalPages && <span className="page-ellipsis">...</span>}
+
+                    <button
+                      className="btn btn-sm"
+                      onClick={() => setCurrentPage(currentPage + 1)}
+                      disabled={currentPage === totalPages}
+                    >
+                      <Icon name="chevron_right" size={18} />
+                    </button>
+                    <button
+                      className="btn btn-sm"
+                      onClick={() => setCurrentPage(totalPages)}
+                      disabled={currentPage === totalPages}
+                    >
+                      <Icon name="last_page" size={18} />
+                    </button>
+
+                    <span className="page-info">
+                      Page {currentPage} of {totalPages} ({totalCount} total)
+                    </span>
+                  </>
+                )
+              })()}
+            </div>
+
+            <div className="page-size-selector">
+              <label htmlFor="pageSize">Rows per page:</label>
+              <select
+                id="pageSize"
+                value={pageSize}
+                onChange={(e) => {
+                  setPageSize(parseInt(e.target.value))
+                  setCurrentPage(1)
+                }}
+                className="page-size-select"
+              >
+                <option value={10}>10</option>
+                <option value={20}>20</option>
+                <option value={50}>50</option>
+                <option value={100}>100</option>
+              </select>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default UserList
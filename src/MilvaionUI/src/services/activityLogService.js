@@ -0,0 +1,57 @@
+import api from './api'
+
+const ENTITY_LABELS = {
+  User: 'User',
+  Role: 'Role',
+  Namespace: 'Namespace',
+  ResourceGroup: 'Resource Group',
+  Content: 'Content',
+  Languages: 'Languages',
+  ScheduledJob: 'Job',
+  FailedOccurrence: 'Failed Execution',
+  JobOccurrence: 'Execution',
+}
+
+const splitActivity = (name) => {
+  const match = name.match(/^(Create|Update|Delete)(.+)$/)
+  return match ? { action: match[1], entity: match[2] } : { action: 'Other', entity: name }
+}
+
+export const activityLogService = {
+  // Get activity logs with pagination and filters (newest first)
+  getAll: async (params = {}) => {
+    const requestBody = {
+      pageNumber: params.pageNumber || 1,
+      rowCount: params.rowCount || 20,
+      ...params,
+      sorting: {
+        sortBy: "ActivityDate",
+        type: 1 // 1 = Descending
+      }
+    }
+    return api.patch('/activitylogs', requestBody)
+  },
+
+  // Get activity type options ({ value, name, action, entity, entityLabel }) from the UserActivity enum
+  getActivityTypes: async () => {
+    const response = await api.get('/lookups/enum', { params: { enumName: 'UserActivity' } })
+    return (response?.data || []).map(type => {
+      const { action, entity } = splitActivity(type.key)
+      return { value: type.value, name: type.name, action, entity, entityLabel: ENTITY_LABELS[entity] || entity }
+    })
+  },
+
+  // Get distinct entity options ({ value, label }) of the loaded activity types
+  getEntities: (activityTypes) => {
+    const entities = [...new Set(activityTypes.map(type => type.entity))]
+    return entities.map(entity => ({ value: entity, label: ENTITY_LABELS[entity] || entity }))
+  },
+
+  // Get activity type info by enum value from the loaded activity types
+  getActivityInfo: (value, activityTypes) => {
+    return activityTypes.find(type => type.value === value) ||
+      { name: 'Unknown', action: 'Unknown', entity: 'Unknown', entityLabel: 'Unknown' }
+  },
+}
+
+export default activityLogService
@@ -79,7 +79,7 @@ api.interceptors.response.use(
     isRefreshing = true
 
     try {
-      const refreshed = await authService.refreshToken()
+      const refreshed = await authService.refreshOrLogin()
 
       if (refreshed) {
         const newToken = authService.getAccessToken()
@@ -93,24 +93,14 @@ api.interceptors.response.use(
         // Retry original request
         return api(originalRequest)
       } else {
-        // Refresh failed - logout user
+        // Refresh failed - user was sent to the login page, or the API could not be reached
         processQueue(new Error('Token refresh failed'), null)
-        authService.logout()
-
-        // Redirect to login page
-        if (window.location.pathname !== '/login') {
-          window.location.href = '/login'
-        }
 
         return Promise.reject(error)
       }
     } catch (refreshError) {
       processQueue(refreshError, null)
-      authService.logout()
-
-      if (window.location.pathname !== '/login') {
-        window.location.href = '/login'
-      }
+      authService.redirectToLogin()
 
       return Promise.reject(refreshError)
     } finally {
@@ -4,11 +4,25 @@ const TOKEN_KEY = 'accessToken'
 const REFRESH_TOKEN_KEY = 'refreshToken'
 const USER_KEY = 'user'
 const DEVICE_ID_KEY = 'deviceId'
+const REFRESH_BEFORE_EXPIRY_MS = 5 * 60 * 1000
+// Transport errors (network, timeout, 5xx) are retried with exponential backoff before giving up
+const REFRESH_MAX_ATTEMPTS = 3
+const REFRESH_RETRY_DELAY_MS = 1000
+// ClaimTypes.Role when the token handler does not shorten claim names to "role"
+const ROLE_CLAIM_TYPE = 'http://schemas.microsoft.com/ws/2008/06/identity/claims/role'
+
+// A client error from the refresh endpoint is final, timeouts and rate limits are worth another attempt
+const isRefreshRejected = (error) => {
+  const status = error.response?.status
+  return status >= 400 && status < 500 && status !== 408 && status !== 429
+}
 
 class AuthService {
   constructor() {
     // Generate or retrieve device ID
     this.deviceId = this.getOrCreateDeviceId()
+    // In-flight refresh shared by concurrent callers (api.js, session manager)
+    this.refreshPromise = null
   }
 
   getOrCreateDeviceId() {
@@ -62,45 +76,123 @@ class AuthService {
     }
   }
 
-  async refreshToken() {
-    try {
-      const refreshToken = this.getRefreshToken()
-      const user = this.getCurrentUser()
+  refreshToken() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this._refreshToken().finally(() => {
+        this.refreshPromise = null
+      })
+    }
+    return this.refreshPromise
+  }
+
+  // Resolves false only when the server rejects the refresh token (4xx or an unsuccessful response).
+  // Transport errors are retried and rethrown once every attempt failed, the session stays untouched.
+  async _refreshToken() {
+    const refreshToken = this.getRefreshToken()
+    const user = this.getCurrentUser()
+
+    if (!refreshToken || !user) {
+      return false
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await api.post('/account/login/refresh', {
+          userName: user.username,
+          refreshToken: refreshToken,
+          deviceId: this.deviceId
+        })
+
+        if (response.isSuccess && response.data) {
+          const { token } = response.data
+
+          // Update tokens
+          this.setTokens(token.accessToken, token.refreshToken)
+
+          return true
+        }
 
-      if (!refreshToken || !user) {
         return false
-      }
+      } catch (error) {
+        if (isRefreshRejected(error)) {
+          return false
+        }
 
-      // Fix: Correct endpoint path to match backend route
-      const response = await api.post('/account/login/refresh', {
-        userName: user.username,
-        refreshToken: refreshToken,
-        deviceId: this.deviceId
-      })
+        if (attempt >= REFRESH_MAX_ATTEMPTS) {
+          throw error
+        }
 
-      if (response.isSuccess && response.data) {
-        const { token } = response.data
+        await new Promise(resolve => setTimeout(resolve, REFRESH_RETRY_DELAY_MS * 2 ** (attempt - 1)))
+      }
+    }
+  }
 
-        // Update tokens
-        this.setTokens(token.accessToken, token.refreshToken)
+  // Refresh an expired or rejected session, or send the user to the login page when the server rejects the refresh.
+  // When the API cannot be reached the session is kept and false is returned, so the next request tries again.
+  // Shared by api.js (HTTP 401) and signalRService (hub 401).
+  async refreshOrLogin() {
+    try {
+      const refreshed = await this.refreshToken()
 
-        return true
+      if (!refreshed) {
+        this.redirectToLogin()
       }
 
+      return refreshed
+    } catch {
       return false
+    }
+  }
+
+  redirectToLogin() {
+    this.clearSession()
+
+    if (window.location.pathname !== '/login') {
+      window.location.href = '/login'
+    }
+  }
+
+  // Revoke this device's refresh token on the server, then clear the local session
+  async logout() {
+    const user = this.getCurrentUser()
+
+    try {
+      if (user && this.getAccessToken()) {
+        await api.post('/account/logout', {
+          userName: user.username,
+          deviceId: this.deviceId
+        })
+      }
     } catch (error) {
-      console.error('Token refresh error:', error)
-      return false
+      console.error('Logout error:', error)
+    } finally {
+      this.clearSession()
     }
   }
 
-  logout() {
+  // Clear tokens and user info without contacting the server
+  clearSession() {
     localStorage.removeItem(TOKEN_KEY)
     localStorage.removeItem(REFRESH_TOKEN_KEY)
     localStorage.removeItem(USER_KEY)
     // Keep device ID for future logins
   }
 
+  async getAccountDetail() {
+    const user = this.getCurrentUser()
+    return api.get('/account/detail', { params: { userId: user?.id } })
+  }
+
+  // The server ends every session of the user after a successful change
+  async changePassword(oldPassword, newPassword) {
+    const user = this.getCurrentUser()
+    return api.put('/account/password/change', {
+      userName: user?.username,
+      oldPassword,
+      newPassword
+    })
+  }
+
   setTokens(accessToken, refreshToken) {
     localStorage.setItem(TOKEN_KEY, accessToken)
     localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken)
@@ -143,22 +235,41 @@ class AuthService {
     }
   }
 
-  shouldRefreshToken() {
+  // Get permissions ("Group.Name") from role claims of the access token
+  getPermissions() {
     const token = this.getAccessToken()
-    if (!token) return false
+    if (!token) return []
 
     try {
-      const payload = JSON.parse(atob(token.split('.')[1]))
-      const exp = payload.exp * 1000
-      const now = Date.now()
-      const timeUntilExpiry = exp - now
+      const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')))
+      const roles = payload.role ?? payload[ROLE_CLAIM_TYPE] ?? []
+      return Array.isArray(roles) ? roles : [roles]
+    } catch {
+      return []
+    }
+  }
+
+  // Get the expiry time (ms since epoch) of an access token
+  getTokenExpiry(token = this.getAccessToken()) {
+    if (!token) return null
 
-      // Refresh if less than 5 minutes until expiry
-      return timeUntilExpiry < 5 * 60 * 1000
+    try {
+      const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')))
+      return payload.exp ? payload.exp * 1000 : null
     } catch {
-      return false
+      return null
     }
   }
+
+  shouldRefreshToken() {
+    const exp = this.getTokenExpiry()
+    if (!exp) return false
+
+    // Refresh if less than 5 minutes until expiry
+    return exp - Date.now() < REFRESH_BEFORE_EXPIRY_MS
+  }
 }
 
+export { TOKEN_KEY, REFRESH_BEFORE_EXPIRY_MS }
+
 export default new AuthService()
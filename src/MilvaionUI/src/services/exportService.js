@@ -0,0 +1,79 @@
+import api from './api'
+
+// ExportType enum values from the API
+export const EXPORT_TYPES = {
+  USER: 1,
+  SCHEDULED_JOB: 2,
+  JOB_OCCURRENCE: 3,
+  FAILED_OCCURRENCE: 4,
+}
+
+// ExportFormat enum values from the API
+export const EXPORT_FORMATS = {
+  XLSX: { value: 1, label: 'Excel (.xlsx)', extension: 'xlsx' },
+  CSV: { value: 2, label: 'CSV (.csv)', extension: 'csv' },
+}
+
+// Read the API error message from a blob response body
+const readBlobError = async (blob) => {
+  try {
+    const body = JSON.parse(await blob.text())
+    return body?.messages?.[0]?.message || null
+  } catch {
+    return null
+  }
+}
+
+export const exportService = {
+  // Export every row matching a list request (search term, filtering, sorting) as a file.
+  // Paging is dropped so that the whole result is exported, not only the visible page.
+  // onProgress receives { loaded, total } while the file is downloaded.
+  export: async (exportType, listRequest = {}, { format = EXPORT_FORMATS.XLSX, columns, onProgress, signal } = {}) => {
+    const exportListRequest = { ...listRequest }
+    delete exportListRequest.pageNumber
+    delete exportListRequest.rowCount
+
+    const requestBody = {
+      exportType,
+      format: format.value,
+      columns: columns?.length ? columns : null,
+      listRequest: exportListRequest,
+    }
+
+    let blob
+    try {
+      blob = await api.post('/exports/export', requestBody, {
+        responseType: 'blob',
+        signal,
+        onDownloadProgress: (e) => onProgress?.({ loaded: e.loaded, total: e.total || 0 }),
+      })
+    } catch (err) {
+      if (err.response?.data instanceof Blob) {
+        const message = await readBlobError(err.response.data)
+        if (message) throw new Error(message)
+      }
+      throw err
+    }
+
+    // The API answers with a JSON response instead of a file when there is nothing to export
+    if (blob.type?.includes('application/json')) {
+      throw new Error(await readBlobError(blob) || 'Export failed')
+    }
+
+    return blob
+  },
+
+  // Save a downloaded file in the browser
+  download: (blob, fileName) => {
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = fileName
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
+  },
+}
+
+export default exportService
@@ -53,6 +53,10 @@ export const jobService = {
       zombieTimeoutMinutes: wrapForUpdate(jobData.zombieTimeoutMinutes, fieldsToUpdate.includes('zombieTimeoutMinutes')),
       executionTimeoutSeconds: wrapForUpdate(jobData.executionTimeoutSeconds, fieldsToUpdate.includes('executionTimeoutSeconds')),
       autoDisableSettings: wrapForUpdate(jobData.autoDisableSettings, fieldsToUpdate.includes('autoDisableSettings') || 'autoDisableSettings' in jobData),
+      pauseReason: wrapForUpdate(jobData.pauseReason, fieldsToUpdate.includes('pauseReason')),
+      pausedUntil: wrapForUpdate(jobData.pausedUntil, fieldsToUpdate.includes('pausedUntil')),
+      // Concurrency stamp of the job the edit was made on, the API rejects the update if the job was updated since
+      expectedConcurrencyStamp: jobData.expectedConcurrencyStamp ?? null,
     }
 
     return api.put('/jobs/job', requestBody)
@@ -111,9 +115,11 @@ export const jobService = {
     return api.patch('/jobs/occurrences', requestBody)
   },
 
-  // Pause/Resume job (endpoint might not exist yet, keeping for future)
-  toggleStatus: async (id, isActive) => {
-    return api.patch(`/jobs/${id}/status`, { isActive })
+  // Pause/Resume job through the isActive field of the update.
+  // A pause can carry a reason and a time (ISO, UTC) at which the dispatcher resumes the job.
+  setActive: async (id, isActive, { reason = null, pausedUntil = null } = {}) => {
+    const updatedFields = isActive ? ['isActive'] : ['isActive', 'pauseReason', 'pausedUntil']
+    return jobService.update(id, { isActive, pauseReason: reason, pausedUntil }, updatedFields)
   },
 }
 
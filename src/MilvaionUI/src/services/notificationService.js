@@ -0,0 +1,108 @@
+import api from './api'
+import authService from './authService'
+
+// Display info of the NotificationType enum values, the value list itself comes from the API (getTypes)
+const NOTIFICATION_TYPES = {
+  0: { label: 'Order Approved', icon: 'task_alt', severity: 'info' },
+  1: { label: 'Job Auto-Disabled', icon: 'power_off', severity: 'error' },
+  2: { label: 'Job Re-Enabled', icon: 'power', severity: 'success' },
+}
+
+export const notificationService = {
+  // Get current user's notifications with pagination (newest first)
+  getAll: async (params = {}) => {
+    const user = authService.getCurrentUser()
+    const requestBody = {
+      pageNumber: params.pageNumber || 1,
+      rowCount: params.rowCount || 20,
+      ...params,
+      userId: user?.id,
+      sorting: {
+        sortBy: "Id",
+        type: 1 // 1 = Descending
+      }
+    }
+    return api.patch('/account/notifications', requestBody)
+  },
+
+  // Get current user's unseen notifications
+  getUnseen: async (params = {}) => {
+    return notificationService.getAll({
+      ...params,
+      filtering: {
+        criterias: [
+          {
+            filterBy: "SeenDate",
+            value: null,
+            type: 5 // Equals
+          }
+        ]
+      }
+    })
+  },
+
+  // Mark notifications as seen
+  markAsSeen: async (notificationIdList) => {
+    return api.put('/account/notifications/seen', { notificationIdList, markAll: false })
+  },
+
+  // Mark all notifications as seen
+  markAllAsSeen: async () => {
+    return api.put('/account/notifications/seen', { notificationIdList: [], markAll: true })
+  },
+
+  // Delete notifications
+  delete: async (notificationIdList) => {
+    return api.delete('/account/notifications', { data: { notificationIdList, deleteAll: false } })
+  },
+
+  // Delete all notifications
+  deleteAll: async () => {
+    return api.delete('/account/notifications', { data: { notificationIdList: [], deleteAll: true } })
+  },
+
+  // Get the notification types a user can opt into as [{ value, label }], from the API's NotificationType enum
+  getTypes: async () => {
+    const response = await api.get('/lookups/enum', { params: { enumName: 'NotificationType' } })
+    return (response?.data || []).map(type => ({
+      value: type.value,
+      label: NOTIFICATION_TYPES[type.value]?.label || type.name,
+    }))
+  },
+
+  // Get display info ({ label, icon, severity }) for a notification type
+  getTypeInfo: (type) => {
+    return NOTIFICATION_TYPES[type] || { label: 'Notification', icon: 'notifications', severity: 'info' }
+  },
+
+  // Parse the JSON data payload of a notification
+  parseData: (notification) => {
+    if (!notification?.data) return null
+
+    try {
+      return JSON.parse(notification.data)
+    } catch {
+      return null
+    }
+  },
+
+  // Map an API notification to { id, title, message, icon, severity, actionLink, isSeen }.
+  // Text is null for notifications whose content is built from the data payload.
+  toDisplay: (notification) => {
+    const typeInfo = notificationService.getTypeInfo(notification.type)
+    const data = notificationService.parseData(notification)
+    const subject = data?.jobName || data?.displayName || data?.name
+
+    return {
+      id: notification.id,
+      title: notification.typeDescription || typeInfo.label,
+      message: notification.text || data?.message || (subject ? `${typeInfo.label}: ${subject}` : typeInfo.label),
+      icon: typeInfo.icon,
+      severity: typeInfo.severity,
+      actionLink: notification.actionLink,
+      isSeen: notification.isSeen || !!notification.seenDate,
+    }
+  },
+}
+
+export default notificationService
@@ -0,0 +1,49 @@
+import api from './api'
+
+const permissionService = {
+  /**
+   * Get all permissions defined in the system
+   * @returns {Promise} Permission list (name, description, permissionGroup, permissionGroupDescription)
+   */
+  async getAll() {
+    const response = await api.patch('/permissions', {
+      pageNumber: 1,
+      rowCount: 100000
+    })
+    return response
+  },
+
+  /**
+   * Migrate permissions declared in code (PermissionCatalog) to the database
+   * @returns {Promise} Migration result message
+   */
+  async migrate() {
+    const response = await api.put('/permissions/migrate')
+    return response
+  },
+
+  /**
+   * Group a flat permission list by permissionGroup
+   * @param {Array} permissions - Permission list from getAll
+   * @returns {Array} [{ group, description, permissions }] sorted by group name
+   */
+  groupPermissions(permissions = []) {
+    const groups = new Map()
+
+    for (const permission of permissions) {
+      const key = permission.permissionGroup || 'Other'
+      if (!groups.has(key)) {
+        groups.set(key, {
+          group: key,
+          description: permission.permissionGroupDescription || key,
+          permissions: []
+        })
+      }
+      groups.get(key).permissions.push(permission)
+    }
+
+    return Array.from(groups.values()).sort((a, b) => a.group.localeCompare(b.group))
+  },
+}
+
+export default permissionService
@@ -0,0 +1,55 @@
+import api from './api'
+
+// Helper function to wrap value with isUpdated flag
+const wrapForUpdate = (value, isUpdated = true) => ({
+  value: value ?? null,
+  isUpdated
+})
+
+export const roleService = {
+  // Get all roles
+  getAll: async (params = {}) => {
+    const requestBody = {
+      pageNumber: 1,
+      rowCount: 100000,
+      ...params,
+      sorting: {
+        sortBy: "Id",
+        type: 0 // 0 = Ascending
+      }
+    }
+    return api.patch('/roles', requestBody)
+  },
+
+  // Get role by ID (includes assigned permissions and users)
+  getById: async (roleId) => {
+    return api.get('/roles/role', { params: { roleId } })
+  },
+
+  // Create new role
+  create: async (roleData) => {
+    return api.post('/roles/role', roleData)
+  },
+
+  // Update role - wraps each field with { value, isUpdated } structure
+  update: async (id, roleData, updatedFields = null) => {
+    const fieldsToUpdate = updatedFields || Object.keys(roleData)
+
+    const requestBody = {
+      id,
+      name: wrapForUpdate(roleData.name, fieldsToUpdate.includes('name')),
+      permissionIdList: wrapForUpdate(roleData.permissionIdList, fieldsToUpdate.includes('permissionIdList')),
+    }
+
+    return api.put('/roles/role', requestBody)
+  },
+
+  // Delete role - single ID via query parameter
+  delete: async (roleId) => {
+    return api.delete('/roles/role', {
+      params: { roleId }
+    })
+  },
+}
+
+export default roleService
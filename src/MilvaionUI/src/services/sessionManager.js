@@ -0,0 +1,121 @@
+import authService, { TOKEN_KEY, REFRESH_BEFORE_EXPIRY_MS } from './authService'
+import signalRService from './signalRService'
+
+// Tabs wake up within this window so they do not all refresh at the same moment
+const REFRESH_JITTER_MS = 30 * 1000
+const MIN_REFRESH_DELAY_MS = 5 * 1000
+// setTimeout overflows above 2^31 - 1 ms
+const MAX_TIMER_DELAY_MS = 2147483647
+// Web Locks name that serializes refreshes across tabs
+const REFRESH_LOCK_NAME = 'milvaion-token-refresh'
+// Wait before trying again when the API could not be reached
+const REFRESH_RETRY_DELAY_MS = 30 * 1000
+
+/**
+ * Keeps the session alive in every open tab.
+ * Refreshes the access token shortly before it expires, follows token changes and logouts
+ * made in other tabs through the `storage` event, and reconnects SignalR with the new token.
+ */
+class SessionManager {
+  constructor() {
+    this.refreshTimer = null
+    this.started = false
+    this.handleStorage = this.handleStorage.bind(this)
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this)
+  }
+
+  start() {
+    if (this.started) return
+    this.started = true
+
+    window.addEventListener('storage', this.handleStorage)
+    document.addEventListener('visibilitychange', this.handleVisibilityChange)
+
+    this.scheduleRefresh()
+  }
+
+  stop() {
+    this.started = false
+    clearTimeout(this.refreshTimer)
+    this.refreshTimer = null
+
+    window.removeEventListener('storage', this.handleStorage)
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange)
+  }
+
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer)
+
+    const expiry = authService.getTokenExpiry()
+    if (!expiry) return
+
+    const refreshAt = expiry - REFRESH_BEFORE_EXPIRY_MS - Math.random() * REFRESH_JITTER_MS
+    const delay = Math.min(Math.max(refreshAt - Date.now(), MIN_REFRESH_DELAY_MS), MAX_TIMER_DELAY_MS)
+
+    this.refreshTimer = setTimeout(() => this.refresh(), delay)
+  }
+
+  async refresh() {
+    const scheduledToken = authService.getAccessToken()
+
+    const run = async () => {
+      // Another tab refreshed while this one waited for the lock
+      if (authService.getAccessToken() !== scheduledToken) return true
+      return authService.refreshToken()
+    }
+
+    let refreshed
+
+    try {
+      refreshed = navigator.locks
+        ? await navigator.locks.request(REFRESH_LOCK_NAME, run)
+        : await run()
+    } catch {
+      // Connectivity blip or server error, keep the session and try again
+      clearTimeout(this.refreshTimer)
+      this.refreshTimer = setTimeout(() => this.refresh(), REFRESH_RETRY_DELAY_MS)
+      return
+    }
+
+    if (!refreshed) {
+      this.endSession()
+      return
+    }
+
+    this.scheduleRefresh()
+
+    // Other tabs reconnect from the storage event
+    if (authService.getAccessToken() !== scheduledToken) {
+      await signalRService.reconnect()
+    }
+  }
+
+  handleStorage(e) {
+    if (e.key !== TOKEN_KEY && e.key !== null) return
+
+    // Logged out in another tab (or storage cleared)
+    if (!authService.getAccessToken()) {
+      this.endSession()
+      return
+    }
+
+    if (e.oldValue !== e.newValue) {
+      this.scheduleRefresh()
+      signalRService.reconnect()
+    }
+  }
+
+  // Background tabs throttle timers, so check again when the tab becomes visible
+  handleVisibilityChange() {
+    if (document.visibilityState === 'visible' && authService.shouldRefreshToken()) {
+      this.refresh()
+    }
+  }
+
+  endSession() {
+    this.stop()
+    authService.redirectToLogin()
+  }
+}
+
+export default new SessionManager()
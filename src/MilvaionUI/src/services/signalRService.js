@@ -1,4 +1,9 @@
 import * as signalR from '@microsoft/signalr'
+import authService from './authService'
+
+// Negotiate failures carry the HTTP status, closed connections only a message
+const isUnauthorizedError = (error) =>
+  error?.statusCode === 401 || error?.statusCode === 419 || /\b(401|419)\b|unauthorized/i.test(error?.message || '')
 
 class SignalRService {
   constructor() {
@@ -8,6 +13,7 @@ class SignalRService {
     this.maxReconnectAttempts = 5
     this.listeners = new Map()
     this.subscribedOccurrences = new Set()
+    this.isHandlingUnauthorized = false
   }
 
   async connect() {
@@ -27,6 +33,8 @@ class SignalRService {
       return
     }
 
+    let unauthorized = false
+
     try {
       this.isConnecting = true
 
@@ -37,6 +45,14 @@ class SignalRService {
         .withUrl(hubUrl, {
           skipNegotiation: false,
           transport: signalR.HttpTransportType.WebSockets | signalR.HttpTransportType.ServerSentEvents,
+          // Called on every (re)connect, so refresh a token that is about to expire first
+          accessTokenFactory: async () => {
+            if (authService.shouldRefreshToken()) {
+              // Connect with the current token when the API cannot be reached, the session manager retries the refresh
+              await authService.refreshToken().catch(() => false)
+            }
+            return authService.getAccessToken()
+          },
         })
         .withAutomaticReconnect({
           nextRetryDelayInMilliseconds: retryContext => {
@@ -55,6 +71,10 @@ class SignalRService {
           console.warn('SignalR connection closed:', error.message)
         }
         this.isConnecting = false
+
+        if (isUnauthorizedError(error)) {
+          this.handleUnauthorized()
+        }
       })
 
       this.connection.onreconnecting((error) => {
@@ -65,6 +85,7 @@ class SignalRService {
         console.log('✅ SignalR reconnected', connectionId || '')
         this.reconnectAttempts = 0
         this._resubscribeAll()
+        this.notifyListeners('Reconnected', connectionId)
       })
 
       // SignalR event listeners
@@ -87,6 +108,12 @@ class SignalRService {
       console.log('✅ SignalR connected')
       this.reconnectAttempts = 0
     } catch (error) {
+      if (isUnauthorizedError(error)) {
+        console.warn('SignalR hub rejected the access token')
+        unauthorized = true
+        return
+      }
+
       const errorMessage = error?.message || error?.toString() || ''
       const isExtensionError = errorMessage.includes('message channel closed') ||
                                errorMessage.includes('Extension context invalidated')
@@ -105,6 +132,28 @@ class SignalRService {
       }
     } finally {
       this.isConnecting = false
+
+      if (unauthorized) {
+        this.handleUnauthorized()
+      }
+    }
+  }
+
+  // Same refresh-or-login path as api.js, then connect again with the new token
+  async handleUnauthorized() {
+    if (this.isHandlingUnauthorized) return
+    this.isHandlingUnauthorized = true
+
+    try {
+      const refreshed = await authService.refreshOrLogin()
+
+      if (refreshed) {
+        this.connection = null
+        await this.connect()
+        await this._resubscribeAll()
+      }
+    } finally {
+      this.isHandlingUnauthorized = false
     }
   }
 
@@ -130,6 +179,23 @@ class SignalRService {
     }
   }
 
+  // Rebuild the connection (e.g. after a token refresh), keeping listeners and subscriptions
+  async reconnect() {
+    const connection = this.connection
+    if (!connection) return
+
+    this.connection = null
+    try {
+      await connection.stop()
+    } catch (err) {
+      console.warn('Failed to stop SignalR connection:', err?.message || err)
+    }
+
+    await this.connect()
+    await this._resubscribeAll()
+    this.notifyListeners('Reconnected', this.connection?.connectionId)
+  }
+
   async subscribeToOccurrence(occurrenceId) {
     if (this.connection?.state === signalR.HubConnectionState.Connected) {
       try {
@@ -0,0 +1,23 @@
+import api from './api'
+
+const uiService = {
+  /**
+   * Get menu items accessible by the current user (already filtered by permissions on the server)
+   * @returns {Promise} Hierarchical menu item list (name, url, pageName, order, group, childrens)
+   */
+  async getMenuItems() {
+    const response = await api.get('/ui/menuItems')
+    return response
+  },
+
+  /**
+   * Get page accessibility information of the current user
+   * @returns {Promise} Page list (name, userCanCreate, userCanDetail, userCanEdit, userCanDelete, additionalActions)
+   */
+  async getPages() {
+    const response = await api.get('/ui/pages')
+    return response
+  },
+}
+
+export default uiService
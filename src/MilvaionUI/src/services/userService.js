@@ -0,0 +1,61 @@
+import api from './api'
+
+// Helper function to wrap value with isUpdated flag
+const wrapForUpdate = (value, isUpdated = true) => ({
+  value: value ?? null,
+  isUpdated
+})
+
+export const userService = {
+  // Get users with pagination and search
+  getAll: async (params = {}) => {
+    const requestBody = {
+      pageNumber: params.pageNumber || 1,
+      rowCount: params.rowCount || 20,
+      ...params,
+      sorting: {
+        sortBy: "Id",
+        type: 1 // 1 = Descending
+      }
+    }
+    return api.patch('/users', requestBody)
+  },
+
+  // Get user by ID
+  getById: async (userId) => {
+    return api.get('/users/user', { params: { userId } })
+  },
+
+  // Create new user
+  create: async (userData) => {
+    return api.post('/users/user', userData)
+  },
+
+  // Update user - wraps each field with { value, isUpdated } structure
+  update: async (id, userData, updatedFields = null) => {
+    // If updatedFields is provided, only mark those as updated
+    // Otherwise, mark all provided fields as updated
+    const fieldsToUpdate = updatedFields || Object.keys(userData)
+
+    const requestBody = {
+      id,
+      name: wrapForUpdate(userData.name, fieldsToUpdate.includes('name')),
+      surname: wrapForUpdate(userData.surname, fieldsToUpdate.includes('surname')),
+      lockout: wrapForUpdate(userData.lockout, fieldsToUpdate.includes('lockout')),
+      newPassword: wrapForUpdate(userData.newPassword, fieldsToUpdate.includes('newPassword')),
+      roleIdList: wrapForUpdate(userData.roleIdList, fieldsToUpdate.includes('roleIdList')),
+      allowedNotifications: wrapForUpdate(userData.allowedNotifications, fieldsToUpdate.includes('allowedNotifications')),
+    }
+
+    return api.put('/users/user', requestBody)
+  },
+
+  // Delete user - single ID via query parameter
+  delete: async (userId) => {
+    return api.delete('/users/user', {
+      params: { userId }
+    })
+  }
+}
+
+export default userService
@@ -0,0 +1,318 @@
+// Cron engine for the scheduler's format (Cronos with seconds): second minute hour dayOfMonth month dayOfWeek.
+// Occurrences are calculated in UTC, the same way the job dispatcher calculates them.
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC']
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT']
+
+export const CRON_FIELDS = [
+  { key: 'second', label: 'Second', min: 0, max: 59 },
+  { key: 'minute', label: 'Minute', min: 0, max: 59 },
+  { key: 'hour', label: 'Hour', min: 0, max: 23 },
+  { key: 'dayOfMonth', label: 'Day of Month', min: 1, max: 31 },
+  { key: 'month', label: 'Month', min: 1, max: 12, names: MONTH_NAMES },
+  // 0 and 7 are both Sunday
+  { key: 'dayOfWeek', label: 'Day of Week', min: 0, max: 7, names: DAY_NAMES },
+]
+
+export const CRON_MACROS = {
+  '@every_second': '* * * * * *',
+  '@every_minute': '0 * * * * *',
+  '@hourly': '0 0 * * * *',
+  '@daily': '0 0 0 * * *',
+  '@midnight': '0 0 0 * * *',
+  '@weekly': '0 0 0 * * 0',
+  '@monthly': '0 0 0 1 * *',
+  '@yearly': '0 0 0 1 1 *',
+  '@annually': '0 0 0 1 1 *',
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Leap day schedules can skip up to 8 years (e.g. 2096 -> 2104)
+const MAX_SEARCH_DAYS = 366 * 8 + 2
+
+const fieldError = (field, message) => {
+  const error = new Error(`${field.label}: ${message}`)
+  error.field = field.key
+  return error
+}
+
+const parseValue = (field, token) => {
+  const upper = token.toUpperCase()
+  const nameIndex = field.names ? field.names.indexOf(upper) : -1
+
+  if (nameIndex >= 0) {
+    return field.key === 'month' ? nameIndex + 1 : nameIndex
+  }
+
+  if (!/^\d+$/.test(token)) {
+    throw fieldError(field, `"${token}" is not a valid value`)
+  }
+
+  const value = parseInt(token, 10)
+  if (value < field.min || value > field.max) {
+    throw fieldError(field, `${value} is out of range (${field.min}-${field.max})`)
+  }
+
+  return value
+}
+
+// Ranges, steps and single values: *, 5, 1-5, */15, 10/5, 1-30/2
+const parseRange = (field, part, values) => {
+  const [base, stepText, extra] = part.split('/')
+
+  if (extra !== undefined) {
+    throw fieldError(field, `"${part}" has more than one step`)
+  }
+
+  let step = 1
+  if (stepText !== undefined) {
+    if (!/^\d+$/.test(stepText) || parseInt(stepText, 10) === 0) {
+      throw fieldError(field, `step "${stepText}" must be a positive number`)
+    }
+    step = parseInt(stepText, 10)
+  }
+
+  let start
+  let end
+
+  if (base === '*' || base === '?') {
+    start = field.min
+    end = field.key === 'dayOfWeek' ? 6 : field.max
+  } else if (base.includes('-')) {
+    const [from, to] = base.split('-')
+    start = parseValue(field, from)
+    end = parseValue(field, to)
+
+    if (start > end) {
+      throw fieldError(field, `range "${base}" must go from low to high`)
+    }
+  } else {
+    start = parseValue(field, base)
+    end = stepText !== undefined ? field.max : start
+  }
+
+  for (let value = start; value <= end; value += step) {
+    values.add(field.key === 'dayOfWeek' ? value % 7 : value)
+  }
+}
+
+const parseField = (field, text) => {
+  const parsed = {
+    text,
+    values: new Set(),
+    isWildcard: text === '*' || text === '?',
+    lastDays: [], // L, L-3: last day of the month minus offset
+    lastWeekday: false, // LW: last weekday of the month
+    nearestWeekdays: [], // 15W: weekday nearest to the day
+    lastDaysOfWeek: [], // 5L: last Friday of the month
+    nthDaysOfWeek: [], // 5#3: third Friday of the month
+  }
+
+  for (const part of text.split(',')) {
+    const upper = part.toUpperCase()
+
+    if (part === '') {
+      throw fieldError(field, 'list has an empty item')
+    }
+
+    if (upper === '?' && field.key !== 'dayOfMonth' && field.key !== 'dayOfWeek') {
+      throw fieldError(field, '"?" can only be used for day of month and day of week')
+    }
+
+    if (field.key === 'dayOfMonth') {
+      const last = upper.match(/^L(?:-(\d+))?$/)
+      if (last) {
+        const offset = last[1] ? parseInt(last[1], 10) : 0
+        if (offset > 30) throw fieldError(field, `"${part}" offset must be at most 30`)
+        parsed.lastDays.push(offset)
+        continue
+      }
+
+      if (upper === 'LW') {
+        parsed.lastWeekday = true
+        continue
+      }
+
+      const weekday = upper.match(/^(\d+)W$/)
+      if (weekday) {
+        parsed.nearestWeekdays.push(parseValue(field, weekday[1]))
+        continue
+      }
+    }
+
+    if (field.key === 'dayOfWeek') {
+      const last = upper.match(/^(\w+)L$/)
+      if (last) {
+        parsed.lastDaysOfWeek.push(parseValue(field, last[1]) % 7)
+        continue
+      }
+
+      const nth = upper.match(/^(\w+)#(\d+)$/)
+      if (nth) {
+        const occurrence = parseInt(nth[2], 10)
+        if (occurrence < 1 || occurrence > 5) {
+          throw fieldError(field, `"${part}" occurrence must be between 1 and 5`)
+        }
+        parsed.nthDaysOfWeek.push({ day: parseValue(field, nth[1]) % 7, occurrence })
+        continue
+      }
+    }
+
+    if (/[LW#]/.test(upper) && !field.names?.some(name => upper.includes(name))) {
+      throw fieldError(field, `"${part}" is not supported in this field`)
+    }
+
+    parseRange(field, part, parsed.values)
+  }
+
+  return parsed
+}
+
+/**
+ * Expand a macro (@daily, @hourly, ...) to its six-field expression
+ * @param {string} expression - Cron expression
+ * @returns {string} Expression without macros
+ */
+export const expandCronMacro = (expression) => {
+  const trimmed = (expression || '').trim()
+  return CRON_MACROS[trimmed.toLowerCase()] || trimmed
+}
+
+/**
+ * Parse a cron expression. Supports lists, ranges, steps, month and day names, ? and
+ * L, LW, W (day of month), L and # (day of week), and macros.
+ * @param {string} expression - Six-field cron expression (second minute hour dayOfMonth month dayOfWeek)
+ * @returns {Object} Parsed fields by key, with the original expression
+ * @throws {Error} When the expression is invalid, error.field names the invalid field
+ */
+export const parseCron = (expression) => {
+  const expanded = expandCronMacro(expression)
+
+  if (!expanded) {
+    throw new Error('Cron expression is required')
+  }
+
+  const parts = expanded.split(/\s+/)
+
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Cron expression must have 6 parts (second minute hour day month dayOfWeek), found ${parts.length}`)
+  }
+
+  const fields = {}
+  CRON_FIELDS.forEach((field, index) => {
+    fields[field.key] = parseField(field, parts[index])
+  })
+
+  return { expression: expanded, parts, fields }
+}
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate()
+
+const isWeekend = (year, month, day) => {
+  const dayOfWeek = new Date(Date.UTC(year, month, day)).getUTCDay()
+  return dayOfWeek === 0 || dayOfWeek === 6
+}
+
+// Weekday closest to the day within the same month (15W)
+const nearestWeekday = (year, month, day) => {
+  const lastDay = daysInMonth(year, month)
+  if (day > lastDay) return null
+
+  const dayOfWeek = new Date(Date.UTC(year, month, day)).getUTCDay()
+  if (dayOfWeek === 6) return day === 1 ? 3 : day - 1
+  if (dayOfWeek === 0) return day === lastDay ? day - 2 : day + 1
+  return day
+}
+
+const lastWeekdayOfMonth = (year, month) => {
+  let day = daysInMonth(year, month)
+  while (isWeekend(year, month, day)) day--
+  return day
+}
+
+const matchesDayOfMonth = (field, year, month, day) => {
+  if (field.values.has(day)) return true
+
+  const lastDay = daysInMonth(year, month)
+  if (field.lastDays.some(offset => day === lastDay - offset)) return true
+  if (field.lastWeekday && day === lastWeekdayOfMonth(year, month)) return true
+  return field.nearestWeekdays.some(target => nearestWeekday(year, month, target) === day)
+}
+
+const matchesDayOfWeek = (field, year, month, day, dayOfWeek) => {
+  if (field.values.has(dayOfWeek)) return true
+  if (field.lastDaysOfWeek.includes(dayOfWeek) && day + 7 > daysInMonth(year, month)) return true
+  return field.nthDaysOfWeek.some(nth => nth.day === dayOfWeek && Math.ceil(day / 7) === nth.occurrence)
+}
+
+// Day of month and day of week must both match, as in Cronos
+const matchesDay = (fields, date) => {
+  const year = date.getUTCFullYear()
+  const month = date.getUTCMonth()
+  const day = date.getUTCDate()
+
+  return fields.month.values.has(month + 1) &&
+    matchesDayOfMonth(fields.dayOfMonth, year, month, day) &&
+    matchesDayOfWeek(fields.dayOfWeek, year, month, day, date.getUTCDay())
+}
+
+const sortedValues = (field) => [...field.values].sort((a, b) => a - b)
+
+/**
+ * Calculate the next fire times of a cron expression (UTC, like the scheduler)
+ * @param {string|Object} expression - Cron expression or result of parseCron
+ * @param {Object} options
+ * @param {Date|string|number} options.from - Start time, excluded from the results (default: now)
+ * @param {number} options.count - Number of fire times (default: 5)
+ * @returns {Array<Date>} Fire times, fewer than count if the schedule ends (e.g. 30 FEB never fires)
+ * @throws {Error} When the expression is invalid
+ */
+export const getNextOccurrences = (expression, { from = new Date(), count = 5 } = {}) => {
+  const { fields } = typeof expression === 'string' ? parseCron(expression) : expression
+  const fromTime = new Date(from).getTime()
+  const hours = sortedValues(fields.hour)
+  const minutes = sortedValues(fields.minute)
+  const seconds = sortedValues(fields.second)
+  const results = []
+
+  const firstDay = new Date(fromTime)
+  let dayStart = Date.UTC(firstDay.getUTCFullYear(), firstDay.getUTCMonth(), firstDay.getUTCDate())
+
+  for (let i = 0; i < MAX_SEARCH_DAYS && results.length < count; i++, dayStart += DAY_MS) {
+    if (!matchesDay(fields, new Date(dayStart))) continue
+
+    for (const hour of hours) {
+      // Skip whole hours that are already past
+      if (dayStart + (hour + 1) * 3600000 <= fromTime) continue
+
+      for (const minute of minutes) {
+        if (dayStart + hour * 3600000 + (minute + 1) * 60000 <= fromTime) continue
+
+        for (const second of seconds) {
+          const time = dayStart + hour * 3600000 + minute * 60000 + second * 1000
+          if (time <= fromTime) continue
+
+          results.push(new Date(time))
+          if (results.length === count) return results
+        }
+      }
+    }
+  }
+
+  return results
+}
+
+/**
+ * Calculate the next fire time of a cron expression
+ * @param {string|Object} expression - Cron expression or result of parseCron
+ * @param {Date|string|number} from - Start time, excluded (default: now)
+ * @returns {Date|null} Next fire time, null if the expression is invalid or never fires
+ */
+export const getNextOccurrence = (expression, from = new Date()) => {
+  try {
+    return getNextOccurrences(expression, { from, count: 1 })[0] || null
+  } catch {
+    return null
+  }
+}
@@ -0,0 +1,152 @@
+import { describe, it, expect } from 'vitest'
+import { parseCron, expandCronMacro, getNextOccurrences, getNextOccurrence } from './cronParser'
+
+const next = (expression, from, count = 3) => getNextOccurrences(expression, { from, count }).map(date => date.toISOString())
+
+describe('parseCron', () => {
+  it('parses the six fields', () => {
+    const { fields } = parseCron('0 */15 9-17 * JAN-MAR MON,FRI')
+
+    expect([...fields.second.values]).toEqual([0])
+    expect([...fields.minute.values]).toEqual([0, 15, 30, 45])
+    expect(fields.hour.values.size).toBe(9)
+    expect(fields.dayOfMonth.isWildcard).toBe(true)
+    expect([...fields.month.values]).toEqual([1, 2, 3])
+    expect([...fields.dayOfWeek.values]).toEqual([1, 5])
+  })
+
+  it('treats 0 and 7 as Sunday', () => {
+    expect([...parseCron('0 0 0 * * 7').fields.dayOfWeek.values]).toEqual([0])
+    expect([...parseCron('0 0 0 * * SUN').fields.dayOfWeek.values]).toEqual([0])
+  })
+
+  it('expands macros', () => {
+    expect(expandCronMacro(' @daily ')).toBe('0 0 0 * * *')
+    expect(expandCronMacro('@HOURLY')).toBe('0 0 * * * *')
+    expect(parseCron('@weekly').expression).toBe('0 0 0 * * 0')
+  })
+
+  it('requires six fields', () => {
+    expect(() => parseCron('')).toThrow('Cron expression is required')
+    expect(() => parseCron('0 * * * *')).toThrow('must have 6 parts')
+  })
+
+  it('names the invalid field', () => {
+    const cases = [
+      ['0 60 * * * *', 'minute', 'Minute: 60 is out of range (0-59)'],
+      ['0 0 25 * * *', 'hour', 'Hour: 25 is out of range (0-23)'],
+      ['0 0 0 * 13 *', 'month', 'Month: 13 is out of range (1-12)'],
+      ['0 0 0 * * 1#6', 'dayOfWeek', 'occurrence must be between 1 and 5'],
+      ['*/0 * * * * *', 'second', 'step "0" must be a positive number'],
+      ['0 30-10 * * * *', 'minute', 'must go from low to high'],
+      ['0 ? * * * *', 'minute', '"?" can only be used for day of month and day of week'],
+      ['0 0 0 1,,2 * *', 'dayOfMonth', 'list has an empty item'],
+    ]
+
+    for (const [expression, field, message] of cases) {
+      let error
+      try {
+        parseCron(expression)
+      } catch (err) {
+        error = err
+      }
+
+      expect(error?.field, expression).toBe(field)
+      expect(error.message).toContain(message)
+    }
+  })
+})
+
+describe('getNextOccurrences', () => {
+  it('steps through the day, excluding the start time', () => {
+    expect(next('0 */15 * * * *', '2024-01-01T00:15:00Z')).toEqual([
+      '2024-01-01T00:30:00.000Z',
+      '2024-01-01T00:45:00.000Z',
+      '2024-01-01T01:00:00.000Z',
+    ])
+  })
+
+  it('supports schedules that fire more than once a minute', () => {
+    expect(next('*/30 * * * * *', '2024-01-01T00:00:10Z')).toEqual([
+      '2024-01-01T00:00:30.000Z',
+      '2024-01-01T00:01:00.000Z',
+      '2024-01-01T00:01:30.000Z',
+    ])
+  })
+
+  it('rolls over to the next month and year', () => {
+    expect(next('0 0 0 1 * *', '2024-11-15T00:00:00Z')).toEqual([
+      '2024-12-01T00:00:00.000Z',
+      '2025-01-01T00:00:00.000Z',
+      '2025-02-01T00:00:00.000Z',
+    ])
+  })
+
+  it('skips weekends for weekday schedules', () => {
+    // 2024-01-05 is a Friday
+    expect(next('0 0 9 * * MON-FRI', '2024-01-05T10:00:00Z', 2)).toEqual([
+      '2024-01-08T09:00:00.000Z',
+      '2024-01-09T09:00:00.000Z',
+    ])
+  })
+
+  it('requires both day of month and day of week to match', () => {
+    // Friday the 13th
+    expect(next('0 0 0 13 * FRI', '2024-01-01T00:00:00Z', 2)).toEqual([
+      '2024-09-13T00:00:00.000Z',
+      '2024-12-13T00:00:00.000Z',
+    ])
+  })
+
+  it('supports the last day of the month', () => {
+    expect(next('0 0 12 L * *', '2024-01-01T00:00:00Z')).toEqual([
+      '2024-01-31T12:00:00.000Z',
+      '2024-02-29T12:00:00.000Z',
+      '2024-03-31T12:00:00.000Z',
+    ])
+    expect(next('0 0 0 L-2 * *', '2023-02-01T00:00:00Z', 1)).toEqual(['2023-02-26T00:00:00.000Z'])
+  })
+
+  it('supports the last weekday and the nearest weekday of the month', () => {
+    // 2024-03-31 is a Sunday
+    expect(next('0 0 0 LW * *', '2024-03-01T00:00:00Z', 1)).toEqual(['2024-03-29T00:00:00.000Z'])
+    // 2024-06-15 is a Saturday, 2024-09-01 is a Sunday and 1W stays in the month
+    expect(next('0 0 0 15W * *', '2024-06-01T00:00:00Z', 1)).toEqual(['2024-06-14T00:00:00.000Z'])
+    expect(next('0 0 0 1W * *', '2024-08-31T00:00:00Z', 1)).toEqual(['2024-09-02T00:00:00.000Z'])
+  })
+
+  it('supports the nth and the last day of the week', () => {
+    expect(next('0 0 0 * * FRI#3', '2024-01-01T00:00:00Z', 2)).toEqual([
+      '2024-01-19T00:00:00.000Z',
+      '2024-02-16T00:00:00.000Z',
+    ])
+    expect(next('0 0 0 * * 5L', '2024-01-01T00:00:00Z', 2)).toEqual([
+      '2024-01-26T00:00:00.000Z',
+      '2024-02-23T00:00:00.000Z',
+    ])
+  })
+
+  it('finds leap days years ahead', () => {
+    expect(next('0 0 0 29 2 *', '2024-03-01T00:00:00Z', 1)).toEqual(['2028-02-29T00:00:00.000Z'])
+  })
+
+  it('returns no fire times for dates that do not exist', () => {
+    expect(getNextOccurrences('0 0 0 30 2 *', { from: '2024-01-01T00:00:00Z' })).toEqual([])
+  })
+
+  it('accepts a parsed expression', () => {
+    const parsed = parseCron('@hourly')
+    expect(next(parsed, '2024-01-01T10:30:00Z', 1)).toEqual(['2024-01-01T11:00:00.000Z'])
+  })
+})
+
+describe('getNextOccurrence', () => {
+  it('returns the next fire time', () => {
+    expect(getNextOccurrence('0 0 0 * * *', '2024-01-01T12:00:00Z')?.toISOString()).toBe('2024-01-02T00:00:00.000Z')
+  })
+
+  it('returns null for invalid or never firing expressions', () => {
+    expect(getNextOccurrence('not a cron', '2024-01-01T00:00:00Z')).toBeNull()
+    expect(getNextOccurrence('0 0 0 31 4 *', '2024-01-01T00:00:00Z')).toBeNull()
+  })
+})
@@ -1,22 +1,30 @@
 import moment from 'moment'
 
+// Time zone used by the format helpers, set from the user's preference by TimeZoneProvider
+let displayTimeZone = 'local'
+
+/**
+ * Get the time zone dates are displayed in
+ * @returns {string} 'UTC', 'local' or an IANA time zone
+ */
+export const getDisplayTimeZone = () => displayTimeZone
+
+/**
+ * Set the time zone dates are displayed in
+ * @param {string} timeZone - 'UTC', 'local' or an IANA time zone
+ */
+export const setDisplayTimeZone = (timeZone) => {
+  displayTimeZone = timeZone || 'local'
+}
+
 /**
- * Format date from API (ISO 8601) to human readable format
+ * Format date from API (ISO 8601) to human readable format in the display time zone
  * @param {string|Date} date - Date string or Date object
  * @param {string} format - Moment.js format string (default: 'LLL')
  * @returns {string} Formatted date string
  */
 export const formatDate = (date, format = 'LLL') => {
-  if (!date) return '-'
-  
-  const momentDate = moment(date)
-  
-  if (!momentDate.isValid()) {
-    console.warn('Invalid date:', date)
-    return '-'
-  }
-  
-  return momentDate.format(format)
+  return formatDateInTimeZone(date, displayTimeZone, format)
 }
 
 /**
@@ -81,6 +89,35 @@ export const formatDuration = (startDate, endDate = null) => {
   return parts.join(' ')
 }
 
+/**
+ * Format a duration given in milliseconds, compact enough for chart axes (e.g., "850ms", "12.4s", "3m 5s")
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Duration string
+ */
+export const formatDurationMs = (ms) => {
+  if (ms === null || ms === undefined || isNaN(ms)) return '-'
+  if (ms < 1000) return `${Math.round(ms)}ms`
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`
+  return `${Math.floor(ms / 60000)}m ${Math.floor((ms % 60000) / 1000)}s`
+}
+
+/**
+ * Format a remaining time for countdowns (e.g., "2d 4h", "3h 12m", "4m 05s")
+ * @param {number} ms - Remaining time in milliseconds
+ * @returns {string} Countdown string
+ */
+export const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000))
+  const days = Math.floor(totalSeconds / 86400)
+  const hours = Math.floor((totalSeconds % 86400) / 3600)
+  const minutes = Math.floor((totalSeconds % 3600) / 60)
+  const seconds = totalSeconds % 60
+
+  if (days > 0) return `${days}d ${hours}h`
+  if (hours > 0) return `${hours}h ${minutes}m`
+  return `${minutes}m ${String(seconds).padStart(2, '0')}s`
+}
+
 /**
  * Format date to short format (e.g., "Dec 20, 2025")
  * @param {string|Date} date - Date string or Date object
@@ -143,3 +180,123 @@ export const formatTimeSince = (date) => {
   if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`
   return `${Math.floor(seconds / 86400)}d ago`
 }
+
+/**
+ * Get the UTC offset of a time zone at a given time
+ * @param {string} timeZone - 'UTC', 'local' or an IANA time zone (e.g. "Europe/Istanbul")
+ * @param {string|Date} date - Time to get the offset for, matters for daylight saving time (default: now)
+ * @returns {number} Offset in minutes (e.g. 180 for UTC+3)
+ */
+export const getTimeZoneOffset = (timeZone, date = new Date()) => {
+  const time = new Date(date)
+
+  if (timeZone === 'UTC') return 0
+  if (!timeZone || timeZone === 'local') return -time.getTimezoneOffset()
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(time)
+
+  const get = (type) => parseInt(parts.find(p => p.type === type).value, 10)
+  const wallClockAsUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'))
+
+  return Math.round((wallClockAsUtc - Math.floor(time.getTime() / 1000) * 1000) / 60000)
+}
+
+/**
+ * Format date in a specific time zone
+ * @param {string|Date} date - Date string or Date object
+ * @param {string} timeZone - 'UTC', 'local' or an IANA time zone
+ * @param {string} format - Moment.js format string (default: 'LLL')
+ * @returns {string} Formatted date string
+ */
+export const formatDateInTimeZone = (date, timeZone, format = 'LLL') => {
+  if (!date) return '-'
+
+  const momentDate = moment(date)
+
+  if (!momentDate.isValid()) {
+    console.warn('Invalid date:', date)
+    return '-'
+  }
+
+  return momentDate.utcOffset(getTimeZoneOffset(timeZone, momentDate.toDate())).format(format)
+}
+
+/**
+ * Time zones that can be selected: local, UTC and the IANA zones known to the browser
+ * @returns {Array<string>} Time zone identifiers
+ */
+export const getTimeZoneOptions = () => {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : []
+  return ['local', 'UTC', ...zones.filter(zone => zone !== 'UTC')]
+}
+
+/**
+ * Check if a time zone can be used for display
+ * @param {string} timeZone - 'UTC', 'local' or an IANA time zone
+ * @returns {boolean} True if the browser knows the time zone
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (timeZone === 'local' || timeZone === 'UTC') return true
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Format a time zone with its UTC offset (e.g. "Europe/Istanbul (UTC+03:00)")
+ * @param {string} timeZone - 'UTC', 'local' or an IANA time zone
+ * @param {string|Date} date - Time to get the offset for (default: now)
+ * @returns {string} Time zone label
+ */
+export const formatTimeZoneLabel = (timeZone, date = new Date()) => {
+  if (timeZone === 'UTC') return 'UTC'
+
+  const offset = getTimeZoneOffset(timeZone, date)
+  const sign = offset < 0 ? '-' : '+'
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0')
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0')
+  const name = !timeZone || timeZone === 'local' ? 'Local time' : timeZone
+
+  return `${name} (UTC${sign}${hours}:${minutes})`
+}
+
+/**
+ * Format date for a datetime-local input, as wall clock time in a time zone
+ * @param {string|Date} date - Date string or Date object
+ * @param {string} timeZone - 'UTC', 'local' or an IANA time zone
+ * @returns {string} Input value (e.g. "2025-12-20T17:58"), empty if the date is missing
+ */
+export const toDateTimeInputValue = (date, timeZone) => {
+  if (!date || !moment(date).isValid()) return ''
+  return formatDateInTimeZone(date, timeZone, 'YYYY-MM-DDTHH:mm')
+}
+
+/**
+ * Convert a datetime-local input value, read as wall clock time in a time zone, to UTC
+ * @param {string} value - Input value (e.g. "2025-12-20T17:58")
+ * @param {string} timeZone - 'UTC', 'local' or an IANA time zone
+ * @returns {string|null} ISO 8601 UTC string, null if the value is invalid
+ */
+export const fromDateTimeInputValue = (value, timeZone) => {
+  const wallClock = moment.utc(value, moment.HTML5_FMT.DATETIME_LOCAL, true)
+  if (!value || !wallClock.isValid()) return null
+
+  // The offset can change around daylight saving time, so check it again at the converted time
+  const guess = wallClock.valueOf() - getTimeZoneOffset(timeZone, wallClock.toDate()) * 60000
+  const offset = getTimeZoneOffset(timeZone, new Date(guess))
+
+  return new Date(wallClock.valueOf() - offset * 60000).toISOString()
+}
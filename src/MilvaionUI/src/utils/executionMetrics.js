@@ -0,0 +1,153 @@
+// Time-series metrics aggregated client-side from occurrences (/jobs/occurrences)
+
+const FINISHED_STATUSES = [2, 3, 4, 5] // Completed, Failed, Cancelled, TimedOut
+const FAILED_STATUSES = [3, 5] // Failed, TimedOut
+
+/**
+ * Value at a percentile, linear interpolation between the closest ranks
+ * @param {Array<number>} sortedValues - Values sorted ascending
+ * @param {number} percentile - Percentile between 0 and 100
+ * @returns {number|null} Percentile value, null for no values
+ */
+export const getPercentile = (sortedValues, percentile) => {
+  if (sortedValues.length === 0) return null
+
+  const rank = (percentile / 100) * (sortedValues.length - 1)
+  const lower = Math.floor(rank)
+  const upper = Math.ceil(rank)
+
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (rank - lower)
+}
+
+/**
+ * Aggregate occurrences into fixed-size time buckets
+ * @param {Array<Object>} occurrences - Occurrences with status, createdAt, startTime, endTime and durationMs
+ * @param {Object} options
+ * @param {number} options.start - Window start (ms)
+ * @param {number} options.end - Window end (ms)
+ * @param {number} options.bucketMs - Bucket size (ms)
+ * @returns {Object} Bucket start times and per-bucket series: throughput (created per minute), successRate and
+ * failureRate (% of finished), p50 and p95 (duration ms) and queueDepth (queued at bucket end)
+ */
+export const buildExecutionSeries = (occurrences, { start, end, bucketMs }) => {
+  const count = Math.max(1, Math.ceil((end - start) / bucketMs))
+  const timestamps = Array.from({ length: count }, (_, i) => start + i * bucketMs)
+  const created = new Array(count).fill(0)
+  const finished = new Array(count).fill(0)
+  const failed = new Array(count).fill(0)
+  const durations = timestamps.map(() => [])
+  const queued = []
+
+  const bucketOf = (time) => Math.floor((time - start) / bucketMs)
+
+  for (const occurrence of occurrences) {
+    const createdAt = new Date(occurrence.createdAt).getTime()
+    const createdBucket = bucketOf(createdAt)
+
+    if (createdBucket >= 0 && createdBucket < count) created[createdBucket]++
+
+    // Finished executions count in the bucket they ended in
+    if (FINISHED_STATUSES.includes(occurrence.status)) {
+      const endedAt = new Date(occurrence.endTime || occurrence.createdAt).getTime()
+      const endBucket = bucketOf(endedAt)
+
+      if (endBucket >= 0 && endBucket < count) {
+        finished[endBucket]++
+        if (FAILED_STATUSES.includes(occurrence.status)) failed[endBucket]++
+        if (occurrence.durationMs != null) durations[endBucket].push(occurrence.durationMs)
+      }
+    }
+
+    // Time spent waiting in the queue, never started ones leave it when they end (or are still queued)
+    const leftQueue = occurrence.startTime || occurrence.endTime
+    queued.push([createdAt, leftQueue ? new Date(leftQueue).getTime() : (occurrence.status === 0 ? Infinity : createdAt)])
+  }
+
+  const minutes = bucketMs / 60000
+  const now = Date.now()
+
+  durations.forEach(values => values.sort((a, b) => a - b))
+
+  return {
+    timestamps,
+    throughput: created.map(value => value / minutes),
+    successRate: finished.map((value, i) => (value > 0 ? ((value - failed[i]) / value) * 100 : null)),
+    failureRate: finished.map((value, i) => (value > 0 ? (failed[i] / value) * 100 : null)),
+    p50: durations.map(values => getPercentile(values, 50)),
+    p95: durations.map(values => getPercentile(values, 95)),
+    queueDepth: timestamps.map(time => {
+      const at = Math.min(time + bucketMs, now)
+      return queued.filter(([from, to]) => from <= at && to > at).length
+    }),
+  }
+}
+
+/**
+ * Outcome and duration summary of a set of occurrences
+ * @param {Array<Object>} occurrences - Occurrences with status and durationMs
+ * @returns {Object} total, finished, failed, successRate (% of finished), average, p50 and p95 (duration ms)
+ */
+export const summarizeExecutions = (occurrences) => {
+  const finished = occurrences.filter(o => FINISHED_STATUSES.includes(o.status))
+  const failed = finished.filter(o => FAILED_STATUSES.includes(o.status)).length
+  const durations = finished
+    .map(o => o.durationMs)
+    .filter(d => d != null)
+    .sort((a, b) => a - b)
+
+  return {
+    total: occurrences.length,
+    finished: finished.length,
+    failed,
+    successRate: finished.length > 0 ? ((finished.length - failed) / finished.length) * 100 : null,
+    average: durations.length > 0 ? durations.reduce((sum, d) => sum + d, 0) / durations.length : null,
+    p50: getPercentile(durations, 50),
+    p95: getPercentile(durations, 95),
+  }
+}
+
+/**
+ * Summarize occurrences per group (e.g. per worker instance or job version)
+ * @param {Array<Object>} occurrences - Occurrences with status, createdAt and durationMs
+ * @param {Function} getKey - Returns the group key of an occurrence
+ * @returns {Array<Object>} Summaries with key, firstSeen and lastSeen (ms), in first-seen order
+ */
+export const summarizeExecutionsBy = (occurrences, getKey) => {
+  const groups = new Map()
+
+  for (const occurrence of occurrences) {
+    const key = getKey(occurrence)
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(occurrence)
+  }
+
+  return [...groups.entries()]
+    .map(([key, items]) => {
+      const times = items.map(o => new Date(o.createdAt).getTime())
+      return { key, firstSeen: Math.min(...times), lastSeen: Math.max(...times), ...summarizeExecutions(items) }
+    })
+    .sort((a, b) => a.firstSeen - b.firstSeen)
+}
+
+/**
+ * Histogram of durations with equal-width bins, values above the 99th percentile share the last bin
+ * @param {Array<number>} durations - Durations (ms)
+ * @param {number} binCount - Number of bins
+ * @returns {Array<Object>} Bins as { from, to, count }, the last bin is open-ended when it holds outliers
+ */
+export const buildDurationHistogram = (durations, binCount = 12) => {
+  if (durations.length === 0) return []
+
+  const sorted = [...durations].sort((a, b) => a - b)
+  const upper = Math.max(1, getPercentile(sorted, 99))
+  const width = upper / binCount
+  const bins = Array.from({ length: binCount }, (_, i) => ({ from: i * width, to: (i + 1) * width, count: 0 }))
+
+  for (const duration of sorted) {
+    bins[Math.min(binCount - 1, Math.floor(duration / width))].count++
+  }
+
+  if (sorted[sorted.length - 1] > upper) bins[binCount - 1].to = null
+
+  return bins
+}
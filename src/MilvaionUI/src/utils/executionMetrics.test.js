@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { getPercentile, buildExecutionSeries, summarizeExecutions, summarizeExecutionsBy, buildDurationHistogram } from './executionMetrics'
+
+const start = Date.UTC(2030, 0, 1, 10, 0)
+const minute = 60000
+const at = (minutes, seconds = 0) => new Date(start + minutes * minute + seconds * 1000).toISOString()
+
+describe('getPercentile', () => {
+  it('interpolates between the closest ranks', () => {
+    const values = [10, 20, 30, 40]
+
+    expect(getPercentile(values, 0)).toBe(10)
+    expect(getPercentile(values, 50)).toBe(25)
+    expect(getPercentile(values, 95)).toBeCloseTo(38.5)
+    expect(getPercentile(values, 100)).toBe(40)
+  })
+
+  it('returns the value for a single value and null for none', () => {
+    expect(getPercentile([7], 95)).toBe(7)
+    expect(getPercentile([], 50)).toBeNull()
+  })
+})
+
+describe('buildExecutionSeries', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(start + 60 * minute)
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  const options = { start, end: start + 30 * minute, bucketMs: 10 * minute }
+
+  it('creates one bucket per bucket size in the window', () => {
+    const series = buildExecutionSeries([], options)
+
+    expect(series.timestamps).toEqual([start, start + 10 * minute, start + 20 * minute])
+    expect(series.throughput).toEqual([0, 0, 0])
+    expect(series.successRate).toEqual([null, null, null])
+    expect(series.p50).toEqual([null, null, null])
+    expect(series.queueDepth).toEqual([0, 0, 0])
+  })
+
+  it('counts throughput per minute by creation time and skips occurrences outside the window', () => {
+    const occurrences = [
+      { status: 1, createdAt: at(1), startTime: at(1) },
+      { status: 1, createdAt: at(9), startTime: at(9) },
+      { status: 1, createdAt: at(25), startTime: at(25) },
+      { status: 1, createdAt: at(-5), startTime: at(-5) },
+      { status: 1, createdAt: at(30), startTime: at(30) },
+    ]
+
+    expect(buildExecutionSeries(occurrences, options).throughput).toEqual([0.2, 0, 0.1])
+  })
+
+  it('counts finished executions in the bucket they ended in', () => {
+    const occurrences = [
+      { status: 2, createdAt: at(5), startTime: at(5), endTime: at(12), durationMs: 100 },
+      { status: 3, createdAt: at(11), startTime: at(11), endTime: at(13), durationMs: 300 },
+      { status: 5, createdAt: at(14), startTime: at(14), endTime: at(15), durationMs: 200 },
+      { status: 4, createdAt: at(16), startTime: at(16), endTime: at(17), durationMs: 400 },
+      { status: 2, createdAt: at(21), endTime: at(21) },
+    ]
+
+    const series = buildExecutionSeries(occurrences, options)
+
+    expect(series.successRate).toEqual([null, 50, 100])
+    expect(series.failureRate).toEqual([null, 50, 0])
+    expect(series.p50).toEqual([null, 250, null])
+    expect(series.p95).toEqual([null, 385, null])
+  })
+
+  it('counts occurrences waiting at the end of each bucket as the queue depth', () => {
+    const occurrences = [
+      // Started in the second bucket
+      { status: 2, createdAt: at(5), startTime: at(15), endTime: at(16) },
+      // Never started, still queued
+      { status: 0, createdAt: at(8) },
+      // Cancelled before starting, left the queue when it ended
+      { status: 4, createdAt: at(9), endTime: at(25) },
+      // Started right away
+      { status: 1, createdAt: at(2), startTime: at(2) },
+    ]
+
+    expect(buildExecutionSeries(occurrences, options).queueDepth).toEqual([3, 2, 1])
+  })
+
+  it('counts the queue depth of the current bucket at the current time', () => {
+    vi.setSystemTime(start + 25 * minute)
+    const occurrences = [{ status: 4, createdAt: at(21), endTime: at(28) }]
+
+    expect(buildExecutionSeries(occurrences, options).queueDepth).toEqual([0, 0, 1])
+  })
+})
+
+describe('summarizeExecutions', () => {
+  it('summarizes outcomes and durations of finished executions', () => {
+    expect(summarizeExecutions([
+      { status: 2, durationMs: 100 },
+      { status: 2, durationMs: 300 },
+      { status: 3, durationMs: 200 },
+      { status: 5, durationMs: 400 },
+      { status: 4 },
+      { status: 1, durationMs: 5000 },
+    ])).toEqual({ total: 6, finished: 5, failed: 2, successRate: 60, average: 250, p50: 250, p95: 385 })
+  })
+
+  it('returns null rates and durations without finished executions', () => {
+    expect(summarizeExecutions([{ status: 0 }])).toEqual({
+      total: 1, finished: 0, failed: 0, successRate: null, average: null, p50: null, p95: null,
+    })
+  })
+})
+
+describe('summarizeExecutionsBy', () => {
+  it('summarizes each group in first-seen order', () => {
+    const occurrences = [
+      { workerId: 'w2', status: 2, createdAt: at(10), durationMs: 100 },
+      { workerId: 'w1', status: 3, createdAt: at(5), durationMs: 200 },
+      { workerId: 'w2', status: 2, createdAt: at(2), durationMs: 300 },
+    ]
+
+    expect(summarizeExecutionsBy(occurrences, o => o.workerId)).toMatchObject([
+      { key: 'w2', firstSeen: start + 2 * minute, lastSeen: start + 10 * minute, total: 2, successRate: 100, average: 200 },
+      { key: 'w1', firstSeen: start + 5 * minute, lastSeen: start + 5 * minute, total: 1, successRate: 0, average: 200 },
+    ])
+  })
+})
+
+describe('buildDurationHistogram', () => {
+  it('returns no bins without durations', () => {
+    expect(buildDurationHistogram([])).toEqual([])
+  })
+
+  it('splits durations into equal-width bins up to the largest duration', () => {
+    expect(buildDurationHistogram([0, 10, 20, 35, 40, 40], 4)).toEqual([
+      { from: 0, to: 10, count: 1 },
+      { from: 10, to: 20, count: 1 },
+      { from: 20, to: 30, count: 1 },
+      { from: 30, to: 40, count: 3 },
+    ])
+  })
+
+  it('puts outliers above the 99th percentile in an open-ended last bin', () => {
+    const durations = [...Array.from({ length: 100 }, (_, i) => i + 1), 10000]
+    const bins = buildDurationHistogram(durations, 10)
+
+    expect(bins).toHaveLength(10)
+    expect(bins[9]).toEqual({ from: 90, to: null, count: 12 })
+    expect(bins.reduce((sum, bin) => sum + bin.count, 0)).toBe(durations.length)
+  })
+})
@@ -0,0 +1,556 @@
+// Helpers for the job data of HttpWorker's HttpRequestSenderJob (HttpJobData), used by the request builder.
+// Property names and enum values follow the worker's JSON contract (camelCase properties, enum names as strings).
+
+export const HTTP_REQUEST_JOB_NAME = 'HttpRequestSenderJob'
+
+export const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS']
+
+export const AUTH_TYPES = ['None', 'Basic', 'Bearer', 'ApiKey', 'OAuth2', 'Digest', 'Ntlm']
+
+export const API_KEY_LOCATIONS = ['Header', 'Query', 'Cookie']
+
+export const OAUTH2_GRANT_TYPES = ['ClientCredentials', 'Password', 'AuthorizationCode', 'RefreshToken']
+
+// Content-Type the worker sends for each body type unless body.contentTypeOverride is set
+export const BODY_CONTENT_TYPES = {
+  Json: 'application/json',
+  Xml: 'application/xml',
+  Text: 'text/plain',
+  Html: 'text/html',
+  GraphQL: 'application/json',
+  FormUrlEncoded: 'application/x-www-form-urlencoded',
+  Multipart: 'multipart/form-data',
+  Binary: 'application/octet-stream',
+}
+
+// Body types edited as plain text in the builder
+export const RAW_BODY_TYPES = ['Text', 'Xml', 'Html']
+
+/**
+ * Check if a job is HttpWorker's request sender
+ * @param {string} jobName - Job name in the worker
+ * @returns {boolean}
+ */
+export const isHttpRequestJob = (jobName) => jobName === HTTP_REQUEST_JOB_NAME
+
+/**
+ * Set or remove a property without changing the position of the other properties.
+ * Empty objects and arrays, empty strings, null and undefined remove the property.
+ * @param {Object} target - Object to update
+ * @param {string} key - Property name
+ * @param {*} value - New value
+ * @returns {Object} Updated copy
+ */
+export const setProperty = (target, key, value) => {
+  const isEmpty = value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0) ||
+    (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0)
+
+  if (isEmpty) {
+    const rest = { ...target }
+    delete rest[key]
+    return rest
+  }
+
+  return { ...target, [key]: value }
+}
+
+/**
+ * Names of the {placeholder} path parameters of a URL
+ * @param {string} url - Request URL
+ * @returns {Array<string>} Unique names in order of appearance
+ */
+export const getPathParameterNames = (url) => {
+  return [...new Set([...(url || '').matchAll(/\{([^{}/?#]+)\}/g)].map(match => match[1]))]
+}
+
+const encodeQuery = (parameters) => Object.entries(parameters || {})
+  .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value ?? '')}`)
+  .join('&')
+
+/**
+ * URL the worker sends the request to, with path parameters replaced and query parameters appended
+ * @param {Object} jobData - HttpJobData
+ * @param {Object} queryParameters - Query parameters, defaults to jobData.queryParameters
+ * @returns {string} Final URL
+ */
+export const buildRequestUrl = (jobData, queryParameters = jobData.queryParameters) => {
+  let url = jobData.url || ''
+
+  for (const [name, value] of Object.entries(jobData.pathParameters || {})) {
+    url = url.split(`{${name}}`).join(encodeURIComponent(value ?? ''))
+  }
+
+  const query = encodeQuery(queryParameters)
+  if (!query) return url
+
+  return `${url}${url.includes('?') ? '&' : '?'}${query}`
+}
+
+/**
+ * Split the query string of a URL into parameters
+ * @param {string} url - URL, may contain a query string
+ * @returns {{url: string, queryParameters: Object}} URL without query string and its decoded parameters
+ */
+export const splitUrlQuery = (url) => {
+  const [withoutHash] = (url || '').split('#')
+  const index = withoutHash.indexOf('?')
+  if (index < 0) return { url: withoutHash, queryParameters: {} }
+
+  return {
+    url: withoutHash.slice(0, index),
+    queryParameters: Object.fromEntries(new URLSearchParams(withoutHash.slice(index + 1))),
+  }
+}
+
+/**
+ * Parse a comma or space separated list of HTTP status codes
+ * @param {string} text - e.g. "200, 201 204"
+ * @returns {{codes: Array<number>, invalid: Array<string>}} Valid codes (100-599) and the entries that are not
+ */
+export const parseStatusCodes = (text) => {
+  const entries = (text || '').split(/[\s,]+/).filter(Boolean)
+  const isValid = (entry) => /^\d{3}$/.test(entry) && Number(entry) >= 100 && Number(entry) <= 599
+
+  return {
+    codes: [...new Set(entries.filter(isValid).map(Number))],
+    invalid: entries.filter(entry => !isValid(entry)),
+  }
+}
+
+const quoteShellArg = (value) => `'${String(value).replace(/'/g, `'\\''`)}'`
+
+const formatBodyContent = (content) => typeof content === 'string' ? content : JSON.stringify(content ?? '')
+
+/**
+ * Create a cURL command that sends the request of a job
+ * @param {Object} jobData - HttpJobData
+ * @returns {{command: string, warnings: Array<string>}} Command and the settings it cannot express
+ */
+export const toCurl = (jobData) => {
+  // One entry per option, each option goes on its own line
+  const args = []
+  const addOption = (...parts) => args.push(parts.join(' '))
+  const warnings = []
+  const method = (jobData.method || 'GET').toUpperCase()
+  const headers = { ...jobData.headers }
+  const queryParameters = { ...jobData.queryParameters }
+  const cookies = { ...jobData.cookies }
+  const auth = jobData.authentication
+  const body = jobData.body?.type && jobData.body.type !== 'None' ? jobData.body : null
+
+  const hasHeader = (name) => Object.keys(headers).some(key => key.toLowerCase() === name.toLowerCase())
+
+  if (method === 'HEAD') {
+    addOption('--head')
+  } else if (method !== 'GET' || body) {
+    addOption('-X', method)
+  }
+
+  switch (auth?.type) {
+    case 'Basic':
+    case 'Digest':
+    case 'Ntlm':
+      if (auth.type !== 'Basic') addOption(`--${auth.type.toLowerCase()}`)
+      addOption('-u', quoteShellArg(`${auth.credential ?? ''}:${auth.secret ?? ''}`))
+      break
+    case 'Bearer':
+      headers.Authorization = `${auth.authorizationPrefix || 'Bearer'} ${auth.credential ?? ''}`
+      break
+    case 'ApiKey': {
+      const keyName = auth.keyName || 'X-API-Key'
+      if (auth.keyLocation === 'Query') queryParameters[keyName] = auth.credential ?? ''
+      else if (auth.keyLocation === 'Cookie') cookies[keyName] = auth.credential ?? ''
+      else headers[keyName] = auth.credential ?? ''
+      break
+    }
+    case 'OAuth2':
+      headers.Authorization = 'Bearer $ACCESS_TOKEN'
+      warnings.push(`OAuth2 token is fetched by the worker from ${auth.tokenUrl || 'the token URL'}, the command uses $ACCESS_TOKEN instead.`)
+      break
+    default:
+      break
+  }
+
+  if (body && body.type !== 'FormUrlEncoded' && body.type !== 'Multipart' && !hasHeader('Content-Type')) {
+    headers['Content-Type'] = body.contentTypeOverride || BODY_CONTENT_TYPES[body.type]
+  } else if (body?.contentTypeOverride && !hasHeader('Content-Type')) {
+    headers['Content-Type'] = body.contentTypeOverride
+  }
+
+  for (const [name, value] of Object.entries(headers)) {
+    addOption('-H', quoteShellArg(`${name}: ${value ?? ''}`))
+  }
+
+  if (Object.keys(cookies).length > 0) {
+    addOption('-b', quoteShellArg(Object.entries(cookies).map(([name, value]) => `${name}=${value ?? ''}`).join('; ')))
+  }
+
+  if (jobData.userAgent) addOption('-A', quoteShellArg(jobData.userAgent))
+  if (jobData.acceptEncoding?.length > 0) addOption('--compressed')
+  if (jobData.ignoreSslErrors) addOption('-k')
+
+  if (jobData.followRedirects !== false) {
+    addOption('-L')
+    if (jobData.maxRedirects !== undefined && jobData.maxRedirects !== 5) addOption('--max-redirs', String(jobData.maxRedirects))
+  }
+
+  if (jobData.timeoutSeconds) addOption('--max-time', String(jobData.timeoutSeconds))
+
+  switch (body?.type) {
+    case 'FormUrlEncoded':
+      for (const [name, value] of Object.entries(body.formData || {})) {
+        addOption('--data-urlencode', quoteShellArg(`${name}=${value ?? ''}`))
+      }
+      break
+    case 'Multipart':
+      for (const [name, value] of Object.entries(body.formData || {})) {
+        addOption('-F', quoteShellArg(`${name}=${value ?? ''}`))
+      }
+      for (const file of body.files || []) {
+        addOption('-F', quoteShellArg(`${file.fieldName}=@${file.fileName || 'file'};type=${file.contentType || BODY_CONTENT_TYPES.Binary}`))
+      }
+      if (body.files?.length > 0) warnings.push('File contents are not included, the command references the files by name.')
+      break
+    case 'Binary':
+      addOption('--data-binary', quoteShellArg('@body.bin'))
+      warnings.push('Binary body is not included, the command reads it from body.bin.')
+      break
+    case undefined:
+      break
+    default:
+      addOption('--data-raw', quoteShellArg(formatBodyContent(body.content)))
+  }
+
+  if (jobData.proxy || jobData.clientCertificate || jobData.retryPolicy || jobData.validation) {
+    warnings.push('Proxy, client certificate, retry and validation settings are not part of the command.')
+  }
+
+  const command = [`curl ${quoteShellArg(buildRequestUrl(jobData, queryParameters))}`, ...args].join(' \\\n  ')
+
+  return { command, warnings }
+}
+
+const ANSI_ESCAPES = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"' }
+
+// Split a shell command into arguments, supporting quotes, escapes and line continuations (bash and cmd style)
+const tokenizeCommand = (command) => {
+  const text = command.replace(/[\\^]\r?\n/g, ' ')
+  const tokens = []
+  let current = ''
+  let hasToken = false
+  let quote = null
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+
+    if (quote === "'") {
+      if (char === "'") quote = null
+      else current += char
+    } else if (quote === '$') {
+      if (char === "'") quote = null
+      else if (char === '\\' && i + 1 < text.length) current += ANSI_ESCAPES[text[++i]] ?? text[i]
+      else current += char
+    } else if (quote === '"') {
+      if (char === '"') quote = null
+      else if (char === '\\' && '"\\$`'.includes(text[i + 1])) current += text[++i]
+      else current += char
+    } else if (char === '$' && text[i + 1] === "'") {
+      quote = '$'
+      hasToken = true
+      i++
+    } else if (char === "'" || char === '"') {
+      quote = char
+      hasToken = true
+    } else if (char === '\\' && i + 1 < text.length) {
+      current += text[++i]
+      hasToken = true
+    } else if (/\s/.test(char)) {
+      if (hasToken) tokens.push(current)
+      current = ''
+      hasToken = false
+    } else {
+      current += char
+      hasToken = true
+    }
+  }
+
+  if (quote) throw new Error('The command has an unterminated quote.')
+  if (hasToken) tokens.push(current)
+
+  return tokens
+}
+
+// Short options that take a value, e.g. -XPOST or -X POST
+const SHORT_VALUE_OPTIONS = ['-X', '-H', '-d', '-F', '-u', '-b', '-A', '-m', '-e', '-o', '-w', '-x']
+// Options that do not change the request
+const IGNORED_OPTIONS = ['-s', '--silent', '-S', '--show-error', '-v', '--verbose', '-i', '--include', '-f', '--fail', '-g', '--globoff', '--http1.1', '--http2']
+const IGNORED_VALUE_OPTIONS = ['-o', '--output', '-w', '--write-out', '--connect-timeout', '--retry']
+
+const parseKeyValue = (text, separator) => {
+  const index = text.indexOf(separator)
+  return index < 0 ? [text.trim(), ''] : [text.slice(0, index).trim(), text.slice(index + 1).trim()]
+}
+
+// Decode a form or query component, malformed escapes such as "%" are kept as they are (curl sends them unchanged)
+const decodeComponent = (text) => {
+  try {
+    return decodeURIComponent(text)
+  } catch {
+    return text
+  }
+}
+
+const tryParseJson = (text) => {
+  try {
+    return { value: JSON.parse(text) }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Parse a cURL command (e.g. "Copy as cURL" from browser dev tools or Postman) into HttpJobData request settings
+ * @param {string} command - cURL command
+ * @returns {{jobData: Object, warnings: Array<string>}} Request settings and the parts that could not be imported
+ * @throws {Error} When the command is not a cURL command or has no URL
+ */
+export const parseCurl = (command) => {
+  const tokens = tokenizeCommand((command || '').trim())
+
+  if (tokens[0] !== 'curl' && tokens[0] !== 'curl.exe') {
+    throw new Error('The command must start with curl.')
+  }
+
+  const warnings = []
+  const headers = []
+  const data = []
+  const urlEncoded = []
+  const formFields = []
+  const cookies = {}
+  const settings = {}
+  let url = null
+  let method = null
+  let user = null
+  let authType = null
+  let forceGet = false
+
+  for (let i = 1; i < tokens.length; i++) {
+    let option = tokens[i]
+    let inlineValue = null
+
+    if (option.startsWith('--') && option.includes('=')) {
+      [option, inlineValue] = [option.slice(0, option.indexOf('=')), option.slice(option.indexOf('=') + 1)]
+    } else if (/^-[a-zA-Z]{2,}/.test(option)) {
+      const flag = option.slice(0, 2)
+      if (SHORT_VALUE_OPTIONS.includes(flag)) {
+        inlineValue = option.slice(2)
+      } else {
+        // Combined flags such as -sSL
+        tokens.splice(i + 1, 0, ...option.slice(2).split('').map(c => `-${c}`))
+      }
+      option = flag
+    }
+
+    const readValue = () => {
+      if (inlineValue !== null) return inlineValue
+      if (i + 1 >= tokens.length) throw new Error(`Option ${option} needs a value.`)
+      return tokens[++i]
+    }
+
+    switch (option) {
+      case '-X':
+      case '--request':
+        method = readValue().toUpperCase()
+        break
+      case '-H':
+      case '--header':
+        headers.push(readValue())
+        break
+      case '-d':
+      case '--data':
+      case '--data-raw':
+      case '--data-binary':
+      case '--data-ascii':
+        data.push(readValue())
+        break
+      case '--data-urlencode':
+        urlEncoded.push(readValue())
+        break
+      case '-F':
+      case '--form':
+      case '--form-string':
+        formFields.push(readValue())
+        break
+      case '-u':
+      case '--user':
+        user = readValue()
+        break
+      case '--basic':
+      case '--digest':
+      case '--ntlm':
+        authType = { '--basic': 'Basic', '--digest': 'Digest', '--ntlm': 'Ntlm' }[option]
+        break
+      case '-b':
+      case '--cookie':
+        for (const pair of readValue().split(';').filter(p => p.trim())) {
+          const [name, value] = parseKeyValue(pair, '=')
+          cookies[name] = value
+        }
+        break
+      case '-A':
+      case '--user-agent':
+        settings.userAgent = readValue()
+        break
+      case '-k':
+      case '--insecure':
+        settings.ignoreSslErrors = true
+        break
+      case '-L':
+      case '--location':
+        break
+      case '--max-redirs':
+        settings.maxRedirects = parseInt(readValue(), 10)
+        break
+      case '-m':
+      case '--max-time':
+        settings.timeoutSeconds = Math.ceil(parseFloat(readValue()))
+        break
+      case '--compressed':
+        settings.acceptEncoding = ['gzip', 'deflate', 'br']
+        break
+      case '-G':
+      case '--get':
+        forceGet = true
+        break
+      case '-I':
+      case '--head':
+        method = 'HEAD'
+        break
+      case '--url':
+        url = readValue()
+        break
+      default:
+        if (IGNORED_OPTIONS.includes(option)) break
+        if (IGNORED_VALUE_OPTIONS.includes(option)) {
+          readValue()
+          break
+        }
+        if (option.startsWith('-')) {
+          warnings.push(`Option ${option} is not supported and was ignored.`)
+        } else if (!url) {
+          url = option
+        } else {
+          warnings.push(`Argument "${option}" was ignored.`)
+        }
+    }
+  }
+
+  if (!url) throw new Error('No URL found in the command.')
+
+  const split = splitUrlQuery(url)
+  const queryParameters = split.queryParameters
+  const jobData = { url: split.url, method: 'GET' }
+  const requestHeaders = {}
+  let contentType = null
+  let authentication = null
+
+  for (const header of headers) {
+    const [name, value] = parseKeyValue(header, ':')
+    const lowerName = name.toLowerCase()
+
+    if (lowerName === 'content-type') {
+      contentType = value
+    } else if (lowerName === 'cookie') {
+      for (const pair of value.split(';').filter(p => p.trim())) {
+        const [cookieName, cookieValue] = parseKeyValue(pair, '=')
+        cookies[cookieName] = cookieValue
+      }
+    } else if (lowerName === 'user-agent') {
+      settings.userAgent = value
+    } else if (lowerName === 'authorization' && /^bearer\s/i.test(value)) {
+      authentication = { type: 'Bearer', credential: value.replace(/^bearer\s+/i, '') }
+    } else {
+      requestHeaders[name] = value
+    }
+  }
+
+  if (user !== null) {
+    const [credential, secret] = parseKeyValue(user, ':')
+    authentication = { type: authType || 'Basic', credential, secret }
+  }
+
+  // Request body, curl joins multiple --data values with &
+  let body = null
+  const urlEncodedPairs = urlEncoded.map(entry => parseKeyValue(entry, '='))
+
+  if (forceGet) {
+    for (const pair of [...data.join('&').split('&').filter(Boolean).map(p => parseKeyValue(p, '=')), ...urlEncodedPairs]) {
+      queryParameters[decodeComponent(pair[0])] = decodeComponent(pair[1])
+    }
+  } else if (formFields.length > 0) {
+    const formData = {}
+    for (const field of formFields) {
+      const [name, value] = parseKeyValue(field, '=')
+      if (value.startsWith('@') || value.startsWith('<')) {
+        warnings.push(`File field "${name}" was skipped, add the file as contentBase64 in the JSON view.`)
+      } else {
+        formData[name] = value
+      }
+    }
+    body = { type: 'Multipart', formData }
+  } else if (data.length > 0 || urlEncodedPairs.length > 0) {
+    const raw = data.join('&')
+    const json = tryParseJson(raw)
+    const isForm = contentType?.toLowerCase().startsWith(BODY_CONTENT_TYPES.FormUrlEncoded) ||
+      urlEncodedPairs.length > 0 ||
+      (!contentType && !json && /^[^=&\s]+=[^&]*(&[^=&\s]+=[^&]*)*$/.test(raw))
+
+    if (isForm) {
+      const pairs = raw ? raw.split('&').filter(Boolean).map(p => parseKeyValue(p, '=')).map(([k, v]) => [decodeComponent(k.replace(/\+/g, ' ')), decodeComponent(v.replace(/\+/g, ' '))]) : []
+      body = { type: 'FormUrlEncoded', formData: Object.fromEntries([...pairs, ...urlEncodedPairs]) }
+    } else if (json && (!contentType || /json/i.test(contentType))) {
+      body = { type: 'Json', content: json.value }
+    } else {
+      const rawType = /xml/i.test(contentType) ? 'Xml' : /html/i.test(contentType) ? 'Html' : 'Text'
+      body = { type: rawType, content: raw }
+    }
+
+    if (contentType && contentType !== BODY_CONTENT_TYPES[body.type]) {
+      body.contentTypeOverride = contentType
+    }
+  } else if (contentType) {
+    requestHeaders['Content-Type'] = contentType
+  }
+
+  jobData.method = method || (body ? 'POST' : 'GET')
+
+  if (!HTTP_METHODS.includes(jobData.method)) {
+    throw new Error(`HTTP method ${jobData.method} is not supported by the HTTP worker.`)
+  }
+
+  if (Object.keys(requestHeaders).length > 0) jobData.headers = requestHeaders
+  if (Object.keys(queryParameters).length > 0) jobData.queryParameters = queryParameters
+  if (body) jobData.body = body
+  if (authentication) jobData.authentication = authentication
+  if (Object.keys(cookies).length > 0) jobData.cookies = cookies
+
+  return { jobData: { ...jobData, ...settings }, warnings }
+}
+
+// Request properties replaced by a cURL import, the other job data (retry policy, validation, proxy...) is kept
+export const CURL_REQUEST_PROPERTIES = [
+  'url', 'method', 'headers', 'queryParameters', 'pathParameters', 'body', 'authentication',
+  'cookies', 'userAgent', 'acceptEncoding', 'ignoreSslErrors', 'maxRedirects', 'timeoutSeconds',
+]
+
+/**
+ * Apply the request settings of a cURL import to job data
+ * @param {Object} jobData - Current HttpJobData
+ * @param {Object} imported - Result of parseCurl
+ * @returns {Object} Job data with the imported request
+ */
+export const applyCurlImport = (jobData, imported) => {
+  const kept = Object.fromEntries(Object.entries(jobData || {}).filter(([key]) => !CURL_REQUEST_PROPERTIES.includes(key)))
+  return { ...imported, ...kept }
+}
@@ -0,0 +1,189 @@
+import { describe, it, expect } from 'vitest'
+import { toCurl, parseCurl, applyCurlImport } from './httpRequest'
+
+const url = 'https://api.example.com/orders'
+
+const roundTrip = (jobData) => parseCurl(toCurl(jobData).command).jobData
+
+describe('toCurl and parseCurl', () => {
+  it('round-trips a JSON body', () => {
+    const jobData = { url, method: 'POST', body: { type: 'Json', content: { id: 1, tags: ['a', 'b'] } } }
+
+    expect(roundTrip(jobData)).toEqual(jobData)
+  })
+
+  it.each([
+    ['Text', 'plain text'],
+    ['Xml', '<order id="1"/>'],
+    ['Html', '<p>Hi</p>'],
+  ])('round-trips a %s body', (type, content) => {
+    const jobData = { url, method: 'PUT', body: { type, content } }
+
+    expect(roundTrip(jobData)).toEqual(jobData)
+  })
+
+  it('round-trips a form url encoded body', () => {
+    const jobData = { url, method: 'POST', body: { type: 'FormUrlEncoded', formData: { name: 'Jane Doe', note: 'a&b=c' } } }
+
+    expect(roundTrip(jobData)).toEqual(jobData)
+  })
+
+  it('round-trips a multipart body and skips file fields', () => {
+    const jobData = { url, method: 'POST', body: { type: 'Multipart', formData: { title: 'Report' } } }
+    const withFile = { ...jobData, body: { ...jobData.body, files: [{ fieldName: 'file', fileName: 'report.pdf', contentType: 'application/pdf' }] } }
+
+    expect(roundTrip(jobData)).toEqual(jobData)
+
+    const { command, warnings } = toCurl(withFile)
+    expect(command).toContain("-F 'file=@report.pdf;type=application/pdf'")
+    expect(warnings).toEqual(['File contents are not included, the command references the files by name.'])
+    expect(parseCurl(command)).toEqual({
+      jobData,
+      warnings: ['File field "file" was skipped, add the file as contentBase64 in the JSON view.'],
+    })
+  })
+
+  it('imports a GraphQL body as JSON', () => {
+    const content = { query: '{ orders { id } }' }
+
+    expect(roundTrip({ url, method: 'POST', body: { type: 'GraphQL', content } }).body).toEqual({ type: 'Json', content })
+  })
+
+  it('references a binary body by file name', () => {
+    const { command, warnings } = toCurl({ url, method: 'POST', body: { type: 'Binary', contentBase64: 'AAEC' } })
+
+    expect(command).toContain("--data-binary '@body.bin'")
+    expect(command).not.toContain('AAEC')
+    expect(warnings).toEqual(['Binary body is not included, the command reads it from body.bin.'])
+  })
+
+  it('round-trips the request settings', () => {
+    const jobData = {
+      url,
+      method: 'GET',
+      headers: { 'X-Trace': '1' },
+      queryParameters: { page: '2' },
+      cookies: { session: 'abc' },
+      acceptEncoding: ['gzip', 'deflate', 'br'],
+      ignoreSslErrors: true,
+      maxRedirects: 2,
+      timeoutSeconds: 30,
+    }
+
+    expect(roundTrip(jobData)).toEqual(jobData)
+  })
+
+  it('round-trips a request without authentication', () => {
+    expect(roundTrip({ url, method: 'GET', authentication: { type: 'None' } })).toEqual({ url, method: 'GET' })
+  })
+
+  it.each(['Basic', 'Digest', 'Ntlm'])('round-trips %s authentication', (type) => {
+    const jobData = { url, method: 'GET', authentication: { type, credential: 'user', secret: 'p@ss:word' } }
+
+    expect(roundTrip(jobData)).toEqual(jobData)
+  })
+
+  it('round-trips bearer authentication', () => {
+    const jobData = { url, method: 'GET', authentication: { type: 'Bearer', credential: 'token-123' } }
+
+    expect(roundTrip(jobData)).toEqual(jobData)
+  })
+
+  it.each([
+    ['Header', { headers: { 'X-API-Key': 'k1' } }],
+    ['Query', { queryParameters: { 'X-API-Key': 'k1' } }],
+    ['Cookie', { cookies: { 'X-API-Key': 'k1' } }],
+  ])('imports an API key sent in the %s as a plain request value', (keyLocation, expected) => {
+    const jobData = { url, method: 'GET', authentication: { type: 'ApiKey', keyName: 'X-API-Key', keyLocation, credential: 'k1' } }
+
+    expect(roundTrip(jobData)).toEqual({ url, method: 'GET', ...expected })
+  })
+
+  it('uses a token variable for OAuth2', () => {
+    const { command, warnings } = toCurl({ url, authentication: { type: 'OAuth2', tokenUrl: 'https://auth.example.com/token' } })
+
+    expect(warnings).toEqual(['OAuth2 token is fetched by the worker from https://auth.example.com/token, the command uses $ACCESS_TOKEN instead.'])
+    expect(parseCurl(command).jobData.authentication).toEqual({ type: 'Bearer', credential: '$ACCESS_TOKEN' })
+  })
+})
+
+describe('quoting', () => {
+  it('escapes single quotes in single-quoted arguments', () => {
+    const jobData = { url, method: 'GET', userAgent: "O'Brien's agent" }
+    const { command } = toCurl(jobData)
+
+    expect(command).toContain(`-A 'O'\\''Brien'\\''s agent'`)
+    expect(parseCurl(command).jobData).toEqual(jobData)
+  })
+
+  it("reads $'…' arguments with escapes", () => {
+    const { jobData } = parseCurl(`curl ${url} -H $'X-Note: it\\'s\\nmultiline'`)
+
+    expect(jobData.headers).toEqual({ 'X-Note': "it's\nmultiline" })
+  })
+
+  it('reads double-quoted arguments and line continuations', () => {
+    const { jobData } = parseCurl(`curl "${url}" \\\n  -H "Content-Type: application/json" \\\n  -d "{\\"path\\":\\"\\$HOME\\"}"`)
+
+    expect(jobData).toEqual({ url, method: 'POST', body: { type: 'Json', content: { path: '$HOME' } } })
+  })
+})
+
+describe('parseCurl', () => {
+  it('splits combined short flags', () => {
+    const { jobData, warnings } = parseCurl(`curl -sSLk -XPOST ${url} -d 'a=1&b=2'`)
+
+    expect(jobData).toEqual({ url, method: 'POST', ignoreSslErrors: true, body: { type: 'FormUrlEncoded', formData: { a: '1', b: '2' } } })
+    expect(warnings).toEqual([])
+  })
+
+  it('sends data as query parameters with -G', () => {
+    const { jobData } = parseCurl(`curl -G '${url}?lang=en' -d 'q=hello%20world' -d page=2 --data-urlencode 'tag=a b'`)
+
+    expect(jobData).toEqual({ url, method: 'GET', queryParameters: { lang: 'en', q: 'hello world', page: '2', tag: 'a b' } })
+  })
+
+  it('keeps malformed percent escapes as they are', () => {
+    expect(parseCurl(`curl ${url} -d 'a=%'`).jobData.body).toEqual({ type: 'FormUrlEncoded', formData: { a: '%' } })
+    expect(parseCurl(`curl -G ${url} -d 'a=%E0%A4%A'`).jobData.queryParameters).toEqual({ a: '%E0%A4%A' })
+  })
+
+  it('warns about unsupported options', () => {
+    expect(parseCurl(`curl ${url} --proxy-insecure extra`).warnings).toEqual([
+      'Option --proxy-insecure is not supported and was ignored.',
+      'Argument "extra" was ignored.',
+    ])
+  })
+
+  it('rejects commands it cannot import', () => {
+    expect(() => parseCurl(`wget ${url}`)).toThrow('The command must start with curl.')
+    expect(() => parseCurl('curl -X POST')).toThrow('No URL found in the command.')
+    expect(() => parseCurl(`curl ${url} -H`)).toThrow('Option -H needs a value.')
+    expect(() => parseCurl(`curl '${url}`)).toThrow('The command has an unterminated quote.')
+    expect(() => parseCurl(`curl -X TRACE ${url}`)).toThrow('HTTP method TRACE is not supported by the HTTP worker.')
+  })
+})
+
+describe('applyCurlImport', () => {
+  it('replaces the request and keeps retry, validation and proxy settings', () => {
+    const jobData = {
+      url: 'https://old.example.com',
+      method: 'DELETE',
+      headers: { 'X-Old': '1' },
+      timeoutSeconds: 10,
+      retryPolicy: { maxRetries: 3 },
+      validation: { expectedStatusCodes: [200] },
+      proxy: { url: 'http://proxy.local:8080' },
+    }
+    const { jobData: imported } = parseCurl(`curl -X POST ${url} -d '{"id":1}'`)
+
+    expect(applyCurlImport(jobData, imported)).toEqual({
+      url,
+      method: 'POST',
+      body: { type: 'Json', content: { id: 1 } },
+      retryPolicy: { maxRetries: 3 },
+      validation: { expectedStatusCodes: [200] },
+      proxy: { url: 'http://proxy.local:8080' },
+    })
+  })
+})
@@ -0,0 +1,247 @@
+import yaml from 'js-yaml'
+import { validateSchema } from './jsonSchema'
+
+// Portable job definition bundle used to promote jobs between environments
+export const BUNDLE_KIND = 'MilvaionJobBundle'
+export const BUNDLE_VERSION = 1
+
+export const BUNDLE_FORMATS = {
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  yaml: { label: 'YAML', extension: 'yaml', mimeType: 'application/x-yaml' },
+}
+
+// Bundle entry fields in file order, with their labels for the import diff
+export const BUNDLE_FIELDS = [
+  { key: 'displayName', label: 'Display Name' },
+  { key: 'description', label: 'Description' },
+  { key: 'workerId', label: 'Worker' },
+  { key: 'jobType', label: 'Job Type' },
+  { key: 'cronExpression', label: 'Cron Expression' },
+  { key: 'executeAt', label: 'Execute At' },
+  { key: 'jobData', label: 'Job Data' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'isActive', label: 'Active' },
+  { key: 'concurrentExecutionPolicy', label: 'Concurrent Policy' },
+  { key: 'zombieTimeoutMinutes', label: 'Zombie Timeout (min)' },
+  { key: 'executionTimeoutSeconds', label: 'Execution Timeout (s)' },
+  { key: 'autoDisableSettings', label: 'Auto Disable' },
+]
+
+// Fields that PUT /jobs/job cannot change, a different value is reported as a warning
+const CREATE_ONLY_FIELDS = ['workerId', 'executeAt']
+
+// Switching a recurring job to a one-time job needs executeAt, which cannot be updated either
+const isCreateOnlyChange = (key, entry) => CREATE_ONLY_FIELDS.includes(key) || (key === 'cronExpression' && !entry.cronExpression)
+
+const parseJobData = (jobData) => {
+  if (!jobData) return {}
+  if (typeof jobData !== 'string') return jobData
+
+  try {
+    return JSON.parse(jobData)
+  } catch {
+    return jobData
+  }
+}
+
+const splitTags = (tags) => {
+  if (Array.isArray(tags)) return tags.map(t => `${t}`.trim()).filter(Boolean)
+  return tags ? `${tags}`.split(',').map(t => t.trim()).filter(Boolean) : []
+}
+
+// JSON with sorted object keys, so that equal values compare equal regardless of key order
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value ?? null)
+}
+
+/**
+ * Convert a job (GET /jobs/job detail) to a bundle entry
+ * @param {Object} job - Job detail from the API
+ * @returns {Object} Bundle entry
+ */
+export const toBundleEntry = (job) => ({
+  displayName: job.displayName || '',
+  description: job.description || null,
+  workerId: job.workerId || '',
+  jobType: job.jobType || job.selectedJobName || '',
+  cronExpression: job.cronExpression || null,
+  executeAt: job.cronExpression ? null : (job.executeAt || null),
+  jobData: parseJobData(job.jobData),
+  tags: splitTags(job.tags),
+  isActive: job.isActive ?? true,
+  concurrentExecutionPolicy: job.concurrentExecutionPolicy ?? 0,
+  zombieTimeoutMinutes: job.zombieTimeoutMinutes ?? null,
+  executionTimeoutSeconds: job.executionTimeoutSeconds ?? null,
+  autoDisableSettings: {
+    enabled: job.autoDisableSettings?.enabled ?? true,
+    threshold: job.autoDisableSettings?.threshold ?? null,
+  },
+})
+
+/**
+ * Create a bundle file content from job details
+ * @param {Array<Object>} jobs - Job details from the API
+ * @param {string} format - 'json' or 'yaml'
+ * @returns {string} File content
+ */
+export const serializeBundle = (jobs, format = 'json') => {
+  const bundle = {
+    kind: BUNDLE_KIND,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    jobs: jobs.map(toBundleEntry),
+  }
+
+  return format === 'yaml'
+    ? yaml.dump(bundle, { lineWidth: -1, noRefs: true })
+    : JSON.stringify(bundle, null, 2)
+}
+
+/**
+ * Parse a JSON or YAML bundle file
+ * @param {string} content - File content
+ * @returns {Array<Object>} Bundle entries, normalized with toBundleEntry defaults
+ * @throws {Error} When the content is not a job bundle
+ */
+export const parseBundle = (content) => {
+  let bundle
+  try {
+    bundle = content.trim().startsWith('{') ? JSON.parse(content) : yaml.load(content)
+  } catch (err) {
+    throw new Error(`File could not be read: ${err.message}`)
+  }
+
+  // A plain list of jobs is accepted as well
+  const jobs = Array.isArray(bundle) ? bundle : bundle?.jobs
+
+  if (!Array.isArray(jobs)) {
+    throw new Error('File is not a job bundle: "jobs" list not found.')
+  }
+
+  if (bundle?.version > BUNDLE_VERSION) {
+    throw new Error(`Bundle version ${bundle.version} is not supported. Please update Milvaion.`)
+  }
+
+  return jobs.map(job => toBundleEntry(job || {}))
+}
+
+/**
+ * Validate a bundle entry against the target environment's workers
+ * @param {Object} entry - Bundle entry
+ * @param {Array<Object>} workers - Workers from GET /workers
+ * @returns {{errors: Array<string>, warnings: Array<string>}}
+ */
+export const validateBundleEntry = (entry, workers) => {
+  const errors = []
+  const warnings = []
+
+  if (!entry.displayName) errors.push('Display name is required.')
+  if (!entry.workerId) errors.push('Worker is required.')
+  if (!entry.jobType) errors.push('Job type is required.')
+
+  if (!entry.cronExpression && !entry.executeAt) {
+    errors.push('Either a cron expression or executeAt is required.')
+  } else if (entry.executeAt && isNaN(new Date(entry.executeAt).getTime())) {
+    errors.push(`executeAt "${entry.executeAt}" is not a valid date.`)
+  }
+
+  if (typeof entry.jobData !== 'object' || entry.jobData === null || Array.isArray(entry.jobData)) {
+    errors.push('Job data must be a JSON object.')
+  }
+
+  const worker = workers.find(w => w.workerId === entry.workerId)
+
+  if (entry.workerId && !worker) {
+    errors.push(`Worker "${entry.workerId}" is not registered in this environment.`)
+  } else if (worker) {
+    if (worker.status !== 'Active') {
+      warnings.push(`Worker "${entry.workerId}" is ${worker.status || 'not active'}.`)
+    }
+
+    if (entry.jobType && !worker.jobNames?.includes(entry.jobType)) {
+      errors.push(`Worker "${entry.workerId}" does not have a job named "${entry.jobType}".`)
+    } else if (entry.jobType && errors.length === 0) {
+      const schemaErrors = validateSchema(worker.jobDataDefinitions?.[entry.jobType], entry.jobData)
+      errors.push(...schemaErrors.map(e => `Job data: ${e.message}`))
+    }
+  }
+
+  return { errors, warnings }
+}
+
+/**
+ * Compare a bundle entry with an existing job
+ * @param {Object} entry - Bundle entry
+ * @param {Object} job - Existing job detail from the API
+ * @returns {Array<{key: string, label: string, current: *, imported: *, createOnly: boolean}>} Changed fields
+ */
+export const diffBundleEntry = (entry, job) => {
+  const current = toBundleEntry(job)
+
+  return BUNDLE_FIELDS
+    .filter(({ key }) => {
+      if (key === 'tags') return stableStringify([...current.tags].sort()) !== stableStringify([...entry.tags].sort())
+      if (key === 'executeAt') return !!entry.executeAt && new Date(current.executeAt).getTime() !== new Date(entry.executeAt).getTime()
+      return stableStringify(current[key]) !== stableStringify(entry[key])
+    })
+    .map(({ key, label }) => ({
+      key,
+      label,
+      current: current[key],
+      imported: entry[key],
+      createOnly: isCreateOnlyChange(key, entry),
+    }))
+}
+
+/**
+ * Build the jobService.create payload for a bundle entry
+ * @param {Object} entry - Bundle entry
+ * @returns {Object} Create payload
+ */
+export const toCreatePayload = (entry) => {
+  const payload = {
+    displayName: entry.displayName,
+    description: entry.description,
+    workerId: entry.workerId,
+    selectedJobName: entry.jobType,
+    jobData: JSON.stringify(entry.jobData),
+    isActive: entry.isActive,
+    concurrentExecutionPolicy: entry.concurrentExecutionPolicy,
+    tags: entry.tags.join(','),
+    zombieTimeoutMinutes: entry.zombieTimeoutMinutes,
+    executionTimeoutSeconds: entry.executionTimeoutSeconds,
+    autoDisableSettings: entry.autoDisableSettings,
+  }
+
+  if (entry.cronExpression) {
+    payload.cronExpression = entry.cronExpression
+  } else {
+    payload.executeAt = new Date(entry.executeAt).toISOString()
+  }
+
+  return payload
+}
+
+/**
+ * Build the jobService.update arguments for the changed fields of a bundle entry
+ * @param {Object} entry - Bundle entry
+ * @param {Array<Object>} changes - Result of diffBundleEntry
+ * @returns {{payload: Object, updatedFields: Array<string>}}
+ */
+export const toUpdatePayload = (entry, changes) => {
+  const createPayload = toCreatePayload(entry)
+  const payload = {}
+  const updatedFields = []
+
+  for (const change of changes.filter(c => !c.createOnly)) {
+    const field = change.key === 'jobType' ? 'selectedJobName' : change.key
+    payload[field] = createPayload[field]
+    updatedFields.push(field)
+  }
+
+  return { payload, updatedFields }
+}
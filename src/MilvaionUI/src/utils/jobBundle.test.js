@@ -0,0 +1,196 @@
+import { describe, it, expect } from 'vitest'
+import {
+  BUNDLE_KIND,
+  BUNDLE_VERSION,
+  toBundleEntry,
+  serializeBundle,
+  parseBundle,
+  validateBundleEntry,
+  diffBundleEntry,
+  toCreatePayload,
+  toUpdatePayload,
+} from './jobBundle'
+
+const job = {
+  id: 'job-1',
+  displayName: 'Nightly report',
+  description: 'Sends the report',
+  workerId: 'report-worker',
+  jobType: 'ReportJob',
+  cronExpression: '0 0 2 * * *',
+  executeAt: '2024-01-02T02:00:00Z',
+  jobData: '{"recipients":["ops@example.com"],"format":"pdf"}',
+  tags: 'reports, daily',
+  isActive: true,
+  concurrentExecutionPolicy: 1,
+  zombieTimeoutMinutes: null,
+  executionTimeoutSeconds: 600,
+  autoDisableSettings: { enabled: false, threshold: 3, consecutiveFailureCount: 2 },
+}
+
+const worker = {
+  workerId: 'report-worker',
+  status: 'Active',
+  jobNames: ['ReportJob'],
+  jobDataDefinitions: {
+    ReportJob: JSON.stringify({
+      type: 'object',
+      required: ['recipients'],
+      properties: { recipients: { type: 'array', items: { type: 'string', format: 'email' } }, format: { enum: ['pdf', 'csv'] } },
+    }),
+  },
+}
+
+describe('toBundleEntry', () => {
+  it('keeps only the portable fields', () => {
+    expect(toBundleEntry(job)).toEqual({
+      displayName: 'Nightly report',
+      description: 'Sends the report',
+      workerId: 'report-worker',
+      jobType: 'ReportJob',
+      cronExpression: '0 0 2 * * *',
+      executeAt: null,
+      jobData: { recipients: ['ops@example.com'], format: 'pdf' },
+      tags: ['reports', 'daily'],
+      isActive: true,
+      concurrentExecutionPolicy: 1,
+      zombieTimeoutMinutes: null,
+      executionTimeoutSeconds: 600,
+      autoDisableSettings: { enabled: false, threshold: 3 },
+    })
+  })
+
+  it('fills defaults for missing fields', () => {
+    expect(toBundleEntry({ executeAt: '2024-05-01T10:00:00Z' })).toMatchObject({
+      displayName: '',
+      executeAt: '2024-05-01T10:00:00Z',
+      jobData: {},
+      tags: [],
+      isActive: true,
+      concurrentExecutionPolicy: 0,
+      autoDisableSettings: { enabled: true, threshold: null },
+    })
+  })
+})
+
+describe('serializeBundle and parseBundle', () => {
+  it.each(['json', 'yaml'])('round-trips a %s bundle', (format) => {
+    const content = serializeBundle([job], format)
+
+    expect(parseBundle(content)).toEqual([toBundleEntry(job)])
+  })
+
+  it('writes the bundle header', () => {
+    const bundle = JSON.parse(serializeBundle([job]))
+
+    expect(bundle.kind).toBe(BUNDLE_KIND)
+    expect(bundle.version).toBe(BUNDLE_VERSION)
+    expect(bundle.jobs).toHaveLength(1)
+  })
+
+  it('accepts a plain list of jobs', () => {
+    expect(parseBundle('- displayName: A\n  jobType: AJob\n')).toMatchObject([{ displayName: 'A', jobType: 'AJob' }])
+  })
+
+  it('rejects files that are not a supported bundle', () => {
+    expect(() => parseBundle('{ "jobs": ')).toThrow('File could not be read')
+    expect(() => parseBundle('{ "kind": "Other" }')).toThrow('"jobs" list not found')
+    expect(() => parseBundle(JSON.stringify({ version: BUNDLE_VERSION + 1, jobs: [] }))).toThrow(`Bundle version ${BUNDLE_VERSION + 1} is not supported`)
+  })
+})
+
+describe('validateBundleEntry', () => {
+  it('accepts an entry the target environment can run', () => {
+    expect(validateBundleEntry(toBundleEntry(job), [worker])).toEqual({ errors: [], warnings: [] })
+  })
+
+  it('reports missing fields', () => {
+    const { errors } = validateBundleEntry(toBundleEntry({ jobData: '[1]' }), [worker])
+
+    expect(errors).toEqual([
+      'Display name is required.',
+      'Worker is required.',
+      'Job type is required.',
+      'Either a cron expression or executeAt is required.',
+      'Job data must be a JSON object.',
+    ])
+  })
+
+  it('reports unknown workers and job types', () => {
+    expect(validateBundleEntry(toBundleEntry({ ...job, workerId: 'other' }), [worker]).errors).toEqual(['Worker "other" is not registered in this environment.'])
+    expect(validateBundleEntry(toBundleEntry({ ...job, jobType: 'OtherJob' }), [worker]).errors).toEqual(['Worker "report-worker" does not have a job named "OtherJob".'])
+  })
+
+  it('validates job data against the worker schema', () => {
+    const entry = toBundleEntry({ ...job, jobData: '{"recipients":["ops"],"format":"xls"}' })
+
+    expect(validateBundleEntry(entry, [worker]).errors).toEqual([
+      'Job data: recipients[0] must be a valid email',
+      'Job data: format must be one of "pdf", "csv"',
+    ])
+  })
+
+  it('warns about inactive workers and invalid dates', () => {
+    expect(validateBundleEntry(toBundleEntry(job), [{ ...worker, status: 'Inactive' }]).warnings).toEqual(['Worker "report-worker" is Inactive.'])
+    expect(validateBundleEntry(toBundleEntry({ ...job, cronExpression: null, executeAt: 'soon' }), [worker]).errors).toEqual(['executeAt "soon" is not a valid date.'])
+  })
+})
+
+describe('diffBundleEntry', () => {
+  it('is empty for an unchanged job', () => {
+    expect(diffBundleEntry(toBundleEntry(job), job)).toEqual([])
+  })
+
+  it('ignores tag order and job data key order', () => {
+    const entry = { ...toBundleEntry(job), tags: ['daily', 'reports'], jobData: { format: 'pdf', recipients: ['ops@example.com'] } }
+
+    expect(diffBundleEntry(entry, job)).toEqual([])
+  })
+
+  it('lists changed fields and marks the ones an update cannot change', () => {
+    const entry = { ...toBundleEntry(job), description: 'New', workerId: 'other-worker', autoDisableSettings: { enabled: true, threshold: 3 } }
+
+    expect(diffBundleEntry(entry, job)).toEqual([
+      { key: 'description', label: 'Description', current: 'Sends the report', imported: 'New', createOnly: false },
+      { key: 'workerId', label: 'Worker', current: 'report-worker', imported: 'other-worker', createOnly: true },
+      { key: 'autoDisableSettings', label: 'Auto Disable', current: { enabled: false, threshold: 3 }, imported: { enabled: true, threshold: 3 }, createOnly: false },
+    ])
+  })
+
+  it('treats switching to a one-time job as create-only', () => {
+    const entry = { ...toBundleEntry(job), cronExpression: null, executeAt: '2024-06-01T00:00:00Z' }
+    const changes = diffBundleEntry(entry, job)
+
+    expect(changes.map(change => [change.key, change.createOnly])).toEqual([['cronExpression', true], ['executeAt', true]])
+  })
+})
+
+describe('payloads', () => {
+  it('builds the create payload of a recurring job', () => {
+    const payload = toCreatePayload(toBundleEntry(job))
+
+    expect(payload).toMatchObject({
+      selectedJobName: 'ReportJob',
+      jobData: '{"recipients":["ops@example.com"],"format":"pdf"}',
+      tags: 'reports,daily',
+      cronExpression: '0 0 2 * * *',
+    })
+    expect(payload).not.toHaveProperty('executeAt')
+  })
+
+  it('builds the create payload of a one-time job', () => {
+    const payload = toCreatePayload(toBundleEntry({ ...job, cronExpression: null, executeAt: '2024-06-01T10:00:00+02:00' }))
+
+    expect(payload.executeAt).toBe('2024-06-01T08:00:00.000Z')
+    expect(payload).not.toHaveProperty('cronExpression')
+  })
+
+  it('builds the update payload from the changes an update can apply', () => {
+    const entry = { ...toBundleEntry(job), jobType: 'ReportJobV2', tags: ['reports'], workerId: 'other-worker' }
+
+    expect(toUpdatePayload(entry, diffBundleEntry(entry, job))).toEqual({
+      payload: { selectedJobName: 'ReportJobV2', tags: 'reports' },
+      updatedFields: ['selectedJobName', 'tags'],
+    })
+  })
+})
@@ -0,0 +1,41 @@
+// Autosaved JobForm drafts in the browser's local storage, one per form source:
+// the job id when editing, 'new' for a blank job, 'dup:<sourceJobId>' for a duplicate and 'tpl:<templateId>' for a template
+const DRAFT_KEY_PREFIX = 'jobFormDraft_'
+
+const getDraftKey = (draftId) => `${DRAFT_KEY_PREFIX}${draftId}`
+
+/**
+ * Read the draft of a job
+ * @param {string} draftId - Draft id of the form source
+ * @returns {Object|null} Draft as { formData, scheduleType, original, savedAt }, null if there is none
+ */
+export const getDraft = (draftId) => {
+  try {
+    const draft = JSON.parse(localStorage.getItem(getDraftKey(draftId)))
+    return draft?.formData ? draft : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Save the draft of a job
+ * @param {string} draftId - Draft id of the form source
+ * @param {Object} draft - { formData, scheduleType, original }, original is the job detail the edit started from
+ */
+export const saveDraft = (draftId, draft) => {
+  try {
+    localStorage.setItem(getDraftKey(draftId), JSON.stringify({ ...draft, savedAt: new Date().toISOString() }))
+  } catch (err) {
+    // Storage full or disabled, the form keeps working without drafts
+    console.error('Failed to save job draft:', err)
+  }
+}
+
+/**
+ * Delete the draft of a job
+ * @param {string} draftId - Draft id of the form source
+ */
+export const clearDraft = (draftId) => {
+  localStorage.removeItem(getDraftKey(draftId))
+}
@@ -0,0 +1,89 @@
+import { TRACKED_FIELDS, isFieldChanged } from './jobVersions'
+
+// Three-way merge of a job edit: the job as loaded (original), the edited form (mine) and the job as saved now (theirs).
+// Values are keyed by field key in the job detail shape, see toMergeValues.
+
+/**
+ * Fields an update can change, worker and executeAt are fixed after creation
+ */
+export const MERGE_FIELDS = [
+  ...TRACKED_FIELDS.filter(field => field.restorable),
+  { key: 'isActive', label: 'Active' },
+  { key: 'autoDisableEnabled', label: 'Auto-Disable' },
+  { key: 'autoDisableThreshold', label: 'Failure Threshold' },
+]
+
+/**
+ * Merge values of a job detail or JobForm payload
+ * @param {Object} job - Job detail (jobType) or JobForm payload (selectedJobName)
+ * @returns {Object} Values keyed by merge field key
+ */
+export const toMergeValues = (job) => ({
+  ...Object.fromEntries(TRACKED_FIELDS.map(field => [field.key, job[field.key] ?? null])),
+  jobType: job.jobType ?? job.selectedJobName ?? null,
+  isActive: job.isActive ?? null,
+  autoDisableEnabled: job.autoDisableSettings?.enabled ?? true,
+  autoDisableThreshold: job.autoDisableSettings?.threshold || null,
+})
+
+/**
+ * Fields changed by someone else since the original was loaded
+ * @param {Object} original - Merge values of the job as loaded
+ * @param {Object} mine - Merge values of the edited form
+ * @param {Object} theirs - Merge values of the job as saved now
+ * @returns {Array<Object>} Rows as { field, original, mine, theirs, mineChanged, conflict }, a conflict is a field
+ *   both sides changed to different values
+ */
+export const getMergeRows = (original, mine, theirs) => {
+  return MERGE_FIELDS
+    .filter(field => isFieldChanged(field, original, theirs))
+    .map(field => {
+      const mineChanged = isFieldChanged(field, original, mine)
+
+      return {
+        field,
+        original: original[field.key],
+        mine: mine[field.key],
+        theirs: theirs[field.key],
+        mineChanged,
+        conflict: mineChanged && isFieldChanged(field, mine, theirs),
+      }
+    })
+}
+
+/**
+ * Default side of each merge row: a conflicting field keeps my value, a field only they changed takes theirs
+ * @param {Array<Object>} rows - Result of getMergeRows
+ * @returns {Object} 'mine' or 'theirs' keyed by field key
+ */
+export const getDefaultChoices = (rows) => {
+  return Object.fromEntries(rows.map(row => [row.field.key, row.mineChanged ? 'mine' : 'theirs']))
+}
+
+/**
+ * Job detail with the merge result, fields without a row keep my value
+ * @param {Object} latestJob - Job detail as saved now
+ * @param {Object} mine - Merge values of the edited form
+ * @param {Array<Object>} rows - Result of getMergeRows
+ * @param {Object} choices - 'mine' or 'theirs' keyed by field key
+ * @returns {Object} Merged job detail
+ */
+export const mergeJob = (latestJob, mine, rows, choices) => {
+  const theirsKeys = rows.filter(row => choices[row.field.key] === 'theirs').map(row => row.field.key)
+  const merged = Object.fromEntries(MERGE_FIELDS.map(field => [
+    field.key,
+    theirsKeys.includes(field.key) ? rows.find(row => row.field.key === field.key).theirs : mine[field.key]
+  ]))
+
+  const { autoDisableEnabled, autoDisableThreshold, ...fields } = merged
+
+  return {
+    ...latestJob,
+    ...fields,
+    autoDisableSettings: {
+      ...latestJob.autoDisableSettings,
+      enabled: autoDisableEnabled,
+      threshold: autoDisableThreshold,
+    },
+  }
+}
@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest'
+import { toMergeValues, getMergeRows, getDefaultChoices, mergeJob } from './jobMerge'
+
+const job = {
+  id: 'job-1',
+  version: 3,
+  displayName: 'Nightly report',
+  description: 'Sends the report',
+  tags: 'reports',
+  workerId: 'report-worker',
+  jobType: 'ReportJob',
+  jobData: '{"recipients":["ops@example.com"],"format":"pdf"}',
+  cronExpression: '0 0 2 * * *',
+  executeAt: '2024-01-02T02:00:00Z',
+  concurrentExecutionPolicy: 0,
+  zombieTimeoutMinutes: null,
+  executionTimeoutSeconds: 600,
+  isActive: true,
+  autoDisableSettings: { enabled: true, threshold: 5, consecutiveFailureCount: 2 },
+}
+
+const rowKeys = (rows) => rows.map(row => row.field.key)
+
+describe('toMergeValues', () => {
+  it('reads a job detail', () => {
+    const values = toMergeValues(job)
+
+    expect(values.jobType).toBe('ReportJob')
+    expect(values.autoDisableEnabled).toBe(true)
+    expect(values.autoDisableThreshold).toBe(5)
+  })
+
+  it('reads a JobForm payload', () => {
+    const values = toMergeValues({ displayName: 'Copy', selectedJobName: 'OtherJob', autoDisableSettings: { enabled: false, threshold: 0 } })
+
+    expect(values.jobType).toBe('OtherJob')
+    expect(values.description).toBeNull()
+    expect(values.isActive).toBeNull()
+    expect(values.autoDisableEnabled).toBe(false)
+    expect(values.autoDisableThreshold).toBeNull()
+  })
+})
+
+describe('getMergeRows', () => {
+  it('is empty when nobody else changed the job', () => {
+    const original = toMergeValues(job)
+    const mine = { ...original, displayName: 'Renamed' }
+
+    expect(getMergeRows(original, mine, toMergeValues({ ...job, version: 4 }))).toEqual([])
+  })
+
+  it('reports fields only they changed without a conflict', () => {
+    const original = toMergeValues(job)
+    const rows = getMergeRows(original, original, toMergeValues({ ...job, description: 'Changed' }))
+
+    expect(rowKeys(rows)).toEqual(['description'])
+    expect(rows[0]).toMatchObject({ original: 'Sends the report', mine: 'Sends the report', theirs: 'Changed', mineChanged: false, conflict: false })
+  })
+
+  it('does not report a conflict when both sides made the same change', () => {
+    const original = toMergeValues(job)
+    const rows = getMergeRows(original, { ...original, tags: 'reports,daily' }, toMergeValues({ ...job, tags: 'reports,daily' }))
+
+    expect(rows[0]).toMatchObject({ mineChanged: true, conflict: false })
+  })
+
+  it('reports a conflict when both sides changed a field differently', () => {
+    const original = toMergeValues(job)
+    const rows = getMergeRows(
+      original,
+      { ...original, cronExpression: '0 0 3 * * *', isActive: false },
+      toMergeValues({ ...job, cronExpression: '0 0 4 * * *', isActive: false })
+    )
+
+    expect(rows.find(row => row.field.key === 'cronExpression')).toMatchObject({ mine: '0 0 3 * * *', theirs: '0 0 4 * * *', conflict: true })
+    expect(rows.find(row => row.field.key === 'isActive')).toMatchObject({ mineChanged: true, conflict: false })
+  })
+
+  it('compares job data structurally', () => {
+    const original = toMergeValues(job)
+    const reordered = toMergeValues({ ...job, jobData: '{ "format": "pdf", "recipients": ["ops@example.com"] }' })
+
+    expect(getMergeRows(original, original, reordered)).toEqual([])
+    expect(rowKeys(getMergeRows(original, original, toMergeValues({ ...job, jobData: '{"recipients":[],"format":"pdf"}' })))).toEqual(['jobData'])
+  })
+
+  it('treats empty values as equal', () => {
+    const original = toMergeValues({ ...job, description: null })
+
+    expect(getMergeRows(original, original, toMergeValues({ ...job, description: '' }))).toEqual([])
+  })
+
+  it('ignores fields an update cannot change', () => {
+    const original = toMergeValues(job)
+
+    expect(getMergeRows(original, original, toMergeValues({ ...job, workerId: 'other-worker', executeAt: '2024-05-01T00:00:00Z' }))).toEqual([])
+  })
+})
+
+describe('getDefaultChoices', () => {
+  it('keeps my changes and takes theirs otherwise', () => {
+    const original = toMergeValues(job)
+    const rows = getMergeRows(
+      original,
+      { ...original, displayName: 'Mine' },
+      toMergeValues({ ...job, displayName: 'Theirs', description: 'Theirs' })
+    )
+
+    expect(getDefaultChoices(rows)).toEqual({ displayName: 'mine', description: 'theirs' })
+  })
+})
+
+describe('mergeJob', () => {
+  it('applies the chosen side of each row on top of the latest job', () => {
+    const latest = { ...job, version: 4, displayName: 'Theirs', description: 'Theirs', autoDisableSettings: { ...job.autoDisableSettings, threshold: 10 } }
+    const original = toMergeValues(job)
+    const mine = { ...original, displayName: 'Mine', executionTimeoutSeconds: 900 }
+    const rows = getMergeRows(original, mine, toMergeValues(latest))
+
+    const merged = mergeJob(latest, mine, rows, { displayName: 'theirs', description: 'theirs', autoDisableThreshold: 'mine' })
+
+    expect(merged.version).toBe(4)
+    expect(merged.displayName).toBe('Theirs')
+    expect(merged.description).toBe('Theirs')
+    // No row: my value is kept
+    expect(merged.executionTimeoutSeconds).toBe(900)
+    expect(merged.autoDisableSettings).toEqual({ enabled: true, threshold: 5, consecutiveFailureCount: 2 })
+    expect(merged).not.toHaveProperty('autoDisableEnabled')
+    expect(merged).not.toHaveProperty('autoDisableThreshold')
+  })
+
+  it('keeps my value for a conflict resolved in my favour', () => {
+    const latest = { ...job, cronExpression: '0 0 4 * * *' }
+    const original = toMergeValues(job)
+    const mine = { ...original, cronExpression: '0 0 3 * * *' }
+    const rows = getMergeRows(original, mine, toMergeValues(latest))
+
+    expect(mergeJob(latest, mine, rows, getDefaultChoices(rows)).cronExpression).toBe('0 0 3 * * *')
+  })
+})
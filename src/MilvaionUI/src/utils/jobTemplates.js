@@ -0,0 +1,147 @@
+import { toBundleEntry } from './jobBundle'
+
+// Job templates are saved in the browser's local storage, like the other UI preferences
+export const TEMPLATE_STORAGE_KEY = 'jobTemplates'
+
+// {{tenantId}}, {{ region }}, {{customer.code}}
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g
+
+/**
+ * Read all saved templates
+ * @returns {Array<Object>} Templates sorted by name
+ */
+export const getTemplates = () => {
+  try {
+    const templates = JSON.parse(localStorage.getItem(TEMPLATE_STORAGE_KEY) || '[]')
+    return Array.isArray(templates)
+      ? templates.sort((a, b) => a.name.localeCompare(b.name))
+      : []
+  } catch {
+    return []
+  }
+}
+
+const writeTemplates = (templates) => {
+  localStorage.setItem(TEMPLATE_STORAGE_KEY, JSON.stringify(templates))
+}
+
+/**
+ * Find a template by name, names are unique case-insensitively
+ * @param {string} name - Template name
+ * @returns {Object|undefined} Template
+ */
+export const findTemplateByName = (name) => {
+  const normalized = name.trim().toLowerCase()
+  return getTemplates().find(t => t.name.toLowerCase() === normalized)
+}
+
+/**
+ * Convert a job (GET /jobs/job detail or JobForm payload) to the configuration stored in a template.
+ * The schedule is kept only for recurring jobs, a one-time executeAt is not reusable.
+ * @param {Object} job - Job detail or form payload
+ * @returns {Object} Template job configuration
+ */
+export const toTemplateJob = (job) => {
+  const entry = toBundleEntry(job)
+
+  return {
+    displayName: entry.displayName,
+    description: entry.description,
+    workerId: entry.workerId,
+    jobType: entry.jobType,
+    jobData: entry.jobData,
+    cronExpression: entry.cronExpression,
+    tags: entry.tags,
+    concurrentExecutionPolicy: entry.concurrentExecutionPolicy,
+    zombieTimeoutMinutes: entry.zombieTimeoutMinutes,
+    executionTimeoutSeconds: entry.executionTimeoutSeconds,
+    autoDisableSettings: entry.autoDisableSettings,
+  }
+}
+
+/**
+ * Save a template. A template with the same name is replaced.
+ * @param {Object} template - { name, description, job }
+ * @returns {Object} Saved template
+ */
+export const saveTemplate = ({ name, description, job }) => {
+  const templates = getTemplates()
+  const existing = findTemplateByName(name)
+  const now = new Date().toISOString()
+
+  const template = {
+    id: existing?.id || `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+    name: name.trim(),
+    description: description?.trim() || null,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+    job,
+  }
+
+  writeTemplates([...templates.filter(t => t.id !== template.id), template])
+
+  return template
+}
+
+/**
+ * Delete a template
+ * @param {string} id - Template id
+ */
+export const deleteTemplate = (id) => {
+  writeTemplates(getTemplates().filter(t => t.id !== id))
+}
+
+// Apply fn to every string in a JSON value, object keys included
+const mapStrings = (value, fn) => {
+  if (typeof value === 'string') return fn(value)
+  if (Array.isArray(value)) return value.map(item => mapStrings(item, fn))
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [fn(key), mapStrings(item, fn)]))
+  }
+  return value
+}
+
+/**
+ * Placeholder names used in a template's job configuration, e.g. {{tenantId}} in jobData
+ * @param {Object} job - Template job configuration
+ * @returns {Array<string>} Unique placeholder names in order of appearance
+ */
+export const getPlaceholders = (job) => {
+  const names = new Set()
+
+  mapStrings(job, (text) => {
+    for (const match of text.matchAll(PLACEHOLDER_PATTERN)) {
+      names.add(match[1])
+    }
+    return text
+  })
+
+  return [...names]
+}
+
+/**
+ * Replace the placeholders of a template's job configuration
+ * @param {Object} job - Template job configuration
+ * @param {Object} values - Placeholder values keyed by name, placeholders without a value are kept
+ * @returns {Object} Job configuration with the values substituted
+ */
+export const applyPlaceholders = (job, values) => {
+  return mapStrings(job, (text) => text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => values[name] ?? placeholder))
+}
+
+/**
+ * Create a job from a template, in the shape of the job detail JobForm prefills from
+ * @param {Object} template - Saved template
+ * @param {Object} values - Placeholder values keyed by name
+ * @returns {Object} Job detail
+ */
+export const instantiateTemplate = (template, values = {}) => {
+  const job = applyPlaceholders(template.job, values)
+
+  return {
+    ...job,
+    jobData: JSON.stringify(job.jobData ?? {}),
+    tags: (job.tags || []).join(','),
+    isActive: true,
+  }
+}
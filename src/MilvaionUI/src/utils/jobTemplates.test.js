@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest'
+import { getPlaceholders, applyPlaceholders, instantiateTemplate } from './jobTemplates'
+
+const job = {
+  displayName: 'Sync {{tenantId}}',
+  workerId: 'sync-worker',
+  jobType: 'SyncJob',
+  jobData: {
+    '{{region}}': {
+      endpoints: ['https://{{ host }}/orders', { path: '/customers/{{customer.code}}' }],
+      retries: 3,
+      enabled: true,
+      fallback: null,
+    },
+  },
+  cronExpression: '0 0 * * * *',
+  tags: ['{{tenantId}}', 'team-{{team-name}}'],
+}
+
+describe('getPlaceholders', () => {
+  it('finds placeholders in values, nested keys and arrays in order of appearance', () => {
+    expect(getPlaceholders(job)).toEqual(['tenantId', 'region', 'host', 'customer.code', 'team-name'])
+  })
+
+  it('ignores text that is not a placeholder', () => {
+    expect(getPlaceholders({ jobData: { a: '{single}', b: '{{}}', c: '{{ 1st }}', d: '{{two words}}' } })).toEqual([])
+  })
+})
+
+describe('applyPlaceholders', () => {
+  const values = { tenantId: 'acme', region: 'eu', host: 'api.acme.test', 'customer.code': 'C-42', 'team-name': 'billing' }
+
+  it('replaces placeholders in values, nested keys and arrays', () => {
+    expect(applyPlaceholders(job, values)).toEqual({
+      ...job,
+      displayName: 'Sync acme',
+      jobData: {
+        eu: {
+          endpoints: ['https://api.acme.test/orders', { path: '/customers/C-42' }],
+          retries: 3,
+          enabled: true,
+          fallback: null,
+        },
+      },
+      tags: ['acme', 'team-billing'],
+    })
+  })
+
+  it('accepts whitespace inside the braces', () => {
+    expect(applyPlaceholders({ displayName: '{{tenantId}}-{{ tenantId }}-{{   tenantId\t}}' }, values)).toEqual({ displayName: 'acme-acme-acme' })
+  })
+
+  it('keeps placeholders without a value', () => {
+    expect(applyPlaceholders(job, { tenantId: 'acme' })).toMatchObject({
+      displayName: 'Sync acme',
+      jobData: { '{{region}}': { endpoints: ['https://{{ host }}/orders', { path: '/customers/{{customer.code}}' }] } },
+      tags: ['acme', 'team-{{team-name}}'],
+    })
+  })
+
+  it('substitutes empty values and does not change the template', () => {
+    const template = { displayName: 'Sync {{tenantId}}' }
+
+    expect(applyPlaceholders(template, { tenantId: '' })).toEqual({ displayName: 'Sync ' })
+    expect(template).toEqual({ displayName: 'Sync {{tenantId}}' })
+  })
+})
+
+describe('instantiateTemplate', () => {
+  it('builds the job detail JobForm prefills from', () => {
+    const detail = instantiateTemplate({ name: 'Tenant sync', job }, { tenantId: 'acme', region: 'eu' })
+
+    expect(detail).toMatchObject({
+      displayName: 'Sync acme',
+      workerId: 'sync-worker',
+      cronExpression: '0 0 * * * *',
+      tags: 'acme,team-{{team-name}}',
+      isActive: true,
+    })
+    expect(JSON.parse(detail.jobData)).toEqual({
+      eu: { endpoints: ['https://{{ host }}/orders', { path: '/customers/{{customer.code}}' }], retries: 3, enabled: true, fallback: null },
+    })
+  })
+
+  it('fills defaults for templates without job data or tags', () => {
+    expect(instantiateTemplate({ job: { displayName: 'Plain' } })).toEqual({ displayName: 'Plain', jobData: '{}', tags: '', isActive: true })
+  })
+})
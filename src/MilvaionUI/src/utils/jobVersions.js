@@ -0,0 +1,159 @@
+// Helpers for job version snapshots (job.jobVersions).
+// Snapshots are serialized ScheduledJob entities (PascalCase) holding the state before each update,
+// the current job is the detail DTO (camelCase, jobNameInWorker exposed as jobType).
+
+/**
+ * Fields compared between job versions. Restorable fields can be sent back through jobService.update,
+ * the key is the update field name.
+ */
+export const TRACKED_FIELDS = [
+  { key: 'displayName', label: 'Display Name', snapshotKey: 'DisplayName', restorable: true },
+  { key: 'description', label: 'Description', snapshotKey: 'Description', restorable: true },
+  { key: 'tags', label: 'Tags', snapshotKey: 'Tags', restorable: true },
+  { key: 'workerId', label: 'Worker', snapshotKey: 'WorkerId', restorable: false },
+  { key: 'jobType', label: 'Job Type', snapshotKey: 'JobNameInWorker', restorable: true },
+  { key: 'jobData', label: 'Job Data', snapshotKey: 'JobData', restorable: true },
+  { key: 'cronExpression', label: 'Cron Expression', snapshotKey: 'CronExpression', restorable: true },
+  { key: 'executeAt', label: 'Execute At', snapshotKey: 'ExecuteAt', restorable: false },
+  { key: 'concurrentExecutionPolicy', label: 'Concurrency Policy', snapshotKey: 'ConcurrentExecutionPolicy', restorable: true },
+  { key: 'zombieTimeoutMinutes', label: 'Zombie Timeout', snapshotKey: 'ZombieTimeoutMinutes', restorable: true },
+  { key: 'executionTimeoutSeconds', label: 'Execution Timeout', snapshotKey: 'ExecutionTimeoutSeconds', restorable: true },
+]
+
+/**
+ * Read a field from a snapshot regardless of PascalCase / camelCase serialization
+ * @param {Object} snapshot - Parsed version snapshot
+ * @param {string} key - PascalCase field name
+ * @returns {*} Field value, null if missing
+ */
+export const readSnapshotField = (snapshot, key) => {
+  const camelKey = key.charAt(0).toLowerCase() + key.slice(1)
+  return snapshot?.[key] ?? snapshot?.[camelKey] ?? null
+}
+
+/**
+ * Normalize a field value for comparison: empty values are null and dates compare by instant
+ * @param {*} value - Field value
+ * @returns {*} Comparable value
+ */
+export const normalizeFieldValue = (value) => {
+  if (value === null || value === undefined || value === '') return null
+  // Compare dates by instant, not by string format
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    const time = new Date(value).getTime()
+    return Number.isNaN(time) ? value : time
+  }
+  return value
+}
+
+/**
+ * Labels of the tracked fields that differ between two versions
+ * @param {Object} previous - Field values keyed by field key
+ * @param {Object} next - Field values keyed by field key
+ * @returns {Array<string>} Changed field labels
+ */
+export const getChangedFields = (previous, next) => {
+  return TRACKED_FIELDS
+    .filter(field => normalizeFieldValue(previous[field.key]) !== normalizeFieldValue(next[field.key]))
+    .map(field => field.label)
+}
+
+/**
+ * Check if a tracked field differs between two versions, job data is compared structurally
+ * @param {Object} field - Entry of TRACKED_FIELDS
+ * @param {Object} previous - Field values keyed by field key
+ * @param {Object} next - Field values keyed by field key
+ * @returns {boolean} True if the field changed
+ */
+export const isFieldChanged = (field, previous, next) => {
+  if (field.key === 'jobData') return diffJson(parseJobData(previous.jobData), parseJobData(next.jobData)).length > 0
+  return normalizeFieldValue(previous[field.key]) !== normalizeFieldValue(next[field.key])
+}
+
+/**
+ * All versions of a job, oldest first, the current job being the last one
+ * @param {Object} job - Job detail
+ * @returns {Array<Object>} Versions as { version, current, values }, values keyed by field key
+ */
+export const getJobVersions = (job) => {
+  const snapshots = (job.jobVersions || [])
+    .map((versionJson, index) => {
+      try {
+        const snapshot = JSON.parse(versionJson)
+        return {
+          // jobVersions is oldest first, the update handler appends a snapshot per definition change
+          version: readSnapshotField(snapshot, 'Version') || index + 1,
+          current: false,
+          values: Object.fromEntries(TRACKED_FIELDS.map(f => [f.key, readSnapshotField(snapshot, f.snapshotKey)]))
+        }
+      } catch (err) {
+        console.error('Failed to parse version JSON:', err)
+        return null
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version)
+
+  return [
+    ...snapshots,
+    {
+      version: job.version || 1,
+      current: true,
+      values: Object.fromEntries(TRACKED_FIELDS.map(f => [f.key, job[f.key] ?? null]))
+    }
+  ]
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+/**
+ * Structural diff of two JSON values
+ * @param {*} before - Old value
+ * @param {*} after - New value
+ * @param {string} path - Path of the values (e.g. "options.retries", "items[2]")
+ * @returns {Array<Object>} Changes as { path, kind: 'added' | 'removed' | 'changed', before, after }
+ */
+export const diffJson = (before, after, path = '') => {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+
+    return keys.flatMap(key => {
+      const childPath = path ? `${path}.${key}` : key
+
+      if (!(key in after)) return [{ path: childPath, kind: 'removed', before: before[key], after: undefined }]
+      if (!(key in before)) return [{ path: childPath, kind: 'added', before: undefined, after: after[key] }]
+
+      return diffJson(before[key], after[key], childPath)
+    })
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    return Array.from({ length: Math.max(before.length, after.length) }, (_, i) => {
+      const childPath = `${path}[${i}]`
+
+      if (i >= after.length) return [{ path: childPath, kind: 'removed', before: before[i], after: undefined }]
+      if (i >= before.length) return [{ path: childPath, kind: 'added', before: undefined, after: after[i] }]
+
+      return diffJson(before[i], after[i], childPath)
+    }).flat()
+  }
+
+  return JSON.stringify(before) === JSON.stringify(after)
+    ? []
+    : [{ path: path || '(root)', kind: 'changed', before, after }]
+}
+
+/**
+ * Parse job data for a structural diff
+ * @param {string} jobData - Job data JSON string
+ * @returns {*} Parsed value, the raw string when it is not valid JSON, null when empty
+ */
+export const parseJobData = (jobData) => {
+  if (jobData === null || jobData === undefined || jobData === '') return null
+
+  try {
+    return JSON.parse(jobData)
+  } catch {
+    return jobData
+  }
+}
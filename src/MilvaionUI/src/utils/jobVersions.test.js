@@ -0,0 +1,120 @@
+import { describe, it, expect, vi } from 'vitest'
+import { TRACKED_FIELDS, getJobVersions, getChangedFields, isFieldChanged, diffJson, parseJobData } from './jobVersions'
+
+const snapshot = (fields) => JSON.stringify({ Id: 'job-1', ...fields })
+
+const job = {
+  id: 'job-1',
+  displayName: 'Nightly report v3',
+  jobType: 'ReportJob',
+  jobData: '{"format":"pdf"}',
+  cronExpression: '0 0 3 * * *',
+  version: 3,
+  jobVersions: [
+    snapshot({ Version: 1, DisplayName: 'Nightly report', JobNameInWorker: 'ReportJob', JobData: '{}', CronExpression: '0 0 2 * * *' }),
+    snapshot({ Version: 2, DisplayName: 'Nightly report v2', JobNameInWorker: 'ReportJob', JobData: '{"format":"csv"}', CronExpression: '0 0 2 * * *' }),
+  ],
+}
+
+describe('getJobVersions', () => {
+  it('lists the snapshots oldest first and the current job last', () => {
+    const versions = getJobVersions(job)
+
+    expect(versions.map(v => [v.version, v.current])).toEqual([[1, false], [2, false], [3, true]])
+    expect(versions[0].values).toMatchObject({ displayName: 'Nightly report', jobType: 'ReportJob', jobData: '{}', description: null })
+    expect(versions[2].values).toMatchObject({ displayName: 'Nightly report v3', jobData: '{"format":"pdf"}' })
+    expect(Object.keys(versions[2].values)).toEqual(TRACKED_FIELDS.map(f => f.key))
+  })
+
+  it('numbers snapshots without a version by their position', () => {
+    const versions = getJobVersions({
+      ...job,
+      jobVersions: [snapshot({ DisplayName: 'First' }), snapshot({ DisplayName: 'Second' })],
+    })
+
+    expect(versions.map(v => [v.version, v.values.displayName])).toEqual([[1, 'First'], [2, 'Second'], [3, 'Nightly report v3']])
+  })
+
+  it('reads camelCase snapshots', () => {
+    const versions = getJobVersions({ ...job, jobVersions: [JSON.stringify({ version: 2, displayName: 'Camel', jobNameInWorker: 'ReportJob' })] })
+
+    expect(versions[0]).toMatchObject({ version: 2, values: { displayName: 'Camel', jobType: 'ReportJob' } })
+  })
+
+  it('skips snapshots that are not valid JSON', () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {})
+
+    const versions = getJobVersions({ ...job, jobVersions: ['{', snapshot({ Version: 2, DisplayName: 'Valid' })] })
+
+    expect(versions.map(v => v.version)).toEqual([2, 3])
+    expect(consoleError).toHaveBeenCalledOnce()
+    consoleError.mockRestore()
+  })
+
+  it('returns only the current job when there are no snapshots', () => {
+    expect(getJobVersions({ displayName: 'New' })).toMatchObject([{ version: 1, current: true, values: { displayName: 'New' } }])
+  })
+})
+
+describe('getChangedFields and isFieldChanged', () => {
+  const [first, second] = getJobVersions(job)
+  const jobDataField = TRACKED_FIELDS.find(f => f.key === 'jobData')
+
+  it('lists the labels of the changed fields', () => {
+    expect(getChangedFields(first.values, second.values)).toEqual(['Display Name', 'Job Data'])
+  })
+
+  it('treats empty values as equal and compares dates by instant', () => {
+    expect(getChangedFields(
+      { description: '', executeAt: '2024-05-01T10:00:00Z' },
+      { description: null, executeAt: '2024-05-01T12:00:00+02:00' }
+    )).toEqual([])
+  })
+
+  it('compares job data structurally', () => {
+    expect(isFieldChanged(jobDataField, { jobData: '{"a":1,"b":[1,2]}' }, { jobData: '{ "b": [1, 2], "a": 1 }' })).toBe(false)
+    expect(isFieldChanged(jobDataField, { jobData: '{"a":1}' }, { jobData: '{"a":2}' })).toBe(true)
+  })
+})
+
+describe('diffJson', () => {
+  it('is empty for equal values', () => {
+    expect(diffJson({ a: 1, b: { c: [1, 2] } }, { b: { c: [1, 2] }, a: 1 })).toEqual([])
+  })
+
+  it('reports added, removed and changed object properties by path', () => {
+    expect(diffJson(
+      { retries: 3, options: { format: 'pdf', locale: 'en' } },
+      { options: { format: 'csv', zip: true }, owner: 'ops' }
+    )).toEqual([
+      { path: 'retries', kind: 'removed', before: 3, after: undefined },
+      { path: 'options.format', kind: 'changed', before: 'pdf', after: 'csv' },
+      { path: 'options.locale', kind: 'removed', before: 'en', after: undefined },
+      { path: 'options.zip', kind: 'added', before: undefined, after: true },
+      { path: 'owner', kind: 'added', before: undefined, after: 'ops' },
+    ])
+  })
+
+  it('compares arrays by index', () => {
+    expect(diffJson({ items: ['a', { id: 1 }] }, { items: ['b', { id: 2 }, 'c'] })).toEqual([
+      { path: 'items[0]', kind: 'changed', before: 'a', after: 'b' },
+      { path: 'items[1].id', kind: 'changed', before: 1, after: 2 },
+      { path: 'items[2]', kind: 'added', before: undefined, after: 'c' },
+    ])
+    expect(diffJson([1, 2], [1])).toEqual([{ path: '[1]', kind: 'removed', before: 2, after: undefined }])
+  })
+
+  it('reports a type change as a change of the whole value', () => {
+    expect(diffJson({ a: [1] }, { a: { 0: 1 } })).toEqual([{ path: 'a', kind: 'changed', before: [1], after: { 0: 1 } }])
+    expect(diffJson('text', { a: 1 })).toEqual([{ path: '(root)', kind: 'changed', before: 'text', after: { a: 1 } }])
+  })
+})
+
+describe('parseJobData', () => {
+  it('parses JSON and keeps invalid JSON as text', () => {
+    expect(parseJobData('{"a":1}')).toEqual({ a: 1 })
+    expect(parseJobData('not json')).toBe('not json')
+    expect(parseJobData('')).toBeNull()
+    expect(parseJobData(undefined)).toBeNull()
+  })
+})
@@ -0,0 +1,388 @@
+/**
+ * Parse a JSON Schema that may be stored as a string (worker jobDataDefinitions)
+ * @param {string|Object} schema - Schema object or JSON string
+ * @returns {Object|null} Parsed schema, null if invalid
+ */
+export const parseSchema = (schema) => {
+  if (!schema) return null
+  if (typeof schema !== 'string') return schema
+
+  try {
+    return JSON.parse(schema)
+  } catch {
+    return null
+  }
+}
+
+const getType = (value) => {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (Number.isInteger(value)) return 'integer'
+  return typeof value
+}
+
+const matchesType = (value, type) => {
+  const actual = getType(value)
+  if (type === 'number') return actual === 'number' || actual === 'integer'
+  return actual === type
+}
+
+const FORMAT_CHECKS = {
+  'date-time': (value) => /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?([Zz]|[+-]\d{2}:?\d{2})?$/.test(value) && !isNaN(Date.parse(value)),
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+  // TimeSpan values may carry days, e.g. 1.02:30:00
+  time: (value) => /^(\d+\.)?\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?([Zz]|[+-]\d{2}:?\d{2})?$/.test(value),
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: (value) => {
+    try {
+      return !!new URL(value)
+    } catch {
+      return false
+    }
+  },
+  uuid: (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  ipv4: (value) => /^((25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(25[0-5]|2[0-4]\d|1?\d?\d)$/.test(value),
+  hostname: (value) => /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i.test(value),
+}
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+const childPath = (path, key) => path ? `${path}.${key}` : key
+
+// Resolve local references (#/definitions/..., #/$defs/...) against the root schema
+const resolveRef = (schema, root) => {
+  if (!schema?.$ref || !schema.$ref.startsWith('#')) return schema
+
+  const target = schema.$ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .reduce((node, segment) => node?.[segment.replace(/~1/g, '/').replace(/~0/g, '~')], root)
+
+  return target || {}
+}
+
+const validateValue = (rawSchema, value, path, root) => {
+  // true/false are valid schemas: anything or nothing
+  if (rawSchema === true || rawSchema === undefined) return []
+  if (rawSchema === false) return [{ path, message: `${path || 'value'} is not allowed` }]
+
+  const schema = resolveRef(rawSchema, root)
+  const errors = []
+  const label = path || 'value'
+  const actual = getType(value)
+
+  const types = schema.type ? [].concat(schema.type) : []
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    errors.push({ path, message: `${label} must be ${types.join(' or ')}` })
+    return errors
+  }
+
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    errors.push({ path, message: `${label} must be ${JSON.stringify(schema.const)}` })
+  }
+
+  if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+    errors.push({ path, message: `${label} must be one of ${schema.enum.map(o => JSON.stringify(o)).join(', ')}` })
+  }
+
+  if (actual === 'integer' || actual === 'number') {
+    // Draft-04 uses boolean exclusiveMinimum/exclusiveMaximum next to minimum/maximum
+    const exclusiveMin = schema.exclusiveMinimum === true ? schema.minimum : schema.exclusiveMinimum
+    const exclusiveMax = schema.exclusiveMaximum === true ? schema.maximum : schema.exclusiveMaximum
+
+    if (typeof schema.minimum === 'number' && schema.exclusiveMinimum !== true && value < schema.minimum) {
+      errors.push({ path, message: `${label} must be at least ${schema.minimum}` })
+    }
+    if (typeof exclusiveMin === 'number' && value <= exclusiveMin) {
+      errors.push({ path, message: `${label} must be greater than ${exclusiveMin}` })
+    }
+    if (typeof schema.maximum === 'number' && schema.exclusiveMaximum !== true && value > schema.maximum) {
+      errors.push({ path, message: `${label} must be at most ${schema.maximum}` })
+    }
+    if (typeof exclusiveMax === 'number' && value >= exclusiveMax) {
+      errors.push({ path, message: `${label} must be less than ${exclusiveMax}` })
+    }
+    if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0 && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+      errors.push({ path, message: `${label} must be a multiple of ${schema.multipleOf}` })
+    }
+  }
+
+  if (actual === 'string') {
+    const length = [...value].length
+
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      errors.push({ path, message: `${label} must be at least ${schema.minLength} characters long` })
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      errors.push({ path, message: `${label} must be at most ${schema.maxLength} characters long` })
+    }
+    if (schema.pattern) {
+      try {
+        if (!new RegExp(schema.pattern, 'u').test(value)) {
+          errors.push({ path, message: `${label} must match pattern ${schema.pattern}` })
+        }
+      } catch {
+        // Patterns that are not valid JavaScript regular expressions are not checked
+      }
+    }
+    if (schema.format && FORMAT_CHECKS[schema.format] && !FORMAT_CHECKS[schema.format](value)) {
+      errors.push({ path, message: `${label} must be a valid ${schema.format}` })
+    }
+  }
+
+  if (actual === 'object') {
+    const properties = schema.properties || {}
+    const keys = Object.keys(value)
+
+    for (const key of Object.keys(properties)) {
+      if (value[key] === undefined && isRequiredProperty(schema, key)) {
+        errors.push({ path: childPath(path, key), message: `${childPath(path, key)} is required` })
+      }
+    }
+    for (const key of (Array.isArray(schema.required) ? schema.required : []).filter(key => !(key in properties))) {
+      if (value[key] === undefined) {
+        errors.push({ path: childPath(path, key), message: `${childPath(path, key)} is required` })
+      }
+    }
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      errors.push({ path, message: `${label} must have at least ${schema.minProperties} properties` })
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      errors.push({ path, message: `${label} must have at most ${schema.maxProperties} properties` })
+    }
+
+    for (const key of keys) {
+      const patternSchemas = Object.entries(schema.patternProperties || {})
+        .filter(([pattern]) => {
+          try {
+            return new RegExp(pattern, 'u').test(key)
+          } catch {
+            return false
+          }
+        })
+        .map(([, patternSchema]) => patternSchema)
+
+      if (properties[key] !== undefined) {
+        errors.push(...validateValue(properties[key], value[key], childPath(path, key), root))
+      } else if (patternSchemas.length === 0 && schema.additionalProperties !== undefined) {
+        errors.push(...validateValue(schema.additionalProperties, value[key], childPath(path, key), root))
+      }
+
+      patternSchemas.forEach(patternSchema => {
+        errors.push(...validateValue(patternSchema, value[key], childPath(path, key), root))
+      })
+    }
+  }
+
+  if (actual === 'array') {
+    if (Array.isArray(schema.items)) {
+      // Tuple validation
+      value.forEach((item, index) => {
+        const itemSchema = index < schema.items.length ? schema.items[index] : schema.additionalItems
+        errors.push(...validateValue(itemSchema, item, `${path}[${index}]`, root))
+      })
+    } else if (schema.items !== undefined) {
+      value.forEach((item, index) => {
+        errors.push(...validateValue(schema.items, item, `${path}[${index}]`, root))
+      })
+    }
+
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `${label} must have at least ${schema.minItems} items` })
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `${label} must have at most ${schema.maxItems} items` })
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      errors.push({ path, message: `${label} must not contain duplicate items` })
+    }
+    if (schema.contains !== undefined && !value.some(item => validateValue(schema.contains, item, path, root).length === 0)) {
+      errors.push({ path, message: `${label} must contain at least one matching item` })
+    }
+  }
+
+  // Combinators
+  for (const subSchema of schema.allOf || []) {
+    errors.push(...validateValue(subSchema, value, path, root))
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(subSchema => validateValue(subSchema, value, path, root).length === 0)) {
+    errors.push({ path, message: `${label} must match at least one of the allowed schemas` })
+  }
+
+  if (schema.oneOf && schema.oneOf.filter(subSchema => validateValue(subSchema, value, path, root).length === 0).length !== 1) {
+    errors.push({ path, message: `${label} must match exactly one of the allowed schemas` })
+  }
+
+  if (schema.not !== undefined && validateValue(schema.not, value, path, root).length === 0) {
+    errors.push({ path, message: `${label} must not match the disallowed schema` })
+  }
+
+  if (schema.if !== undefined) {
+    const branch = validateValue(schema.if, value, path, root).length === 0 ? schema.then : schema.else
+    errors.push(...validateValue(branch, value, path, root))
+  }
+
+  return errors
+}
+
+/**
+ * Validate a value against a JSON Schema (draft-07): types, enum/const, string length, pattern and format,
+ * numeric ranges, required and additional properties, array items and combinators (allOf/anyOf/oneOf/not/if).
+ * Local $ref references to definitions are resolved.
+ * @param {string|Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array<{path: string, message: string}>} Validation errors, empty if valid
+ */
+export const validateSchema = (schema, value, path = '') => {
+  const parsed = parseSchema(schema)
+  if (!parsed) return []
+
+  return validateValue(parsed, value, path, parsed)
+}
+
+/**
+ * Map the paths of a JSON text (same format as validation error paths) to the line they start on
+ * @param {string} text - Valid JSON text
+ * @returns {Object<string, number>} Line number (1-based) by path
+ */
+export const getJsonPathLines = (text) => {
+  const lines = {}
+  let index = 0
+  let line = 1
+
+  const skipWhitespace = () => {
+    while (index < text.length && /\s/.test(text[index])) {
+      if (text[index] === '\n') line++
+      index++
+    }
+  }
+
+  const readString = () => {
+    const start = index++
+    while (index < text.length && text[index] !== '"') {
+      if (text[index] === '\\') index++
+      index++
+    }
+    index++
+    return JSON.parse(text.slice(start, index))
+  }
+
+  const readValue = (path) => {
+    skipWhitespace()
+    lines[path] = line
+
+    if (text[index] === '{' || text[index] === '[') {
+      const isObject = text[index++] === '{'
+      const closing = isObject ? '}' : ']'
+      let itemIndex = 0
+
+      skipWhitespace()
+      while (index < text.length && text[index] !== closing) {
+        if (isObject) {
+          const key = readString()
+          skipWhitespace()
+          index++ // colon
+          readValue(childPath(path, key))
+        } else {
+          readValue(`${path}[${itemIndex++}]`)
+        }
+        skipWhitespace()
+        if (text[index] === ',') index++
+        skipWhitespace()
+      }
+      index++
+    } else if (text[index] === '"') {
+      readString()
+    } else {
+      while (index < text.length && !/[\s,\]}]/.test(text[index])) index++
+    }
+  }
+
+  readValue('')
+  return lines
+}
+
+/**
+ * Get the effective type of a schema, ignoring "null" in type unions
+ * @param {Object} schema - JSON Schema
+ * @returns {string|undefined} Schema type, inferred from properties, items or enum when missing
+ */
+export const getSchemaType = (schema) => {
+  if (!schema) return undefined
+
+  const types = [].concat(schema.type || []).filter(type => type !== 'null')
+  if (types.length > 0) return types[0]
+
+  if (schema.properties) return 'object'
+  if (schema.items) return 'array'
+  if (schema.enum?.length > 0) return getType(schema.enum[0])
+  return undefined
+}
+
+/**
+ * Check whether a property is required by its parent schema.
+ * Worker schemas may also mark a property itself with "required": true.
+ * @param {Object} parentSchema - Object schema
+ * @param {string} key - Property name
+ * @returns {boolean}
+ */
+export const isRequiredProperty = (parentSchema, key) => {
+  if (Array.isArray(parentSchema?.required) && parentSchema.required.includes(key)) return true
+  return parentSchema?.properties?.[key]?.required === true
+}
+
+/**
+ * Create the initial value for a schema: its default, or an empty value of its type
+ * @param {Object} schema - JSON Schema
+ * @returns {*} Initial value
+ */
+export const createDefaultValue = (schema) => {
+  if (!schema) return null
+  if (schema.default !== undefined) return JSON.parse(JSON.stringify(schema.default))
+
+  switch (getSchemaType(schema)) {
+    case 'object':
+      return applyDefaults(schema, {})
+    case 'array':
+      return []
+    case 'boolean':
+      return false
+    case 'integer':
+    case 'number':
+      return schema.minimum ?? 0
+    case 'string':
+      return schema.enum?.[0] ?? ''
+    default:
+      return null
+  }
+}
+
+/**
+ * Fill missing properties that have a default value (recursively), keeping the existing values
+ * @param {Object} schema - Object schema
+ * @param {Object} value - Current object value
+ * @returns {Object} Value with defaults applied
+ */
+export const applyDefaults = (schema, value) => {
+  if (getType(value) !== 'object') return value
+
+  const result = { ...value }
+
+  for (const [key, propertySchema] of Object.entries(schema?.properties || {})) {
+    if (result[key] === undefined) {
+      if (propertySchema.default !== undefined) {
+        result[key] = JSON.parse(JSON.stringify(propertySchema.default))
+      } else if (getSchemaType(propertySchema) === 'object' && propertySchema.properties && isRequiredProperty(schema, key)) {
+        result[key] = applyDefaults(propertySchema, {})
+      }
+    } else if (getSchemaType(propertySchema) === 'object') {
+      result[key] = applyDefaults(propertySchema, result[key])
+    }
+  }
+
+  return result
+}
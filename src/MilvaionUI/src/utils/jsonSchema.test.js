@@ -0,0 +1,181 @@
+import { describe, it, expect } from 'vitest'
+import { parseSchema, validateSchema, getJsonPathLines, getSchemaType, createDefaultValue, applyDefaults } from './jsonSchema'
+
+const messages = (schema, value) => validateSchema(schema, value).map(error => error.message)
+
+describe('parseSchema', () => {
+  it('parses schemas stored as strings', () => {
+    expect(parseSchema('{"type":"string"}')).toEqual({ type: 'string' })
+    expect(parseSchema({ type: 'string' })).toEqual({ type: 'string' })
+    expect(parseSchema('not json')).toBeNull()
+    expect(parseSchema(null)).toBeNull()
+  })
+})
+
+describe('validateSchema', () => {
+  const schema = {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      url: { type: 'string', format: 'uri' },
+      retries: { type: 'integer', minimum: 0, maximum: 5 },
+      method: { enum: ['GET', 'POST'] },
+      timeout: { type: 'string', format: 'time' },
+      headers: { type: 'object', additionalProperties: { type: 'string' } },
+      tags: { type: 'array', items: { type: 'string', minLength: 2 }, uniqueItems: true },
+    },
+  }
+
+  it('accepts a valid value', () => {
+    expect(validateSchema(schema, {
+      url: 'https://example.com/hook',
+      retries: 3,
+      method: 'POST',
+      timeout: '1.02:30:00',
+      headers: { Accept: 'application/json' },
+      tags: ['ops', 'daily'],
+    })).toEqual([])
+  })
+
+  it('skips validation without a usable schema', () => {
+    expect(validateSchema(null, 42)).toEqual([])
+    expect(validateSchema('not json', 42)).toEqual([])
+  })
+
+  it('reports errors with their path', () => {
+    expect(validateSchema(schema, {
+      retries: 7,
+      method: 'PUT',
+      headers: { Accept: 1 },
+      tags: ['a', 'ops', 'ops'],
+    })).toEqual([
+      { path: 'url', message: 'url is required' },
+      { path: 'retries', message: 'retries must be at most 5' },
+      { path: 'method', message: 'method must be one of "GET", "POST"' },
+      { path: 'headers.Accept', message: 'headers.Accept must be string' },
+      { path: 'tags[0]', message: 'tags[0] must be at least 2 characters long' },
+      { path: 'tags', message: 'tags must not contain duplicate items' },
+    ])
+  })
+
+  it('checks types, integers being numbers', () => {
+    expect(messages({ type: 'number' }, 3)).toEqual([])
+    expect(messages({ type: 'integer' }, 3.5)).toEqual(['value must be integer'])
+    expect(messages({ type: ['string', 'null'] }, null)).toEqual([])
+    expect(messages({ type: 'object' }, [])).toEqual(['value must be object'])
+  })
+
+  it('checks formats', () => {
+    expect(messages({ format: 'email' }, 'ops@example.com')).toEqual([])
+    expect(messages({ format: 'email' }, 'ops')).toEqual(['value must be a valid email'])
+    expect(messages({ format: 'date-time' }, '2024-01-01T10:00:00Z')).toEqual([])
+    expect(messages({ format: 'uuid' }, '1234')).toEqual(['value must be a valid uuid'])
+    // Unknown formats are not checked
+    expect(messages({ format: 'color' }, 'red')).toEqual([])
+  })
+
+  it('supports draft-04 and draft-07 exclusive ranges', () => {
+    expect(messages({ minimum: 0, exclusiveMinimum: true }, 0)).toEqual(['value must be greater than 0'])
+    expect(messages({ exclusiveMaximum: 10 }, 10)).toEqual(['value must be less than 10'])
+    expect(messages({ multipleOf: 0.1 }, 0.3)).toEqual([])
+  })
+
+  it('supports required flags on the property itself', () => {
+    expect(messages({ properties: { name: { type: 'string', required: true } } }, {})).toEqual(['name is required'])
+  })
+
+  it('rejects additional properties', () => {
+    expect(messages({ properties: { a: {} }, additionalProperties: false }, { a: 1, b: 2 })).toEqual(['b is not allowed'])
+  })
+
+  it('resolves local references', () => {
+    const withRefs = {
+      definitions: { port: { type: 'integer', minimum: 1, maximum: 65535 } },
+      properties: { port: { $ref: '#/definitions/port' } },
+    }
+
+    expect(messages(withRefs, { port: 0 })).toEqual(['port must be at least 1'])
+  })
+
+  it('supports combinators', () => {
+    expect(messages({ anyOf: [{ type: 'string' }, { type: 'integer' }] }, true)).toEqual(['value must match at least one of the allowed schemas'])
+    expect(messages({ oneOf: [{ type: 'number' }, { type: 'integer' }] }, 1)).toEqual(['value must match exactly one of the allowed schemas'])
+    expect(messages({ not: { type: 'string' } }, 'x')).toEqual(['value must not match the disallowed schema'])
+    expect(messages({ allOf: [{ minLength: 2 }, { maxLength: 3 }] }, 'abcd')).toEqual(['value must be at most 3 characters long'])
+  })
+
+  it('applies if/then/else', () => {
+    const conditional = {
+      if: { properties: { mode: { const: 'cron' } } },
+      then: { required: ['cron'] },
+      else: { required: ['executeAt'] },
+    }
+
+    expect(messages(conditional, { mode: 'cron' })).toEqual(['cron is required'])
+    expect(messages(conditional, { mode: 'once' })).toEqual(['executeAt is required'])
+  })
+})
+
+describe('getJsonPathLines', () => {
+  it('maps paths to their line', () => {
+    const text = JSON.stringify({ url: 'https://example.com', headers: { Accept: 'x' }, tags: ['a', 'b'] }, null, 2)
+
+    expect(getJsonPathLines(text)).toEqual({
+      '': 1,
+      url: 2,
+      headers: 3,
+      'headers.Accept': 4,
+      tags: 6,
+      'tags[0]': 7,
+      'tags[1]': 8,
+    })
+  })
+})
+
+describe('getSchemaType', () => {
+  it('ignores null and infers missing types', () => {
+    expect(getSchemaType({ type: ['null', 'string'] })).toBe('string')
+    expect(getSchemaType({ properties: {} })).toBe('object')
+    expect(getSchemaType({ items: {} })).toBe('array')
+    expect(getSchemaType({ enum: [1, 2] })).toBe('integer')
+    expect(getSchemaType({})).toBeUndefined()
+  })
+})
+
+describe('defaults', () => {
+  const schema = {
+    type: 'object',
+    required: ['options'],
+    properties: {
+      name: { type: 'string' },
+      retries: { type: 'integer', default: 3 },
+      options: {
+        type: 'object',
+        properties: { verbose: { type: 'boolean', default: false } },
+      },
+      extra: {
+        type: 'object',
+        properties: { level: { type: 'integer', default: 1 } },
+      },
+    },
+  }
+
+  it('creates the initial value of a schema', () => {
+    expect(createDefaultValue(schema)).toEqual({ retries: 3, options: { verbose: false } })
+    expect(createDefaultValue({ type: 'integer', minimum: 5 })).toBe(5)
+    expect(createDefaultValue({ type: 'string', enum: ['a', 'b'] })).toBe('a')
+    expect(createDefaultValue({ type: 'array' })).toEqual([])
+  })
+
+  it('fills missing values and keeps existing ones', () => {
+    expect(applyDefaults(schema, { retries: 0, extra: {} })).toEqual({ retries: 0, options: { verbose: false }, extra: { level: 1 } })
+  })
+
+  it('does not share default objects between values', () => {
+    const withObjectDefault = { properties: { headers: { type: 'object', default: { Accept: '*/*' } } } }
+    const first = applyDefaults(withObjectDefault, {})
+    first.headers.Accept = 'text/plain'
+
+    expect(applyDefaults(withObjectDefault, {}).headers.Accept).toBe('*/*')
+  })
+})
@@ -0,0 +1,101 @@
+/**
+ * Permission names as issued by the API (PermissionCatalog), formatted as "Group.Name".
+ * Keep in sync with Milvaion.Application/Utils/PermissionManager/PermissionCatalog.cs
+ */
+export const PERMISSIONS = {
+  SUPER_ADMIN: 'App.SuperAdmin',
+
+  JOB_LIST: 'ScheduledJobManagement.List',
+  JOB_DETAIL: 'ScheduledJobManagement.Detail',
+  JOB_CREATE: 'ScheduledJobManagement.Create',
+  JOB_UPDATE: 'ScheduledJobManagement.Update',
+  JOB_DELETE: 'ScheduledJobManagement.Delete',
+  JOB_CANCEL: 'ScheduledJobManagement.Cancel',
+  JOB_TRIGGER: 'ScheduledJobManagement.Trigger',
+
+  FAILED_OCCURRENCE_LIST: 'FailedOccurrenceManagement.List',
+  FAILED_OCCURRENCE_DETAIL: 'FailedOccurrenceManagement.Detail',
+  FAILED_OCCURRENCE_UPDATE: 'FailedOccurrenceManagement.Update',
+  FAILED_OCCURRENCE_DELETE: 'FailedOccurrenceManagement.Delete',
+
+  WORKER_LIST: 'WorkerManagement.List',
+  WORKER_DETAIL: 'WorkerManagement.Detail',
+  WORKER_DELETE: 'WorkerManagement.Delete',
+
+  SYSTEM_LIST: 'SystemAdministration.List',
+  SYSTEM_UPDATE: 'SystemAdministration.Update',
+
+  USER_LIST: 'UserManagement.List',
+  USER_DETAIL: 'UserManagement.Detail',
+  USER_CREATE: 'UserManagement.Create',
+  USER_UPDATE: 'UserManagement.Update',
+  USER_DELETE: 'UserManagement.Delete',
+
+  ROLE_LIST: 'RoleManagement.List',
+  ROLE_DETAIL: 'RoleManagement.Detail',
+  ROLE_CREATE: 'RoleManagement.Create',
+  ROLE_UPDATE: 'RoleManagement.Update',
+  ROLE_DELETE: 'RoleManagement.Delete',
+
+  PERMISSION_LIST: 'PermissionManagement.List',
+  ACTIVITY_LOG_LIST: 'ActivityLogManagement.List',
+}
+
+/**
+ * Page names used by /ui/pages for pages that have create/edit/delete flags
+ */
+export const PAGES = {
+  USER_MANAGEMENT: 'UserManagement',
+  ROLE_MANAGEMENT: 'RoleManagement',
+  ACTIVITY_LOG_MANAGEMENT: 'ActivityLogManagement',
+}
+
+/**
+ * Permissions required to open a route. Any one of the listed permissions is enough.
+ * Routes that are not listed only require an authenticated user.
+ */
+export const ROUTE_PERMISSIONS = [
+  { path: '/dashboard', permissions: [PERMISSIONS.JOB_LIST] },
+  { path: '/jobs/new', permissions: [PERMISSIONS.JOB_CREATE] },
+  { path: '/jobs/import', permissions: [PERMISSIONS.JOB_CREATE] },
+  { path: '/jobs/templates', permissions: [PERMISSIONS.JOB_CREATE] },
+  { path: '/jobs/:id/edit', permissions: [PERMISSIONS.JOB_UPDATE] },
+  { path: '/jobs/:id', permissions: [PERMISSIONS.JOB_DETAIL] },
+  { path: '/jobs', permissions: [PERMISSIONS.JOB_LIST] },
+  { path: '/occurrences/:id', permissions: [PERMISSIONS.JOB_DETAIL] },
+  { path: '/executions', permissions: [PERMISSIONS.JOB_LIST] },
+  { path: '/calendar', permissions: [PERMISSIONS.JOB_LIST] },
+  { path: '/tags', permissions: [PERMISSIONS.JOB_DETAIL] },
+  { path: '/failed-executions/:id', permissions: [PERMISSIONS.FAILED_OCCURRENCE_DETAIL] },
+  { path: '/failed-executions', permissions: [PERMISSIONS.FAILED_OCCURRENCE_LIST] },
+  { path: '/workers', permissions: [PERMISSIONS.WORKER_LIST] },
+  { path: '/admin', permissions: [PERMISSIONS.SYSTEM_LIST] },
+  { path: '/configuration', permissions: [PERMISSIONS.SYSTEM_LIST] },
+  { path: '/users/new', permissions: [PERMISSIONS.USER_CREATE] },
+  { path: '/users/:id/edit', permissions: [PERMISSIONS.USER_UPDATE] },
+  { path: '/users/:id', permissions: [PERMISSIONS.USER_DETAIL] },
+  { path: '/users', permissions: [PERMISSIONS.USER_LIST] },
+  { path: '/roles/new', permissions: [PERMISSIONS.ROLE_CREATE] },
+  { path: '/roles/:id/edit', permissions: [PERMISSIONS.ROLE_UPDATE] },
+  { path: '/roles', permissions: [PERMISSIONS.ROLE_LIST] },
+  { path: '/activity-logs', permissions: [PERMISSIONS.ACTIVITY_LOG_LIST] },
+]
+
+const matchRoute = (pattern, path) => {
+  const patternParts = pattern.split('/').filter(Boolean)
+  const pathParts = path.split('/').filter(Boolean)
+
+  if (patternParts.length !== pathParts.length) return false
+
+  return patternParts.every((part, index) => part.startsWith(':') || part === pathParts[index])
+}
+
+/**
+ * Find permissions required for a path
+ * @param {string} path - Location pathname (e.g. /jobs/12/edit)
+ * @returns {Array|null} Required permissions, null if route is not restricted
+ */
+export const getRoutePermissions = (path) => {
+  const route = ROUTE_PERMISSIONS.find(r => matchRoute(r.path, path))
+  return route ? route.permissions : null
+}
@@ -0,0 +1,119 @@
+import { parseCron, getNextOccurrences } from './cronParser'
+
+// Runs expanded per job, keeps every-second schedules from freezing the month view
+export const MAX_RUNS_PER_JOB = 1000
+
+// Used when a job has no finished executions to estimate from
+export const DEFAULT_RUN_DURATION_MS = 60 * 1000
+
+/**
+ * Expand active jobs into the runs they are scheduled for within a time range
+ * @param {Array<Object>} jobs - Jobs from jobService.getAll (cronExpression or executeAt)
+ * @param {Date} start - Range start (inclusive)
+ * @param {Date} end - Range end (exclusive)
+ * @returns {{runs: Array<Object>, truncatedJobIds: Array<string>}} Runs sorted by time, with the jobs that hit MAX_RUNS_PER_JOB
+ */
+export const expandScheduledRuns = (jobs, start, end) => {
+  const runs = []
+  const truncatedJobIds = []
+  const now = Date.now()
+  // Runs are only scheduled from now on, past slots show executions instead
+  const from = Math.max(start.getTime(), now) - 1
+
+  for (const job of jobs) {
+    if (!job.isActive) continue
+
+    if (job.cronExpression) {
+      let parsed
+      try {
+        parsed = parseCron(job.cronExpression)
+      } catch {
+        continue
+      }
+
+      const times = getNextOccurrences(parsed, { from, count: MAX_RUNS_PER_JOB + 1 })
+        .filter(time => time < end)
+
+      if (times.length > MAX_RUNS_PER_JOB) {
+        times.length = MAX_RUNS_PER_JOB
+        truncatedJobIds.push(job.id)
+      }
+
+      times.forEach(time => runs.push({ job, time }))
+    } else if (job.executeAt) {
+      const time = new Date(job.executeAt)
+      if (time.getTime() > from && time < end) {
+        runs.push({ job, time })
+      }
+    }
+  }
+
+  runs.sort((a, b) => a.time - b.time)
+  return { runs, truncatedJobIds }
+}
+
+/**
+ * Average duration of finished executions per job
+ * @param {Array<Object>} occurrences - Occurrences with jobId and durationMs
+ * @returns {Object} Duration in milliseconds by job id
+ */
+export const getAverageDurations = (occurrences) => {
+  const totals = {}
+
+  for (const occurrence of occurrences) {
+    if (!occurrence.durationMs) continue
+    const total = totals[occurrence.jobId] || (totals[occurrence.jobId] = { sum: 0, count: 0 })
+    total.sum += occurrence.durationMs
+    total.count++
+  }
+
+  return Object.fromEntries(Object.entries(totals).map(([jobId, total]) => [jobId, total.sum / total.count]))
+}
+
+/**
+ * Find the periods where scheduled runs of a worker would exceed its capacity
+ * @param {Array<Object>} runs - Runs from expandScheduledRuns
+ * @param {Object} capacities - Parallel job capacity by worker id, workers without capacity are skipped
+ * @param {Object} durations - Estimated run duration in milliseconds by job id
+ * @returns {Array<Object>} Overloads as { workerId, start, end, peak, capacity }
+ */
+export const findCapacityOverloads = (runs, capacities, durations = {}) => {
+  const eventsByWorker = {}
+
+  for (const { job, time } of runs) {
+    if (!capacities[job.workerId]) continue
+
+    const events = eventsByWorker[job.workerId] || (eventsByWorker[job.workerId] = [])
+    const duration = Math.max(1000, durations[job.id] || DEFAULT_RUN_DURATION_MS)
+    events.push({ time: time.getTime(), change: 1 })
+    events.push({ time: time.getTime() + duration, change: -1 })
+  }
+
+  const overloads = []
+
+  for (const [workerId, events] of Object.entries(eventsByWorker)) {
+    const capacity = capacities[workerId]
+    // Ends before starts at the same time, a run finishing frees its slot for the next one
+    events.sort((a, b) => a.time - b.time || a.change - b.change)
+
+    let running = 0
+    let current = null
+
+    for (const event of events) {
+      running += event.change
+
+      if (running > capacity) {
+        if (!current) {
+          current = { workerId, start: new Date(event.time), peak: running, capacity }
+        }
+        current.peak = Math.max(current.peak, running)
+      } else if (current) {
+        current.end = new Date(event.time)
+        overloads.push(current)
+        current = null
+      }
+    }
+  }
+
+  return overloads.sort((a, b) => a.start - b.start)
+}
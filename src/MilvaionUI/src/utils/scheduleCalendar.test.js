@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { MAX_RUNS_PER_JOB, DEFAULT_RUN_DURATION_MS, expandScheduledRuns, getAverageDurations, findCapacityOverloads } from './scheduleCalendar'
+
+const at = (time) => new Date(`2030-01-01T${time}Z`)
+const run = (id, workerId, time) => ({ job: { id, workerId }, time: at(time) })
+
+describe('expandScheduledRuns', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(at('10:30:00'))
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('expands cron and one-time jobs from now until the range end, sorted by time', () => {
+    const hourly = { id: 'hourly', isActive: true, cronExpression: '0 0 * * * *' }
+    const once = { id: 'once', isActive: true, executeAt: '2030-01-01T11:15:00Z' }
+
+    const { runs, truncatedJobIds } = expandScheduledRuns([hourly, once], at('00:00:00'), at('13:00:00'))
+
+    expect(runs.map(r => [r.job.id, r.time.toISOString()])).toEqual([
+      ['hourly', '2030-01-01T11:00:00.000Z'],
+      ['once', '2030-01-01T11:15:00.000Z'],
+      ['hourly', '2030-01-01T12:00:00.000Z'],
+    ])
+    expect(truncatedJobIds).toEqual([])
+  })
+
+  it('skips inactive jobs, invalid cron expressions and one-time runs outside the range', () => {
+    const jobs = [
+      { id: 'inactive', isActive: false, cronExpression: '0 0 * * * *' },
+      { id: 'invalid', isActive: true, cronExpression: 'not a cron' },
+      { id: 'past', isActive: true, executeAt: '2030-01-01T10:00:00Z' },
+      { id: 'later', isActive: true, executeAt: '2030-01-01T13:00:00Z' },
+    ]
+
+    expect(expandScheduledRuns(jobs, at('00:00:00'), at('13:00:00')).runs).toEqual([])
+  })
+
+  it('caps the runs of a job and reports it as truncated', () => {
+    const everySecond = { id: 'every-second', isActive: true, cronExpression: '* * * * * *' }
+
+    const { runs, truncatedJobIds } = expandScheduledRuns([everySecond], at('10:30:00'), at('12:00:00'))
+
+    expect(runs).toHaveLength(MAX_RUNS_PER_JOB)
+    expect(truncatedJobIds).toEqual(['every-second'])
+  })
+})
+
+describe('getAverageDurations', () => {
+  it('averages finished executions per job and ignores ones without a duration', () => {
+    expect(getAverageDurations([
+      { jobId: 'a', durationMs: 1000 },
+      { jobId: 'a', durationMs: 3000 },
+      { jobId: 'a', durationMs: null },
+      { jobId: 'b', durationMs: 500 },
+      { jobId: 'c' },
+    ])).toEqual({ a: 2000, b: 500 })
+  })
+})
+
+describe('findCapacityOverloads', () => {
+  it('reports the period where overlapping runs exceed the worker capacity', () => {
+    const runs = [run('a', 'w1', '10:00:00'), run('b', 'w1', '10:00:30'), run('c', 'w1', '10:00:45')]
+
+    expect(findCapacityOverloads(runs, { w1: 2 }, { a: 60000, b: 60000, c: 60000 })).toEqual([
+      { workerId: 'w1', start: at('10:00:45'), end: at('10:01:00'), peak: 3, capacity: 2 },
+    ])
+  })
+
+  it('tracks the peak and reports separate overloads per worker sorted by start', () => {
+    const runs = [
+      run('a', 'w1', '10:05:00'), run('b', 'w1', '10:05:10'), run('c', 'w1', '10:05:20'),
+      run('d', 'w2', '10:00:00'), run('e', 'w2', '10:00:10'),
+    ]
+
+    expect(findCapacityOverloads(runs, { w1: 1, w2: 1 })).toEqual([
+      { workerId: 'w2', start: at('10:00:10'), end: at('10:01:00'), peak: 2, capacity: 1 },
+      { workerId: 'w1', start: at('10:05:10'), end: at('10:06:10'), peak: 3, capacity: 1 },
+    ])
+  })
+
+  it('lets a run start in the slot freed by a run ending at the same time', () => {
+    const runs = [run('a', 'w1', '10:00:00'), run('b', 'w1', '10:01:00')]
+
+    expect(findCapacityOverloads(runs, { w1: 1 }, { a: 60000, b: 60000 })).toEqual([])
+  })
+
+  it('uses the default duration for jobs without an estimate and at least one second', () => {
+    const defaultRuns = [run('a', 'w1', '10:00:00'), run('b', 'w1', '10:00:59')]
+    const shortRuns = [run('a', 'w1', '10:00:00'), run('b', 'w1', '10:00:00.500')]
+
+    expect(DEFAULT_RUN_DURATION_MS).toBe(60000)
+    expect(findCapacityOverloads(defaultRuns, { w1: 1 })).toHaveLength(1)
+    expect(findCapacityOverloads(shortRuns, { w1: 1 }, { a: 10 })).toEqual([
+      { workerId: 'w1', start: at('10:00:00.500'), end: at('10:00:01'), peak: 2, capacity: 1 },
+    ])
+  })
+
+  it('skips workers without a known capacity', () => {
+    const runs = [run('a', 'w1', '10:00:00'), run('b', 'w1', '10:00:00'), run('c', 'w2', '10:00:00'), run('d', 'w2', '10:00:00')]
+
+    expect(findCapacityOverloads(runs, { w1: 0 })).toEqual([])
+  })
+})
@@ -1,35 +1,60 @@
+import { validateSchema } from './jsonSchema'
+import { parseCron, getNextOccurrences } from './cronParser'
+
 export const validateCronExpression = (cronExpression) => {
   if (!cronExpression || cronExpression.trim() === '') {
     return { isValid: false, error: 'Cron expression is required' }
   }
 
-  const parts = cronExpression.trim().split(/\s+/)
-  
-  // Cron should have 5 or 6 parts (with or without seconds)
-  if (parts.length !== 5 && parts.length !== 6) {
-    return { 
-      isValid: false, 
-      error: 'Cron expression must have 5 or 6 parts (second minute hour day month dayOfWeek)' 
-    }
+  let parsed
+  try {
+    parsed = parseCron(cronExpression)
+  } catch (error) {
+    return { isValid: false, error: error.message, field: error.field }
+  }
+
+  // The API only checks that Cronos can parse the expression, 6-field (seconds) schedules may fire every second
+  const [next] = getNextOccurrences(parsed, { count: 1 })
+
+  if (!next) {
+    return { isValid: false, error: 'Cron expression never fires' }
   }
 
   return { isValid: true }
 }
 
-export const validateJobData = (jobData) => {
+/**
+ * Validate job data JSON, and when a schema is given, validate it against the worker's job data schema
+ * @param {string} jobData - Job data JSON string
+ * @param {string|Object} schema - JSON Schema from the worker's jobDataDefinitions (optional)
+ * @returns {{isValid: boolean, error?: string, errors?: Array<{path: string, message: string}>}}
+ */
+export const validateJobData = (jobData, schema = null) => {
   if (!jobData || jobData.trim() === '') {
     return { isValid: true } // Empty is valid
   }
 
+  let parsed
   try {
-    JSON.parse(jobData)
-    return { isValid: true }
+    parsed = JSON.parse(jobData)
   } catch (error) {
     return { 
       isValid: false, 
       error: 'Invalid JSON format' 
     }
   }
+
+  const errors = validateSchema(schema, parsed)
+
+  if (errors.length > 0) {
+    return {
+      isValid: false,
+      error: `Job data does not match the job's schema (${errors.length} error${errors.length !== 1 ? 's' : ''})`,
+      errors
+    }
+  }
+
+  return { isValid: true }
 }
 
 export const validateFutureDate = (date) => {
@@ -49,3 +74,34 @@ export const validateFutureDate = (date) => {
 
   return { isValid: true }
 }
+
+// Mirrors the API's Identity password options (appsettings Password section)
+const PASSWORD_RULES = [
+  { label: 'At least 6 characters', test: (password) => password.length >= 6 },
+  { label: 'A lowercase letter', test: (password) => /[a-z]/.test(password) },
+  { label: 'An uppercase letter', test: (password) => /[A-Z]/.test(password) },
+  { label: 'A digit', test: (password) => /\d/.test(password) },
+  { label: 'A special character', test: (password) => /[^a-zA-Z0-9]/.test(password) },
+]
+
+export const validatePasswordStrength = (password = '') => {
+  const checks = PASSWORD_RULES.map(rule => ({ label: rule.label, passed: rule.test(password) }))
+  const passedCount = checks.filter(c => c.passed).length
+
+  // Length beyond the minimum makes an otherwise valid password stronger
+  let strength = 'weak'
+  if (passedCount === checks.length) {
+    strength = password.length >= 12 ? 'strong' : 'medium'
+  }
+
+  if (passedCount < checks.length) {
+    return {
+      isValid: false,
+      error: 'Password does not meet the requirements',
+      checks,
+      strength
+    }
+  }
+
+  return { isValid: true, checks, strength }
+}
@@ -38,6 +38,23 @@ public class JobAutoDisableSettings
     /// </summary>
     public bool? Enabled { get; set; }
 
+    /// <summary>
+    /// Timestamp when the job was paused manually from the dashboard.
+    /// Null if the job is not paused or was auto-disabled.
+    /// </summary>
+    public DateTime? PausedAt { get; set; }
+
+    /// <summary>
+    /// Optional reason given when the job was paused manually.
+    /// </summary>
+    [MaxLength(500)]
+    public string PauseReason { get; set; }
+
+    /// <summary>
+    /// When set, the dispatcher resumes the paused job automatically at this time (UTC).
+    /// </summary>
+    public DateTime? PausedUntil { get; set; }
+
     /// <summary>
     /// Job-specific threshold for consecutive failures before auto-disable.
     /// If null, uses global setting from configuration.
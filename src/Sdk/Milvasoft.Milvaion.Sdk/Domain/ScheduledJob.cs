@@ -115,6 +115,11 @@ public class ScheduledJob : CreationAuditableEntity<Guid>
     [Column(TypeName = "jsonb")]
     public List<string> JobVersions { get; set; } = [];
 
+    /// <summary>
+    /// Changes on every update from the dashboard. Updates made on an outdated copy of the job are rejected with it.
+    /// </summary>
+    public Guid ConcurrencyStamp { get; set; } = Guid.NewGuid();
+
     /// <summary>
     /// Job auto-disable settings.
     /// </summary>
@@ -229,5 +234,19 @@ public class ScheduledJob : CreationAuditableEntity<Guid>
             CronExpression = s.CronExpression,
             AutoDisableSettings = s.AutoDisableSettings
         };
+
+        /// <summary>
+        /// Projection for resuming paused jobs.
+        /// </summary>
+        public static Expression<Func<ScheduledJob, ScheduledJob>> ResumePaused { get; } = s => new ScheduledJob
+        {
+            Id = s.Id,
+            DisplayName = s.DisplayName,
+            JobNameInWorker = s.JobNameInWorker,
+            IsActive = s.IsActive,
+            ExecuteAt = s.ExecuteAt,
+            CronExpression = s.CronExpression,
+            AutoDisableSettings = s.AutoDisableSettings
+        };
     }
 }
@@ -11,6 +11,7 @@ using Milvaion.Infrastructure.BackgroundServices;
 using Milvaion.IntegrationTests.TestBase;
 using Milvasoft.Milvaion.Sdk.Domain;
 using Milvasoft.Milvaion.Sdk.Domain.Enums;
+using Milvasoft.Milvaion.Sdk.Domain.JsonModels;
 using Xunit.Abstractions;
 
 namespace Milvaion.IntegrationTests.BackgroundServices;
@@ -491,6 +492,105 @@ public class JobDispatcherServiceTests(CustomWebApplicationFactory factory, ITes
         createdOccurrence!.JobVersion.Should().Be(5);
     }
 
+    [Fact]
+    public async Task ResumeExpiredPauses_ShouldResumeExpiredPauseWithNextCronRunAndKeepFuturePause()
+    {
+        // Arrange
+        await InitializeAsync();
+
+        var expiredJob = await SeedScheduledJobAsync(
+            $"ExpiredPauseJob_{Guid.NewGuid():N}",
+            cronExpression: "0 0 * * * *", // Every hour (with seconds)
+            executeAt: DateTime.UtcNow.AddHours(-3),
+            isActive: false
+        );
+
+        var pausedJob = await SeedScheduledJobAsync(
+            $"FuturePauseJob_{Guid.NewGuid():N}",
+            cronExpression: "0 0 * * * *",
+            executeAt: DateTime.UtcNow.AddHours(-3),
+            isActive: false
+        );
+
+        var pausedUntil = DateTime.UtcNow.AddHours(1);
+
+        var seedContext = GetDbContext();
+        var jobsToPause = await seedContext.ScheduledJobs.Where(j => j.Id == expiredJob.Id || j.Id == pausedJob.Id).ToListAsync();
+
+        foreach (var job in jobsToPause)
+        {
+            job.AutoDisableSettings = new JobAutoDisableSettings
+            {
+                Enabled = true,
+                Threshold = 3,
+                PausedAt = DateTime.UtcNow.AddHours(-4),
+                PauseReason = "Maintenance",
+                PausedUntil = job.Id == expiredJob.Id ? DateTime.UtcNow.AddMinutes(-1) : pausedUntil
+            };
+        }
+
+        await seedContext.SaveChangesAsync();
+
+        var redisScheduler = _serviceProvider.GetRequiredService<IRedisSchedulerService>();
+
+        using var cts = new CancellationTokenSource(TimeSpan.FromSeconds(60));
+
+        // Act - Start dispatcher, the first iteration checks expired pauses
+        var dispatcher = CreateJobDispatcherService();
+        _ = Task.Run(async () =>
+        {
+            try
+            {
+                await dispatcher.StartAsync(cts.Token);
+                await Task.Delay(Timeout.Infinite, cts.Token);
+            }
+            catch (OperationCanceledException) { }
+        }, cts.Token);
+
+        // Wait for the expired pause to be resumed
+        var found = await WaitForConditionAsync(
+            async () =>
+            {
+                var dbContext = GetDbContext();
+                return await dbContext.ScheduledJobs
+                    .AsNoTracking()
+                    .AnyAsync(j => j.Id == expiredJob.Id && j.IsActive, cts.Token);
+            },
+            timeout: TimeSpan.FromSeconds(15),
+            pollInterval: TimeSpan.FromMilliseconds(500),
+            cancellationToken: cts.Token);
+
+        await dispatcher.StopAsync(cts.Token);
+
+        // Assert - Expired pause is resumed and skips the runs missed while paused
+        found.Should().BeTrue("job whose pause has expired should be resumed");
+
+        var dbContextAssert = GetDbContext();
+        var resumedJob = await dbContextAssert.ScheduledJobs.AsNoTracking().FirstAsync(j => j.Id == expiredJob.Id, cts.Token);
+
+        resumedJob.IsActive.Should().BeTrue();
+        resumedJob.AutoDisableSettings.PausedAt.Should().BeNull();
+        resumedJob.AutoDisableSettings.PauseReason.Should().BeNull();
+        resumedJob.AutoDisableSettings.PausedUntil.Should().BeNull();
+        resumedJob.AutoDisableSettings.Enabled.Should().BeTrue();
+        resumedJob.AutoDisableSettings.Threshold.Should().Be(3);
+        resumedJob.ExecuteAt.Should().BeAfter(DateTime.UtcNow.AddSeconds(-5));
+        resumedJob.ExecuteAt.Should().BeBefore(DateTime.UtcNow.AddHours(1).AddSeconds(5));
+        resumedJob.ExecuteAt.Minute.Should().Be(0);
+        resumedJob.ExecuteAt.Second.Should().Be(0);
+
+        var scheduledTime = await redisScheduler.GetScheduledTimeAsync(expiredJob.Id, cts.Token);
+        scheduledTime.Should().NotBeNull();
+
+        // Assert - Future pause is untouched
+        var stillPausedJob = await dbContextAssert.ScheduledJobs.AsNoTracking().FirstAsync(j => j.Id == pausedJob.Id, cts.Token);
+
+        stillPausedJob.IsActive.Should().BeFalse();
+        stillPausedJob.ExecuteAt.Should().BeCloseTo(pausedJob.ExecuteAt, TimeSpan.FromMilliseconds(1));
+        stillPausedJob.AutoDisableSettings.PausedUntil.Should().BeCloseTo(pausedUntil, TimeSpan.FromMilliseconds(1));
+        stillPausedJob.AutoDisableSettings.PauseReason.Should().Be("Maintenance");
+    }
+
     private JobDispatcherService CreateJobDispatcherService() => new(
             _serviceProvider,
             _serviceProvider.GetRequiredService<IRedisSchedulerService>(),
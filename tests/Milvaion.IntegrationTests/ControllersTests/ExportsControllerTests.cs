@@ -0,0 +1,213 @@
+using ClosedXML.Excel;
+using FluentAssertions;
+using Microsoft.Extensions.DependencyInjection;
+using Milvaion.Application.Dtos.ExportDtos;
+using Milvaion.Application.Utils.Constants;
+using Milvaion.Infrastructure.Persistence.Context;
+using Milvaion.IntegrationTests.TestBase;
+using Milvasoft.Components.Rest.MilvaResponse;
+using Milvasoft.Milvaion.Sdk.Domain;
+using Milvasoft.Milvaion.Sdk.Domain.Enums;
+using System.Net;
+using System.Net.Http.Json;
+using System.Text;
+using Xunit.Abstractions;
+
+namespace Milvaion.IntegrationTests.ControllersTests;
+
+[Collection(nameof(MilvaionTestCollection))]
+[Trait("Controller Integration Tests", "Integration tests for ExportsController.")]
+public class ExportsControllerTests(CustomWebApplicationFactory factory, ITestOutputHelper output) : IntegrationTestBase(factory, output)
+{
+    private const string _baseUrl = $"{GlobalConstant.RoutePrefix}/v1.0/exports/export";
+    private const string _jobDisplayName = "Export job";
+    private const string _workerId = "export-worker";
+
+    [Fact]
+    public async Task ExportAsync_WithoutAuthorization_ShouldReturnUnauthorized()
+    {
+        // Arrange
+        var request = new ExportRequest { ExportType = ExportType.ScheduledJob, Format = ExportFormat.Csv };
+
+        // Act
+        var httpResponse = await _factory.CreateClient().PostAsJsonAsync(_baseUrl, request);
+
+        // Assert
+        httpResponse.StatusCode.Should().Be(HttpStatusCode.Unauthorized);
+    }
+
+    [Theory]
+    [InlineData(ExportType.ScheduledJob, ExportFormat.Csv)]
+    [InlineData(ExportType.ScheduledJob, ExportFormat.Excel)]
+    [InlineData(ExportType.JobOccurrence, ExportFormat.Csv)]
+    [InlineData(ExportType.JobOccurrence, ExportFormat.Excel)]
+    [InlineData(ExportType.FailedOccurrence, ExportFormat.Csv)]
+    [InlineData(ExportType.FailedOccurrence, ExportFormat.Excel)]
+    public async Task ExportAsync_WithData_ShouldExportFileOfRequestedFormat(ExportType exportType, ExportFormat format)
+    {
+        // Arrange
+        await SeedRootUserAndSuperAdminRoleAsync();
+        await SeedExportDataAsync(_jobDisplayName);
+        var client = await _factory.CreateClient().LoginAsync();
+        var request = new ExportRequest { ExportType = exportType, Format = format };
+
+        // Act
+        var httpResponse = await client.PostAsJsonAsync(_baseUrl, request);
+        var rows = await ReadExportedRowsAsync(httpResponse, format);
+
+        // Assert
+        httpResponse.StatusCode.Should().Be(HttpStatusCode.OK);
+        httpResponse.Content.Headers.ContentDisposition.FileName.Trim('"').Should().EndWith(format == ExportFormat.Csv ? ".csv" : ".xlsx");
+        rows.Should().HaveCount(2);
+        rows[0].Should().NotContain("Id");
+        rows[1].Should().HaveSameCount(rows[0]);
+        rows[1].Should().Contain(_workerId);
+    }
+
+    [Theory]
+    [InlineData(ExportType.ScheduledJob, "DisplayName")]
+    [InlineData(ExportType.JobOccurrence, "JobDisplayName")]
+    [InlineData(ExportType.FailedOccurrence, "JobDisplayName")]
+    public async Task ExportAsync_WithColumns_ShouldExportOnlyRequestedColumnsInOrder(ExportType exportType, string displayNameColumn)
+    {
+        // Arrange
+        await SeedRootUserAndSuperAdminRoleAsync();
+        await SeedExportDataAsync(_jobDisplayName);
+        var client = await _factory.CreateClient().LoginAsync();
+        var request = new ExportRequest
+        {
+            ExportType = exportType,
+            Format = ExportFormat.Csv,
+            Columns = ["workerId", displayNameColumn, "NotExistingColumn", "WorkerId"]
+        };
+
+        // Act
+        var httpResponse = await client.PostAsJsonAsync(_baseUrl, request);
+        var rows = await ReadExportedRowsAsync(httpResponse, ExportFormat.Csv);
+
+        // Assert
+        httpResponse.StatusCode.Should().Be(HttpStatusCode.OK);
+        rows.Should().HaveCount(2);
+        rows[0].Should().HaveCount(2);
+        rows[1].Should().Equal(_workerId, _jobDisplayName);
+    }
+
+    [Fact]
+    public async Task ExportAsync_ToCsvWithFormulaLikeValue_ShouldExportValueAsText()
+    {
+        // Arrange
+        await SeedRootUserAndSuperAdminRoleAsync();
+        await SeedExportDataAsync("=HYPERLINK(\"http://example.com\")");
+        var client = await _factory.CreateClient().LoginAsync();
+        var request = new ExportRequest
+        {
+            ExportType = ExportType.ScheduledJob,
+            Format = ExportFormat.Csv,
+            Columns = ["DisplayName"]
+        };
+
+        // Act
+        var httpResponse = await client.PostAsJsonAsync(_baseUrl, request);
+        var content = await httpResponse.Content.ReadAsByteArrayAsync();
+
+        // Assert
+        httpResponse.StatusCode.Should().Be(HttpStatusCode.OK);
+        content.Take(3).Should().Equal(Encoding.UTF8.GetPreamble());
+        Encoding.UTF8.GetString(content[3..]).Split("\r\n")[1].Should().Be("\"'=HYPERLINK(\"\"http://example.com\"\")\"");
+    }
+
+    [Fact]
+    public async Task ExportAsync_WithoutData_ShouldReturnError()
+    {
+        // Arrange
+        await SeedRootUserAndSuperAdminRoleAsync();
+        var client = await _factory.CreateClient().LoginAsync();
+        var request = new ExportRequest { ExportType = ExportType.FailedOccurrence, Format = ExportFormat.Csv };
+
+        // Act
+        var httpResponse = await client.PostAsJsonAsync(_baseUrl, request);
+        var result = await httpResponse.Content.ReadFromJsonAsync<Response<ExportResult>>();
+
+        // Assert
+        httpResponse.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull();
+        result.IsSuccess.Should().BeFalse();
+        result.Messages[0].Message.Should().Be("No data found for export!");
+    }
+
+    #region Helper Methods
+
+    private async Task SeedExportDataAsync(string jobDisplayName)
+    {
+        var dbContext = _serviceProvider.GetRequiredService<MilvaionDbContext>();
+
+        var job = new ScheduledJob
+        {
+            Id = Guid.NewGuid(),
+            DisplayName = jobDisplayName,
+            JobNameInWorker = "TestJob",
+            WorkerId = _workerId,
+            ExecuteAt = DateTime.UtcNow.AddHours(1),
+            IsActive = true,
+            CreationDate = DateTime.UtcNow,
+            CreatorUserName = GlobalConstant.SystemUsername
+        };
+
+        var occurrence = new JobOccurrence
+        {
+            Id = Guid.NewGuid(),
+            JobId = job.Id,
+            JobName = job.JobNameInWorker,
+            WorkerId = _workerId,
+            CorrelationId = Guid.NewGuid(),
+            Status = JobOccurrenceStatus.Failed,
+            StartTime = DateTime.UtcNow.AddMinutes(-30),
+            EndTime = DateTime.UtcNow,
+            CreatedAt = DateTime.UtcNow,
+            CreationDate = DateTime.UtcNow
+        };
+
+        var failedOccurrence = new FailedOccurrence
+        {
+            Id = Guid.NewGuid(),
+            JobId = job.Id,
+            OccurrenceId = occurrence.Id,
+            CorrelationId = occurrence.CorrelationId,
+            FailedAt = DateTime.UtcNow,
+            Exception = "Test error message",
+            JobDisplayName = job.DisplayName,
+            JobNameInWorker = job.JobNameInWorker,
+            WorkerId = _workerId,
+            Resolved = false,
+            CreationDate = DateTime.UtcNow
+        };
+
+        await dbContext.ScheduledJobs.AddAsync(job);
+        await dbContext.JobOccurrences.AddAsync(occurrence);
+        await dbContext.FailedOccurrences.AddAsync(failedOccurrence);
+        await dbContext.SaveChangesAsync();
+    }
+
+    private static async Task<List<List<string>>> ReadExportedRowsAsync(HttpResponseMessage httpResponse, ExportFormat format)
+    {
+        var stream = new MemoryStream(await httpResponse.Content.ReadAsByteArrayAsync());
+
+        if (format == ExportFormat.Csv)
+        {
+            using var reader = new StreamReader(stream, Encoding.UTF8, detectEncodingFromByteOrderMarks: true);
+
+            var content = await reader.ReadToEndAsync();
+
+            return [.. content.Split("\r\n", StringSplitOptions.RemoveEmptyEntries).Select(line => line.Split(',').ToList())];
+        }
+
+        using var workbook = new XLWorkbook(stream);
+
+        var worksheet = workbook.Worksheets.First();
+        var lastColumn = worksheet.LastColumnUsed().ColumnNumber();
+
+        return [.. worksheet.RowsUsed().Select(row => row.Cells(1, lastColumn).Select(cell => cell.GetString()).ToList())];
+    }
+
+    #endregion
+}
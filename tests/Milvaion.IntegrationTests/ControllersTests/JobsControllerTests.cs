@@ -333,7 +333,8 @@ public class JobsControllerTests(CustomWebApplicationFactory factory, ITestOutpu
         var request = new UpdateScheduledJobCommand
         {
             Id = Guid.NewGuid(),
-            DisplayName = new UpdateProperty<string>("UpdatedName")
+            DisplayName = new UpdateProperty<string>("UpdatedName"),
+            IsActive = new UpdateProperty<bool>(false)
         };
 
         // Act
@@ -344,7 +345,166 @@ public class JobsControllerTests(CustomWebApplicationFactory factory, ITestOutpu
         httpResponse.StatusCode.Should().Be(HttpStatusCode.OK);
         result.Should().NotBeNull();
         _output.WriteLine(result.Messages.First().Message);
-        result.IsSuccess.Should().BeTrue();
+        result.IsSuccess.Should().BeFalse();
+        result.Messages[0].Message.Should().Be("Job not found!");
+    }
+
+    [Fact]
+    public async Task UpdateScheduledJobAsync_WithOutdatedConcurrencyStamp_ShouldReturnConflict()
+    {
+        // Arrange
+        await SeedRootUserAndSuperAdminRoleAsync();
+        var job = await SeedSingleScheduledJobAsync("SharedJob", "Edited by two users");
+        var client = await _factory.CreateClient().LoginAsync();
+        var firstRequest = new UpdateScheduledJobCommand
+        {
+            Id = job.Id,
+            DisplayName = new UpdateProperty<string>("FirstUsersName"),
+            ExpectedConcurrencyStamp = job.ConcurrencyStamp
+        };
+        var secondRequest = new UpdateScheduledJobCommand
+        {
+            Id = job.Id,
+            Description = new UpdateProperty<string>("Second user's description"),
+            ExpectedConcurrencyStamp = job.ConcurrencyStamp
+        };
+
+        // Act
+        var firstHttpResponse = await client.PutAsJsonAsync($"{_baseUrl}/job", firstRequest);
+        var firstResult = await firstHttpResponse.Content.ReadFromJsonAsync<Response<Guid>>();
+        var secondHttpResponse = await client.PutAsJsonAsync($"{_baseUrl}/job", secondRequest);
+        var secondResult = await secondHttpResponse.Content.ReadFromJsonAsync<Response<Guid>>();
+
+        // Assert
+        firstResult.Should().NotBeNull();
+        firstResult.IsSuccess.Should().BeTrue();
+        secondHttpResponse.StatusCode.Should().Be(HttpStatusCode.OK);
+        secondResult.Should().NotBeNull();
+        _output.WriteLine(secondResult.Messages.First().Message);
+        secondResult.IsSuccess.Should().BeFalse();
+        secondResult.Messages[0].Message.Should().Be("The job was changed by another user. Reload the job and apply your changes again");
+
+        // Verify in database
+        var dbContext = _serviceProvider.GetRequiredService<MilvaionDbContext>();
+        var updatedJob = await dbContext.ScheduledJobs.AsNoTracking().FirstOrDefaultAsync(j => j.Id == job.Id);
+        updatedJob.Should().NotBeNull();
+        updatedJob.DisplayName.Should().Be("FirstUsersName");
+        updatedJob.Description.Should().Be("Edited by two users");
+        updatedJob.ConcurrencyStamp.Should().NotBe(job.ConcurrencyStamp);
+    }
+
+    [Fact]
+    public async Task UpdateScheduledJobAsync_WithoutDefinitionChange_ShouldKeepVersion()
+    {
+        // Arrange
+        await SeedRootUserAndSuperAdminRoleAsync();
+        var job = await SeedSingleScheduledJobAsync("VersionedJob", "Version stays");
+        var client = await _factory.CreateClient().LoginAsync();
+        var pauseRequest = new UpdateScheduledJobCommand
+        {
+            Id = job.Id,
+            Tags = new UpdateProperty<string>("reports"),
+            IsActive = new UpdateProperty<bool>(false)
+        };
+        var jobDataRequest = new UpdateScheduledJobCommand
+        {
+            Id = job.Id,
+            JobData = new UpdateProperty<string>("{\"reportName\":\"daily\"}")
+        };
+
+        // Act
+        var pauseResult = await (await client.PutAsJsonAsync($"{_baseUrl}/job", pauseRequest)).Content.ReadFromJsonAsync<Response<Guid>>();
+
+        var dbContext = _serviceProvider.GetRequiredService<MilvaionDbContext>();
+        var pausedJob = await dbContext.ScheduledJobs.AsNoTracking().FirstOrDefaultAsync(j => j.Id == job.Id);
+
+        var jobDataResult = await (await client.PutAsJsonAsync($"{_baseUrl}/job", jobDataRequest)).Content.ReadFromJsonAsync<Response<Guid>>();
+
+        var updatedJob = await dbContext.ScheduledJobs.AsNoTracking().FirstOrDefaultAsync(j => j.Id == job.Id);
+
+        // Assert
+        pauseResult.IsSuccess.Should().BeTrue();
+        pausedJob.Version.Should().Be(1);
+        pausedJob.JobVersions.Should().BeEmpty();
+        pausedJob.ConcurrencyStamp.Should().NotBe(job.ConcurrencyStamp);
+
+        jobDataResult.IsSuccess.Should().BeTrue();
+        updatedJob.Version.Should().Be(2);
+        updatedJob.JobVersions.Should().HaveCount(1);
+        updatedJob.ConcurrencyStamp.Should().NotBe(pausedJob.ConcurrencyStamp);
+    }
+
+    [Fact]
+    public async Task UpdateScheduledJobAsync_PauseWithPastPausedUntil_ShouldReturnValidationError()
+    {
+        // Arrange
+        await SeedRootUserAndSuperAdminRoleAsync();
+        var job = await SeedSingleScheduledJobAsync("PausedJob", "Pause ends in the past");
+        var client = await _factory.CreateClient().LoginAsync();
+        var request = new UpdateScheduledJobCommand
+        {
+            Id = job.Id,
+            IsActive = new UpdateProperty<bool>(false),
+            PausedUntil = new UpdateProperty<DateTime?>(DateTime.UtcNow.AddMinutes(-5))
+        };
+
+        // Act
+        var httpResponse = await client.PutAsJsonAsync($"{_baseUrl}/job", request);
+        var result = await httpResponse.Content.ReadFromJsonAsync<Response<Guid>>();
+
+        // Assert
+        httpResponse.StatusCode.Should().Be(HttpStatusCode.OK);
+        result.Should().NotBeNull();
+        result.IsSuccess.Should().BeFalse();
+        result.StatusCode.Should().Be((int)HttpStatusCode.BadRequest);
+        result.Messages.Should().Contain(m => m.Message == "Pause end date must be in the future");
+
+        // Verify in database
+        var dbContext = _serviceProvider.GetRequiredService<MilvaionDbContext>();
+        var notPausedJob = await dbContext.ScheduledJobs.AsNoTracking().FirstOrDefaultAsync(j => j.Id == job.Id);
+        notPausedJob.IsActive.Should().BeTrue();
+        notPausedJob.AutoDisableSettings.PausedAt.Should().BeNull();
+    }
+
+    [Fact]
+    public async Task UpdateScheduledJobAsync_PauseAndResume_ShouldStoreAndClearPauseInfo()
+    {
+        // Arrange
+        await SeedRootUserAndSuperAdminRoleAsync();
+        var job = await SeedSingleScheduledJobAsync("PausedJob", "Paused for maintenance");
+        var client = await _factory.CreateClient().LoginAsync();
+        var pausedUntil = DateTime.UtcNow.AddHours(2);
+        var pauseRequest = new UpdateScheduledJobCommand
+        {
+            Id = job.Id,
+            IsActive = new UpdateProperty<bool>(false),
+            PauseReason = new UpdateProperty<string>("Database maintenance"),
+            PausedUntil = new UpdateProperty<DateTime?>(pausedUntil)
+        };
+        var resumeRequest = new UpdateScheduledJobCommand
+        {
+            Id = job.Id,
+            IsActive = new UpdateProperty<bool>(true)
+        };
+
+        // Act
+        var pauseResult = await (await client.PutAsJsonAsync($"{_baseUrl}/job", pauseRequest)).Content.ReadFromJsonAsync<Response<Guid>>();
+        var pausedDetail = await (await client.GetAsync($"{_baseUrl}/job?JobId={job.Id}")).Content.ReadFromJsonAsync<Response<ScheduledJobDetailDto>>();
+        var resumeResult = await (await client.PutAsJsonAsync($"{_baseUrl}/job", resumeRequest)).Content.ReadFromJsonAsync<Response<Guid>>();
+        var resumedDetail = await (await client.GetAsync($"{_baseUrl}/job?JobId={job.Id}")).Content.ReadFromJsonAsync<Response<ScheduledJobDetailDto>>();
+
+        // Assert
+        pauseResult.IsSuccess.Should().BeTrue();
+        pausedDetail.Data.IsActive.Should().BeFalse();
+        pausedDetail.Data.AutoDisableSettings.PausedAt.Should().BeCloseTo(DateTime.UtcNow, TimeSpan.FromMinutes(1));
+        pausedDetail.Data.AutoDisableSettings.PauseReason.Should().Be("Database maintenance");
+        pausedDetail.Data.AutoDisableSettings.PausedUntil.Should().BeCloseTo(pausedUntil, TimeSpan.FromMilliseconds(1));
+
+        resumeResult.IsSuccess.Should().BeTrue();
+        resumedDetail.Data.IsActive.Should().BeTrue();
+        resumedDetail.Data.AutoDisableSettings.PausedAt.Should().BeNull();
+        resumedDetail.Data.AutoDisableSettings.PauseReason.Should().BeNull();
+        resumedDetail.Data.AutoDisableSettings.PausedUntil.Should().BeNull();
     }
 
     #endregion
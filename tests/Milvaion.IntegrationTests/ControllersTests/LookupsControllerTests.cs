@@ -1,6 +1,7 @@
 using FluentAssertions;
 using Milvaion.Application.Dtos;
 using Milvaion.Application.Utils.Constants;
+using Milvaion.Domain.Enums;
 using Milvaion.IntegrationTests.TestBase;
 using Milvasoft.Components.Rest.MilvaResponse;
 using Milvasoft.DataAccess.EfCore.Utils.LookupModels;
@@ -200,6 +201,7 @@ public class LookupsControllerTests(CustomWebApplicationFactory factory, ITestOu
         result.Should().NotBeNull();
         result.IsSuccess.Should().BeTrue();
         result.Data.Should().NotBeEmpty();
+        result.Data.Should().Contain(l => l.Key == nameof(UserActivity.CreateUser) && l.Name == "User create");
     }
 
     #endregion
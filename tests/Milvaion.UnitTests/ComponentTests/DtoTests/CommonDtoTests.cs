@@ -37,17 +37,20 @@ public class CommonDtoTests
     {
         // Arrange
         var value = new object();
+        var key = "TestKey";
         var name = "TestName";
 
         // Act
         var enumLookupModel = new EnumLookupModel
         {
             Value = value,
+            Key = key,
             Name = name
         };
 
         // Assert
         enumLookupModel.Value.Should().Be(value);
+        enumLookupModel.Key.Should().Be(key);
         enumLookupModel.Name.Should().Be(name);
     }
 
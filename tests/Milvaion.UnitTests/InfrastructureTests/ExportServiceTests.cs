@@ -0,0 +1,43 @@
+using FluentAssertions;
+using Milvaion.Infrastructure.Services;
+
+namespace Milvaion.UnitTests.InfrastructureTests;
+
+[Trait("Infrastructure Unit Tests", "ExportService unit tests.")]
+public class ExportServiceTests
+{
+    [Theory]
+    [InlineData(null)]
+    [InlineData("")]
+    public void EscapeCsvValue_ShouldReturnEmpty_WhenValueIsNullOrEmpty(string value)
+        // Act & Assert
+        => ExportService.EscapeCsvValue(value).Should().BeEmpty();
+
+    [Theory]
+    [InlineData("Nightly report")]
+    [InlineData("0 0 2 * * *")]
+    [InlineData("job=report")]
+    public void EscapeCsvValue_ShouldReturnValueAsIs_WhenNothingToEscape(string value)
+        // Act & Assert
+        => ExportService.EscapeCsvValue(value).Should().Be(value);
+
+    [Theory]
+    [InlineData("=HYPERLINK(\"http://evil\")", "\"'=HYPERLINK(\"\"http://evil\"\")\"")]
+    [InlineData("+1+2", "\"'+1+2\"")]
+    [InlineData("-2+3", "\"'-2+3\"")]
+    [InlineData("@SUM(A1:A2)", "\"'@SUM(A1:A2)\"")]
+    [InlineData("\t=1+1", "\"'\t=1+1\"")]
+    [InlineData("\r=1+1", "\"'\r=1+1\"")]
+    public void EscapeCsvValue_ShouldExportFormulaPrefixedValuesAsText(string value, string expected)
+        // Act & Assert
+        => ExportService.EscapeCsvValue(value).Should().Be(expected);
+
+    [Theory]
+    [InlineData("reports,daily", "\"reports,daily\"")]
+    [InlineData("say \"hi\"", "\"say \"\"hi\"\"\"")]
+    [InlineData("line1\nline2", "\"line1\nline2\"")]
+    [InlineData("line1\r\nline2", "\"line1\r\nline2\"")]
+    public void EscapeCsvValue_ShouldQuoteValues_WhenValueContainsSeparatorQuoteOrNewLine(string value, string expected)
+        // Act & Assert
+        => ExportService.EscapeCsvValue(value).Should().Be(expected);
+}